@@ -0,0 +1,181 @@
+-- Availability Seat Holds
+-- This migration adds short-lived seat holds taken by create-checkout-session, so several
+-- customers can't all pay for the last seat of a slot. A hold counts against capacity until
+-- it is converted into a booking (checkout.session.completed), released
+-- (checkout.session.expired) or its expires_at passes.
+--
+-- A paid session only gets its seat from a hold that still stands: a released hold (the customer
+-- started another checkout, or the session expired) or a lapsed hold whose seat has since been
+-- taken makes convert_availability_hold raise, and stripe-webhook refunds the payment.
+
+-- ===================================================================
+-- STEP 1: Holds table
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.availability_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  availability_id UUID NOT NULL REFERENCES public.availability(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  checkout_session_id TEXT UNIQUE,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'converted', 'released')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_holds_active
+  ON public.availability_holds(availability_id, expires_at)
+  WHERE status = 'active';
+
+ALTER TABLE public.availability_holds ENABLE ROW LEVEL SECURITY;
+
+-- Customers can see their own holds (service role manages all writes)
+CREATE POLICY "availability_holds_select_own" ON public.availability_holds
+  FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- ===================================================================
+-- STEP 2: Slot view with holds counted against capacity
+-- ===================================================================
+-- Read by listing-page.js instead of the availability table. Only aggregate hold counts are
+-- exposed, never who holds them.
+
+CREATE OR REPLACE VIEW public.availability_with_holds AS
+SELECT
+  a.*,
+  COALESCE(h.held_count, 0) AS held_count,
+  GREATEST(COALESCE(a.capacity, 1) - COALESCE(a.booked_count, 0) - COALESCE(h.held_count, 0), 0) AS seats_left
+FROM public.availability a
+LEFT JOIN (
+  SELECT availability_id, COUNT(*)::INTEGER AS held_count
+  FROM public.availability_holds
+  WHERE status = 'active' AND expires_at > now()
+  GROUP BY availability_id
+) h ON h.availability_id = a.id;
+
+GRANT SELECT ON public.availability_with_holds TO anon, authenticated;
+
+-- ===================================================================
+-- STEP 3: Hold lifecycle functions (service role only)
+-- ===================================================================
+
+-- Takes a seat for p_minutes. Locks the slot row so concurrent checkouts serialize; raises
+-- 'slot_full' when booked seats plus live holds already reach capacity. A customer re-opening
+-- checkout for the same slot replaces their previous hold rather than taking a second seat.
+CREATE OR REPLACE FUNCTION public.hold_availability_seat(
+  p_availability_id UUID,
+  p_user_id UUID,
+  p_minutes INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_capacity INTEGER;
+  v_booked INTEGER;
+  v_held INTEGER;
+  v_hold_id UUID;
+BEGIN
+  SELECT COALESCE(capacity, 1), COALESCE(booked_count, 0)
+  INTO v_capacity, v_booked
+  FROM availability
+  WHERE id = p_availability_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'slot_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE availability_holds
+  SET status = 'released', updated_at = now()
+  WHERE availability_id = p_availability_id
+    AND user_id = p_user_id
+    AND status = 'active';
+
+  SELECT COUNT(*) INTO v_held
+  FROM availability_holds
+  WHERE availability_id = p_availability_id
+    AND status = 'active'
+    AND expires_at > now();
+
+  IF v_booked + v_held >= v_capacity THEN
+    RAISE EXCEPTION 'slot_full' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO availability_holds (availability_id, user_id, expires_at)
+  VALUES (p_availability_id, p_user_id, now() + make_interval(mins => p_minutes))
+  RETURNING id INTO v_hold_id;
+
+  RETURN v_hold_id;
+END;
+$$;
+
+-- Turns a hold into a booked seat. Idempotent: returns FALSE if the hold was already converted.
+-- A hold that lapsed while the customer was paying is still converted if its seat is free.
+-- Raises 'hold_released' for a hold that was given up and 'slot_full' for a lapsed hold whose
+-- seat has been taken since; nothing is booked in either case.
+CREATE OR REPLACE FUNCTION public.convert_availability_hold(p_hold_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_hold availability_holds%ROWTYPE;
+  v_capacity INTEGER;
+  v_booked INTEGER;
+  v_held INTEGER;
+BEGIN
+  SELECT * INTO v_hold FROM availability_holds WHERE id = p_hold_id;
+  IF NOT FOUND OR v_hold.status = 'converted' THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Lock the slot as hold_availability_seat does, then re-read the hold under the lock
+  SELECT COALESCE(capacity, 1), COALESCE(booked_count, 0)
+  INTO v_capacity, v_booked
+  FROM availability
+  WHERE id = v_hold.availability_id
+  FOR UPDATE;
+
+  SELECT * INTO v_hold FROM availability_holds WHERE id = p_hold_id;
+  IF v_hold.status = 'converted' THEN
+    RETURN FALSE;
+  END IF;
+  IF v_hold.status = 'released' THEN
+    RAISE EXCEPTION 'hold_released' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF v_hold.expires_at <= now() THEN
+    SELECT COUNT(*) INTO v_held
+    FROM availability_holds
+    WHERE availability_id = v_hold.availability_id
+      AND status = 'active'
+      AND expires_at > now()
+      AND id <> p_hold_id;
+
+    IF v_booked + v_held >= v_capacity THEN
+      RAISE EXCEPTION 'slot_full' USING ERRCODE = 'P0001';
+    END IF;
+  END IF;
+
+  UPDATE availability_holds
+  SET status = 'converted', updated_at = now()
+  WHERE id = p_hold_id;
+
+  UPDATE availability
+  SET booked_count = v_booked + 1
+  WHERE id = v_hold.availability_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.hold_availability_seat(UUID, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.convert_availability_hold(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.hold_availability_seat(UUID, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.convert_availability_hold(UUID) TO service_role;
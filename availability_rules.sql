@@ -0,0 +1,157 @@
+-- Recurring Availability Rules
+-- This migration adds persistent weekly availability rules per listing. Each rule stores an
+-- RRULE-style recurrence (FREQ=WEEKLY;BYDAY=MO,TU,... — see edge/functions/_shared/slot-rules.ts
+-- for the supported subset), daily working windows and excluded dates. The
+-- materialize-availability Edge Function turns active rules into availability rows on a rolling
+-- horizon (8 weeks by default), skipping slots that already exist.
+--
+-- Editing a rule bumps updated_at; on its next run the materializer deletes the rule's future
+-- slots that nobody has booked or is checking out, then regenerates them. Booked slots are never
+-- touched.
+--
+-- Requires slots_unify.sql.
+
+-- ===================================================================
+-- STEP 1: Rules table
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.availability_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  listing_id UUID NOT NULL REFERENCES public.listings(id) ON DELETE CASCADE,
+  rrule TEXT NOT NULL,
+  -- [{ "start_time": "09:00", "end_time": "12:30" }, ...]
+  windows JSONB NOT NULL,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+  buffer_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_minutes >= 0),
+  price NUMERIC(10,2) CHECK (price >= 0),
+  capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1),
+  label TEXT,
+  starts_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  ends_on DATE,
+  exdates DATE[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT true,
+  materialized_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  CHECK (ends_on IS NULL OR ends_on >= starts_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_rules_listing ON public.availability_rules(listing_id);
+
+ALTER TABLE public.availability_rules ENABLE ROW LEVEL SECURITY;
+
+-- Merchants manage the rules of their own listings
+CREATE POLICY "availability_rules_owner_all" ON public.availability_rules
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()));
+
+CREATE OR REPLACE FUNCTION public.touch_availability_rule()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+-- Only edits to the rule itself count as changes; the materializer's own materialized_at
+-- update must not mark the rule dirty again
+DROP TRIGGER IF EXISTS availability_rules_touch ON public.availability_rules;
+CREATE TRIGGER availability_rules_touch
+  BEFORE UPDATE ON public.availability_rules
+  FOR EACH ROW
+  WHEN (
+    (OLD.rrule, OLD.windows, OLD.duration_minutes, OLD.buffer_minutes, OLD.price, OLD.capacity,
+     OLD.label, OLD.starts_on, OLD.ends_on, OLD.exdates, OLD.active)
+    IS DISTINCT FROM
+    (NEW.rrule, NEW.windows, NEW.duration_minutes, NEW.buffer_minutes, NEW.price, NEW.capacity,
+     NEW.label, NEW.starts_on, NEW.ends_on, NEW.exdates, NEW.active)
+  )
+  EXECUTE FUNCTION public.touch_availability_rule();
+
+-- ===================================================================
+-- STEP 2: Link slots to the rule that generated them
+-- ===================================================================
+
+ALTER TABLE public.availability
+  ADD COLUMN IF NOT EXISTS rule_id UUID REFERENCES public.availability_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_availability_rule_date
+  ON public.availability(rule_id, date)
+  WHERE rule_id IS NOT NULL;
+
+-- availability_with_holds selects a.*, so it must be recreated to expose the new column
+DROP VIEW IF EXISTS public.availability_with_holds;
+CREATE VIEW public.availability_with_holds AS
+SELECT
+  a.*,
+  COALESCE(h.held_count, 0) AS held_count,
+  GREATEST(COALESCE(a.capacity, 1) - COALESCE(a.booked_count, 0) - COALESCE(h.held_count, 0), 0) AS seats_left
+FROM public.availability a
+LEFT JOIN (
+  SELECT availability_id, COUNT(*)::INTEGER AS held_count
+  FROM public.availability_holds
+  WHERE status = 'active' AND expires_at > now()
+  GROUP BY availability_id
+) h ON h.availability_id = a.id;
+
+GRANT SELECT ON public.availability_with_holds TO anon, authenticated;
+
+-- ===================================================================
+-- STEP 3: Prune a rule's regenerable slots (service role only)
+-- ===================================================================
+-- Deletes the rule's slots on or after p_from that have no booked seats, no live checkout hold
+-- and no booking row pointing at them (cancelled bookings still reference their slot).
+-- Returns the number of slots deleted.
+CREATE OR REPLACE FUNCTION public.prune_rule_slots(
+  p_rule_id UUID,
+  p_from DATE
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM public.availability a
+  WHERE a.rule_id = p_rule_id
+    AND a.date >= p_from
+    AND COALESCE(a.booked_count, 0) = 0
+    AND NOT EXISTS (
+      SELECT 1 FROM public.availability_holds h
+      WHERE h.availability_id = a.id AND h.status = 'active' AND h.expires_at > now()
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.bookings b WHERE b.availability_id = a.id
+    );
+
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.prune_rule_slots(UUID, DATE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.prune_rule_slots(UUID, DATE) TO service_role;
+
+-- ===================================================================
+-- STEP 4: Schedule (run once in the SQL editor, with pg_cron and pg_net enabled)
+-- ===================================================================
+-- SELECT cron.schedule(
+--   'materialize-availability',
+--   '15 3 * * *',
+--   $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/materialize-availability',
+--     headers := jsonb_build_object(
+--       'Content-Type', 'application/json',
+--       'Authorization', 'Bearer <service-role-key>'
+--     ),
+--     body := '{}'::jsonb
+--   );
+--   $$
+-- );
@@ -0,0 +1,50 @@
+-- Booking Cancellation & Refund Policy
+-- This migration adds the per-listing cancellation policy and the booking columns written by
+-- the cancel-booking Edge Function.
+--
+-- Policy (enforced in cancel-booking):
+-- * Merchant cancels                                   → full refund
+-- * Customer cancels >= cancellation_window_hours out  → full refund
+-- * Customer cancels inside the window                 → late_cancellation_refund_percent refund
+-- Redeemed LLD is restored in the same proportion as the refund.
+
+-- ===================================================================
+-- STEP 1: Per-listing policy
+-- ===================================================================
+
+ALTER TABLE public.listings
+  ADD COLUMN IF NOT EXISTS cancellation_window_hours INTEGER NOT NULL DEFAULT 24
+    CHECK (cancellation_window_hours >= 0),
+  ADD COLUMN IF NOT EXISTS late_cancellation_refund_percent INTEGER NOT NULL DEFAULT 0
+    CHECK (late_cancellation_refund_percent BETWEEN 0 AND 100);
+
+-- ===================================================================
+-- STEP 2: Cancellation record on bookings
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS refund_amount_cents INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS refund_status TEXT
+    CHECK (refund_status IN ('none', 'pending', 'succeeded', 'failed')),
+  ADD COLUMN IF NOT EXISTS stripe_refund_id TEXT;
+
+-- ===================================================================
+-- STEP 3: Seat release (service role only)
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION public.release_availability_seat(p_availability_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE availability
+  SET booked_count = GREATEST(COALESCE(booked_count, 0) - 1, 0)
+  WHERE id = p_availability_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.release_availability_seat(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.release_availability_seat(UUID) TO service_role;
@@ -0,0 +1,119 @@
+-- Booking State Machine
+-- This migration locks booking status changes down to the respond-booking, complete-booking
+-- and cancel-booking Edge Functions and records every transition with its actor.
+--
+-- States and who may move a booking between them (enforced in edge/functions/_shared/booking-state.ts):
+--
+--   pending   → confirmed  (merchant)
+--   pending   → declined   (merchant)
+--   pending   → cancelled  (customer, merchant)
+--   confirmed → completed  (customer, merchant; only once the appointment has started)
+--   confirmed → no_show    (merchant; only once the appointment has started)
+--   confirmed → cancelled  (customer, merchant; only before the appointment starts)
+--
+-- declined, completed, no_show and cancelled are terminal.
+--
+-- Requires bookings_rls_policies.sql and booking_cancellation.sql.
+
+-- ===================================================================
+-- STEP 1: Normalise legacy statuses and constrain the column
+-- ===================================================================
+
+UPDATE public.bookings SET status = 'confirmed' WHERE status = 'accepted';
+UPDATE public.bookings SET status = 'pending' WHERE status IS NULL;
+
+ALTER TABLE public.bookings
+  DROP CONSTRAINT IF EXISTS bookings_status_valid;
+ALTER TABLE public.bookings
+  ADD CONSTRAINT bookings_status_valid
+    CHECK (status IN ('pending', 'confirmed', 'declined', 'completed', 'no_show', 'cancelled'));
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS status_changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- ===================================================================
+-- STEP 2: Transition history
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.booking_status_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  actor_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  actor_role TEXT NOT NULL CHECK (actor_role IN ('customer', 'merchant', 'system')),
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_status_events_booking_id
+  ON public.booking_status_events(booking_id, created_at);
+
+ALTER TABLE public.booking_status_events ENABLE ROW LEVEL SECURITY;
+
+-- Both parties can read the history of their bookings
+CREATE POLICY "booking_status_events_party_select" ON public.booking_status_events
+  FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.bookings
+      WHERE bookings.id = booking_status_events.booking_id
+      AND auth.uid() IN (bookings.customer_id, bookings.merchant_id)
+    )
+  );
+
+-- ===================================================================
+-- STEP 3: Atomic compare-and-set transition (service role only)
+-- ===================================================================
+-- Moves the booking from p_from to p_to only if it is still in p_from, and writes the history
+-- row in the same transaction. Returns FALSE if another request changed the status first.
+
+CREATE OR REPLACE FUNCTION public.transition_booking_status(
+  p_booking_id UUID,
+  p_from TEXT,
+  p_to TEXT,
+  p_actor_id UUID,
+  p_actor_role TEXT,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE bookings
+  SET status = p_to,
+      status_changed_at = now(),
+      status_changed_by = p_actor_id
+  WHERE id = p_booking_id AND status = p_from;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  INSERT INTO booking_status_events (booking_id, from_status, to_status, actor_id, actor_role, reason)
+  VALUES (p_booking_id, p_from, p_to, p_actor_id, p_actor_role, p_reason);
+
+  RETURN TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.transition_booking_status(UUID, TEXT, TEXT, UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.transition_booking_status(UUID, TEXT, TEXT, UUID, TEXT, TEXT) TO service_role;
+
+-- ===================================================================
+-- STEP 4: Lock down direct client writes
+-- ===================================================================
+-- Replaces bookings_owner_update_status (WITH CHECK (TRUE)). With no UPDATE policy left,
+-- authenticated clients cannot change bookings at all; status moves only through the
+-- Edge Functions above, which use the service role.
+--
+-- Also drops bookings_customer_insert: it let a customer insert a booking with any status
+-- and payment fields, skipping payment, the seat checks and the state machine. Bookings are
+-- created by the service role (stripe-webhook and create-checkout-session).
+
+DROP POLICY IF EXISTS "bookings_owner_update_status" ON public.bookings;
+DROP POLICY IF EXISTS "bookings_customer_insert" ON public.bookings;
@@ -0,0 +1,40 @@
+-- Bookings created from Stripe Checkout
+-- This migration adds the columns the stripe-webhook Edge Function writes when it turns a
+-- completed checkout session into a booking, and links threads/messages to that booking.
+
+-- ===================================================================
+-- STEP 1: Booking columns populated from checkout metadata
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS availability_id UUID REFERENCES public.availability(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS duration_minutes INTEGER,
+  ADD COLUMN IF NOT EXISTS price_cents INTEGER,
+  ADD COLUMN IF NOT EXISTS amount_paid_cents INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS lld_redeemed INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'unpaid',
+  ADD COLUMN IF NOT EXISTS stripe_session_id TEXT,
+  ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT;
+
+-- One booking per Checkout Session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_stripe_session_id
+  ON public.bookings(stripe_session_id)
+  WHERE stripe_session_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_availability_id ON public.bookings(availability_id);
+
+-- ===================================================================
+-- STEP 2: Thread and message links
+-- ===================================================================
+
+ALTER TABLE public.threads
+  ADD COLUMN IF NOT EXISTS listing_id UUID REFERENCES public.listings(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL;
+
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_threads_parties_listing
+  ON public.threads(customer_id, merchant_id, listing_id);
@@ -0,0 +1,243 @@
+// Shared booking creation for paid checkouts (stripe-webhook) and pay-in-person bookings, which
+// create-checkout-session books directly without a Stripe session.
+// - Inserts the booking with what was paid online and what is still owed at the appointment
+//   (payment_modes.sql)
+// - Links it to the customer–merchant thread for the listing (find_or_create_thread RPC) and
+//   posts the booking request message; a retried webhook event posts it if the first run didn't
+// - Copies the chosen add-ons onto it (booking_addons, listing_addons.sql)
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+export type PaymentMode = "full" | "deposit_fixed" | "deposit_percent" | "in_person";
+
+export type BookingSlot = {
+  id: string;
+  listing_id: string;
+  // Stylist performing the slot (staff_members.sql); null for the merchant's own slots
+  staff_id: string | null;
+  label: string | null;
+  date: string;
+  start_time: string;
+  end_time: string;
+  // UTC instants derived from the listing's timezone (slot_timezones.sql)
+  starts_at: string | null;
+  ends_at: string | null;
+  price: number | null;
+  booked_count: number | null;
+};
+
+export type BookingService = {
+  id: string;
+  name: string;
+};
+
+export type NewBooking = {
+  customerId: string;
+  listingId: string;
+  slot: BookingSlot | null;
+  // Menu item booked (listing_services.sql); null for listings priced per slot
+  service: BookingService | null;
+  // Minutes reserved for the service and its add-ons; null to take the slot's own length
+  durationMinutes: number | null;
+  // List price; a promo code's discount (promo_codes.sql) is recorded separately
+  priceCents: number | null;
+  discountCents: number;
+  promoCodeId: string | null;
+  amountPaidCents: number;
+  lldRedeemed: number;
+  // Paid from a gift voucher (gift_vouchers.sql) rather than by card
+  giftVoucherId: string | null;
+  giftVoucherCents: number;
+  paymentMode: PaymentMode;
+  // Seat holds converted for this booking (hold_availability_seats)
+  holdGroupId: string | null;
+  stripeSessionId: string | null;
+  stripePaymentIntentId: string | null;
+  // Connected account the payment goes to and the platform's cut (stripe_connect.sql); null
+  // and 0 when the payment stays on the platform account
+  stripeAccountId: string | null;
+  applicationFeeCents: number;
+  // Card the payment was made with (referrals.sql); null when unknown or nothing was charged
+  cardFingerprint: string | null;
+};
+
+// Inserts the booking (one per stripe_session_id when there is one) and announces it in the
+// thread. Returns created: false when the session's booking already existed.
+export async function createBooking(
+  supabase: SupabaseClient,
+  input: NewBooking,
+): Promise<{ id: string; created: boolean } | null> {
+  const { data: listing } = await supabase
+    .from("listings")
+    .select("id, name, owner")
+    .eq("id", input.listingId)
+    .maybeSingle();
+
+  const merchantId = listing?.owner as string | undefined;
+  if (!merchantId) {
+    console.error("[booking-create] Listing has no owner, booking not created:", input.listingId);
+    return null;
+  }
+
+  const slot = input.slot;
+  const service = input.service;
+  const endsAt = input.durationMinutes && slot?.starts_at
+    ? new Date(Date.parse(slot.starts_at) + input.durationMinutes * 60000).toISOString()
+    : slot?.ends_at ?? null;
+
+  const lldRedeemed = Math.max(0, input.lldRedeemed);
+  const discount = Math.max(0, input.discountCents);
+  const voucherPaid = Math.max(0, input.giftVoucherCents);
+  const outstanding = Math.max(
+    0,
+    Number(input.priceCents || 0) - discount - input.amountPaidCents - lldRedeemed - voucherPaid,
+  );
+  const paymentStatus = outstanding === 0
+    ? "paid"
+    : input.amountPaidCents + voucherPaid > 0
+    ? "deposit_paid"
+    : "unpaid";
+
+  const row = {
+    customer_id: input.customerId,
+    merchant_id: merchantId,
+    listing_id: input.listingId,
+    availability_id: slot?.id ?? null,
+    staff_id: slot?.staff_id ?? null,
+    service_id: service?.id ?? null,
+    service_name: service?.name ?? null,
+    starts_at: slot?.starts_at ?? null,
+    ends_at: endsAt,
+    duration_minutes: slot?.starts_at && endsAt ? minutesBetween(slot.starts_at, endsAt) : null,
+    price_cents: input.priceCents,
+    discount_cents: discount,
+    promo_code_id: input.promoCodeId,
+    amount_paid_cents: input.amountPaidCents,
+    amount_outstanding_cents: outstanding,
+    lld_redeemed: lldRedeemed,
+    gift_voucher_id: input.giftVoucherId,
+    gift_voucher_cents: voucherPaid,
+    payment_mode: input.paymentMode,
+    payment_status: paymentStatus,
+    status: "pending",
+    hold_group_id: input.holdGroupId,
+    stripe_session_id: input.stripeSessionId,
+    stripe_payment_intent_id: input.stripePaymentIntentId,
+    stripe_account_id: input.stripeAccountId,
+    application_fee_cents: input.applicationFeeCents,
+    card_fingerprint: input.cardFingerprint,
+  };
+
+  const { data: inserted, error: bookingErr } = input.stripeSessionId
+    ? await supabase
+      .from("bookings")
+      .upsert(row, { onConflict: "stripe_session_id", ignoreDuplicates: true })
+      .select("id")
+    : await supabase.from("bookings").insert(row).select("id");
+
+  if (bookingErr) {
+    throw new Error(`Booking insert failed: ${bookingErr.message}`);
+  }
+
+  const itemLabel = service?.name ?? slot?.label;
+  const serviceName = `${listing?.name || "Service"}${itemLabel ? " · " + itemLabel : ""}`;
+  const when = slot ? ` for ${slot.date} ${String(slot.start_time).slice(0, 5)}` : "";
+  const request = {
+    customerId: input.customerId,
+    merchantId,
+    listingId: input.listingId,
+    serviceName,
+    body: `New booking request: ${serviceName}${when}.${paymentNote(input.amountPaidCents, outstanding)}`,
+  };
+
+  if (!inserted?.length) {
+    const { data: existing } = await supabase
+      .from("bookings")
+      .select("id")
+      .eq("stripe_session_id", input.stripeSessionId)
+      .single();
+    if (!existing) return null;
+    // A retried event: the run that created the booking may have failed before posting the request
+    await postBookingRequest(supabase, existing.id, request);
+    return { id: existing.id, created: false };
+  }
+  const booking = inserted[0];
+
+  await postBookingRequest(supabase, booking.id, request);
+  return { id: booking.id, created: true };
+}
+
+// Links the booking to the customer–merchant thread for the listing and posts the booking request
+// there, unless an earlier run already did. Failures are logged; the booking stands without them.
+async function postBookingRequest(
+  supabase: SupabaseClient,
+  bookingId: string,
+  request: { customerId: string; merchantId: string; listingId: string; serviceName: string; body: string },
+) {
+  const { data: posted, error: postedErr } = await supabase
+    .from("messages")
+    .select("id")
+    .eq("booking_id", bookingId)
+    .limit(1);
+  if (postedErr) {
+    console.error("[booking-create] Message lookup failed:", bookingId, postedErr);
+    return;
+  }
+  if (posted?.length) return;
+
+  const { data: thread, error: threadErr } = await supabase.rpc("find_or_create_thread", {
+    p_customer_id: request.customerId,
+    p_merchant_id: request.merchantId,
+    p_listing_id: request.listingId,
+    p_booking_id: bookingId,
+    p_service_name: request.serviceName,
+  });
+  const threadId = thread?.[0]?.thread_id as string | undefined;
+  if (threadErr || !threadId) {
+    console.error("[booking-create] Thread lookup failed:", bookingId, threadErr);
+    return;
+  }
+
+  const { error: messageErr } = await supabase.from("messages").insert({
+    thread_id: threadId,
+    sender_id: request.customerId,
+    booking_id: bookingId,
+    body: request.body,
+  });
+  if (messageErr) console.error("[booking-create] Booking request message failed:", bookingId, messageErr);
+}
+
+// Copies the add-ons paid for at checkout onto the booking, keeping their name, price and extra
+// time as they are now. Safe to repeat: one row per booking and add-on.
+export async function saveBookingAddons(supabase: SupabaseClient, bookingId: string, addonIds: string[]) {
+  const { data: addons, error } = await supabase
+    .from("listing_addons")
+    .select("id, name, price, duration_minutes")
+    .in("id", addonIds);
+  if (error) throw new Error(`Add-on lookup failed: ${error.message}`);
+  if (!addons?.length) return 0;
+
+  const { error: insertErr } = await supabase
+    .from("booking_addons")
+    .upsert(addons.map((addon) => ({
+      booking_id: bookingId,
+      addon_id: addon.id,
+      name: addon.name,
+      price_cents: Math.max(0, Math.round(Number(addon.price) * 100)),
+      duration_minutes: Number(addon.duration_minutes || 0),
+    })), { onConflict: "booking_id,addon_id", ignoreDuplicates: true });
+  if (insertErr) throw new Error(`Add-on insert failed: ${insertErr.message}`);
+  return addons.length;
+}
+
+// Tells the merchant what is left to collect when the booking wasn't paid in full online
+function paymentNote(paidCents: number, outstandingCents: number) {
+  if (outstandingCents <= 0) return "";
+  const due = `£${(outstandingCents / 100).toFixed(2)} due at the appointment`;
+  return paidCents > 0 ? ` Deposit of £${(paidCents / 100).toFixed(2)} paid; ${due}.` : ` Paying in person: ${due}.`;
+}
+
+// Elapsed minutes between two instants, so slots spanning a DST change get their real length
+function minutesBetween(start: string, end: string) {
+  return Math.max(0, Math.round((Date.parse(end) - Date.parse(start)) / 60000));
+}
@@ -0,0 +1,93 @@
+// Shared booking state machine for the booking Edge Functions.
+// - Single source of truth for which status changes each party may make
+// - Transitions are applied through the transition_booking_status RPC (booking_state_machine.sql),
+//   which compares-and-sets the status and writes booking_status_events atomically
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+export type BookingStatus = "pending" | "confirmed" | "declined" | "completed" | "no_show" | "cancelled";
+export type ActorRole = "customer" | "merchant";
+
+// from → to → roles allowed to make that move
+const TRANSITIONS: Partial<Record<BookingStatus, Partial<Record<BookingStatus, ActorRole[]>>>> = {
+  pending: {
+    confirmed: ["merchant"],
+    declined: ["merchant"],
+    cancelled: ["customer", "merchant"],
+  },
+  confirmed: {
+    completed: ["customer", "merchant"],
+    no_show: ["merchant"],
+    cancelled: ["customer", "merchant"],
+  },
+};
+
+// These outcomes describe the appointment itself, so they can't be recorded before it starts
+const REQUIRES_STARTED: BookingStatus[] = ["completed", "no_show"];
+
+// Once a confirmed appointment has started it either happened or was missed, so it ends as one of
+// REQUIRES_STARTED instead of being cancelled
+const CONFIRMED_BEFORE_START: BookingStatus[] = ["cancelled"];
+
+export const CANCELLABLE_STATUSES: BookingStatus[] = ["pending", "confirmed"];
+
+export type BookingParties = {
+  id: string;
+  customer_id: string;
+  merchant_id: string;
+  status: string | null;
+  starts_at?: string | null;
+};
+
+// Older rows used 'accepted' for what is now 'confirmed'
+export function normalizeStatus(status: string | null | undefined): BookingStatus {
+  const s = String(status || "pending").toLowerCase();
+  return (s === "accepted" ? "confirmed" : s) as BookingStatus;
+}
+
+export function roleFor(booking: BookingParties, userId: string): ActorRole | null {
+  if (booking.merchant_id === userId) return "merchant";
+  if (booking.customer_id === userId) return "customer";
+  return null;
+}
+
+// Returns an error message when the move isn't allowed, or null when it is
+export function checkTransition(booking: BookingParties, to: BookingStatus, role: ActorRole): string | null {
+  const from = normalizeStatus(booking.status);
+  const allowed = TRANSITIONS[from]?.[to];
+  if (!allowed) return `Cannot move a ${from} booking to ${to}`;
+  if (!allowed.includes(role)) return `Only the ${allowed.join(" or ")} can move a booking to ${to}`;
+  if (REQUIRES_STARTED.includes(to) && !hasStarted(booking)) {
+    return `A booking can only be marked ${to} once the appointment has started`;
+  }
+  if (from === "confirmed" && CONFIRMED_BEFORE_START.includes(to) && hasStarted(booking)) {
+    return "A confirmed booking can't be cancelled once the appointment has started; mark it completed or a no-show instead";
+  }
+  return null;
+}
+
+function hasStarted(booking: BookingParties): boolean {
+  return !!booking.starts_at && Date.now() >= new Date(booking.starts_at).getTime();
+}
+
+// Applies a validated transition. Returns false if the status changed underneath us.
+// "system" (no actor) is for moves driven by Stripe events, e.g. a refund made in the dashboard.
+export async function applyTransition(
+  admin: SupabaseClient,
+  booking: BookingParties,
+  to: BookingStatus,
+  actorId: string | null,
+  role: ActorRole | "system",
+  reason: string | null = null,
+): Promise<boolean> {
+  const { data, error } = await admin.rpc("transition_booking_status", {
+    p_booking_id: booking.id,
+    p_from: String(booking.status || "pending"),
+    p_to: to,
+    p_actor_id: actorId,
+    p_actor_role: role,
+    p_reason: reason,
+  });
+  if (error) throw new Error(`Status transition failed: ${error.message}`);
+  return Boolean(data);
+}
@@ -0,0 +1,178 @@
+// Shared cancellation/refund flow for bookings that end before the appointment.
+// Used by cancel-booking (cancel) and respond-booking (decline, cancel).
+// - Merchant cancels or declines, or customer cancels >= cancellation_window_hours before start → full refund
+// - Customer cancels inside the window → late_cancellation_refund_percent of the amount paid
+// - Restores redeemed LLD in the same proportion (wallet_award RPC), frees the seats on every
+//   slot the booking covers (release_booking_seats RPC) and issues the Stripe refund
+// - Payments transferred to the merchant's connected account (stripe_connect.sql) take the refund
+//   back from the transfer and return the platform fee in proportion
+// - Amounts already refunded outside the app (refunds_disputes.sql) are left out of the refund
+// - Gift voucher balance spent on the booking goes back to the voucher in the same proportion,
+//   and the platform takes that share of its voucher transfer back from the merchant
+//   (gift_vouchers.sql)
+
+import type Stripe from "npm:stripe@14.25.0";
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { type ActorRole, applyTransition, type BookingParties, checkTransition } from "./booking-state.ts";
+import { reverseVoucherTransfer, voucherLedgerEntry } from "./gift-vouchers.ts";
+
+export const CANCELLATION_FIELDS =
+  "id, customer_id, merchant_id, listing_id, availability_id, status, starts_at, amount_paid_cents, refund_amount_cents, lld_redeemed, stripe_payment_intent_id, stripe_account_id, gift_voucher_id, gift_voucher_cents, voucher_transfer_id, voucher_transfer_cents";
+
+export type CancellableBooking = BookingParties & {
+  listing_id: string;
+  availability_id: string | null;
+  amount_paid_cents: number | null;
+  // Already refunded, e.g. from the Stripe dashboard (refunds_disputes.sql)
+  refund_amount_cents: number | null;
+  lld_redeemed: number | null;
+  stripe_payment_intent_id: string | null;
+  stripe_account_id: string | null;
+  gift_voucher_id: string | null;
+  gift_voucher_cents: number | null;
+  voucher_transfer_id: string | null;
+  voucher_transfer_cents: number | null;
+};
+
+export type CancellationResult =
+  | { ok: true; data: Record<string, unknown> }
+  | { ok: false; status: number; error: string };
+
+export async function endBookingWithRefund(
+  admin: SupabaseClient,
+  stripe: Stripe,
+  booking: CancellableBooking,
+  opts: { to: "cancelled" | "declined"; actorId: string; role: ActorRole; reason: string | null },
+): Promise<CancellationResult> {
+  // Callers check too, but the refund below must never follow a move the state machine forbids
+  const invalid = checkTransition(booking, opts.to, opts.role);
+  if (invalid) return { ok: false, status: 409, error: invalid };
+
+  const { data: listing } = await admin
+    .from("listings")
+    .select("cancellation_window_hours, late_cancellation_refund_percent")
+    .eq("id", booking.listing_id)
+    .maybeSingle();
+
+  const refundPercent = refundPercentFor({
+    byMerchant: opts.role === "merchant",
+    startsAt: booking.starts_at ?? null,
+    windowHours: Number(listing?.cancellation_window_hours ?? 24),
+    latePercent: Number(listing?.late_cancellation_refund_percent ?? 0),
+  });
+
+  const alreadyRefunded = Math.max(0, Number(booking.refund_amount_cents || 0));
+  const amountPaid = Math.max(0, Number(booking.amount_paid_cents || 0) - alreadyRefunded);
+  const refundAmount = Math.floor((amountPaid * refundPercent) / 100);
+  const lldToRestore = Math.floor((Math.max(0, Number(booking.lld_redeemed || 0)) * refundPercent) / 100);
+  const voucherToRestore = Math.floor((Math.max(0, Number(booking.gift_voucher_cents || 0)) * refundPercent) / 100);
+  const willRefund = refundAmount > 0 && !!booking.stripe_payment_intent_id;
+
+  // The status change is the claim: two concurrent requests can't both refund
+  const moved = await applyTransition(admin, booking, opts.to, opts.actorId, opts.role, opts.reason);
+  if (!moved) {
+    return { ok: false, status: 409, error: "Booking status has already changed" };
+  }
+
+  await admin
+    .from("bookings")
+    .update({
+      cancelled_at: new Date().toISOString(),
+      cancelled_by: opts.actorId,
+      cancellation_reason: opts.reason,
+      refund_status: willRefund ? "pending" : "none",
+      // Nothing is collected at an appointment that won't happen
+      amount_outstanding_cents: 0,
+    })
+    .eq("id", booking.id);
+
+  if (booking.availability_id) {
+    const { error } = await admin.rpc("release_booking_seats", { p_booking_id: booking.id });
+    if (error) console.error("[cancellation] Seat release failed:", error);
+  }
+
+  let lldRestored = 0;
+  if (lldToRestore > 0) {
+    const { data, error } = await admin.rpc("wallet_award", {
+      p_user_id: booking.customer_id,
+      p_amount: lldToRestore,
+      p_source: "refund_cancellation",
+      p_reference: booking.id,
+    });
+    if (error) console.error("[cancellation] LLD restore failed:", error);
+    else if (data?.[0]?.applied) lldRestored = lldToRestore;
+  }
+
+  let voucherRestored = 0;
+  if (voucherToRestore > 0 && booking.gift_voucher_id) {
+    try {
+      const applied = await voucherLedgerEntry(
+        admin, booking.gift_voucher_id, voucherToRestore, "refund_cancellation", booking.id, booking.customer_id,
+      );
+      if (applied) voucherRestored = voucherToRestore;
+    } catch (err) {
+      console.error("[cancellation] Gift voucher restore failed:", err);
+    }
+  }
+  const voucherTransferReversed = await reverseVoucherTransfer(stripe, booking, refundPercent / 100);
+
+  let refundId: string | null = null;
+  if (willRefund) {
+    try {
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: booking.stripe_payment_intent_id!,
+          amount: refundAmount,
+          ...(booking.stripe_account_id ? { reverse_transfer: true, refund_application_fee: true } : {}),
+          metadata: { booking_id: booking.id, ended_by: opts.actorId, reason: opts.to },
+        },
+        { idempotencyKey: `cancel-booking-${booking.id}` },
+      );
+      refundId = refund.id;
+    } catch (err) {
+      console.error("[cancellation] Stripe refund failed:", err);
+      await admin.from("bookings").update({ refund_status: "failed" }).eq("id", booking.id);
+      return {
+        ok: false,
+        status: 502,
+        error: `Booking ${opts.to} but the refund failed. Support has been notified.`,
+      };
+    }
+
+    await admin
+      .from("bookings")
+      .update({
+        refund_status: "succeeded",
+        refund_amount_cents: alreadyRefunded + refundAmount,
+        stripe_refund_id: refundId,
+      })
+      .eq("id", booking.id);
+  }
+
+  return {
+    ok: true,
+    data: {
+      booking_id: booking.id,
+      status: opts.to,
+      refund_percent: refundPercent,
+      refund_amount_cents: refundId ? refundAmount : 0,
+      lld_restored: lldRestored,
+      voucher_restored: voucherRestored,
+      voucher_transfer_reversed: voucherTransferReversed,
+    },
+  };
+}
+
+function refundPercentFor(opts: {
+  byMerchant: boolean;
+  startsAt: string | null;
+  windowHours: number;
+  latePercent: number;
+}) {
+  if (opts.byMerchant) return 100;
+  if (!opts.startsAt) return 100;
+
+  const hoursUntilStart = (new Date(opts.startsAt).getTime() - Date.now()) / 3600000;
+  if (hoursUntilStart >= opts.windowHours) return 100;
+  return Math.min(100, Math.max(0, opts.latePercent));
+}
@@ -0,0 +1,111 @@
+// Gift voucher helpers (gift_vouchers.sql) shared by create-checkout-session, stripe-webhook and
+// the cancellation flow.
+// - Every balance change goes through the voucher_adjust RPC, which writes the ledger entry and
+//   balance in one transaction and is idempotent by (voucher, source, reference)
+// - Voucher money is held by the platform: when a voucher pays for a booking with a merchant on
+//   destination charges, the platform transfers the voucher's share to the merchant's account
+
+import type Stripe from "npm:stripe@14.25.0";
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+// Purchase limits, in pence
+export const VOUCHER_MIN_PENCE = 1000;
+export const VOUCHER_MAX_PENCE = 50000;
+
+// check_gift_voucher / voucher_adjust errors as shown to the customer
+export const VOUCHER_ERRORS: Record<string, string> = {
+  voucher_not_found: "That gift voucher code isn't valid",
+  voucher_expired: "That gift voucher has expired",
+  voucher_empty: "That gift voucher has no balance left",
+  voucher_inactive: "That gift voucher can't be used",
+  insufficient_voucher_balance: "That gift voucher no longer has enough balance",
+};
+
+// The VOUCHER_ERRORS key an RPC error carries, if any
+export function voucherProblem(error: { message?: string } | null): string | null {
+  return Object.keys(VOUCHER_ERRORS).find((key) => error?.message?.includes(key)) ?? null;
+}
+
+// Moves a voucher's balance by `amount` pence (negative spends). Returns false when the entry
+// already exists for this reference; throws with the RPC's error otherwise.
+export async function voucherLedgerEntry(
+  supabase: SupabaseClient,
+  voucherId: string,
+  amount: number,
+  source: string,
+  reference: string,
+  userId: string | null = null,
+): Promise<boolean> {
+  const { data, error } = await supabase.rpc("voucher_adjust", {
+    p_voucher_id: voucherId,
+    p_delta: amount,
+    p_source: source,
+    p_reference: reference,
+    p_user_id: userId,
+  });
+  if (error) throw new Error(`Voucher ${source} failed: ${error.message}`);
+  return Boolean(data?.[0]?.applied);
+}
+
+// Part of the voucher spend owed to the merchant on top of the destination charge's own transfer.
+// The platform fee comes out of LLD first, then the voucher; whatever of the voucher the fee
+// doesn't absorb is the merchant's.
+export function voucherSharePence(voucherPence: number, feeBasePence: number, lldPence: number) {
+  return Math.max(0, voucherPence - Math.max(0, feeBasePence - lldPence));
+}
+
+// Pays the voucher's share to the merchant's connected account and records it on the booking.
+// Keyed by booking, so a retried call makes one transfer. Failures are logged for support rather
+// than undoing a booking that has been paid for.
+export async function transferVoucherShare(
+  stripe: Stripe,
+  supabase: SupabaseClient,
+  bookingId: string,
+  destination: string,
+  amountPence: number,
+): Promise<string | null> {
+  if (amountPence <= 0) return null;
+  try {
+    const transfer = await stripe.transfers.create(
+      {
+        amount: amountPence,
+        currency: "gbp",
+        destination,
+        transfer_group: `booking-${bookingId}`,
+        metadata: { booking_id: bookingId, reason: "gift_voucher" },
+      },
+      { idempotencyKey: `voucher-transfer-${bookingId}` },
+    );
+    await supabase
+      .from("bookings")
+      .update({ voucher_transfer_id: transfer.id, voucher_transfer_cents: amountPence })
+      .eq("id", bookingId);
+    return transfer.id;
+  } catch (err) {
+    console.error("[gift-vouchers] Voucher transfer failed:", bookingId, err);
+    return null;
+  }
+}
+
+// Takes back `fraction` of the voucher transfer when the booking it paid for is refunded. One
+// reversal per booking: cancellation and the refund webhook share the idempotency key. Failures
+// are logged for support.
+export async function reverseVoucherTransfer(
+  stripe: Stripe,
+  booking: { id: string; voucher_transfer_id: string | null; voucher_transfer_cents: number | null },
+  fraction: number,
+): Promise<number> {
+  const amount = Math.floor(Math.max(0, Number(booking.voucher_transfer_cents || 0)) * Math.min(1, Math.max(0, fraction)));
+  if (!booking.voucher_transfer_id || amount <= 0) return 0;
+  try {
+    await stripe.transfers.createReversal(
+      booking.voucher_transfer_id,
+      { amount, metadata: { booking_id: booking.id } },
+      { idempotencyKey: `voucher-transfer-reversal-${booking.id}` },
+    );
+    return amount;
+  } catch (err) {
+    console.error("[gift-vouchers] Voucher transfer reversal failed:", booking.id, err);
+    return 0;
+  }
+}
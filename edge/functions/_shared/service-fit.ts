@@ -0,0 +1,42 @@
+// Fits a service (listing_services.sql) onto a listing's slots.
+// - A service starts at the start of a slot and runs for its duration_minutes
+// - When that slot is shorter, the run continues into the next slot of the same stylist that
+//   starts exactly where the previous one ends, until the duration is covered
+// - Every slot in the run needs a free seat; they are all held and booked together
+// The same rule is applied in the browser by serviceChain (html/assets/js/slots.js) to decide
+// which start times to offer.
+
+export type FitSlot = {
+  id: string;
+  staff_id: string | null;
+  starts_at: string | null;
+  ends_at: string | null;
+  seats_left?: number | null;
+};
+
+// Returns the slots the service would occupy starting at `start`, or null when it doesn't fit.
+// `slots` are the listing's open slots; order doesn't matter.
+export function serviceChain<T extends FitSlot>(slots: T[], start: T, durationMinutes: number): T[] | null {
+  if (!start.starts_at || !start.ends_at || !hasSeat(start)) return null;
+
+  const needEnd = Date.parse(start.starts_at) + durationMinutes * 60000;
+  const byStart = new Map<string, T>();
+  for (const slot of slots) {
+    if (!slot.starts_at || (slot.staff_id ?? null) !== (start.staff_id ?? null)) continue;
+    byStart.set(String(Date.parse(slot.starts_at)), slot);
+  }
+
+  const chain = [start];
+  let end = Date.parse(start.ends_at);
+  while (end < needEnd) {
+    const next = byStart.get(String(end));
+    if (!next?.ends_at || !hasSeat(next)) return null;
+    chain.push(next);
+    end = Date.parse(next.ends_at);
+  }
+  return chain;
+}
+
+function hasSeat(slot: FitSlot) {
+  return slot.seats_left === undefined || slot.seats_left === null || slot.seats_left > 0;
+}
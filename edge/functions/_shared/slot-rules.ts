@@ -0,0 +1,199 @@
+// Shared recurrence expansion for availability rules (availability_rules.sql).
+// - Rules store an RRULE-style string. Supported subset:
+//     FREQ=DAILY|WEEKLY, INTERVAL=n, BYDAY=MO,TU,WE,TH,FR,SA,SU, UNTIL=YYYYMMDD
+//   DTSTART is the rule's starts_on; COUNT and other parts are rejected by parseRRule
+// - Dates are plain calendar dates (YYYY-MM-DD) and times are merchant wall-clock (HH:mm),
+//   the same shape as availability rows, so date maths is done in UTC to avoid DST shifts
+
+export type RuleWindow = { start_time: string; end_time: string };
+
+export type AvailabilityRule = {
+  id: string;
+  listing_id: string;
+  staff_id: string | null;
+  rrule: string;
+  windows: RuleWindow[];
+  duration_minutes: number;
+  buffer_minutes: number;
+  price: number | null;
+  capacity: number;
+  label: string | null;
+  starts_on: string;
+  ends_on: string | null;
+  exdates: string[] | null;
+};
+
+export type ParsedRRule = {
+  freq: "DAILY" | "WEEKLY";
+  interval: number;
+  byDay: number[] | null; // 0 = Sunday … 6 = Saturday
+  until: string | null;
+};
+
+export type RuleSlot = {
+  listing_id: string;
+  rule_id: string;
+  staff_id: string | null;
+  date: string;
+  start_time: string;
+  end_time: string;
+  price: number | null;
+  capacity: number;
+  label: string | null;
+};
+
+const DAY_CODES: Record<string, number> = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const DAY_MS = 86400000;
+
+// Returns the parsed rule, or an error message for unsupported or malformed input
+export function parseRRule(rrule: string): ParsedRRule | string {
+  const parts = new Map<string, string>();
+  for (const part of String(rrule || "").replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value] = part.split("=");
+    if (!key || value === undefined) return `Malformed RRULE part "${part}"`;
+    parts.set(key.toUpperCase(), value.toUpperCase());
+  }
+
+  const freq = parts.get("FREQ");
+  if (freq !== "DAILY" && freq !== "WEEKLY") return "FREQ must be DAILY or WEEKLY";
+
+  const interval = parts.has("INTERVAL") ? Number(parts.get("INTERVAL")) : 1;
+  if (!Number.isInteger(interval) || interval < 1) return "INTERVAL must be a positive integer";
+
+  let byDay: number[] | null = null;
+  if (parts.has("BYDAY")) {
+    byDay = [];
+    for (const code of parts.get("BYDAY")!.split(",")) {
+      if (!(code in DAY_CODES)) return `Unsupported BYDAY value "${code}"`;
+      byDay.push(DAY_CODES[code]);
+    }
+  }
+
+  let until: string | null = null;
+  if (parts.has("UNTIL")) {
+    const m = parts.get("UNTIL")!.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!m) return "UNTIL must be YYYYMMDD";
+    until = `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  for (const key of parts.keys()) {
+    if (!["FREQ", "INTERVAL", "BYDAY", "UNTIL"].includes(key)) return `Unsupported RRULE part ${key}`;
+  }
+
+  return { freq, interval, byDay, until };
+}
+
+// Returns an error message when the rule can't be materialized, or null when it can
+export function validateRule(rule: AvailabilityRule): string | null {
+  const parsed = parseRRule(rule.rrule);
+  if (typeof parsed === "string") return parsed;
+  if (!Array.isArray(rule.windows) || !rule.windows.length) return "At least one working window is required";
+  const windows = [...rule.windows].sort((a, b) => a.start_time.localeCompare(b.start_time));
+  for (const [i, w] of windows.entries()) {
+    if (!/^\d{2}:\d{2}/.test(w.start_time || "") || !/^\d{2}:\d{2}/.test(w.end_time || "")) {
+      return "Working windows need HH:mm start and end times";
+    }
+    if (w.start_time >= w.end_time) return "Each working window must start before it ends";
+    if (i > 0 && w.start_time < windows[i - 1].end_time) return "Working windows must not overlap";
+  }
+  if (!Number.isInteger(rule.duration_minutes) || rule.duration_minutes <= 0) return "Duration must be positive";
+  return null;
+}
+
+// Calendar dates in [from, to] on which the rule occurs
+export function ruleOccurrences(rule: AvailabilityRule, from: string, to: string): string[] {
+  const parsed = parseRRule(rule.rrule);
+  if (typeof parsed === "string") return [];
+
+  const first = maxDate(from, rule.starts_on);
+  let last = to;
+  if (rule.ends_on) last = minDate(last, rule.ends_on);
+  if (parsed.until) last = minDate(last, parsed.until);
+
+  const excluded = new Set(rule.exdates || []);
+  const start = toDay(rule.starts_on);
+  // Weeks are counted from the Monday of DTSTART's week
+  const startWeek = Math.floor((start - mondayOffset(start) * DAY_MS) / DAY_MS / 7);
+
+  const dates: string[] = [];
+  for (let day = toDay(first); day <= toDay(last); day += DAY_MS) {
+    const date = fromDay(day);
+    if (excluded.has(date)) continue;
+
+    const weekday = new Date(day).getUTCDay();
+    if (parsed.freq === "DAILY") {
+      const daysSince = Math.round((day - start) / DAY_MS);
+      if (daysSince % parsed.interval !== 0) continue;
+      if (parsed.byDay && !parsed.byDay.includes(weekday)) continue;
+    } else {
+      const week = Math.floor((day - mondayOffset(day) * DAY_MS) / DAY_MS / 7);
+      if ((week - startWeek) % parsed.interval !== 0) continue;
+      const days = parsed.byDay ?? [new Date(start).getUTCDay()];
+      if (!days.includes(weekday)) continue;
+    }
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Slots the rule generates in [from, to], in the availability shape
+export function buildRuleSlots(rule: AvailabilityRule, from: string, to: string): RuleSlot[] {
+  const windows = [...rule.windows].sort((a, b) => a.start_time.localeCompare(b.start_time));
+  const slots: RuleSlot[] = [];
+
+  for (const date of ruleOccurrences(rule, from, to)) {
+    for (const window of windows) {
+      let current = toMinutes(window.start_time);
+      const end = toMinutes(window.end_time);
+      while (current + rule.duration_minutes <= end) {
+        slots.push({
+          listing_id: rule.listing_id,
+          rule_id: rule.id,
+          staff_id: rule.staff_id ?? null,
+          date,
+          start_time: fromMinutes(current),
+          end_time: fromMinutes(current + rule.duration_minutes),
+          price: rule.price,
+          capacity: rule.capacity,
+          label: rule.label,
+        });
+        current += rule.duration_minutes + (rule.buffer_minutes || 0);
+      }
+    }
+  }
+  return slots;
+}
+
+export function addDays(date: string, days: number): string {
+  return fromDay(toDay(date) + days * DAY_MS);
+}
+
+function toDay(date: string): number {
+  return Date.parse(`${date}T00:00:00Z`);
+}
+
+function fromDay(ms: number): string {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Days since the most recent Monday (Monday = 0 … Sunday = 6)
+function mondayOffset(ms: number): number {
+  return (new Date(ms).getUTCDay() + 6) % 7;
+}
+
+function maxDate(a: string, b: string): string {
+  return a > b ? a : b;
+}
+
+function minDate(a: string, b: string): string {
+  return a < b ? a : b;
+}
+
+function toMinutes(time: string): number {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total: number): string {
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
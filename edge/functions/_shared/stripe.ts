@@ -0,0 +1,32 @@
+// Stripe client shared by the Edge Functions.
+// - STRIPE_API_BASE (optional) points every call at stripe-mock or another local stand-in, e.g.
+//   http://localhost:12111; unset, calls go to api.stripe.com
+// - PLATFORM_FEE_PERCENT (optional, default 10) is the share of each online payment the platform
+//   keeps when it is transferred to the merchant's connected account (stripe_connect.sql)
+
+import Stripe from "npm:stripe@14.25.0";
+
+const API_VERSION = "2024-06-20";
+
+export function createStripe(secretKey: string) {
+  const base = Deno.env.get("STRIPE_API_BASE");
+  if (!base) return new Stripe(secretKey, { apiVersion: API_VERSION });
+
+  const url = new URL(base);
+  const protocol = url.protocol === "http:" ? "http" : "https";
+  return new Stripe(secretKey, {
+    apiVersion: API_VERSION,
+    host: url.hostname,
+    port: url.port || (protocol === "http" ? 80 : 443),
+    protocol,
+  });
+}
+
+export function platformFeePercent() {
+  const raw = Deno.env.get("PLATFORM_FEE_PERCENT");
+  const percent = raw === undefined || raw === "" ? 10 : Number(raw);
+  if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error("PLATFORM_FEE_PERCENT must be a number from 0 to 100");
+  }
+  return percent;
+}
@@ -0,0 +1,119 @@
+// Supabase Edge Function (Deno) — Cancels a booking and applies the listing's refund policy.
+// - Expects Authorization: Bearer <Supabase JWT> from the frontend
+// - Route: POST /cancel-booking/<booking_id>  (or body.booking_id)
+// - Body: { reason?: string }
+// - Caller must be the booking's customer or merchant
+// - Refund policy (per listing, see booking_cancellation.sql):
+//     * Merchant cancels, or customer cancels >= cancellation_window_hours before start → full refund
+//     * Customer cancels inside the window → late_cancellation_refund_percent of the amount paid
+// - Issues the Stripe refund, restores redeemed LLD in the same proportion (wallet_award RPC),
+//   frees the booking's seats (release_booking_seats RPC) and moves the booking to 'cancelled'
+//   through the booking state machine (see ../_shared/booking-state.ts, ../_shared/cancellation.ts)
+// - Returns: { success: true, data: { booking_id, status, refund_amount_cents, lld_restored } }
+//
+// Notes:
+// - Requires secrets: STRIPE_SECRET_KEY (or STRIPE_KEY), SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { createStripe } from "../_shared/stripe.ts";
+import { checkTransition, roleFor } from "../_shared/booking-state.ts";
+import { CANCELLATION_FIELDS, endBookingWithRefund } from "../_shared/cancellation.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const STRIPE_SECRET_KEY = Deno.env.get("STRIPE_SECRET_KEY") || Deno.env.get("STRIPE_KEY");
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!STRIPE_SECRET_KEY) {
+  throw new Error("Missing STRIPE_SECRET_KEY or STRIPE_KEY environment variable");
+}
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const stripe = createStripe(STRIPE_SECRET_KEY);
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const pathId = new URL(req.url).pathname.split("/").filter(Boolean).pop();
+    const bookingId = body.booking_id || (pathId !== "cancel-booking" ? pathId : undefined);
+    const reason = typeof body.reason === "string" ? body.reason.slice(0, 500) : null;
+    if (!bookingId) {
+      return json({ success: false, error: "booking_id is required" }, 400);
+    }
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: booking, error: bookingErr } = await admin
+      .from("bookings")
+      .select(CANCELLATION_FIELDS)
+      .eq("id", bookingId)
+      .maybeSingle();
+
+    if (bookingErr || !booking) {
+      return json({ success: false, error: "Booking not found" }, 404);
+    }
+
+    const role = roleFor(booking, user.id);
+    if (!role) {
+      return json({ success: false, error: "Forbidden: you are not a party to this booking" }, 403);
+    }
+
+    const invalid = checkTransition(booking, "cancelled", role);
+    if (invalid) {
+      return json({ success: false, error: invalid }, 409);
+    }
+
+    const result = await endBookingWithRefund(admin, stripe, booking, {
+      to: "cancelled",
+      actorId: user.id,
+      role,
+      reason,
+    });
+    if (!result.ok) {
+      return json({ success: false, error: result.error }, result.status);
+    }
+
+    return json({ success: true, data: result.data }, 200);
+  } catch (e) {
+    console.error("[cancel-booking] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
@@ -0,0 +1,109 @@
+// Supabase Edge Function (Deno) — Marks a booking as completed.
+// - Expects Authorization: Bearer <Supabase JWT> from the frontend
+// - Body: { booking_id: string }
+// - Either party may complete a confirmed booking once the appointment has started
+//   (see ../_shared/booking-state.ts); the move is recorded in booking_status_events
+// - A completed paid booking can qualify the customer's pending referral, rewarding both sides
+//   (qualify_referral, referrals.sql)
+// - Returns: { success: true, data: { booking_id, status: "completed", referral } }
+//
+// Notes:
+// - Requires secrets: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { applyTransition, checkTransition, roleFor } from "../_shared/booking-state.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { booking_id } = await req.json().catch(() => ({}));
+    if (!booking_id) {
+      return json({ success: false, error: "booking_id is required" }, 400);
+    }
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: booking, error: bookingErr } = await admin
+      .from("bookings")
+      .select("id, customer_id, merchant_id, status, starts_at")
+      .eq("id", booking_id)
+      .maybeSingle();
+
+    if (bookingErr || !booking) {
+      return json({ success: false, error: "Booking not found" }, 404);
+    }
+
+    const role = roleFor(booking, user.id);
+    if (!role) {
+      return json({ success: false, error: "Forbidden: you are not a party to this booking" }, 403);
+    }
+
+    const invalid = checkTransition(booking, "completed", role);
+    if (invalid) {
+      return json({ success: false, error: invalid }, 409);
+    }
+
+    const moved = await applyTransition(admin, booking, "completed", user.id, role);
+    if (!moved) {
+      return json({ success: false, error: "Booking status has already changed" }, 409);
+    }
+
+    // The booking is completed either way; a failed referral check is logged for support
+    const { data: referral, error: referralErr } = await admin.rpc("qualify_referral", {
+      p_referred_id: booking.customer_id,
+      p_booking_id: booking.id,
+    });
+    if (referralErr) console.error("[complete-booking] Referral check failed:", booking.id, referralErr);
+
+    return json({
+      success: true,
+      data: { booking_id: booking.id, status: "completed", referral: referral ?? null },
+    }, 200);
+  } catch (e) {
+    console.error("[complete-booking] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
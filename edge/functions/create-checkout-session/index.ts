@@ -1,17 +1,69 @@
-// Supabase Edge Function (Deno) — Creates a Stripe Checkout Session.
+// Supabase Edge Function (Deno) — Creates a Stripe Checkout Session (or books directly when the
+// listing is paid in person).
 // - Expects Authorization: Bearer <Supabase JWT> from the frontend
-// - Body: { listing_id: string, availability_id: string, lld_to_redeem?: number }
-// - Applies LLD redemption (1 LLD = £0.01), capped by wallet balance and slot price
-// - Returns: { success: true, data: { url } } for Stripe-hosted checkout
+// - Body: { listing_id: string, availability_id: string, service_id?: string, addon_ids?: string[],
+//           lld_to_redeem?: number, promo_code?: string, gift_voucher_code?: string }
+//   or, to buy a gift voucher (gift_vouchers.sql):
+//         { product: "gift_voucher", amount_pence: number, recipient_name?: string,
+//           recipient_email?: string, message?: string }
+// - Gift voucher purchases create the voucher (pending, with its code) and a session for its
+//   amount on the platform account; stripe-webhook activates it once paid
+// - service_id is required when the listing has active services (listing_services.sql); the
+//   session is priced from the service, and the service runs from the chosen slot into the
+//   stylist's back-to-back slots after it until its duration is covered (_shared/service-fit.ts)
+// - addon_ids are the listing's add-ons (listing_addons.sql): each is a separate line item and
+//   its duration_minutes extends the time reserved the same way
+// - promo_code is one of the listing owner's promo codes (promo_codes.sql), checked with the
+//   check_promo_code RPC. Its discount comes off the price, earliest line items first, before the
+//   deposit and platform fee are worked out, so the merchant funds it. The use is recorded with
+//   the redeem_promo_code RPC once the session exists (pending until stripe-webhook sees the
+//   payment) or, when nothing is charged, against the hold group before the booking is created
+// - Charges according to the listing's payment_mode (payment_modes.sql): the full price as one
+//   line item per service/add-on, or a single deposit line item with the rest due at the
+//   appointment. In-person listings, and deposit listings whose service takes no deposit, skip
+//   Stripe: the seats are held and converted and the booking is created here
+//   (../_shared/booking-create.ts)
+// - Applies LLD redemption (1 LLD = £0.01), capped by wallet balance and the amount charged
+//   online, taken off the line items in order
+// - gift_voucher_code spends a gift voucher (check_gift_voucher RPC) on what is left to pay
+//   online. A voucher that covers the whole online amount pays for the booking on its own, with
+//   no LLD and no Stripe session; otherwise it is spent down to Stripe's 50p minimum. The
+//   balance is taken through the voucher_adjust RPC before the customer can pay (../_shared/
+//   gift-vouchers.ts), and the platform transfers the voucher's share to a connected merchant
+// - When the listing owner's Stripe Express account can take charges (stripe_connect.sql), makes
+//   a destination charge to it with PLATFORM_FEE_PERCENT of the online amount as the application
+//   fee. LLD is platform credit, so it comes out of that fee first. Merchants who haven't
+//   onboarded are paid on the platform account as before
+// - Redeems the LLD through the wallet_redeem RPC once the session exists (reference = session ID);
+//   stripe-webhook restores it if the session expires unpaid
+// - Holds a seat on every slot the booking covers (hold_availability_seats RPC) for the lifetime
+//   of the session, so concurrent checkouts for the last seat get 409 instead of all being charged.
+//   The customer's own earlier checkout for the same slots loses its hold and is expired.
+// - Returns: { success: true, data: { url } } for Stripe-hosted checkout, or
+//   { success: true, data: { url, booking_id } } pointing at the booking when nothing is charged
 //
 // Notes:
-// - Requires secrets: STRIPE_SECRET_KEY (or STRIPE_KEY), SUPABASE_ANON_KEY, SUPABASE_URL
+// - Requires secrets: STRIPE_SECRET_KEY (or STRIPE_KEY), SUPABASE_ANON_KEY, SUPABASE_URL,
+//   SUPABASE_SERVICE_ROLE_KEY (wallet RPCs only)
+// - Optional: PLATFORM_FEE_PERCENT, STRIPE_API_BASE (../_shared/stripe.ts)
 // - CORS enabled for static site usage
 // - Uses anon key + user JWT for authenticated queries (RLS-safe)
 // - Redirect URLs are dynamically determined from request headers
 
-import Stripe from "npm:stripe@14.25.0";
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import type Stripe from "npm:stripe@14.25.0";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { createStripe, platformFeePercent } from "../_shared/stripe.ts";
+import { serviceChain } from "../_shared/service-fit.ts";
+import { createBooking, type PaymentMode, saveBookingAddons } from "../_shared/booking-create.ts";
+import {
+  transferVoucherShare,
+  VOUCHER_ERRORS,
+  VOUCHER_MAX_PENCE,
+  VOUCHER_MIN_PENCE,
+  voucherLedgerEntry,
+  voucherProblem,
+  voucherSharePence,
+} from "../_shared/gift-vouchers.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -23,6 +75,7 @@ const corsHeaders = {
 const STRIPE_SECRET_KEY = Deno.env.get("STRIPE_SECRET_KEY") || Deno.env.get("STRIPE_KEY");
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
 const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
 
 // Validate environment variables
 if (!STRIPE_SECRET_KEY) {
@@ -34,8 +87,18 @@ if (!SUPABASE_URL) {
 if (!ANON_KEY) {
   throw new Error("Missing SUPABASE_ANON_KEY environment variable");
 }
+if (!SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const stripe = createStripe(STRIPE_SECRET_KEY);
 
-const stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+// Stripe's minimum session lifetime; the seat hold lasts one minute longer so it can't lapse first
+const CHECKOUT_EXPIRY_MINUTES = 30;
+const HOLD_MINUTES = CHECKOUT_EXPIRY_MINUTES + 1;
+
+// Add-on IDs travel in session metadata, whose values are capped at 500 characters
+const MAX_ADDONS = 10;
 
 Deno.serve(async (req) => {
   if (req.method === "OPTIONS") {
@@ -51,8 +114,9 @@ Deno.serve(async (req) => {
     }
 
     // Parse request body
-    const { listing_id, availability_id, lld_to_redeem } = await req.json().catch(() => ({}));
-    if (!listing_id || !availability_id) {
+    const body = await req.json().catch(() => ({}));
+    const { product, listing_id, availability_id, service_id, addon_ids, lld_to_redeem, promo_code, gift_voucher_code } = body;
+    if (product !== "gift_voucher" && (!listing_id || !availability_id)) {
       return json({ 
         success: false, 
         error: "listing_id and availability_id are required" 
@@ -72,31 +136,115 @@ Deno.serve(async (req) => {
     }
     const user = userRes.user;
 
-    // Fetch slot details with capacity check
+    // Service-role client for wallet and hold RPCs
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    if (product === "gift_voucher") {
+      return await createVoucherCheckout(admin, user.id, body);
+    }
+
+    // Fetch slot details (capacity is enforced by the seat hold below)
     const { data: slot, error: slotErr } = await supabase
       .from("availability")
-      .select("id, listing_id, label, date, start_time, end_time, price, capacity, booked_count")
+      .select("id, listing_id, staff_id, label, date, start_time, end_time, starts_at, ends_at, price, capacity, booked_count, staff_members(name)")
       .eq("id", availability_id)
       .single();
     
     if (slotErr || !slot) {
       return json({ success: false, error: "Slot not found" }, 404);
     }
+    if (slot.starts_at && Date.parse(slot.starts_at) <= Date.now()) {
+      return json({ success: false, error: "This slot has already started" }, 409);
+    }
     
-    if (slot.capacity && slot.booked_count >= slot.capacity) {
-      return json({ success: false, error: "Slot is fully booked" }, 409);
+    if (slot.listing_id !== listing_id) {
+      return json({ success: false, error: "Slot does not belong to this listing" }, 400);
     }
 
-    // Fetch listing name
+    // Fetch listing name and payment settings
     const { data: listing } = await supabase
       .from("listings")
-      .select("name")
+      .select("name, timezone, owner, payment_mode, deposit_amount, deposit_percent")
       .eq("id", listing_id)
       .single();
 
+    // Services on the menu; a listing without any is still booked and priced per slot
+    const { data: services } = await supabase
+      .from("listing_services")
+      .select("id, name, duration_minutes, price, deposit")
+      .eq("listing_id", slot.listing_id)
+      .eq("active", true);
+
+    const service = (services || []).find((s) => s.id === service_id) ?? null;
+    if (service_id && !service) {
+      return json({ success: false, error: "Service not found" }, 404);
+    }
+    if (!service && services?.length) {
+      return json({ success: false, error: "Choose a service to book" }, 400);
+    }
+
+    // Add-ons must be active extras of this listing
+    const addonIds = [...new Set(Array.isArray(addon_ids) ? addon_ids.map(String) : [])];
+    if (addonIds.length > MAX_ADDONS) {
+      return json({ success: false, error: `Choose at most ${MAX_ADDONS} add-ons` }, 400);
+    }
+    let addons: { id: string; name: string; price: number; duration_minutes: number }[] = [];
+    if (addonIds.length) {
+      const { data } = await supabase
+        .from("listing_addons")
+        .select("id, name, price, duration_minutes")
+        .eq("listing_id", slot.listing_id)
+        .eq("active", true)
+        .in("id", addonIds);
+      if ((data || []).length !== addonIds.length) {
+        return json({ success: false, error: "Add-on not found" }, 404);
+      }
+      addons = data!;
+    }
+    const addonMinutes = addons.reduce((sum, a) => sum + Number(a.duration_minutes || 0), 0);
+
+    // Slots the booking occupies: just this one, or the run that covers the service's duration
+    // plus any add-on time
+    const baseMinutes = service
+      ? Number(service.duration_minutes)
+      : slot.starts_at && slot.ends_at ? minutesBetween(slot.starts_at, slot.ends_at) : 0;
+    const totalMinutes = baseMinutes + addonMinutes;
+    let slotIds = [slot.id];
+    if (service || addonMinutes > 0) {
+      const fitted = await fitService(supabase, slot, totalMinutes);
+      if (!fitted) {
+        const what = addonMinutes > 0 ? "This booking with its add-ons" : "This service";
+        return json({ success: false, error: `${what} doesn't fit at the chosen time` }, 409);
+      }
+      slotIds = fitted.map((s) => s.id);
+    }
+
+    // Promo code: checked as the customer, so a code they could preview is the code they get
+    let promo: PromoCode | null = null;
+    if (typeof promo_code === "string" && promo_code.trim()) {
+      const { data, error: promoErr } = await supabase.rpc("check_promo_code", {
+        p_listing_id: listing_id,
+        p_code: promo_code,
+      });
+      if (promoErr) {
+        const problem = Object.keys(PROMO_ERRORS).find((key) => promoErr.message?.includes(key));
+        if (!problem) throw new Error(`Promo code check failed: ${promoErr.message}`);
+        return json({ success: false, error: PROMO_ERRORS[problem] }, problem === "promo_not_found" ? 404 : 409);
+      }
+      promo = data?.[0] ?? null;
+    }
+
     // Calculate pricing
-    const pricePence = Math.max(0, Math.round(Number(slot.price) * 100));
-    let redeem = Math.max(0, Math.floor(Number(lld_to_redeem || 0)));
+    const basePence = Math.max(0, Math.round(Number(service ? service.price : slot.price) * 100));
+    const addonPence = addons.map((a) => Math.max(0, Math.round(Number(a.price) * 100)));
+    const listPricePence = basePence + addonPence.reduce((sum, p) => sum + p, 0);
+    const discountPence = promo ? promoDiscountPence(promo, listPricePence) : 0;
+    const [baseDuePence, ...addonDuePence] = takeOff([basePence, ...addonPence], discountPence);
+    const pricePence = listPricePence - discountPence;
+    const paymentMode = ((listing?.payment_mode as string) || "full") as PaymentMode;
+    const depositPence = onlinePence(paymentMode, pricePence, listing, service);
+    const payInFull = depositPence >= pricePence;
+    let redeem = depositPence > 0 ? Math.max(0, Math.floor(Number(lld_to_redeem || 0))) : 0;
 
     // Fetch user wallet balance
     const { data: wallet } = await supabase
@@ -106,43 +254,350 @@ Deno.serve(async (req) => {
       .maybeSingle();
     const balance = Math.max(0, Math.floor(Number(wallet?.lld_balance || 0)));
 
-    // Cap redemption by balance and price
-    redeem = Math.min(redeem, pricePence, balance);
+    // Cap redemption by balance and what is charged online
+    redeem = Math.min(redeem, depositPence, balance);
+
+    // Gift voucher: checked as the customer, like the promo code
+    let voucher: { gift_voucher_id: string; code: string; balance_cents: number } | null = null;
+    if (typeof gift_voucher_code === "string" && gift_voucher_code.trim() && depositPence > 0) {
+      const { data, error: voucherErr } = await supabase.rpc("check_gift_voucher", { p_code: gift_voucher_code });
+      if (voucherErr) {
+        const problem = voucherProblem(voucherErr);
+        if (!problem) throw new Error(`Gift voucher check failed: ${voucherErr.message}`);
+        return json({ success: false, error: VOUCHER_ERRORS[problem] }, problem === "voucher_not_found" ? 404 : 409);
+      }
+      voucher = data?.[0] ?? null;
+    }
+    // A voucher that covers the whole online amount pays it alone; otherwise it takes what is left
+    // after LLD, keeping Stripe's 50p minimum
+    const voucherCoversAll = !!voucher && voucher.balance_cents >= depositPence;
+    if (voucherCoversAll) redeem = 0;
+    const voucherPence = !voucher
+      ? 0
+      : voucherCoversAll
+      ? depositPence
+      : Math.min(voucher.balance_cents, Math.max(0, depositPence - redeem - 50));
 
     // Ensure minimum Stripe payment (50p)
-    const payAmount = Math.max(50, pricePence - redeem);
+    const [payAmount, ...addonPayAmounts] = payInFull
+      ? payableAmounts([baseDuePence, ...addonDuePence], redeem + voucherPence)
+      : payableAmounts([depositPence], redeem + voucherPence);
+
+    // Pay the merchant directly once their connected account can take charges
+    const { data: payoutAccount } = listing?.owner
+      ? await admin
+        .from("merchant_payout_accounts")
+        .select("stripe_account_id")
+        .eq("merchant_id", listing.owner)
+        .eq("charges_enabled", true)
+        .maybeSingle()
+      : { data: null };
+    const destination = (payoutAccount?.stripe_account_id as string | undefined) ?? null;
+    const chargedPence = payAmount + addonPayAmounts.reduce((sum, p) => sum + p, 0);
+    const feeBasePence = destination ? Math.round((depositPence * platformFeePercent()) / 100) : 0;
+    const feePence = destination
+      ? Math.min(chargedPence, Math.max(0, feeBasePence - redeem - voucherPence))
+      : 0;
+    const voucherTransferPence = destination ? voucherSharePence(voucherPence, feeBasePence, redeem) : 0;
 
-    const productName = `${listing?.name || "Service"}${slot.label ? " · " + slot.label : ""} (${slot.date} ${slot.start_time}–${slot.end_time})`;
+    const staffName = (slot.staff_members as { name?: string } | null)?.name;
+    const itemLabel = service ? `${service.name}, ${formatDuration(Number(service.duration_minutes))}` : slot.label;
+    const endTime = service || addonMinutes > 0 ? addMinutes(String(slot.start_time), totalMinutes) : String(slot.end_time);
+    const productName = `${listing?.name || "Service"}${itemLabel ? " · " + itemLabel : ""}${staffName ? " with " + staffName : ""} (${slot.date} ${String(slot.start_time).slice(0, 5)}–${endTime.slice(0, 5)} ${listing?.timezone || "Europe/London"})`;
 
     // Dynamically determine the redirect URL from request headers
     const siteUrl = req.headers.get('origin') || new URL(req.url).origin;
     const successUrl = 'https://looklist.co.uk/bookings.html?paid=1&session_id={CHECKOUT_SESSION_ID}';
     const cancelUrl = 'https://looklist.co.uk/index.html?stripe=cancel';
 
-    // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      line_items: [
+    // The customer's open checkouts on these slots lose their holds below; close them too
+    const { data: supersededHolds } = await admin
+      .from("availability_holds")
+      .select("checkout_session_id")
+      .eq("user_id", user.id)
+      .eq("status", "active")
+      .in("availability_id", slotIds)
+      .not("checkout_session_id", "is", null);
+
+    // Hold a seat on every slot before the customer can pay for them. The hold ID is the group's
+    // first hold; converting or releasing it acts on the whole group.
+    const { data: holdId, error: holdErr } = await admin.rpc("hold_availability_seats", {
+      p_availability_ids: slotIds,
+      p_user_id: user.id,
+      p_minutes: HOLD_MINUTES,
+    });
+    if (holdErr || !holdId) {
+      if (holdErr?.message?.includes("slot_full")) {
+        return json({ success: false, error: "Slot is fully booked" }, 409);
+      }
+      console.error("[create-checkout-session] Seat hold failed:", holdErr);
+      return json({ success: false, error: "Could not reserve this slot" }, 500);
+    }
+    await expireSessions(new Set((supersededHolds || []).map((h) => h.checkout_session_id as string)));
+
+    // Nothing to charge now, or all of it paid by gift voucher: book straight away and keep the seats
+    if (depositPence === 0 || voucherCoversAll) {
+      // Count the promo code's use before booking, as the session path does, so a code that ran
+      // out meanwhile can't discount a booking past its limit. The hold group is its reference
+      // until the booking exists.
+      let promoRedemptionId: string | null = null;
+      if (promo) {
+        const { data: redemptionId, error: promoErr } = await admin.rpc("redeem_promo_code", {
+          p_promo_code_id: promo.promo_code_id,
+          p_customer_id: user.id,
+          p_discount_cents: discountPence,
+          p_checkout_session_id: holdId,
+        });
+        if (promoErr) {
+          await releaseHold(admin, holdId);
+          const problem = Object.keys(PROMO_ERRORS).find((key) => promoErr.message?.includes(key));
+          if (problem) return json({ success: false, error: PROMO_ERRORS[problem] }, 409);
+          console.error("[create-checkout-session] Promo redemption failed:", promoErr);
+          return json({ success: false, error: "Could not apply promo code" }, 500);
+        }
+        promoRedemptionId = redemptionId as string;
+      }
+      const givePromoBack = async () => {
+        if (!promoRedemptionId) return;
+        const { error } = await admin
+          .from("promo_redemptions")
+          .update({ status: "released", updated_at: new Date().toISOString() })
+          .eq("id", promoRedemptionId);
+        if (error) console.error("[create-checkout-session] Could not release promo code:", promoRedemptionId, error);
+      };
+
+      // Spend the voucher next so a balance spent elsewhere meanwhile can't book for free. The
+      // hold group stands in for the session as its ledger reference.
+      if (voucher && voucherPence > 0) {
+        try {
+          await voucherLedgerEntry(admin, voucher.gift_voucher_id, -voucherPence, "redeem_checkout", holdId, user.id);
+        } catch (err) {
+          await releaseHold(admin, holdId);
+          await givePromoBack();
+          const problem = voucherProblem(err as Error);
+          if (problem) return json({ success: false, error: VOUCHER_ERRORS[problem] }, 409);
+          throw err;
+        }
+      }
+      const giveVoucherBack = () =>
+        voucher && voucherPence > 0
+          ? voucherLedgerEntry(admin, voucher.gift_voucher_id, voucherPence, "redeem_reversal", holdId).catch((err) => {
+            console.error("[create-checkout-session] Could not restore gift voucher:", holdId, err);
+            return false;
+          })
+          : Promise.resolve(false);
+
+      let booking: { id: string } | null = null;
+      try {
+        booking = await createBooking(admin, {
+          customerId: user.id,
+          listingId: listing_id,
+          slot,
+          service: service ? { id: service.id, name: service.name } : null,
+          durationMinutes: service || addonMinutes > 0 ? totalMinutes : null,
+          priceCents: listPricePence,
+          discountCents: discountPence,
+          promoCodeId: promo?.promo_code_id ?? null,
+          amountPaidCents: 0,
+          lldRedeemed: 0,
+          giftVoucherId: voucher?.gift_voucher_id ?? null,
+          giftVoucherCents: voucherPence,
+          paymentMode,
+          holdGroupId: holdId,
+          stripeSessionId: null,
+          stripePaymentIntentId: null,
+          stripeAccountId: voucherTransferPence > 0 ? destination : null,
+          applicationFeeCents: 0,
+          cardFingerprint: null,
+        });
+      } catch (err) {
+        await releaseHold(admin, holdId);
+        await giveVoucherBack();
+        await givePromoBack();
+        throw err;
+      }
+      if (!booking) {
+        await releaseHold(admin, holdId);
+        await giveVoucherBack();
+        await givePromoBack();
+        return json({ success: false, error: "Could not create booking" }, 500);
+      }
+      if (destination && voucherTransferPence > 0) {
+        await transferVoucherShare(stripe, admin, booking.id, destination, voucherTransferPence);
+      }
+
+      const { error: convertErr } = await admin.rpc("convert_availability_hold", { p_hold_id: holdId });
+      if (convertErr) console.error("[create-checkout-session] Hold conversion failed:", holdId, convertErr);
+      if (addons.length) await saveBookingAddons(admin, booking.id, addons.map((a) => a.id));
+      if (promoRedemptionId) {
+        const { error: promoErr } = await admin
+          .from("promo_redemptions")
+          .update({ status: "redeemed", booking_id: booking.id, updated_at: new Date().toISOString() })
+          .eq("id", promoRedemptionId);
+        if (promoErr) console.error("[create-checkout-session] Could not link promo redemption:", booking.id, promoErr);
+      }
+
+      return json({
+        success: true,
+        data: { url: `https://looklist.co.uk/booking-details.html?id=${booking.id}`, booking_id: booking.id },
+      }, 200);
+    }
+
+    const promoNote = [
+      promo ? `Promo ${promo.code}: £${(discountPence / 100).toFixed(2)} off.` : "",
+      voucherPence > 0 ? `Gift voucher: £${(voucherPence / 100).toFixed(2)} applied.` : "",
+    ].filter(Boolean).join(" ");
+    const lineItems = payInFull
+      ? [
         {
           quantity: 1,
           price_data: {
             currency: "gbp",
             unit_amount: payAmount,
-            product_data: { name: productName },
+            product_data: { name: productName, ...(promoNote ? { description: promoNote } : {}) },
           },
         },
-      ],
-      client_reference_id: user.id,
-      metadata: {
-        user_id: user.id,
-        listing_id,
-        availability_id,
-        price_pence: String(pricePence),
-        lld_to_redeem: String(redeem),
-      },
-      success_url: successUrl,
-      cancel_url: cancelUrl,
-    });
+        ...addons.map((addon, i) => ({
+          quantity: 1,
+          price_data: {
+            currency: "gbp",
+            unit_amount: addonPayAmounts[i],
+            product_data: {
+              name: `Add-on: ${addon.name}${addon.duration_minutes ? ` (+${formatDuration(Number(addon.duration_minutes))})` : ""}`,
+            },
+          },
+        })),
+      ]
+      : [
+        {
+          quantity: 1,
+          price_data: {
+            currency: "gbp",
+            unit_amount: payAmount,
+            product_data: {
+              name: `Deposit: ${productName}`,
+              description: [
+                addons.length ? `Add-ons: ${addons.map((a) => a.name).join(", ")}.` : "",
+                promoNote,
+                `£${((pricePence - depositPence) / 100).toFixed(2)} due at the appointment.`,
+              ].filter(Boolean).join(" "),
+            },
+          },
+        },
+      ];
+
+    // Create Stripe checkout session
+    let session: Stripe.Checkout.Session;
+    try {
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        line_items: lineItems,
+        client_reference_id: user.id,
+        ...(destination
+          ? {
+            payment_intent_data: {
+              application_fee_amount: feePence,
+              transfer_data: { destination },
+              metadata: { listing_id, hold_id: holdId },
+            },
+          }
+          : {}),
+        metadata: {
+          user_id: user.id,
+          listing_id,
+          availability_id,
+          price_pence: String(listPricePence),
+          promo_code_id: promo?.promo_code_id ?? "",
+          discount_pence: String(discountPence),
+          payment_mode: paymentMode,
+          deposit_pence: String(depositPence),
+          service_id: service?.id ?? "",
+          addon_ids: addons.map((a) => a.id).join(","),
+          duration_minutes: service || addonMinutes > 0 ? String(totalMinutes) : "",
+          lld_to_redeem: String(redeem),
+          gift_voucher_id: voucher?.gift_voucher_id ?? "",
+          gift_voucher_pence: String(voucherPence),
+          voucher_transfer_pence: String(voucherTransferPence),
+          hold_id: holdId,
+          stripe_account_id: destination ?? "",
+          application_fee_pence: String(feePence),
+        },
+        expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_MINUTES * 60,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      });
+    } catch (err) {
+      await releaseHold(admin, holdId);
+      throw err;
+    }
+
+    await admin
+      .from("availability_holds")
+      .update({ checkout_session_id: session.id, updated_at: new Date().toISOString() })
+      .eq("group_id", holdId);
+
+    // Count the promo code's use now so its limit holds while checkout is open
+    if (promo) {
+      const { error: promoErr } = await admin.rpc("redeem_promo_code", {
+        p_promo_code_id: promo.promo_code_id,
+        p_customer_id: user.id,
+        p_discount_cents: discountPence,
+        p_checkout_session_id: session.id,
+      });
+      if (promoErr) {
+        await stripe.checkout.sessions.expire(session.id).catch((err) => {
+          console.error("[create-checkout-session] Could not expire session:", err);
+        });
+        await releaseHold(admin, holdId);
+        const problem = Object.keys(PROMO_ERRORS).find((key) => promoErr.message?.includes(key));
+        if (problem) return json({ success: false, error: PROMO_ERRORS[problem] }, 409);
+        console.error("[create-checkout-session] Promo redemption failed:", promoErr);
+        return json({ success: false, error: "Could not apply promo code" }, 500);
+      }
+    }
+
+    // Take the voucher balance now, as with LLD below
+    if (voucher && voucherPence > 0) {
+      try {
+        await voucherLedgerEntry(admin, voucher.gift_voucher_id, -voucherPence, "redeem_checkout", session.id, user.id);
+      } catch (err) {
+        await stripe.checkout.sessions.expire(session.id).catch((expireErr) => {
+          console.error("[create-checkout-session] Could not expire session:", expireErr);
+        });
+        await releaseHold(admin, holdId);
+        if (promo) await releasePromo(admin, session.id);
+        const problem = voucherProblem(err as Error);
+        if (problem) return json({ success: false, error: VOUCHER_ERRORS[problem] }, 409);
+        console.error("[create-checkout-session] Gift voucher redemption failed:", err);
+        return json({ success: false, error: "Could not redeem gift voucher" }, 500);
+      }
+    }
+
+    // Take the LLD now so it can't be spent twice while checkout is open
+    if (redeem > 0) {
+      const { error: redeemErr } = await admin.rpc("wallet_redeem", {
+        p_user_id: user.id,
+        p_amount: redeem,
+        p_source: "redeem_checkout",
+        p_reference: session.id,
+      });
+      if (redeemErr) {
+        await stripe.checkout.sessions.expire(session.id).catch((err) => {
+          console.error("[create-checkout-session] Could not expire session:", err);
+        });
+        await releaseHold(admin, holdId);
+        if (promo) await releasePromo(admin, session.id);
+        if (voucher && voucherPence > 0) {
+          await voucherLedgerEntry(admin, voucher.gift_voucher_id, voucherPence, "redeem_reversal", session.id)
+            .catch((err) => console.error("[create-checkout-session] Could not restore gift voucher:", session.id, err));
+        }
+        if (redeemErr.message?.includes("insufficient_lld")) {
+          return json({ success: false, error: "Not enough LLD in your wallet" }, 409);
+        }
+        console.error("[create-checkout-session] LLD redemption failed:", redeemErr);
+        return json({ success: false, error: "Could not redeem LLD" }, 500);
+      }
+    }
 
     return json({ success: true, data: { url: session.url } }, 200);
   } catch (e) {
@@ -153,6 +608,228 @@ Deno.serve(async (req) => {
   }
 });
 
+async function releaseHold(admin: SupabaseClient, holdId: string) {
+  const { error } = await admin
+    .from("availability_holds")
+    .update({ status: "released", updated_at: new Date().toISOString() })
+    .eq("group_id", holdId)
+    .eq("status", "active");
+  if (error) console.error("[create-checkout-session] Could not release hold:", holdId, error);
+}
+
+// Gift voucher purchase (gift_vouchers.sql): the voucher and its code exist from now on, pending
+// until stripe-webhook sees the payment. Voucher money stays on the platform account; merchants
+// are paid their share when a voucher is spent on a booking.
+async function createVoucherCheckout(
+  admin: SupabaseClient,
+  userId: string,
+  body: Record<string, unknown>,
+): Promise<Response> {
+  const amount = Number(body.amount_pence);
+  if (!Number.isInteger(amount) || amount < VOUCHER_MIN_PENCE || amount > VOUCHER_MAX_PENCE) {
+    return json({
+      success: false,
+      error: `Gift vouchers are from £${VOUCHER_MIN_PENCE / 100} to £${VOUCHER_MAX_PENCE / 100}`,
+    }, 400);
+  }
+  const recipientName = String(body.recipient_name ?? "").trim().slice(0, 80) || null;
+  const recipientEmail = String(body.recipient_email ?? "").trim().toLowerCase() || null;
+  if (recipientEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+    return json({ success: false, error: "Recipient email is not valid" }, 400);
+  }
+  const message = String(body.message ?? "").trim().slice(0, 300) || null;
+
+  const { data: voucher, error } = await admin
+    .from("gift_vouchers")
+    .insert({
+      purchaser_id: userId,
+      recipient_name: recipientName,
+      recipient_email: recipientEmail,
+      message,
+      amount_cents: amount,
+    })
+    .select("id")
+    .single();
+  if (error || !voucher) {
+    console.error("[create-checkout-session] Voucher insert failed:", error);
+    return json({ success: false, error: "Could not create gift voucher" }, 500);
+  }
+
+  let session: Stripe.Checkout.Session;
+  try {
+    session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      line_items: [
+        {
+          quantity: 1,
+          price_data: {
+            currency: "gbp",
+            unit_amount: amount,
+            product_data: {
+              name: `LookList gift voucher (£${(amount / 100).toFixed(2)})`,
+              ...(recipientName ? { description: `For ${recipientName}` } : {}),
+            },
+          },
+        },
+      ],
+      client_reference_id: userId,
+      metadata: { product: "gift_voucher", user_id: userId, gift_voucher_id: voucher.id },
+      expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_MINUTES * 60,
+      success_url: `https://looklist.co.uk/gift-vouchers.html?purchased=${voucher.id}`,
+      cancel_url: "https://looklist.co.uk/gift-vouchers.html?stripe=cancel",
+    });
+  } catch (err) {
+    await admin.from("gift_vouchers").update({ status: "void", updated_at: new Date().toISOString() }).eq("id", voucher.id);
+    throw err;
+  }
+
+  await admin
+    .from("gift_vouchers")
+    .update({ stripe_session_id: session.id, updated_at: new Date().toISOString() })
+    .eq("id", voucher.id);
+
+  return json({ success: true, data: { url: session.url, gift_voucher_id: voucher.id } }, 200);
+}
+
+// Best effort: a superseded session that is still paid is refunded by stripe-webhook, whose
+// hold conversion fails once the hold is released
+async function expireSessions(sessionIds: Set<string>) {
+  for (const id of sessionIds) {
+    await stripe.checkout.sessions.expire(id).catch((err) => {
+      console.error("[create-checkout-session] Could not expire superseded session:", id, err);
+    });
+  }
+}
+
+async function releasePromo(admin: SupabaseClient, sessionId: string) {
+  const { error } = await admin
+    .from("promo_redemptions")
+    .update({ status: "released", updated_at: new Date().toISOString() })
+    .eq("checkout_session_id", sessionId)
+    .eq("status", "pending");
+  if (error) console.error("[create-checkout-session] Could not release promo code:", sessionId, error);
+}
+
+type PromoCode = {
+  promo_code_id: string;
+  code: string;
+  discount_type: "percent" | "fixed";
+  discount_percent: number | null;
+  discount_amount: number | null;
+};
+
+// check_promo_code / redeem_promo_code errors as shown to the customer
+const PROMO_ERRORS: Record<string, string> = {
+  promo_not_found: "That promo code isn't valid for this listing",
+  promo_not_started: "That promo code isn't active yet",
+  promo_expired: "That promo code has expired",
+  promo_exhausted: "That promo code has been used up",
+};
+
+// Pence off a price: a percentage of it, or a fixed amount no larger than it
+function promoDiscountPence(promo: PromoCode, pricePence: number) {
+  const off = promo.discount_type === "percent"
+    ? Math.round((pricePence * Number(promo.discount_percent || 0)) / 100)
+    : Math.round(Number(promo.discount_amount || 0) * 100);
+  return Math.max(0, Math.min(pricePence, off));
+}
+
+type ChainSlot = {
+  id: string;
+  listing_id: string;
+  staff_id: string | null;
+  starts_at: string | null;
+  ends_at: string | null;
+  capacity: number | null;
+  booked_count: number | null;
+};
+
+// Slots the service covers from `slot`, or null if it runs into a gap or a full slot. Live holds
+// are left to hold_availability_seats, which also replaces the customer's own earlier holds.
+async function fitService(supabase: SupabaseClient, slot: ChainSlot, durationMinutes: number) {
+  if (!slot.starts_at) return null;
+  const windowEnd = new Date(Date.parse(slot.starts_at) + durationMinutes * 60000).toISOString();
+
+  let query = supabase
+    .from("availability")
+    .select("id, listing_id, staff_id, starts_at, ends_at, capacity, booked_count")
+    .eq("listing_id", slot.listing_id)
+    .gte("starts_at", slot.starts_at)
+    .lt("starts_at", windowEnd);
+  query = slot.staff_id ? query.eq("staff_id", slot.staff_id) : query.is("staff_id", null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const withSeats = (rows: ChainSlot[]) =>
+    rows.map((s) => ({ ...s, seats_left: Number(s.capacity ?? 1) - Number(s.booked_count ?? 0) }));
+  const [start] = withSeats([slot]);
+  return serviceChain(withSeats(data || []), start, durationMinutes);
+}
+
+// Pence charged at checkout under the listing's payment mode: the whole price, the deposit
+// (a service's own deposit first, then the listing's fixed amount or percentage), or nothing
+function onlinePence(
+  mode: PaymentMode,
+  pricePence: number,
+  listing: { deposit_amount?: number | null; deposit_percent?: number | null } | null,
+  service: { deposit?: number | null } | null,
+) {
+  if (mode === "in_person") return 0;
+  if (mode === "full") return pricePence;
+
+  const serviceDeposit = service?.deposit !== null && service?.deposit !== undefined
+    ? Math.round(Number(service.deposit) * 100)
+    : null;
+  const listingDeposit = mode === "deposit_fixed"
+    ? Math.round(Number(listing?.deposit_amount || 0) * 100)
+    : Math.round((pricePence * Number(listing?.deposit_percent || 0)) / 100);
+  return Math.max(0, Math.min(pricePence, serviceDeposit ?? listingDeposit));
+}
+
+// What to charge per line item once `redeem` pence of LLD is taken off, earliest items first.
+// The session total never drops below Stripe's 50p minimum.
+function payableAmounts(amounts: number[], redeem: number) {
+  const total = amounts.reduce((sum, a) => sum + a, 0);
+  const target = Math.max(50, total - redeem);
+  if (target > total) {
+    const out = [...amounts];
+    out[0] += target - total;
+    return out;
+  }
+  return takeOff(amounts, total - target);
+}
+
+// Line items with `cut` pence taken off, earliest items first
+function takeOff(amounts: number[], cut: number) {
+  const out = [...amounts];
+  for (let i = 0; i < out.length && cut > 0; i++) {
+    const take = Math.min(out[i], cut);
+    out[i] -= take;
+    cut -= take;
+  }
+  return out;
+}
+
+// Elapsed minutes between two instants
+function minutesBetween(start: string, end: string) {
+  return Math.max(0, Math.round((Date.parse(end) - Date.parse(start)) / 60000));
+}
+
+// 240 → "4h", 45 → "45m", 90 → "1h 30m"
+function formatDuration(minutes: number) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h ? `${h}h` : "", m ? `${m}m` : ""].filter(Boolean).join(" ");
+}
+
+// Wall-clock HH:mm plus minutes, wrapping past midnight
+function addMinutes(time: string, minutes: number) {
+  const [h, m] = time.split(":").map(Number);
+  const total = (((h * 60 + m + minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
 function json(obj: unknown, status = 200) {
   return new Response(JSON.stringify(obj), {
     status,
@@ -0,0 +1,114 @@
+// Supabase Edge Function (Deno) — Opens the customer–merchant thread for a listing.
+// - Expects Authorization: Bearer <Supabase JWT> from the frontend
+// - Body: { listing_id: string, merchant_id?: string, booking_id?: string }
+// - The caller is the customer; the merchant is the listing's owner (merchant_id, if sent, must match)
+// - Returns the existing thread for (customer, merchant, listing) or creates it atomically
+//   via the find_or_create_thread RPC (threads_dedup.sql)
+// - Rejects customers messaging their own listing
+// - booking_id, if sent, must be the caller's booking with this merchant; it becomes the thread's booking
+// - Returns: { success: true, data: { thread_id, created } }
+//
+// Notes:
+// - Requires secrets: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { listing_id, merchant_id, booking_id } = await req.json().catch(() => ({}));
+    if (!listing_id) {
+      return json({ success: false, error: "listing_id is required" }, 400);
+    }
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: listing } = await admin
+      .from("listings")
+      .select("id, name, owner")
+      .eq("id", listing_id)
+      .maybeSingle();
+
+    if (!listing?.owner) {
+      return json({ success: false, error: "Listing not found" }, 404);
+    }
+    if (merchant_id && merchant_id !== listing.owner) {
+      return json({ success: false, error: "merchant_id does not match the listing" }, 400);
+    }
+    if (listing.owner === user.id) {
+      return json({ success: false, error: "You can't message yourself about your own listing" }, 400);
+    }
+
+    if (booking_id) {
+      const { data: booking } = await admin
+        .from("bookings")
+        .select("id, customer_id, merchant_id")
+        .eq("id", booking_id)
+        .maybeSingle();
+      if (!booking || booking.customer_id !== user.id || booking.merchant_id !== listing.owner) {
+        return json({ success: false, error: "Booking not found" }, 404);
+      }
+    }
+
+    const { data, error } = await admin.rpc("find_or_create_thread", {
+      p_customer_id: user.id,
+      p_merchant_id: listing.owner,
+      p_listing_id: listing.id,
+      p_booking_id: booking_id || null,
+      p_service_name: listing.name || null,
+    });
+
+    if (error || !data?.[0]?.thread_id) {
+      console.error("[find-or-create-thread] RPC failed:", error);
+      return json({ success: false, error: "Could not open conversation" }, 500);
+    }
+
+    return json({ success: true, data: { thread_id: data[0].thread_id, created: data[0].created } }, 200);
+  } catch (e) {
+    console.error("[find-or-create-thread] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
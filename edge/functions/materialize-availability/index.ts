@@ -0,0 +1,209 @@
+// Supabase Edge Function (Deno) — Turns recurring availability rules into bookable slots.
+// - Scheduled run: Authorization: Bearer <SUPABASE_SERVICE_ROLE_KEY> (pg_cron, see
+//   availability_rules.sql), body {} → processes every rule
+// - Merchant run: Authorization: Bearer <Supabase JWT>, body { rule_id } → processes that rule
+//   right after it is saved, so changes show up without waiting for the schedule
+// - For each rule, slots are generated up to MATERIALIZE_HORIZON_DAYS ahead (default 56) and
+//   inserted into availability with rule_id (and the rule's staff_id) set; slots that already
+//   exist for the same listing, staff member, date and start time (booked, manual or from
+//   another rule) are skipped, and so are slots overlapping another slot or active booking of the
+//   same performer on any of the merchant's listings (find_slot_conflicts RPC, as upsert-slots
+//   does with on_conflict "skip")
+// - Unedited rules only get dates after materialized_through, so slots the merchant deleted or
+//   moved in the calendar aren't recreated
+// - Rules edited since their last run (updated_at > materialized_at) first have their future
+//   unbooked slots pruned (prune_rule_slots RPC) and are regenerated from today (in the
+//   listing's timezone), so edits and deactivation apply to open slots while booked slots are
+//   left alone
+// - Returns: { success: true, data: { rules, inserted, conflicts, pruned, failed } }
+//
+// Notes:
+// - Requires secrets: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+// - Optional: MATERIALIZE_HORIZON_DAYS
+
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { addDays, buildRuleSlots, validateRule, type AvailabilityRule } from "../_shared/slot-rules.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+const HORIZON_DAYS = Number(Deno.env.get("MATERIALIZE_HORIZON_DAYS") ?? 56);
+
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const RULE_FIELDS =
+  "id, listing_id, staff_id, rrule, windows, duration_minutes, buffer_minutes, price, capacity, label, starts_on, ends_on, exdates, active, materialized_at, materialized_through, updated_at";
+
+type RuleRow = AvailabilityRule & {
+  active: boolean;
+  materialized_at: string | null;
+  materialized_through: string | null;
+  updated_at: string | null;
+  listings?: { owner?: string; timezone?: string | null } | null;
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { rule_id } = await req.json().catch(() => ({}));
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    let rules: RuleRow[];
+    if (jwt === SERVICE_KEY) {
+      let query = admin.from("availability_rules").select(`${RULE_FIELDS}, listings(timezone)`);
+      if (rule_id) query = query.eq("id", rule_id);
+      const { data, error } = await query;
+      if (error) {
+        console.error("[materialize-availability] Failed to load rules:", error);
+        return json({ success: false, error: "Could not load rules" }, 500);
+      }
+      rules = (data ?? []) as RuleRow[];
+    } else {
+      if (!rule_id) {
+        return json({ success: false, error: "rule_id is required" }, 400);
+      }
+
+      const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+        global: { headers: { Authorization: `Bearer ${jwt}` } },
+        auth: { persistSession: false },
+      });
+      const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+      if (userErr || !userRes?.user) {
+        return json({ success: false, error: "Unauthorized" }, 401);
+      }
+
+      const { data: rule } = await admin
+        .from("availability_rules")
+        .select(`${RULE_FIELDS}, listings!inner(owner, timezone)`)
+        .eq("id", rule_id)
+        .maybeSingle();
+
+      if (!rule || (rule as RuleRow).listings?.owner !== userRes.user.id) {
+        return json({ success: false, error: "Rule not found" }, 404);
+      }
+      rules = [rule as RuleRow];
+    }
+
+    const totals = { rules: rules.length, inserted: 0, conflicts: 0, pruned: 0, failed: 0 };
+
+    for (const rule of rules) {
+      try {
+        const result = await materializeRule(admin, rule);
+        totals.inserted += result.inserted;
+        totals.conflicts += result.conflicts;
+        totals.pruned += result.pruned;
+      } catch (e) {
+        totals.failed += 1;
+        console.error(`[materialize-availability] Rule ${rule.id} failed:`, e);
+      }
+    }
+
+    console.log("[materialize-availability] Done:", totals);
+    return json({ success: true, data: totals }, 200);
+  } catch (e) {
+    console.error("[materialize-availability] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+async function materializeRule(admin: SupabaseClient, rule: RuleRow) {
+  const startedAt = new Date().toISOString();
+  const today = todayIn(rule.listings?.timezone || "Europe/London");
+  const horizon = addDays(today, HORIZON_DAYS);
+  let pruned = 0;
+  let inserted = 0;
+  let conflicts = 0;
+
+  const edited = !rule.materialized_at ||
+    (!!rule.updated_at && Date.parse(rule.updated_at) > Date.parse(rule.materialized_at));
+  if (edited) {
+    const { data, error } = await admin.rpc("prune_rule_slots", { p_rule_id: rule.id, p_from: today });
+    if (error) throw error;
+    pruned = data ?? 0;
+  }
+
+  if (rule.active) {
+    const invalid = validateRule(rule);
+    if (invalid) throw new Error(`Invalid rule: ${invalid}`);
+
+    const from = !edited && rule.materialized_through && rule.materialized_through >= today
+      ? addDays(rule.materialized_through, 1)
+      : today;
+    const slots = from <= horizon ? buildRuleSlots(rule, from, horizon) : [];
+    if (slots.length) {
+      let existingQuery = admin
+        .from("availability")
+        .select("date, start_time")
+        .eq("listing_id", rule.listing_id)
+        .gte("date", from)
+        .lte("date", horizon);
+      existingQuery = rule.staff_id ? existingQuery.eq("staff_id", rule.staff_id) : existingQuery.is("staff_id", null);
+      const { data: existing, error: existingErr } = await existingQuery;
+      if (existingErr) throw existingErr;
+
+      const seen = new Set((existing ?? []).map((s) => `${s.date}|${String(s.start_time).slice(0, 5)}`));
+      let fresh = slots.filter((s) => !seen.has(`${s.date}|${s.start_time}`));
+
+      if (fresh.length) {
+        const { data: overlaps, error: conflictErr } = await admin.rpc("find_slot_conflicts", {
+          p_listing_id: rule.listing_id,
+          p_staff_id: rule.staff_id ?? null,
+          p_slots: fresh.map((s) => ({ date: s.date, start_time: s.start_time, end_time: s.end_time })),
+        });
+        if (conflictErr) throw conflictErr;
+        const conflicting = new Set(((overlaps ?? []) as Array<{ slot_index: number }>).map((o) => o.slot_index));
+        conflicts = conflicting.size;
+        fresh = fresh.filter((_, i) => !conflicting.has(i));
+      }
+
+      if (fresh.length) {
+        const { data: rows, error } = await admin.from("availability").insert(fresh).select("id");
+        if (error) throw error;
+        inserted = rows?.length ?? 0;
+      }
+    }
+  }
+
+  // Compare-and-set on updated_at so an edit made mid-run is picked up next time
+  let mark = admin
+    .from("availability_rules")
+    .update({ materialized_at: startedAt, materialized_through: horizon })
+    .eq("id", rule.id);
+  mark = rule.updated_at ? mark.eq("updated_at", rule.updated_at) : mark.is("updated_at", null);
+  const { error: markErr } = await mark;
+  if (markErr) throw markErr;
+
+  return { inserted, conflicts, pruned };
+}
+
+// Calendar date (YYYY-MM-DD) it currently is in the given IANA timezone
+function todayIn(timeZone: string): string {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
@@ -0,0 +1,103 @@
+// Supabase Edge Function (Deno) — Posts the merchant's public reply to a review.
+// - Expects Authorization: Bearer <Supabase JWT> from the merchant dashboard
+// - Body: { review_id: string, text: string }
+// - Only the review's merchant may reply, and only once per review
+// - Returns: { success: true, data: { review_id, merchant_reply_at } }
+//
+// Notes:
+// - Requires secrets: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const MAX_REPLY_LENGTH = 1000;
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { review_id, text } = await req.json().catch(() => ({}));
+    const reply = typeof text === "string" ? text.trim().slice(0, MAX_REPLY_LENGTH) : "";
+    if (!review_id || !reply) {
+      return json({ success: false, error: "review_id and text are required" }, 400);
+    }
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: review } = await admin
+      .from("reviews")
+      .select("id, merchant_id, merchant_reply")
+      .eq("id", review_id)
+      .maybeSingle();
+
+    if (!review || review.merchant_id !== user.id) {
+      return json({ success: false, error: "Review not found" }, 404);
+    }
+    if (review.merchant_reply) {
+      return json({ success: false, error: "You have already replied to this review" }, 409);
+    }
+
+    // Conditional update so two concurrent replies can't both land
+    const repliedAt = new Date().toISOString();
+    const { data: updated, error } = await admin
+      .from("reviews")
+      .update({ merchant_reply: reply, merchant_reply_at: repliedAt })
+      .eq("id", review.id)
+      .is("merchant_reply", null)
+      .select("id");
+
+    if (error) {
+      console.error("[reply-review] Update failed:", error);
+      return json({ success: false, error: "Could not save reply" }, 500);
+    }
+    if (!updated?.length) {
+      return json({ success: false, error: "You have already replied to this review" }, 409);
+    }
+
+    return json({ success: true, data: { review_id: review.id, merchant_reply_at: repliedAt } }, 200);
+  } catch (e) {
+    console.error("[reply-review] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
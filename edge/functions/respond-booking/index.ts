@@ -0,0 +1,130 @@
+// Supabase Edge Function (Deno) — Merchant/customer responses to a booking.
+// - Expects Authorization: Bearer <Supabase JWT> from the frontend
+// - Body: { booking_id: string, action: "accept" | "decline" | "cancel" | "no_show", reason?: string }
+// - Every action is validated against the booking state machine and the caller's role
+//   (see ../_shared/booking-state.ts) and recorded in booking_status_events:
+//     * accept  — merchant, pending → confirmed
+//     * decline — merchant, pending → declined (full refund)
+//     * cancel  — either party, pending/confirmed → cancelled (listing refund policy)
+//     * no_show — merchant, confirmed → no_show once the appointment has started
+// - Returns: { success: true, data: { booking_id, status, ... } }
+//
+// Notes:
+// - Requires secrets: STRIPE_SECRET_KEY (or STRIPE_KEY), SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { createStripe } from "../_shared/stripe.ts";
+import { applyTransition, type BookingStatus, checkTransition, roleFor } from "../_shared/booking-state.ts";
+import { CANCELLATION_FIELDS, endBookingWithRefund } from "../_shared/cancellation.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const STRIPE_SECRET_KEY = Deno.env.get("STRIPE_SECRET_KEY") || Deno.env.get("STRIPE_KEY");
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!STRIPE_SECRET_KEY) {
+  throw new Error("Missing STRIPE_SECRET_KEY or STRIPE_KEY environment variable");
+}
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const stripe = createStripe(STRIPE_SECRET_KEY);
+
+const ACTIONS: Record<string, BookingStatus> = {
+  accept: "confirmed",
+  decline: "declined",
+  cancel: "cancelled",
+  no_show: "no_show",
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { booking_id, action, reason } = await req.json().catch(() => ({}));
+    const to = ACTIONS[String(action)];
+    if (!booking_id || !to) {
+      return json({
+        success: false,
+        error: "booking_id and action (accept, decline, cancel, no_show) are required",
+      }, 400);
+    }
+    const note = typeof reason === "string" ? reason.slice(0, 500) : null;
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: booking, error: bookingErr } = await admin
+      .from("bookings")
+      .select(CANCELLATION_FIELDS)
+      .eq("id", booking_id)
+      .maybeSingle();
+
+    if (bookingErr || !booking) {
+      return json({ success: false, error: "Booking not found" }, 404);
+    }
+
+    const role = roleFor(booking, user.id);
+    if (!role) {
+      return json({ success: false, error: "Forbidden: you are not a party to this booking" }, 403);
+    }
+
+    const invalid = checkTransition(booking, to, role);
+    if (invalid) {
+      return json({ success: false, error: invalid }, 409);
+    }
+
+    // Ending a booking early refunds the customer; other moves are a plain status change
+    if (to === "cancelled" || to === "declined") {
+      const result = await endBookingWithRefund(admin, stripe, booking, { to, actorId: user.id, role, reason: note });
+      if (!result.ok) {
+        return json({ success: false, error: result.error }, result.status);
+      }
+      return json({ success: true, data: result.data }, 200);
+    }
+
+    const moved = await applyTransition(admin, booking, to, user.id, role, note);
+    if (!moved) {
+      return json({ success: false, error: "Booking status has already changed" }, 409);
+    }
+
+    return json({ success: true, data: { booking_id: booking.id, status: to } }, 200);
+  } catch (e) {
+    console.error("[respond-booking] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
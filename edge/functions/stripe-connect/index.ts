@@ -0,0 +1,230 @@
+// Supabase Edge Function (Deno) — Merchant Stripe Connect (Express) onboarding and payouts.
+// - Expects Authorization: Bearer <Supabase JWT> from the merchant dashboard
+// - Body: { action: "onboard" | "status" | "dashboard" }
+//     * onboard   — creates the merchant's Express account on first use (merchant_payout_accounts,
+//                   stripe_connect.sql) and returns a Stripe-hosted onboarding link
+//     * status    — refreshes the account's onboarding state from Stripe and returns it with the
+//                   connected account's balance and recent payouts
+//     * dashboard — returns a login link to the merchant's Express dashboard
+// - Returns: { success: true, data: { url } } for onboard and dashboard, or
+//   { success: true, data: { connected, charges_enabled, payouts_enabled, details_submitted,
+//     requirements_due, disabled_reason, balance: { available, pending }, payouts: [...] } }
+//   with amounts in pence
+//
+// Notes:
+// - Requires secrets: STRIPE_SECRET_KEY (or STRIPE_KEY), SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+// - Optional: STRIPE_API_BASE to run against stripe-mock (../_shared/stripe.ts)
+// - stripe-webhook also updates merchant_payout_accounts from account.updated
+
+import type Stripe from "npm:stripe@14.25.0";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { createStripe } from "../_shared/stripe.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const STRIPE_SECRET_KEY = Deno.env.get("STRIPE_SECRET_KEY") || Deno.env.get("STRIPE_KEY");
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+if (!STRIPE_SECRET_KEY) {
+  throw new Error("Missing STRIPE_SECRET_KEY or STRIPE_KEY environment variable");
+}
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const stripe = createStripe(STRIPE_SECRET_KEY);
+
+const DASHBOARD_URL = "https://looklist.co.uk/merchant/listings.html";
+const RECENT_PAYOUTS = 5;
+
+type PayoutAccount = {
+  merchant_id: string;
+  stripe_account_id: string;
+  charges_enabled: boolean;
+  payouts_enabled: boolean;
+  details_submitted: boolean;
+  requirements_due: string[];
+  disabled_reason: string | null;
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { action } = await req.json().catch(() => ({}));
+    if (!["onboard", "status", "dashboard"].includes(String(action))) {
+      return json({ success: false, error: "action (onboard, status, dashboard) is required" }, 400);
+    }
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    // Service-role client: merchant_payout_accounts is read-only to merchants
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: existing, error: accountErr } = await admin
+      .from("merchant_payout_accounts")
+      .select("merchant_id, stripe_account_id, charges_enabled, payouts_enabled, details_submitted, requirements_due, disabled_reason")
+      .eq("merchant_id", user.id)
+      .maybeSingle();
+    if (accountErr) throw new Error(`Payout account lookup failed: ${accountErr.message}`);
+
+    if (action === "onboard") {
+      const { count } = await admin
+        .from("listings")
+        .select("id", { count: "exact", head: true })
+        .eq("owner", user.id);
+      if (!count) {
+        return json({ success: false, error: "Create a listing before setting up payouts" }, 403);
+      }
+
+      const account = existing ?? await createAccount(admin, user.id, user.email);
+      const link = await stripe.accountLinks.create({
+        account: account.stripe_account_id,
+        type: "account_onboarding",
+        refresh_url: `${DASHBOARD_URL}?stripe=refresh`,
+        return_url: `${DASHBOARD_URL}?stripe=return`,
+      });
+      return json({ success: true, data: { url: link.url } }, 200);
+    }
+
+    if (!existing) {
+      if (action === "dashboard") {
+        return json({ success: false, error: "Set up payouts first" }, 409);
+      }
+      return json({ success: true, data: { connected: false } }, 200);
+    }
+
+    if (action === "dashboard") {
+      if (!existing.details_submitted) {
+        return json({ success: false, error: "Finish setting up payouts first" }, 409);
+      }
+      const login = await stripe.accounts.createLoginLink(existing.stripe_account_id);
+      return json({ success: true, data: { url: login.url } }, 200);
+    }
+
+    // status: the webhook normally keeps this current; refresh in case an event is late
+    const account = await syncAccount(admin, existing.stripe_account_id);
+    const stripeAccount = { stripeAccount: existing.stripe_account_id };
+    const [balance, payouts] = account.details_submitted
+      ? await Promise.all([
+        stripe.balance.retrieve(stripeAccount),
+        stripe.payouts.list({ limit: RECENT_PAYOUTS }, stripeAccount),
+      ])
+      : [null, null];
+
+    return json({
+      success: true,
+      data: {
+        connected: true,
+        charges_enabled: account.charges_enabled,
+        payouts_enabled: account.payouts_enabled,
+        details_submitted: account.details_submitted,
+        requirements_due: account.requirements_due,
+        disabled_reason: account.disabled_reason,
+        balance: balance
+          ? { available: sumGbp(balance.available), pending: sumGbp(balance.pending) }
+          : { available: 0, pending: 0 },
+        payouts: (payouts?.data || []).map((p) => ({
+          id: p.id,
+          amount: p.amount,
+          currency: p.currency,
+          status: p.status,
+          arrival_date: new Date(p.arrival_date * 1000).toISOString(),
+        })),
+      },
+    }, 200);
+  } catch (e) {
+    console.error("[stripe-connect] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+// The account is stored before onboarding starts so a retried request reuses it. A concurrent
+// first request that loses the insert race takes the winner's account instead.
+async function createAccount(admin: SupabaseClient, merchantId: string, email: string | undefined) {
+  const account = await stripe.accounts.create(
+    {
+      type: "express",
+      country: "GB",
+      email,
+      capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+      metadata: { merchant_id: merchantId },
+    },
+    { idempotencyKey: `connect-account-${merchantId}` },
+  );
+
+  const { data, error } = await admin
+    .from("merchant_payout_accounts")
+    .upsert(toRow(merchantId, account), { onConflict: "merchant_id", ignoreDuplicates: true })
+    .select("stripe_account_id");
+  if (error) throw new Error(`Payout account insert failed: ${error.message}`);
+  if (data?.length) return data[0] as Pick<PayoutAccount, "stripe_account_id">;
+
+  const { data: winner } = await admin
+    .from("merchant_payout_accounts")
+    .select("stripe_account_id")
+    .eq("merchant_id", merchantId)
+    .single();
+  return winner as Pick<PayoutAccount, "stripe_account_id">;
+}
+
+async function syncAccount(admin: SupabaseClient, accountId: string) {
+  const account = await stripe.accounts.retrieve(accountId);
+  const { data, error } = await admin
+    .from("merchant_payout_accounts")
+    .update({ ...toRow(undefined, account), updated_at: new Date().toISOString() })
+    .eq("stripe_account_id", accountId)
+    .select("merchant_id, stripe_account_id, charges_enabled, payouts_enabled, details_submitted, requirements_due, disabled_reason")
+    .single();
+  if (error) throw new Error(`Payout account update failed: ${error.message}`);
+  return data as PayoutAccount;
+}
+
+function toRow(merchantId: string | undefined, account: Stripe.Account) {
+  return {
+    ...(merchantId ? { merchant_id: merchantId } : {}),
+    stripe_account_id: account.id,
+    charges_enabled: account.charges_enabled,
+    payouts_enabled: account.payouts_enabled,
+    details_submitted: account.details_submitted,
+    requirements_due: account.requirements?.currently_due ?? [],
+    disabled_reason: account.requirements?.disabled_reason ?? null,
+  };
+}
+
+// Listings are priced in GBP; other currencies the account may hold aren't shown
+function sumGbp(amounts: { amount: number; currency: string }[]) {
+  return amounts.filter((a) => a.currency === "gbp").reduce((sum, a) => sum + a.amount, 0);
+}
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
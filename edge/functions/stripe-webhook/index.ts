@@ -1,22 +1,71 @@
 // Supabase Edge Function (Deno) — Stripe Webhook handler.
 // - Verifies Stripe signature
+// - Claims each event in stripe_events first; duplicate deliveries return 200 without side effects
 // - On checkout.session.completed:
-//     * Deduct redeemed LLD
+//     * Deduct redeemed LLD (no-op if create-checkout-session already redeemed it)
 //     * Award LLD = 1% of amount_total (if >= £10)
-//     * Increment availability.booked_count
+//     * Convert the seat holds into booked seats (increments availability.booked_count on every
+//       slot the booking covers); a hold that was released, or lapsed and lost its seat, gets a
+//       full refund instead
+//     * Create the booking row (payment details, service and its duration from the session)
+//       and copy the chosen add-ons onto it (../_shared/booking-create.ts)
+//     * Deposit sessions record the balance still owed at the appointment (payment_modes.sql)
+//     * A promo code's pending use becomes redeemed against the booking (promo_codes.sql)
+//     * Deduct the gift voucher balance spent (no-op if create-checkout-session already took it)
+//       and transfer the voucher's share to a connected merchant (gift_vouchers.sql)
+//     * Gift voucher purchases activate the voucher instead; they earn no LLD
+//     * Find or create the customer–merchant thread and post a booking message
+//     * Record the card's fingerprint on the booking, which qualify_referral checks once the
+//       booking is completed (referrals.sql)
+// - On checkout.session.expired:
+//     * Release the seat hold and restore LLD redeemed by create-checkout-session
+//     * Give back the promo code's pending use and the gift voucher balance
+//     * A gift voucher purchase left unpaid voids the pending voucher
+// - On account.updated (Connect):
+//     * Mirror the merchant's onboarding state into merchant_payout_accounts (stripe_connect.sql)
+// - On transfer.created / transfer.updated / transfer.reversed:
+//     * Record the transfer to the merchant in merchant_transfers, linked to the booking whose
+//       destination charge created it
+// - On charge.refunded (dashboard refunds and cancel-booking's own):
+//     * Record the total refunded and the booking's payment state (refunds_disputes.sql)
+//     * A full refund of an appointment still to come cancels it, frees its seats and restores
+//       redeemed LLD and gift voucher balance (reversing the voucher transfer); bookings
+//       cancel-booking already ended are left as they are
+//     * Take back the purchase award in proportion to the refund
+//     * A refunded gift voucher purchase loses the refunded amount from its balance
+// - On charge.dispute.created / charge.dispute.updated / charge.dispute.closed:
+//     * Flag the booking with the dispute's status for the merchant dashboard
+//     * A lost dispute is handled like a full refund
+// - All LLD movements go through the wallet_redeem / wallet_award RPCs (wallet_ledger.sql)
 //
 // Notes:
 // - Requires secrets: STRIPE_WEBHOOK_SECRET, STRIPE_SECRET_KEY, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY
+// - Optional: STRIPE_CONNECT_WEBHOOK_SECRET when connected-account events (account.updated) come
+//   from a separate Connect endpoint pointed at this function; STRIPE_API_BASE (../_shared/stripe.ts)
 
-import Stripe from "npm:stripe@14.25.0";
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import type Stripe from "npm:stripe@14.25.0";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import {
+  type BookingService,
+  type BookingSlot,
+  createBooking,
+  type PaymentMode,
+  saveBookingAddons,
+} from "../_shared/booking-create.ts";
+import { createStripe } from "../_shared/stripe.ts";
+import { reverseVoucherTransfer, transferVoucherShare, voucherLedgerEntry } from "../_shared/gift-vouchers.ts";
+import { applyTransition, CANCELLABLE_STATUSES, normalizeStatus } from "../_shared/booking-state.ts";
 
 const STRIPE_WEBHOOK_SECRET = Deno.env.get("STRIPE_WEBHOOK_SECRET")!;
+const STRIPE_CONNECT_WEBHOOK_SECRET = Deno.env.get("STRIPE_CONNECT_WEBHOOK_SECRET");
 const STRIPE_SECRET_KEY = Deno.env.get("STRIPE_SECRET_KEY")!;
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
 
-const stripe = new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+const stripe = createStripe(STRIPE_SECRET_KEY);
+
+// convert_availability_hold errors for a seat the customer paid for but no longer holds
+const SEAT_LOST_ERRORS = ["hold_released", "slot_full"];
 
 Deno.serve(async (req) => {
   if (req.method === "OPTIONS") {
@@ -28,73 +77,779 @@ Deno.serve(async (req) => {
 
   let event: Stripe.Event;
   try {
-    event = stripe.webhooks.constructEvent(rawBody, sig, STRIPE_WEBHOOK_SECRET);
+    event = verifyEvent(rawBody, sig);
   } catch (err) {
     console.error("[stripe-webhook] Signature verification failed:", err);
     return new Response("Bad signature", { status: 400, headers: cors() });
   }
 
-  try {
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object as Stripe.Checkout.Session;
-
-      const userId = (session.metadata?.user_id as string) || (session.client_reference_id as string);
-      const availabilityId = session.metadata?.availability_id as string | undefined;
-      const lldRedeem = parseInt((session.metadata?.lld_to_redeem as string) || "0", 10);
-      const amountTotal = session.amount_total ?? 0; // pence
-      const award = amountTotal >= 1000 ? Math.floor(amountTotal * 0.01) : 0; // 1% if >= £10
-
-      const supabase = createClient(SUPABASE_URL, SERVICE_KEY);
-
-      if (userId) {
-        const { data: wallet } = await supabase
-          .from("wallets")
-          .select("lld_balance")
-          .eq("user_id", userId)
-          .maybeSingle();
-
-        const current = Math.max(0, Math.floor(Number(wallet?.lld_balance || 0)));
-        const next = current - Math.max(0, lldRedeem) + Math.max(0, award);
-
-        await supabase
-          .from("wallets")
-          .upsert({ user_id: userId, lld_balance: next, updated_at: new Date().toISOString() });
-
-        if (lldRedeem > 0) {
-          await supabase.from("lld_transactions").insert({
-            user_id: userId, amount: -lldRedeem, source: "redeem_checkout"
-          });
-        }
-        if (award > 0) {
-          await supabase.from("lld_transactions").insert({
-            user_id: userId, amount: award, source: "award_purchase"
-          });
-        }
-      }
-
-      if (availabilityId) {
-        const { data: slot } = await supabase
-          .from("availability")
-          .select("booked_count")
-          .eq("id", availabilityId)
-          .maybeSingle();
-
-        if (slot) {
-          await supabase
-            .from("availability")
-            .update({ booked_count: (Number(slot.booked_count || 0) + 1) })
-            .eq("id", availabilityId);
-        }
-      }
-    }
+  const supabase = createClient(SUPABASE_URL, SERVICE_KEY);
 
+  // Claim the event before any side effects; replays of a processed event are no-ops
+  const { data: claimed, error: claimErr } = await supabase.rpc("claim_stripe_event", {
+    p_event_id: event.id,
+    p_event_type: event.type,
+  });
+  if (claimErr) {
+    console.error("[stripe-webhook] Could not claim event:", event.id, claimErr);
+    return new Response("error", { status: 500, headers: cors() });
+  }
+  if (!claimed) {
+    console.log("[stripe-webhook] Duplicate delivery ignored:", event.id);
+    return new Response("ok", { status: 200, headers: cors() });
+  }
+
+  try {
+    const outcome = await handleEvent(supabase, event);
+    await recordOutcome(supabase, event.id, outcome);
     return new Response("ok", { status: 200, headers: cors() });
   } catch (e) {
     console.error("[stripe-webhook] Handler error:", e);
+    await recordOutcome(supabase, event.id, {
+      status: "failed",
+      error: e instanceof Error ? e.message : String(e),
+    });
     return new Response("error", { status: 500, headers: cors() });
   }
 });
 
+type Outcome = {
+  status: "processed" | "ignored" | "failed";
+  checkoutSessionId?: string;
+  bookingId?: string | null;
+  result?: Record<string, unknown>;
+  error?: string;
+};
+
+async function handleEvent(supabase: SupabaseClient, event: Stripe.Event): Promise<Outcome> {
+  switch (event.type) {
+    case "checkout.session.completed":
+      return await handleCheckoutCompleted(supabase, event.data.object as Stripe.Checkout.Session);
+    case "checkout.session.expired":
+      return await handleCheckoutExpired(supabase, event.data.object as Stripe.Checkout.Session);
+    case "account.updated":
+      return await handleAccountUpdated(supabase, event.data.object as Stripe.Account);
+    case "transfer.created":
+    case "transfer.updated":
+    case "transfer.reversed":
+      return await handleTransfer(supabase, event.data.object as Stripe.Transfer);
+    case "charge.refunded":
+      return await handleChargeRefunded(supabase, event.data.object as Stripe.Charge);
+    case "charge.dispute.created":
+    case "charge.dispute.updated":
+    case "charge.dispute.closed":
+      return await handleDispute(supabase, event.data.object as Stripe.Dispute);
+    default:
+      return { status: "ignored" };
+  }
+}
+
+// Platform events are signed with STRIPE_WEBHOOK_SECRET; a separate Connect endpoint has its own
+function verifyEvent(rawBody: string, sig: string): Stripe.Event {
+  try {
+    return stripe.webhooks.constructEvent(rawBody, sig, STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    if (!STRIPE_CONNECT_WEBHOOK_SECRET) throw err;
+    return stripe.webhooks.constructEvent(rawBody, sig, STRIPE_CONNECT_WEBHOOK_SECRET);
+  }
+}
+
+async function recordOutcome(supabase: SupabaseClient, eventId: string, outcome: Outcome) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("stripe_events")
+    .update({
+      status: outcome.status,
+      checkout_session_id: outcome.checkoutSessionId ?? null,
+      booking_id: outcome.bookingId ?? null,
+      result: outcome.result ?? null,
+      last_error: outcome.error ?? null,
+      updated_at: now,
+      processed_at: outcome.status === "failed" ? null : now,
+    })
+    .eq("id", eventId);
+  if (error) console.error("[stripe-webhook] Could not record outcome:", eventId, error);
+}
+
+// Every step is safe to repeat: the booking is keyed by stripe_session_id, a seat hold converts
+// only once, and ledger entries are keyed by session ID.
+async function handleCheckoutCompleted(
+  supabase: SupabaseClient,
+  session: Stripe.Checkout.Session,
+): Promise<Outcome> {
+  if (session.metadata?.product === "gift_voucher") return await handleVoucherPurchased(supabase, session);
+
+  const userId = (session.metadata?.user_id as string) || (session.client_reference_id as string);
+  const listingId = session.metadata?.listing_id as string | undefined;
+  const availabilityId = session.metadata?.availability_id as string | undefined;
+  const holdId = session.metadata?.hold_id as string | undefined;
+  const lldRedeem = parseInt((session.metadata?.lld_to_redeem as string) || "0", 10);
+  const voucherId = (session.metadata?.gift_voucher_id as string) || null;
+  const voucherPence = parseInt((session.metadata?.gift_voucher_pence as string) || "0", 10) || 0;
+  const amountTotal = session.amount_total ?? 0; // pence
+  const award = amountTotal >= 1000 ? Math.floor(amountTotal * 0.01) : 0; // 1% if >= £10
+
+  let slot: BookingSlot | null = null;
+  if (availabilityId) {
+    const { data } = await supabase
+      .from("availability")
+      .select("id, listing_id, staff_id, label, date, start_time, end_time, starts_at, ends_at, price, booked_count")
+      .eq("id", availabilityId)
+      .maybeSingle();
+    slot = data;
+  }
+
+  let service: BookingService | null = null;
+  const serviceId = session.metadata?.service_id as string | undefined;
+  if (serviceId) {
+    const { data } = await supabase
+      .from("listing_services")
+      .select("id, name")
+      .eq("id", serviceId)
+      .maybeSingle();
+    service = data;
+  }
+  // Service plus add-on time, as reserved at checkout; the menu can change while the customer pays
+  const durationMinutes = parseInt((session.metadata?.duration_minutes as string) || "0", 10) || null;
+
+  const paymentIntentId = typeof session.payment_intent === "string"
+    ? session.payment_intent
+    : session.payment_intent?.id ?? null;
+
+  let booking: { id: string; created: boolean } | null = null;
+  if (userId && listingId) {
+    booking = await createBooking(supabase, {
+      customerId: userId,
+      listingId,
+      slot,
+      service,
+      durationMinutes,
+      priceCents: parseInt((session.metadata?.price_pence as string) || "0", 10) || null,
+      discountCents: parseInt((session.metadata?.discount_pence as string) || "0", 10) || 0,
+      promoCodeId: (session.metadata?.promo_code_id as string) || null,
+      amountPaidCents: amountTotal,
+      lldRedeemed: lldRedeem,
+      giftVoucherId: voucherId,
+      giftVoucherCents: voucherPence,
+      // Sessions from before payment modes were always paid in full
+      paymentMode: ((session.metadata?.payment_mode as string) || "full") as PaymentMode,
+      holdGroupId: holdId ?? null,
+      stripeSessionId: session.id,
+      stripePaymentIntentId: paymentIntentId,
+      stripeAccountId: (session.metadata?.stripe_account_id as string) || null,
+      applicationFeeCents: parseInt((session.metadata?.application_fee_pence as string) || "0", 10) || 0,
+      cardFingerprint: paymentIntentId && amountTotal > 0 ? await cardFingerprint(paymentIntentId) : null,
+    });
+  }
+
+  const addonIds = String(session.metadata?.addon_ids || "").split(",").filter(Boolean);
+  let addonsSaved = 0;
+  if (booking && addonIds.length) {
+    addonsSaved = await saveBookingAddons(supabase, booking.id, addonIds);
+  }
+
+  let promoRedeemed = false;
+  if (booking && session.metadata?.promo_code_id) {
+    const { data: redeemed, error: promoErr } = await supabase
+      .from("promo_redemptions")
+      .update({ status: "redeemed", booking_id: booking.id, updated_at: new Date().toISOString() })
+      .eq("checkout_session_id", session.id)
+      .neq("status", "redeemed")
+      .select("id");
+    if (promoErr) throw new Error(`Promo redemption failed: ${promoErr.message}`);
+    promoRedeemed = Boolean(redeemed?.length);
+  }
+
+  let seatBooked = false;
+  // Set when the hold no longer stands (availability_holds.sql); the payment is refunded below
+  let seatLost: string | null = null;
+  if (holdId) {
+    const { data: converted, error: holdErr } = await supabase.rpc("convert_availability_hold", {
+      p_hold_id: holdId,
+    });
+    if (holdErr) {
+      seatLost = SEAT_LOST_ERRORS.find((code) => holdErr.message?.includes(code)) ?? null;
+      if (!seatLost) throw new Error(`Hold conversion failed: ${holdErr.message}`);
+    }
+    seatBooked = Boolean(converted);
+  } else if (slot && booking?.created) {
+    // Sessions created before seat holds existed
+    seatBooked = true;
+    await supabase
+      .from("availability")
+      .update({ booked_count: (Number(slot.booked_count || 0) + 1) })
+      .eq("id", slot.id);
+  }
+
+  const ledger: Record<string, boolean> = {};
+  if (userId) {
+    if (lldRedeem > 0) {
+      ledger.redeem_checkout = await applyLedgerEntry(supabase, userId, -lldRedeem, "redeem_checkout", session.id);
+    }
+    if (award > 0 && !seatLost) {
+      ledger.award_purchase = await applyLedgerEntry(supabase, userId, award, "award_purchase", session.id);
+    }
+  }
+
+  let voucherTransferId: string | null = null;
+  if (voucherId && voucherPence > 0) {
+    try {
+      ledger.voucher_redeem_checkout = await voucherLedgerEntry(
+        supabase, voucherId, -voucherPence, "redeem_checkout", session.id, userId || null,
+      );
+    } catch (err) {
+      // The customer has already paid; a voucher that can no longer cover it is logged, not retried
+      const message = err instanceof Error ? err.message : String(err);
+      if (!message.includes("insufficient_voucher_balance") && !message.includes("voucher_inactive")) throw err;
+      console.error("[stripe-webhook] Gift voucher can't cover", voucherPence, "for", session.id);
+      ledger.voucher_redeem_checkout = false;
+    }
+    const destination = (session.metadata?.stripe_account_id as string) || null;
+    const share = parseInt((session.metadata?.voucher_transfer_pence as string) || "0", 10) || 0;
+    if (booking && destination && share > 0 && !seatLost) {
+      voucherTransferId = await transferVoucherShare(stripe, supabase, booking.id, destination, share);
+    }
+  }
+
+  const seatRefundId = seatLost
+    ? await refundLostSeat(supabase, session, booking?.id ?? null, paymentIntentId, seatLost)
+    : null;
+
+  return {
+    status: "processed",
+    checkoutSessionId: session.id,
+    bookingId: booking?.id ?? null,
+    result: {
+      user_id: userId || null,
+      booking_created: booking?.created ?? false,
+      seat_booked: seatBooked,
+      seat_lost: seatLost,
+      seat_refund_id: seatRefundId,
+      addons_saved: addonsSaved,
+      promo_redeemed: promoRedeemed,
+      gift_voucher_pence: voucherPence,
+      voucher_transfer_id: voucherTransferId,
+      lld_redeemed: lldRedeem,
+      lld_awarded: seatLost ? 0 : award,
+      ledger_applied: ledger,
+    },
+  };
+}
+
+// The customer paid for a seat their hold no longer covers: a newer checkout replaced it, or it
+// lapsed and the seat was taken. Refund them in full; charge.refunded then cancels the booking
+// and gives back its LLD and gift voucher balance. A booking already ended or refunded is left
+// alone, so a late retry of this event refunds nothing.
+async function refundLostSeat(
+  supabase: SupabaseClient,
+  session: Stripe.Checkout.Session,
+  bookingId: string | null,
+  paymentIntentId: string | null,
+  reason: string,
+): Promise<string | null> {
+  if (!paymentIntentId) return null;
+  if (bookingId) {
+    const { data } = await supabase
+      .from("bookings")
+      .select("status, refund_amount_cents")
+      .eq("id", bookingId)
+      .maybeSingle();
+    if (!data || !CANCELLABLE_STATUSES.includes(normalizeStatus(data.status)) || Number(data.refund_amount_cents || 0) > 0) {
+      return null;
+    }
+  }
+
+  console.error("[stripe-webhook] Seat no longer held, refunding:", session.id, reason);
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: paymentIntentId,
+      ...(session.metadata?.stripe_account_id ? { reverse_transfer: true, refund_application_fee: true } : {}),
+      metadata: { booking_id: bookingId ?? "", reason },
+    },
+    { idempotencyKey: `seat-lost-${session.id}` },
+  );
+  return refund.id;
+}
+
+// A paid gift voucher purchase: credit the voucher and start its validity period. Safe to repeat;
+// activate_gift_voucher only moves a pending voucher.
+async function handleVoucherPurchased(
+  supabase: SupabaseClient,
+  session: Stripe.Checkout.Session,
+): Promise<Outcome> {
+  const voucherId = session.metadata?.gift_voucher_id as string | undefined;
+  if (!voucherId) return { status: "ignored", checkoutSessionId: session.id };
+
+  const paymentIntentId = typeof session.payment_intent === "string"
+    ? session.payment_intent
+    : session.payment_intent?.id ?? null;
+  const { data: activated, error } = await supabase.rpc("activate_gift_voucher", {
+    p_voucher_id: voucherId,
+    p_session_id: session.id,
+    p_payment_intent_id: paymentIntentId,
+  });
+  if (error) throw new Error(`Gift voucher activation failed: ${error.message}`);
+
+  return {
+    status: "processed",
+    checkoutSessionId: session.id,
+    result: { gift_voucher_id: voucherId, activated: Boolean(activated), amount_total: session.amount_total },
+  };
+}
+
+// The paying card's fingerprint identifies the same card across accounts. Best effort: a
+// booking without one is still created, it just can't be matched.
+async function cardFingerprint(paymentIntentId: string): Promise<string | null> {
+  try {
+    const intent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ["latest_charge"] });
+    const charge = intent.latest_charge as Stripe.Charge | string | null;
+    return typeof charge === "object" && charge
+      ? charge.payment_method_details?.card?.fingerprint ?? null
+      : null;
+  } catch (err) {
+    console.error("[stripe-webhook] Could not read card fingerprint:", paymentIntentId, err);
+    return null;
+  }
+}
+
+// create-checkout-session holds a seat, redeems LLD and gift voucher balance and takes a promo
+// code use up front; give them back when the session is abandoned. Holds that simply time out
+// stop counting via their expires_at.
+async function handleCheckoutExpired(
+  supabase: SupabaseClient,
+  session: Stripe.Checkout.Session,
+): Promise<Outcome> {
+  if (session.metadata?.product === "gift_voucher") {
+    const { data: voided } = await supabase
+      .from("gift_vouchers")
+      .update({ status: "void", updated_at: new Date().toISOString() })
+      .eq("stripe_session_id", session.id)
+      .eq("status", "pending")
+      .select("id");
+    return { status: "processed", checkoutSessionId: session.id, result: { voucher_voided: Boolean(voided?.length) } };
+  }
+
+  const voucherRestored = await restoreVoucherRedemption(supabase, session.id);
+
+  const { data: released } = await supabase
+    .from("availability_holds")
+    .update({ status: "released", updated_at: new Date().toISOString() })
+    .eq("checkout_session_id", session.id)
+    .eq("status", "active")
+    .select("id");
+
+  const { data: promoReleased } = await supabase
+    .from("promo_redemptions")
+    .update({ status: "released", updated_at: new Date().toISOString() })
+    .eq("checkout_session_id", session.id)
+    .eq("status", "pending")
+    .select("id");
+
+  const userId = (session.metadata?.user_id as string) || (session.client_reference_id as string);
+  if (!userId) {
+    return {
+      status: "processed",
+      checkoutSessionId: session.id,
+      result: {
+        holds_released: released?.length ?? 0,
+        promo_released: Boolean(promoReleased?.length),
+        voucher_restored: voucherRestored,
+      },
+    };
+  }
+
+  const { data: redemption } = await supabase
+    .from("lld_transactions")
+    .select("amount")
+    .eq("user_id", userId)
+    .eq("source", "redeem_checkout")
+    .eq("reference", session.id)
+    .maybeSingle();
+
+  const redeemed = Math.abs(Number(redemption?.amount || 0));
+  const restored = redeemed > 0
+    ? await applyLedgerEntry(supabase, userId, redeemed, "redeem_reversal", session.id)
+    : false;
+
+  return {
+    status: "processed",
+    checkoutSessionId: session.id,
+    result: {
+      user_id: userId,
+      holds_released: released?.length ?? 0,
+      promo_released: Boolean(promoReleased?.length),
+      voucher_restored: voucherRestored,
+      lld_restored: restored ? redeemed : 0,
+    },
+  };
+}
+
+// Gives back gift voucher balance create-checkout-session took for an abandoned session.
+// Returns the pence restored.
+async function restoreVoucherRedemption(supabase: SupabaseClient, sessionId: string) {
+  const { data: redemption } = await supabase
+    .from("gift_voucher_transactions")
+    .select("voucher_id, amount, user_id")
+    .eq("source", "redeem_checkout")
+    .eq("reference", sessionId)
+    .maybeSingle();
+  const amount = Math.abs(Number(redemption?.amount || 0));
+  if (!redemption || amount <= 0) return 0;
+
+  const applied = await voucherLedgerEntry(
+    supabase, redemption.voucher_id, amount, "redeem_reversal", sessionId, redemption.user_id,
+  );
+  return applied ? amount : 0;
+}
+
+// Keeps the merchant's onboarding state in step with Stripe. Accounts the platform didn't create
+// through stripe-connect are ignored.
+async function handleAccountUpdated(supabase: SupabaseClient, account: Stripe.Account): Promise<Outcome> {
+  const { data: updated, error } = await supabase
+    .from("merchant_payout_accounts")
+    .update({
+      charges_enabled: account.charges_enabled,
+      payouts_enabled: account.payouts_enabled,
+      details_submitted: account.details_submitted,
+      requirements_due: account.requirements?.currently_due ?? [],
+      disabled_reason: account.requirements?.disabled_reason ?? null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("stripe_account_id", account.id)
+    .select("merchant_id");
+  if (error) throw new Error(`Payout account update failed: ${error.message}`);
+  if (!updated?.length) return { status: "ignored", result: { stripe_account_id: account.id } };
+
+  return {
+    status: "processed",
+    result: {
+      stripe_account_id: account.id,
+      merchant_id: updated[0].merchant_id,
+      charges_enabled: account.charges_enabled,
+      payouts_enabled: account.payouts_enabled,
+    },
+  };
+}
+
+// Destination charges create the transfer themselves; its source charge leads back to the
+// booking through the payment intent. Gift voucher transfers carry the booking in their
+// metadata. Created, updated and reversed all write the latest state.
+async function handleTransfer(supabase: SupabaseClient, transfer: Stripe.Transfer): Promise<Outcome> {
+  const accountId = typeof transfer.destination === "string" ? transfer.destination : transfer.destination?.id;
+  if (!accountId) return { status: "ignored", result: { transfer_id: transfer.id } };
+
+  const { data: account } = await supabase
+    .from("merchant_payout_accounts")
+    .select("merchant_id")
+    .eq("stripe_account_id", accountId)
+    .maybeSingle();
+
+  let bookingId: string | null = null;
+  const chargeId = typeof transfer.source_transaction === "string"
+    ? transfer.source_transaction
+    : transfer.source_transaction?.id;
+  if (chargeId) {
+    const charge = await stripe.charges.retrieve(chargeId);
+    const paymentIntentId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+    if (paymentIntentId) {
+      const { data: booking } = await supabase
+        .from("bookings")
+        .select("id")
+        .eq("stripe_payment_intent_id", paymentIntentId)
+        .maybeSingle();
+      bookingId = booking?.id ?? null;
+    }
+  }
+  if (!bookingId && transfer.metadata?.booking_id) bookingId = transfer.metadata.booking_id;
+
+  const status = transfer.reversed
+    ? "reversed"
+    : transfer.amount_reversed > 0
+    ? "partially_reversed"
+    : "paid";
+  const { error } = await supabase
+    .from("merchant_transfers")
+    .upsert({
+      id: transfer.id,
+      merchant_id: account?.merchant_id ?? null,
+      stripe_account_id: accountId,
+      booking_id: bookingId,
+      amount_cents: transfer.amount,
+      amount_reversed_cents: transfer.amount_reversed,
+      currency: transfer.currency,
+      status,
+      created_at: new Date(transfer.created * 1000).toISOString(),
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "id" });
+  if (error) throw new Error(`Transfer record failed: ${error.message}`);
+
+  return {
+    status: "processed",
+    bookingId,
+    result: { transfer_id: transfer.id, stripe_account_id: accountId, amount: transfer.amount, status },
+  };
+}
+
+const PAID_BOOKING_FIELDS =
+  "id, customer_id, merchant_id, status, starts_at, availability_id, amount_paid_cents, refund_amount_cents, lld_redeemed, stripe_session_id, gift_voucher_id, gift_voucher_cents, voucher_transfer_id, voucher_transfer_cents";
+
+type PaidBooking = {
+  id: string;
+  customer_id: string;
+  merchant_id: string;
+  status: string | null;
+  starts_at: string | null;
+  availability_id: string | null;
+  amount_paid_cents: number | null;
+  refund_amount_cents: number | null;
+  lld_redeemed: number | null;
+  stripe_session_id: string | null;
+  gift_voucher_id: string | null;
+  gift_voucher_cents: number | null;
+  voucher_transfer_id: string | null;
+  voucher_transfer_cents: number | null;
+};
+
+async function bookingForPaymentIntent(
+  supabase: SupabaseClient,
+  paymentIntent: string | Stripe.PaymentIntent | null,
+): Promise<PaidBooking | null> {
+  const id = typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id;
+  if (!id) return null;
+  const { data } = await supabase
+    .from("bookings")
+    .select(PAID_BOOKING_FIELDS)
+    .eq("stripe_payment_intent_id", id)
+    .maybeSingle();
+  return data as PaidBooking | null;
+}
+
+// amount_refunded is the charge's running total, so every delivery writes the same state
+async function handleChargeRefunded(supabase: SupabaseClient, charge: Stripe.Charge): Promise<Outcome> {
+  const booking = await bookingForPaymentIntent(supabase, charge.payment_intent);
+  if (!booking) return await handleVoucherPurchaseRefunded(supabase, charge);
+
+  const refunded = charge.amount_refunded;
+  const fullyRefunded = charge.refunded || refunded >= charge.amount;
+  const { error } = await supabase
+    .from("bookings")
+    .update({
+      refund_amount_cents: refunded,
+      refund_status: "succeeded",
+      payment_status: fullyRefunded ? "refunded" : "partially_refunded",
+    })
+    .eq("id", booking.id);
+  if (error) throw new Error(`Booking refund update failed: ${error.message}`);
+
+  const ended = fullyRefunded ? await endRefundedBooking(supabase, booking, "Refunded in full") : null;
+  const awardReversed = await reverseAward(supabase, booking, refunded / charge.amount, `refund:${refunded}`);
+
+  return {
+    status: "processed",
+    bookingId: booking.id,
+    result: { charge_id: charge.id, amount_refunded: refunded, fully_refunded: fullyRefunded, ...ended, award_reversed: awardReversed },
+  };
+}
+
+// A refunded gift voucher purchase takes the newly refunded amount off the balance, as far as
+// it hasn't been spent; a full refund voids the voucher. Each entry is keyed by the running
+// refund total, so a repeated event takes nothing twice.
+async function handleVoucherPurchaseRefunded(supabase: SupabaseClient, charge: Stripe.Charge): Promise<Outcome> {
+  const paymentIntentId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+  const { data: voucher } = paymentIntentId
+    ? await supabase
+      .from("gift_vouchers")
+      .select("id, balance_cents")
+      .eq("stripe_payment_intent_id", paymentIntentId)
+      .maybeSingle()
+    : { data: null };
+  if (!voucher) return { status: "ignored", result: { charge_id: charge.id } };
+
+  const { data: entries, error } = await supabase
+    .from("gift_voucher_transactions")
+    .select("amount")
+    .eq("voucher_id", voucher.id)
+    .eq("source", "purchase_refund");
+  if (error) throw new Error(`Voucher refund lookup failed: ${error.message}`);
+
+  const refunded = charge.amount_refunded;
+  const alreadyTaken = -(entries || []).reduce((sum, e) => sum + Number(e.amount), 0);
+  const amount = Math.min(Number(voucher.balance_cents || 0), refunded - alreadyTaken);
+  if (refunded - alreadyTaken > amount) {
+    console.error("[stripe-webhook] Voucher", voucher.id, "already spent", refunded - alreadyTaken - amount, "of the refund");
+  }
+  const taken = amount > 0
+    ? await voucherLedgerEntry(supabase, voucher.id, -amount, "purchase_refund", `refund:${refunded}`)
+    : false;
+
+  const fullyRefunded = charge.refunded || refunded >= charge.amount;
+  if (fullyRefunded) {
+    await supabase
+      .from("gift_vouchers")
+      .update({ status: "void", updated_at: new Date().toISOString() })
+      .eq("id", voucher.id);
+  }
+
+  return {
+    status: "processed",
+    result: {
+      charge_id: charge.id,
+      gift_voucher_id: voucher.id,
+      amount_refunded: refunded,
+      balance_taken: taken ? amount : 0,
+      voucher_voided: fullyRefunded,
+    },
+  };
+}
+
+async function handleDispute(supabase: SupabaseClient, dispute: Stripe.Dispute): Promise<Outcome> {
+  const booking = await bookingForPaymentIntent(supabase, dispute.payment_intent);
+  if (!booking) return { status: "ignored", result: { dispute_id: dispute.id } };
+
+  const lost = dispute.status === "lost";
+  const { error } = await supabase
+    .from("bookings")
+    .update({
+      stripe_dispute_id: dispute.id,
+      dispute_status: dispute.status,
+      dispute_reason: dispute.reason,
+      dispute_amount_cents: dispute.amount,
+      disputed_at: new Date(dispute.created * 1000).toISOString(),
+      ...(lost ? { payment_status: "charged_back" } : {}),
+    })
+    .eq("id", booking.id);
+  if (error) throw new Error(`Booking dispute update failed: ${error.message}`);
+
+  let ended = null;
+  let awardReversed = 0;
+  if (lost) {
+    ended = await endRefundedBooking(supabase, booking, "Payment disputed");
+    const paid = Math.max(1, Number(booking.amount_paid_cents || 0));
+    const returned = Number(booking.refund_amount_cents || 0) + dispute.amount;
+    awardReversed = await reverseAward(supabase, booking, returned / paid, `dispute:${dispute.id}`);
+  }
+
+  return {
+    status: "processed",
+    bookingId: booking.id,
+    result: { dispute_id: dispute.id, dispute_status: dispute.status, ...ended, award_reversed: awardReversed },
+  };
+}
+
+// The customer has their money back: an appointment still to come is cancelled, its seats freed
+// and redeemed LLD and gift voucher balance restored. The restores share cancel-booking's ledger
+// keys, so a booking it already ended isn't restored twice; past appointments keep their status.
+async function endRefundedBooking(supabase: SupabaseClient, booking: PaidBooking, reason: string) {
+  const upcoming = !booking.starts_at || Date.parse(booking.starts_at) > Date.now();
+  if (!upcoming || !CANCELLABLE_STATUSES.includes(normalizeStatus(booking.status))) {
+    return { booking_cancelled: false };
+  }
+
+  const moved = await applyTransition(supabase, booking, "cancelled", null, "system", reason);
+  if (!moved) return { booking_cancelled: false };
+
+  await supabase
+    .from("bookings")
+    .update({
+      cancelled_at: new Date().toISOString(),
+      cancellation_reason: reason,
+      amount_outstanding_cents: 0,
+    })
+    .eq("id", booking.id);
+
+  let seatsReleased = 0;
+  if (booking.availability_id) {
+    const { data, error } = await supabase.rpc("release_booking_seats", { p_booking_id: booking.id });
+    if (error) throw new Error(`Seat release failed: ${error.message}`);
+    seatsReleased = Number(data || 0);
+  }
+
+  const redeemed = Math.max(0, Number(booking.lld_redeemed || 0));
+  const lldRestored = redeemed > 0
+    ? await applyLedgerEntry(supabase, booking.customer_id, redeemed, "refund_cancellation", booking.id)
+    : false;
+
+  const voucherPence = Math.max(0, Number(booking.gift_voucher_cents || 0));
+  const voucherRestored = booking.gift_voucher_id && voucherPence > 0
+    ? await voucherLedgerEntry(supabase, booking.gift_voucher_id, voucherPence, "refund_cancellation", booking.id)
+    : false;
+  const voucherTransferReversed = await reverseVoucherTransfer(stripe, booking, 1);
+
+  return {
+    booking_cancelled: true,
+    seats_released: seatsReleased,
+    lld_restored: lldRestored ? redeemed : 0,
+    voucher_restored: voucherRestored ? voucherPence : 0,
+    voucher_transfer_reversed: voucherTransferReversed,
+  };
+}
+
+// Takes back `fraction` of the purchase award, less what earlier reversals took. Each reversal
+// is keyed by what triggered it, so a retried event reverses nothing twice. LLD the customer has
+// already spent can't be taken; the shortfall is logged.
+async function reverseAward(supabase: SupabaseClient, booking: PaidBooking, fraction: number, trigger: string) {
+  if (!booking.stripe_session_id) return 0;
+
+  const { data: entries, error } = await supabase
+    .from("lld_transactions")
+    .select("amount, source, reference")
+    .eq("user_id", booking.customer_id)
+    .in("source", ["award_purchase", "award_reversal"])
+    .like("reference", `${booking.stripe_session_id}%`);
+  if (error) throw new Error(`Award lookup failed: ${error.message}`);
+
+  const awarded = (entries || [])
+    .filter((e) => e.source === "award_purchase" && e.reference === booking.stripe_session_id)
+    .reduce((sum, e) => sum + Number(e.amount), 0);
+  const reversed = -(entries || [])
+    .filter((e) => e.source === "award_reversal")
+    .reduce((sum, e) => sum + Number(e.amount), 0);
+  const due = Math.floor(awarded * Math.min(1, Math.max(0, fraction))) - reversed;
+  if (due <= 0) return 0;
+
+  const { data: wallet } = await supabase
+    .from("wallets")
+    .select("lld_balance")
+    .eq("user_id", booking.customer_id)
+    .maybeSingle();
+  const amount = Math.min(due, Math.max(0, Math.floor(Number(wallet?.lld_balance || 0))));
+  if (amount < due) {
+    console.error("[stripe-webhook] Award reversal short by", due - amount, "LLD for booking", booking.id);
+  }
+  if (amount <= 0) return 0;
+
+  const reference = `${booking.stripe_session_id}:${trigger}`;
+  const applied = await applyLedgerEntry(supabase, booking.customer_id, -amount, "award_reversal", reference);
+  return applied ? amount : 0;
+}
+
+// Moves LLD through the wallet RPCs, which write the ledger entry and balance in one
+// transaction. Returns false when the entry already exists for this reference (a retried
+// event, or a redemption already taken by create-checkout-session).
+async function applyLedgerEntry(
+  supabase: SupabaseClient,
+  userId: string,
+  amount: number,
+  source: string,
+  reference: string,
+) {
+  const { data, error } = await supabase.rpc(amount < 0 ? "wallet_redeem" : "wallet_award", {
+    p_user_id: userId,
+    p_amount: Math.abs(amount),
+    p_source: source,
+    p_reference: reference,
+  });
+  if (error) {
+    // The customer has already paid; a redemption the wallet can no longer cover is logged, not retried
+    if (error.message?.includes("insufficient_lld")) {
+      console.error("[stripe-webhook] Insufficient LLD for", source, reference);
+      return false;
+    }
+    throw new Error(`Wallet ${source} failed: ${error.message}`);
+  }
+  return Boolean(data?.[0]?.applied);
+}
+
 function cors() {
   return {
     "Access-Control-Allow-Origin": "*",
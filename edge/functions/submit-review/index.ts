@@ -0,0 +1,154 @@
+// Supabase Edge Function (Deno) — Submits or edits the review for a completed booking.
+// - Expects Authorization: Bearer <Supabase JWT> from the frontend
+// - Body: { booking_id: string, rating: 1-5, text?: string }
+// - Only the booking's customer may review, and only once the booking is 'completed'
+// - The completion must be on record in booking_status_events (booking_state_machine.sql), after
+//   the merchant confirmed the booking; a status set any other way doesn't count as verified
+// - One review per booking: a second submission edits it, until REVIEW_EDIT_WINDOW_HOURS
+//   after the first one (default 48); later edits are rejected
+// - listings.rating / review_count are maintained by a trigger (reviews_schema.sql)
+// - Returns: { success: true, data: { review_id, created } }
+//
+// Notes:
+// - Requires secrets: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY
+// - Optional: REVIEW_EDIT_WINDOW_HOURS
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+};
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL");
+const ANON_KEY = Deno.env.get("SUPABASE_ANON_KEY");
+const SERVICE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+const EDIT_WINDOW_HOURS = Number(Deno.env.get("REVIEW_EDIT_WINDOW_HOURS") ?? 48);
+
+if (!SUPABASE_URL || !ANON_KEY || !SERVICE_KEY) {
+  throw new Error("Missing SUPABASE_URL, SUPABASE_ANON_KEY or SUPABASE_SERVICE_ROLE_KEY environment variable");
+}
+
+const MAX_REVIEW_LENGTH = 2000;
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+  if (req.method !== "POST") {
+    return json({ success: false, error: "Method Not Allowed" }, 405);
+  }
+
+  try {
+    const auth = req.headers.get("authorization") || "";
+    const jwt = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+    if (!jwt) {
+      return json({ success: false, error: "Unauthorized (no token)" }, 401);
+    }
+
+    const { booking_id, rating, text } = await req.json().catch(() => ({}));
+    const stars = Number(rating);
+    if (!booking_id || !Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return json({ success: false, error: "booking_id and a rating from 1 to 5 are required" }, 400);
+    }
+    const body = typeof text === "string" ? text.trim().slice(0, MAX_REVIEW_LENGTH) : "";
+
+    const supabase = createClient(SUPABASE_URL, ANON_KEY, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false },
+    });
+    const { data: userRes, error: userErr } = await supabase.auth.getUser(jwt);
+    if (userErr || !userRes?.user) {
+      return json({ success: false, error: "Unauthorized" }, 401);
+    }
+    const user = userRes.user;
+
+    const admin = createClient(SUPABASE_URL, SERVICE_KEY, { auth: { persistSession: false } });
+
+    const { data: booking } = await admin
+      .from("bookings")
+      .select("id, customer_id, merchant_id, listing_id, status")
+      .eq("id", booking_id)
+      .maybeSingle();
+
+    if (!booking || booking.customer_id !== user.id) {
+      return json({ success: false, error: "Booking not found" }, 404);
+    }
+    if (booking.status !== "completed") {
+      return json({ success: false, error: "You can review a booking once it is completed" }, 409);
+    }
+
+    const { data: events, error: eventsErr } = await admin
+      .from("booking_status_events")
+      .select("to_status, actor_role")
+      .eq("booking_id", booking.id)
+      .in("to_status", ["confirmed", "completed"]);
+    if (eventsErr) {
+      console.error("[submit-review] Status history lookup failed:", eventsErr);
+      return json({ success: false, error: "Could not save review" }, 500);
+    }
+    const confirmedByMerchant = (events || []).some((e) => e.to_status === "confirmed" && e.actor_role === "merchant");
+    const completed = (events || []).some((e) => e.to_status === "completed");
+    if (!confirmedByMerchant || !completed) {
+      return json({ success: false, error: "This booking can't be reviewed" }, 409);
+    }
+
+    const { data: existing } = await admin
+      .from("reviews")
+      .select("id, created_at")
+      .eq("booking_id", booking.id)
+      .maybeSingle();
+
+    if (existing) {
+      const hoursSince = (Date.now() - new Date(existing.created_at).getTime()) / 3600000;
+      if (hoursSince > EDIT_WINDOW_HOURS) {
+        return json({ success: false, error: "This review can no longer be edited" }, 409);
+      }
+
+      const { error } = await admin
+        .from("reviews")
+        .update({ rating: stars, body, updated_at: new Date().toISOString() })
+        .eq("id", existing.id);
+      if (error) {
+        console.error("[submit-review] Update failed:", error);
+        return json({ success: false, error: "Could not save review" }, 500);
+      }
+      return json({ success: true, data: { review_id: existing.id, created: false } }, 200);
+    }
+
+    const { data: inserted, error } = await admin
+      .from("reviews")
+      .insert({
+        booking_id: booking.id,
+        listing_id: booking.listing_id,
+        merchant_id: booking.merchant_id,
+        customer_id: user.id,
+        rating: stars,
+        body,
+      })
+      .select("id")
+      .single();
+
+    if (error) {
+      // A concurrent submission for the same booking won the insert
+      if (error.code === "23505") {
+        return json({ success: false, error: "This booking has already been reviewed" }, 409);
+      }
+      console.error("[submit-review] Insert failed:", error);
+      return json({ success: false, error: "Could not save review" }, 500);
+    }
+
+    return json({ success: true, data: { review_id: inserted.id, created: true } }, 200);
+  } catch (e) {
+    console.error("[submit-review] Error:", e);
+    return json({ success: false, error: "Internal server error" }, 500);
+  }
+});
+
+function json(obj: unknown, status = 200) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
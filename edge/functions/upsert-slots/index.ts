@@ -1,9 +1,26 @@
 // Supabase Edge Function — upsert-slots
-// Validates merchant ownership and inserts time slots into the time_slots table
+// Validates merchant ownership and inserts slots into the availability table, the single slot
+// model read by the customer slot picker, create-checkout-session and the Stripe webhook
+// (see slots_unify.sql and html/assets/js/slots.js)
+// Body: { listing_id, staff_id?,
+//         slots: [{ date, start_time, end_time, price?, capacity?, label? }] }
+//   staff_id assigns every slot to one of the merchant's staff members, who must be qualified
+//   for the listing (staff_members.sql); without it the slots are the merchant's own
+//   Legacy { starts_at, ends_at } slots are still accepted and split into date + times
+// Slots that already exist for the same listing, staff member, date and start time are skipped
+// Conflicts: slots overlapping another slot or active booking of the same performer (the staff
+// member, or the merchant for unassigned slots) on any of the merchant's listings
+// (find_slot_conflicts RPC, slot_conflicts.sql), or an earlier slot in the same request.
+// on_conflict decides what happens to them:
+//   "reject" (default) → nothing is inserted; 409 with data.conflicts
+//   "skip"             → the other slots are inserted; conflicts are listed in data.conflicts
+//   data.conflicts: [{ index, date, start_time, end_time, conflicts_with: [{ kind, id,
+//     listing_id, listing_name, starts_at, ends_at, booked_count }] }]
+//   kind is "slot", "booking" or "batch"; batch entries carry wall-clock times without an offset
 // Uses anon key + user JWT for ownership validation (RLS-safe)
 // Returns consistent JSON envelope: { success, data?, error? }
 import 'jsr:@supabase/functions-js/edge-runtime.d.ts'
-import { createClient } from 'jsr:@supabase/supabase-js@2'
+import { createClient, type SupabaseClient } from 'jsr:@supabase/supabase-js@2'
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -11,13 +28,47 @@ const corsHeaders = {
   "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
 };
 
-interface TimeSlot {
+interface AvailabilitySlot {
+  listing_id: string
+  staff_id: string | null
+  date: string
+  start_time: string
+  end_time: string
+  price: number | null
+  capacity: number
+  label: string | null
+}
+
+const MAX_SLOTS_PER_REQUEST = 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2})?$/;
+const CONFLICT_MODES = ['reject', 'skip'];
+
+interface SlotConflict {
+  index: number
+  date: string
+  start_time: string
+  end_time: string
+  conflicts_with: Array<{
+    kind: string
+    id: string | null
+    listing_id: string
+    listing_name: string | null
+    starts_at: string
+    ends_at: string
+    booked_count: number
+  }>
+}
+
+// A row returned by the find_slot_conflicts RPC (slot_conflicts.sql)
+interface ConflictRow {
+  slot_index: number
+  kind: string
+  conflict_id: string | null
   listing_id: string
   starts_at: string
   ends_at: string
-  price?: number
-  capacity?: number
-  status?: string
+  booked_count: number
 }
 
 Deno.serve(async (req) => {
@@ -43,7 +94,7 @@ Deno.serve(async (req) => {
     const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY');
     const supabaseServiceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
     
-    if (!supabaseUrl || !supabaseAnonKey) {
+    if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceRoleKey) {
       return json({ success: false, error: 'Server configuration error' }, 500);
     }
 
@@ -66,6 +117,8 @@ Deno.serve(async (req) => {
     // Parse request body
     const body = await req.json();
     const { listing_id, slots } = body;
+    const onConflict = body.on_conflict ?? 'reject';
+    const staffId: string | null = body.staff_id || null;
 
     if (!listing_id || !slots || !Array.isArray(slots)) {
       return json({ 
@@ -73,11 +126,14 @@ Deno.serve(async (req) => {
         error: 'Invalid request body. Expected: { listing_id, slots: [...] }' 
       }, 400);
     }
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return json({ success: false, error: 'on_conflict must be "reject" or "skip"' }, 400);
+    }
 
     // Validate merchant owns the listing (RLS-enforced with anon key)
     const { data: listing, error: listingError } = await supabase
       .from('listings')
-      .select('id, owner')
+      .select('id, owner, price_from')
       .eq('id', listing_id)
       .single();
 
@@ -95,51 +151,127 @@ Deno.serve(async (req) => {
       }, 403);
     }
 
+    if (staffId) {
+      const { data: qualified } = await supabase
+        .from('listing_staff')
+        .select('staff_id, staff_members!inner(merchant_id, active)')
+        .eq('listing_id', listing_id)
+        .eq('staff_id', staffId)
+        .eq('staff_members.merchant_id', user.id)
+        .eq('staff_members.active', true)
+        .maybeSingle();
+
+      if (!qualified) {
+        return json({ success: false, error: 'Staff member is not active or not assigned to this listing' }, 400);
+      }
+    }
+
+    if (!slots.length) {
+      return json({ success: true, data: { inserted: 0, skipped: 0, conflicts: [] } }, 200);
+    }
+    if (slots.length > MAX_SLOTS_PER_REQUEST) {
+      return json({
+        success: false,
+        error: `Too many slots in one request (max ${MAX_SLOTS_PER_REQUEST})`
+      }, 400);
+    }
+
     // Prepare and sanitize slots for insertion
-    const slotsToInsert: TimeSlot[] = slots.map((slot: any) => ({
-      listing_id,
-      starts_at: slot.starts_at,
-      ends_at: slot.ends_at,
-      price: slot.price ?? null,
-      capacity: slot.capacity ?? 1,
-      status: slot.status ?? 'open'
-    }));
+    const prepared: AvailabilitySlot[] = [];
+    for (const [index, slot] of slots.entries()) {
+      const row = toAvailabilitySlot(listing_id, staffId, slot, listing.price_from);
+      if (typeof row === 'string') {
+        return json({ success: false, error: `Slot ${index + 1}: ${row}` }, 400);
+      }
+      prepared.push(row);
+    }
+
+    // Skip slots that already exist (and duplicates within the request)
+    const dates = prepared.map((s) => s.date).sort();
+    let existingQuery = supabase
+      .from('availability')
+      .select('date, start_time')
+      .eq('listing_id', listing_id)
+      .gte('date', dates[0])
+      .lte('date', dates[dates.length - 1]);
+    existingQuery = staffId ? existingQuery.eq('staff_id', staffId) : existingQuery.is('staff_id', null);
+    const { data: existing, error: existingError } = await existingQuery;
+
+    if (existingError) {
+      console.error('[upsert-slots] Failed to load existing slots:', existingError);
+      return json({ success: false, error: 'Failed to insert slots' }, 500);
+    }
+
+    const seen = new Set((existing ?? []).map((s) => slotKey(s.date, s.start_time)));
+    const candidates: Array<{ index: number, slot: AvailabilitySlot }> = [];
+    for (const [index, slot] of prepared.entries()) {
+      const key = slotKey(slot.date, slot.start_time);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push({ index, slot });
+    }
+
+    const supabaseService = createClient(supabaseUrl, supabaseServiceRoleKey, {
+      auth: { persistSession: false }
+    });
+
+    const conflicts = await findConflicts(supabaseService, listing_id, staffId, candidates);
+    if (conflicts === null) {
+      return json({ success: false, error: 'Failed to check for conflicting slots' }, 500);
+    }
+
+    if (conflicts.length && onConflict === 'reject') {
+      return json({
+        success: false,
+        error: `${conflicts.length} slot(s) overlap your other slots or bookings`,
+        data: { conflicts }
+      }, 409);
+    }
+
+    const conflicting = new Set(conflicts.map((c) => c.index));
+    const slotsToInsert = candidates.filter((c) => !conflicting.has(c.index)).map((c) => c.slot);
+
+    if (!slotsToInsert.length) {
+      return json({
+        success: true,
+        data: { inserted: 0, skipped: prepared.length, conflicts }
+      }, 200);
+    }
 
     // Try inserting with anon key first (RLS-enforced)
     let insertedSlots;
     let insertError;
     
     ({ data: insertedSlots, error: insertError } = await supabase
-      .from('time_slots')
+      .from('availability')
       .insert(slotsToInsert)
-      .select());
+      .select('id'));
 
-    // If RLS blocks the insert, fallback to service role key if available
-    if (insertError && supabaseServiceRoleKey) {
+    // If RLS blocks the insert, fall back to the service role client
+    if (insertError) {
       console.log('[upsert-slots] RLS blocked insert, using service role');
-      const supabaseService = createClient(supabaseUrl, supabaseServiceRoleKey, {
-        auth: { persistSession: false }
-      });
-      
       ({ data: insertedSlots, error: insertError } = await supabaseService
-        .from('time_slots')
+        .from('availability')
         .insert(slotsToInsert)
-        .select());
+        .select('id'));
     }
 
     if (insertError) {
-      // If error is due to duplicate, we still consider it a partial success
+      // A concurrent request inserted one of these slots first; nothing from this batch landed
       if (insertError.code === '23505') {
         return json({ 
           success: true,
           data: {
             message: 'Some slots were skipped due to duplicates',
             inserted: 0,
-            skipped: slotsToInsert.length
+            skipped: prepared.length,
+            conflicts
           }
         }, 200);
       }
 
+      console.error('[upsert-slots] Insert failed:', insertError);
+
       // Sanitize error message to avoid leaking internal details
       return json({ 
         success: false,
@@ -151,7 +283,8 @@ Deno.serve(async (req) => {
       success: true,
       data: {
         inserted: insertedSlots?.length ?? 0,
-        skipped: slotsToInsert.length - (insertedSlots?.length ?? 0)
+        skipped: prepared.length - (insertedSlots?.length ?? 0),
+        conflicts
       }
     }, 200);
 
@@ -164,6 +297,116 @@ Deno.serve(async (req) => {
   }
 });
 
+// Normalizes one request slot into an availability row, or returns a validation error
+function toAvailabilitySlot(listingId: string, staffId: string | null, slot: any, priceFrom: number | null): AvailabilitySlot | string {
+  let date = slot?.date;
+  let startTime = slot?.start_time;
+  let endTime = slot?.end_time;
+
+  // Legacy time_slots shape: local wall-clock ISO strings without an offset
+  if (!date && typeof slot?.starts_at === 'string' && typeof slot?.ends_at === 'string') {
+    [date, startTime] = slot.starts_at.split('T');
+    const [endDate, endClock] = slot.ends_at.split('T');
+    if (endDate !== date) return 'slots must start and end on the same day';
+    endTime = endClock;
+  }
+
+  if (!DATE_RE.test(date ?? '')) return 'date must be YYYY-MM-DD';
+  if (!TIME_RE.test(startTime ?? '') || !TIME_RE.test(endTime ?? '')) return 'start_time and end_time must be HH:mm';
+  startTime = startTime.slice(0, 5);
+  endTime = endTime.slice(0, 5);
+  if (startTime >= endTime) return 'start_time must be before end_time';
+
+  const price = slot.price === null || slot.price === undefined || slot.price === '' ? priceFrom : Number(slot.price);
+  if (price !== null && (!Number.isFinite(price) || price < 0)) return 'price must be a non-negative number';
+
+  const capacity = slot.capacity === undefined || slot.capacity === null ? 1 : Number(slot.capacity);
+  if (!Number.isInteger(capacity) || capacity < 1) return 'capacity must be a positive integer';
+
+  const label = typeof slot.label === 'string' && slot.label.trim() ? slot.label.trim().slice(0, 100) : null;
+
+  return { listing_id: listingId, staff_id: staffId, date, start_time: startTime, end_time: endTime, price, capacity, label };
+}
+
+// Reports, per candidate slot, the merchant's existing slots and bookings it overlaps, plus any
+// earlier candidate in the same request it overlaps. Returns null when the lookup fails.
+async function findConflicts(
+  admin: SupabaseClient,
+  listingId: string,
+  staffId: string | null,
+  candidates: Array<{ index: number, slot: AvailabilitySlot }>
+): Promise<SlotConflict[] | null> {
+  if (!candidates.length) return [];
+
+  const { data, error } = await admin.rpc('find_slot_conflicts', {
+    p_listing_id: listingId,
+    p_staff_id: staffId,
+    p_slots: candidates.map((c) => ({ date: c.slot.date, start_time: c.slot.start_time, end_time: c.slot.end_time }))
+  });
+  if (error) {
+    console.error('[upsert-slots] Conflict check failed:', error);
+    return null;
+  }
+  const rows = (data ?? []) as ConflictRow[];
+
+  const listingIds = [...new Set(rows.map((r) => r.listing_id))];
+  const names = new Map<string, string>();
+  if (listingIds.length) {
+    const { data: listings } = await admin.from('listings').select('id, name').in('id', listingIds);
+    for (const l of listings ?? []) names.set(l.id, l.name);
+  }
+
+  const byIndex = new Map<number, SlotConflict>();
+  const entryFor = (position: number) => {
+    const { index, slot } = candidates[position];
+    if (!byIndex.has(index)) {
+      byIndex.set(index, { index, date: slot.date, start_time: slot.start_time, end_time: slot.end_time, conflicts_with: [] });
+    }
+    return byIndex.get(index)!;
+  };
+
+  for (const row of rows) {
+    entryFor(row.slot_index).conflicts_with.push({
+      kind: row.kind,
+      id: row.conflict_id,
+      listing_id: row.listing_id,
+      listing_name: names.get(row.listing_id) ?? null,
+      starts_at: row.starts_at,
+      ends_at: row.ends_at,
+      booked_count: row.booked_count
+    });
+  }
+
+  // Overlaps within the request, against earlier slots that are themselves conflict-free. All
+  // candidates share the listing's timezone, so wall-clock times compare directly.
+  const accepted: AvailabilitySlot[] = [];
+  for (const [position, { index, slot: a }] of candidates.entries()) {
+    if (byIndex.has(index)) continue;
+    const clash = accepted.filter((b) => a.date === b.date && b.start_time < a.end_time && b.end_time > a.start_time);
+    if (!clash.length) {
+      accepted.push(a);
+      continue;
+    }
+    for (const b of clash) {
+      entryFor(position).conflicts_with.push({
+        kind: 'batch',
+        id: null,
+        listing_id: listingId,
+        listing_name: names.get(listingId) ?? null,
+        starts_at: `${b.date}T${b.start_time}`,
+        ends_at: `${b.date}T${b.end_time}`,
+        booked_count: 0
+      });
+    }
+  }
+
+  return [...byIndex.values()].sort((x, y) => x.index - y.index);
+}
+
+function slotKey(date: string, startTime: string) {
+  return `${date}|${String(startTime).slice(0, 5)}`;
+}
+
 function json(obj: unknown, status = 200) {
   return new Response(JSON.stringify(obj), {
     status,
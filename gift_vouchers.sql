@@ -0,0 +1,283 @@
+-- Gift Vouchers
+-- Customers buy gift vouchers on gift-vouchers.html through Stripe Checkout
+-- (create-checkout-session with product = 'gift_voucher'). The voucher row is created 'pending'
+-- with its code when checkout starts; stripe-webhook activates it when the payment completes
+-- (activate_gift_voucher). The buyer can print the voucher or email its code to the recipient.
+--
+-- Anyone holding the code can spend it on bookings at checkout, in part or in full. The balance
+-- only moves through voucher_adjust, which records every movement in gift_voucher_transactions,
+-- like wallet_adjust does for LLD (wallet_ledger.sql). Sources:
+--   purchase             the amount paid, when the voucher is activated (reference: session ID)
+--   redeem_checkout      spent on a booking (reference: Checkout Session ID, or the seat hold
+--                        group when the voucher covers the whole online amount and no session
+--                        is needed)
+--   redeem_reversal      given back when that checkout session expires unpaid
+--   refund_cancellation  given back when the booking is cancelled with a refund (reference:
+--                        booking ID), in the same proportion as the card refund
+--   purchase_refund      taken off when the voucher purchase itself is refunded
+--
+-- Voucher money is held by the platform. When a voucher pays for a booking with a merchant whose
+-- Stripe account takes destination charges (stripe_connect.sql), the platform transfers the
+-- voucher's share to the merchant, less the platform fee (bookings.voucher_transfer_id).
+--
+-- Requires payment_modes.sql and stripe_connect.sql.
+
+-- ===================================================================
+-- STEP 1: Vouchers
+-- ===================================================================
+
+-- Four groups of four characters without look-alikes (no 0/O, 1/I/L)
+CREATE OR REPLACE FUNCTION public.new_gift_voucher_code()
+RETURNS TEXT
+LANGUAGE plpgsql
+VOLATILE
+AS $$
+DECLARE
+  v_alphabet CONSTANT TEXT := 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  v_code TEXT := '';
+BEGIN
+  FOR i IN 1..16 LOOP
+    IF i > 1 AND i % 4 = 1 THEN
+      v_code := v_code || '-';
+    END IF;
+    v_code := v_code || substr(v_alphabet, 1 + floor(random() * length(v_alphabet))::INTEGER, 1);
+  END LOOP;
+  RETURN v_code;
+END;
+$$;
+
+CREATE TABLE IF NOT EXISTS public.gift_vouchers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT NOT NULL UNIQUE DEFAULT public.new_gift_voucher_code(),
+  purchaser_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  recipient_name TEXT,
+  recipient_email TEXT,
+  message TEXT,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  balance_cents INTEGER NOT NULL DEFAULT 0 CHECK (balance_cents >= 0),
+  currency TEXT NOT NULL DEFAULT 'gbp',
+  -- pending until the purchase is paid; void when it never was, or was refunded in full
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'active', 'void')),
+  stripe_session_id TEXT UNIQUE,
+  stripe_payment_intent_id TEXT,
+  -- Set on activation; the balance can't be spent after it
+  expires_at TIMESTAMP WITH TIME ZONE,
+  activated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- check_gift_voucher looks codes up without their dashes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gift_vouchers_code_compact
+  ON public.gift_vouchers(replace(code, '-', ''));
+
+CREATE INDEX IF NOT EXISTS idx_gift_vouchers_purchaser
+  ON public.gift_vouchers(purchaser_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_gift_vouchers_payment_intent
+  ON public.gift_vouchers(stripe_payment_intent_id)
+  WHERE stripe_payment_intent_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.gift_voucher_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  voucher_id UUID NOT NULL REFERENCES public.gift_vouchers(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL,                   -- pence; positive adds to the balance
+  source TEXT NOT NULL,
+  reference TEXT,
+  -- Customer who spent it, for redemptions
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gift_voucher_transactions_once
+  ON public.gift_voucher_transactions(voucher_id, source, reference)
+  WHERE reference IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_gift_voucher_transactions_voucher
+  ON public.gift_voucher_transactions(voucher_id, created_at DESC);
+
+ALTER TABLE public.gift_vouchers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.gift_voucher_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Buyers see the vouchers they bought and how they've been spent; everyone else can only check
+-- a code they hold (check_gift_voucher). Writes go through the functions below.
+DROP POLICY IF EXISTS "gift_vouchers_purchaser_select" ON public.gift_vouchers;
+CREATE POLICY "gift_vouchers_purchaser_select" ON public.gift_vouchers
+  FOR SELECT
+  TO authenticated
+  USING (purchaser_id = auth.uid());
+
+DROP POLICY IF EXISTS "gift_voucher_transactions_purchaser_select" ON public.gift_voucher_transactions;
+CREATE POLICY "gift_voucher_transactions_purchaser_select" ON public.gift_voucher_transactions
+  FOR SELECT
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM public.gift_vouchers v WHERE v.id = voucher_id AND v.purchaser_id = auth.uid()
+  ));
+
+-- ===================================================================
+-- STEP 2: Voucher use on bookings
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS gift_voucher_id UUID REFERENCES public.gift_vouchers(id) ON DELETE SET NULL,
+  -- Paid from the voucher, on top of amount_paid_cents
+  ADD COLUMN IF NOT EXISTS gift_voucher_cents INTEGER NOT NULL DEFAULT 0 CHECK (gift_voucher_cents >= 0),
+  -- Platform transfer of the voucher's share to the merchant's connected account
+  ADD COLUMN IF NOT EXISTS voucher_transfer_id TEXT,
+  ADD COLUMN IF NOT EXISTS voucher_transfer_cents INTEGER NOT NULL DEFAULT 0;
+
+-- ===================================================================
+-- STEP 3: voucher_adjust — the single write path
+-- ===================================================================
+-- Applies p_delta to the voucher's balance and records it in the ledger, as wallet_adjust does.
+-- * Locks the voucher row so concurrent calls serialize
+-- * Idempotent by (voucher_id, source, reference): a repeated call returns applied = FALSE
+-- * Spending raises 'voucher_inactive' unless the voucher is active and unexpired, and
+--   'insufficient_voucher_balance' instead of letting the balance go negative
+
+CREATE OR REPLACE FUNCTION public.voucher_adjust(
+  p_voucher_id UUID,
+  p_delta INTEGER,
+  p_source TEXT,
+  p_reference TEXT DEFAULT NULL,
+  p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (balance INTEGER, applied BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_voucher gift_vouchers%ROWTYPE;
+BEGIN
+  IF p_delta IS NULL OR p_delta = 0 THEN
+    RAISE EXCEPTION 'invalid_amount' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_voucher FROM gift_vouchers WHERE id = p_voucher_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'voucher_not_found';
+  END IF;
+
+  IF p_reference IS NOT NULL AND EXISTS (
+    SELECT 1 FROM gift_voucher_transactions t
+    WHERE t.voucher_id = p_voucher_id AND t.source = p_source AND t.reference = p_reference
+  ) THEN
+    RETURN QUERY SELECT v_voucher.balance_cents, FALSE;
+    RETURN;
+  END IF;
+
+  IF p_delta < 0 AND p_source = 'redeem_checkout' AND (
+    v_voucher.status <> 'active' OR (v_voucher.expires_at IS NOT NULL AND v_voucher.expires_at <= now())
+  ) THEN
+    RAISE EXCEPTION 'voucher_inactive';
+  END IF;
+
+  IF v_voucher.balance_cents + p_delta < 0 THEN
+    RAISE EXCEPTION 'insufficient_voucher_balance' USING ERRCODE = 'P0001',
+      DETAIL = format('balance %s, requested %s', v_voucher.balance_cents, -p_delta);
+  END IF;
+
+  INSERT INTO gift_voucher_transactions (voucher_id, amount, source, reference, user_id)
+  VALUES (p_voucher_id, p_delta, p_source, p_reference, p_user_id);
+
+  UPDATE gift_vouchers
+  SET balance_cents = v_voucher.balance_cents + p_delta, updated_at = now()
+  WHERE id = p_voucher_id;
+
+  RETURN QUERY SELECT v_voucher.balance_cents + p_delta, TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.voucher_adjust(UUID, INTEGER, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.voucher_adjust(UUID, INTEGER, TEXT, TEXT, UUID) TO service_role;
+
+-- ===================================================================
+-- STEP 4: Activate a paid voucher (service role / stripe-webhook)
+-- ===================================================================
+-- Credits the amount paid and starts the validity period. Safe to repeat for the same session.
+
+CREATE OR REPLACE FUNCTION public.activate_gift_voucher(
+  p_voucher_id UUID,
+  p_session_id TEXT,
+  p_payment_intent_id TEXT DEFAULT NULL,
+  p_valid_months INTEGER DEFAULT 24
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_amount INTEGER;
+BEGIN
+  UPDATE gift_vouchers
+  SET status = 'active',
+      activated_at = now(),
+      expires_at = now() + make_interval(months => p_valid_months),
+      stripe_payment_intent_id = COALESCE(p_payment_intent_id, stripe_payment_intent_id),
+      updated_at = now()
+  WHERE id = p_voucher_id AND status = 'pending'
+  RETURNING amount_cents INTO v_amount;
+
+  IF v_amount IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  PERFORM voucher_adjust(p_voucher_id, v_amount, 'purchase', p_session_id);
+  RETURN TRUE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.activate_gift_voucher(UUID, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.activate_gift_voucher(UUID, TEXT, TEXT, INTEGER) TO service_role;
+
+-- ===================================================================
+-- STEP 5: Check a code (customers and create-checkout-session)
+-- ===================================================================
+-- Raises voucher_not_found, voucher_expired or voucher_empty; otherwise returns what is left.
+
+CREATE OR REPLACE FUNCTION public.check_gift_voucher(p_code TEXT)
+RETURNS TABLE (gift_voucher_id UUID, code TEXT, balance_cents INTEGER, expires_at TIMESTAMP WITH TIME ZONE)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_voucher gift_vouchers%ROWTYPE;
+  v_code TEXT := upper(regexp_replace(COALESCE(p_code, ''), '[^A-Za-z0-9]', '', 'g'));
+BEGIN
+  -- Codes are accepted with or without their dashes
+  SELECT * INTO v_voucher
+  FROM gift_vouchers v
+  WHERE replace(v.code, '-', '') = v_code AND v.status = 'active';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'voucher_not_found';
+  END IF;
+  IF v_voucher.expires_at IS NOT NULL AND v_voucher.expires_at <= now() THEN
+    RAISE EXCEPTION 'voucher_expired';
+  END IF;
+  IF v_voucher.balance_cents <= 0 THEN
+    RAISE EXCEPTION 'voucher_empty';
+  END IF;
+
+  RETURN QUERY SELECT v_voucher.id, v_voucher.code, v_voucher.balance_cents, v_voucher.expires_at;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.check_gift_voucher(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.check_gift_voucher(TEXT) TO authenticated, service_role;
+
+-- ===================================================================
+-- VERIFICATION
+-- ===================================================================
+-- Vouchers whose balance doesn't match their ledger:
+--
+-- SELECT v.id, v.code, v.balance_cents, COALESCE(SUM(t.amount), 0) AS ledger
+-- FROM public.gift_vouchers v
+-- LEFT JOIN public.gift_voucher_transactions t ON t.voucher_id = v.id
+-- GROUP BY v.id
+-- HAVING v.balance_cents <> COALESCE(SUM(t.amount), 0);
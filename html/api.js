@@ -61,6 +61,18 @@ export async function listMyThreads() {
   return handle(await q);
 }
 
+// Returns the thread id for the caller and a listing's merchant, creating the thread if needed.
+// Threads are only ever created server-side so there is one per customer/merchant/listing.
+export async function findOrCreateThread({ listingId, merchantId, bookingId } = {}) {
+  const client = await sp();
+  const { data, error } = await client.functions.invoke('find-or-create-thread', {
+    body: { listing_id: listingId, merchant_id: merchantId, booking_id: bookingId },
+  });
+  if (error) throw new Error(error.message || 'Failed to open conversation');
+  if (!data?.success) throw new Error(data?.error || 'Failed to open conversation');
+  return data.data.thread_id;
+}
+
 // MESSAGES
 export async function listThreadMessages(threadId) {
   const client = await sp();
@@ -119,7 +131,7 @@ export async function getProfilesMany(ids) {
 
 const api = Object.freeze({
   bookings: { listMyBookings },
-  threads: { listMyThreads },
+  threads: { listMyThreads, findOrCreate: findOrCreateThread },
   messages: { listThreadMessages, listLastMessagesForThreads, sendMessage, subscribeToThreadMessages },
   profiles: { getOne: getProfile, getMany: getProfilesMany },
   auth: { sp, getCurrentUser, getUID },
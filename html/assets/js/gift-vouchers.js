@@ -0,0 +1,183 @@
+// gift-vouchers.js
+// Data layer for gift vouchers (gift_vouchers.sql). Buyers see the vouchers they bought and how
+// they've been spent; anyone holding a code can check its balance. Purchases and spending go
+// through create-checkout-session, and stripe-webhook activates a voucher once it's paid for.
+import { sb } from './supabase-client.js';
+
+// Purchase limits in pence; the same as VOUCHER_MIN_PENCE / VOUCHER_MAX_PENCE in the Edge Functions
+export const VOUCHER_MIN_PENCE = 1000;
+export const VOUCHER_MAX_PENCE = 50000;
+
+// check_gift_voucher errors as shown to the customer
+const VOUCHER_ERRORS = {
+  voucher_not_found: "That gift voucher code isn't valid",
+  voucher_expired: 'That gift voucher has expired',
+  voucher_empty: 'That gift voucher has no balance left',
+};
+
+// What each ledger source means to the buyer
+const SOURCE_LABELS = {
+  purchase: 'Bought',
+  redeem_checkout: 'Spent on a booking',
+  redeem_reversal: 'Returned from an unfinished checkout',
+  refund_cancellation: 'Returned after a cancellation',
+  purchase_refund: 'Purchase refunded',
+};
+
+/**
+ * Lists the vouchers a customer has bought, newest first
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<Array>} gift_vouchers rows; unpaid checkouts that were abandoned are left out
+ */
+export async function listMyVouchers(userId) {
+  const { data, error } = await sb
+    .from('gift_vouchers')
+    .select('id, code, recipient_name, recipient_email, message, amount_cents, balance_cents, status, expires_at, created_at')
+    .eq('purchaser_id', userId)
+    .neq('status', 'void')
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Reads one of the signed-in customer's vouchers
+ * @param {string} voucherId - gift_vouchers.id
+ * @returns {Promise<Object|null>} null when it doesn't exist or was bought by someone else
+ */
+export async function getVoucher(voucherId) {
+  const { data, error } = await sb
+    .from('gift_vouchers')
+    .select('id, code, recipient_name, recipient_email, message, amount_cents, balance_cents, status, expires_at, created_at')
+    .eq('id', voucherId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Lists how a voucher's balance has moved, newest first
+ * @param {string} voucherId - gift_vouchers.id
+ * @returns {Promise<Array>} gift_voucher_transactions rows
+ */
+export async function listVoucherTransactions(voucherId) {
+  const { data, error } = await sb
+    .from('gift_voucher_transactions')
+    .select('id, amount, source, created_at')
+    .eq('voucher_id', voucherId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Checks a voucher code, as create-checkout-session will at checkout
+ * @param {string} code - Code as the customer typed it; dashes and spaces are ignored
+ * @returns {Promise<{ gift_voucher_id: string, code: string, balance_cents: number, expires_at: string|null }>}
+ * @throws {Error} With a customer-facing message when the code can't be used
+ */
+export async function checkGiftVoucher(code) {
+  const { data, error } = await sb.rpc('check_gift_voucher', { p_code: code });
+  if (error) {
+    const problem = Object.keys(VOUCHER_ERRORS).find(key => error.message?.includes(key));
+    throw new Error(problem ? VOUCHER_ERRORS[problem] : 'Could not check that gift voucher');
+  }
+  if (!data?.[0]) throw new Error(VOUCHER_ERRORS.voucher_not_found);
+  return data[0];
+}
+
+/**
+ * Part of an online payment a voucher covers; the same rule as create-checkout-session
+ * @param {number} balancePence - Voucher balance
+ * @param {number} onlinePence - Amount charged online
+ * @param {number} lldPence - LLD chosen; ignored when the voucher covers everything
+ * @returns {number} Pence paid from the voucher
+ */
+export function voucherCoverPence(balancePence, onlinePence, lldPence) {
+  if (onlinePence <= 0) return 0;
+  if (balancePence >= onlinePence) return onlinePence;
+  return Math.min(balancePence, Math.max(0, onlinePence - lldPence - 50));
+}
+
+/**
+ * Starts Stripe Checkout for a new voucher
+ * @param {Object} voucher
+ * @param {number} voucher.amountPence - Between VOUCHER_MIN_PENCE and VOUCHER_MAX_PENCE
+ * @param {string} [voucher.recipientName]
+ * @param {string} [voucher.recipientEmail]
+ * @param {string} [voucher.message]
+ * @returns {Promise<string>} Checkout URL to send the buyer to
+ */
+export async function buyGiftVoucher({ amountPence, recipientName, recipientEmail, message }) {
+  const { data, error } = await sb.functions.invoke('create-checkout-session', {
+    body: {
+      product: 'gift_voucher',
+      amount_pence: amountPence,
+      recipient_name: recipientName || undefined,
+      recipient_email: recipientEmail || undefined,
+      message: message || undefined,
+    },
+  });
+  if (error) throw new Error(error.message || 'Failed to start checkout.');
+  if (!data?.success) throw new Error(data?.error || 'Failed to start checkout.');
+  if (!data?.data?.url) throw new Error('No checkout URL returned.');
+  return data.data.url;
+}
+
+/**
+ * Builds the printable voucher page's address
+ * @param {string} voucherId - gift_vouchers.id
+ * @returns {string} Absolute URL of gift-voucher.html?id=...
+ */
+export function voucherPrintLink(voucherId) {
+  const url = new URL('gift-voucher.html', window.location.href);
+  url.search = new URLSearchParams({ id: voucherId }).toString();
+  return url.toString();
+}
+
+/**
+ * Builds a mailto: link that sends the voucher to its recipient from the buyer's own email
+ * @param {Object} voucher - gift_vouchers row
+ * @returns {string} mailto: URL
+ */
+export function voucherEmailLink(voucher) {
+  const amount = `£${(Number(voucher.amount_cents || 0) / 100).toFixed(2)}`;
+  const paragraphs = [
+    voucher.recipient_name ? `Hi ${voucher.recipient_name},` : 'Hi,',
+    `Here's a ${amount} LookList gift voucher for you.`,
+    voucher.message || '',
+    `Code: ${voucher.code}${voucher.expires_at ? `\nValid until ${formatDate(voucher.expires_at)}` : ''}`,
+    `Enter the code when you book on ${new URL('services.html', window.location.href)}`,
+  ].filter(Boolean);
+  const params = new URLSearchParams({ subject: `A ${amount} LookList gift voucher for you`, body: paragraphs.join('\n\n') });
+  // mailto wants %20, not +
+  return `mailto:${encodeURIComponent(voucher.recipient_email || '')}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * Describes a ledger source for the voucher history
+ * @param {string} source - gift_voucher_transactions.source, e.g. "redeem_checkout"
+ * @returns {string} e.g. "Spent on a booking"
+ */
+export function describeVoucherSource(source) {
+  if (SOURCE_LABELS[source]) return SOURCE_LABELS[source];
+  const text = String(source || '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describes where a voucher stands
+ * @param {Object} voucher - gift_vouchers row
+ * @returns {string} e.g. "Awaiting payment", "Expired", "Used up" or "Active"
+ */
+export function voucherStatusLabel(voucher) {
+  if (voucher.status === 'pending') return 'Awaiting payment';
+  if (voucher.status === 'void') return 'Cancelled';
+  if (voucher.expires_at && Date.parse(voucher.expires_at) <= Date.now()) return 'Expired';
+  if (Number(voucher.balance_cents || 0) <= 0) return 'Used up';
+  return 'Active';
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { dateStyle: 'long' });
+}
@@ -1,12 +1,32 @@
 import { sb } from '../supabase-client.js';
 import { requireUser, signOut } from './auth.js';
+import { makeSlot, validateSlot, upsertSlots, describeConflict, listRules, saveRule, setRuleActive, deleteRule } from '../slots.js';
+import { listListingStaff } from '../staff.js';
+import { parseExcludedDates } from '../slot-editor.js';
+import { initSlotCalendar } from './slot-calendar.js';
 
 const params = new URLSearchParams(location.search);
 const listingId = params.get('listing');
 
 const form = document.getElementById('slot-form');
-const list = document.getElementById('slot-list');
+const calendarEl = document.getElementById('slot-calendar');
 const signoutBtn = document.getElementById('signout');
+const ruleForm = document.getElementById('rule-form');
+const ruleList = document.getElementById('rule-list');
+const ruleFormTitle = document.getElementById('rule-form-title');
+const ruleCancelBtn = document.getElementById('rule-cancel');
+const staffPicker = document.getElementById('staff-picker');
+const staffSelect = document.getElementById('staff-select');
+
+const DAY_LABELS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+// Longest closure range expanded into individual excluded dates
+const MAX_EXCLUDED_RANGE_DAYS = 366;
+
+let currentRules = [];
+let calendar = null;
+let staffMembers = [];
+// Stylist whose hours and slots are being managed; '' = everyone (new ones unassigned)
+let currentStaffId = params.get('staff') || '';
 
 main();
 
@@ -23,7 +43,7 @@ async function main(){
   // Validate listing exists and is owned by current user
   const { data: listing, error: listingError } = await sb
     .from('listings')
-    .select('id, owner, name')
+    .select('id, owner, name, timezone')
     .eq('id', listingId)
     .single();
 
@@ -41,11 +61,243 @@ async function main(){
   // Show listing name for context
   const listingInfo = document.createElement('p');
   listingInfo.style.cssText = 'color: var(--silver); font-weight: 600; margin-bottom: 1rem;';
-  listingInfo.textContent = `Managing availability for: ${listing.name}`;
+  listingInfo.textContent = `Managing availability for: ${listing.name} (times in ${listing.timezone || 'Europe/London'})`;
   document.querySelector('main').insertBefore(listingInfo, document.querySelector('main').firstChild.nextSibling);
 
-  await refreshSlots();
+  await setupStaffPicker();
+  if (calendarEl) calendar = initSlotCalendar(calendarEl, listingId, { staff: staffMembers, staffId: currentStaffId || null });
+  await refreshRules();
   if (form) form.addEventListener('submit', onSubmit);
+  if (ruleForm) {
+    resetRuleForm();
+    ruleForm.addEventListener('submit', onRuleSubmit);
+    ruleCancelBtn?.addEventListener('click', resetRuleForm);
+  }
+  if (ruleList) ruleList.addEventListener('click', onRuleListClick);
+}
+
+// Only shown when the listing has qualified staff (staff_members.sql)
+async function setupStaffPicker(){
+  try {
+    staffMembers = await listListingStaff(listingId);
+  } catch (error) {
+    console.error('Staff load error:', error);
+    staffMembers = [];
+  }
+  if (!staffMembers.some(s => s.id === currentStaffId)) currentStaffId = '';
+  if (!staffPicker || !staffSelect || !staffMembers.length) return;
+
+  staffSelect.innerHTML = '<option value="">Everyone</option>' +
+    staffMembers.map(s => `<option value="${escape(s.id)}">${escape(s.name)}</option>`).join('');
+  staffSelect.value = currentStaffId;
+  staffPicker.style.display = '';
+
+  staffSelect.addEventListener('change', async () => {
+    currentStaffId = staffSelect.value;
+    const url = new URL(location.href);
+    if (currentStaffId) url.searchParams.set('staff', currentStaffId);
+    else url.searchParams.delete('staff');
+    history.replaceState(null, '', url);
+    resetRuleForm();
+    calendar?.setStaff(currentStaffId || null);
+    await refreshRules();
+  });
+}
+
+function staffName(staffId){
+  return staffMembers.find(s => s.id === staffId)?.name || 'Former staff member';
+}
+
+async function refreshRules(){
+  if (!ruleList) return;
+  try {
+    currentRules = (await listRules(listingId)).filter(r => !currentStaffId || r.staff_id === currentStaffId);
+  } catch (error) {
+    ruleList.textContent = error.message;
+    return;
+  }
+  if (!currentRules.length) { ruleList.innerHTML = '<li>No weekly rules yet.</li>'; return; }
+
+  ruleList.innerHTML = currentRules.map(r => {
+    const rrule = parseRRuleParts(r.rrule);
+    const days = (rrule.BYDAY || '').split(',').filter(Boolean).map(d => DAY_LABELS[d] || d).join(', ');
+    const every = Number(rrule.INTERVAL || 1) > 1 ? `Every ${rrule.INTERVAL} weeks` : 'Weekly';
+    const windows = (r.windows || []).map(w => `${w.start_time}–${w.end_time}`).join(', ');
+    const until = r.ends_on ? ` until ${r.ends_on}` : '';
+    const closed = r.exdates?.length ? ` · ${r.exdates.length} closed day(s)` : '';
+    return `
+      <li>
+        <div class="row">
+          ${!currentStaffId && r.staff_id ? `<b>${escape(staffName(r.staff_id))}</b>` : ''}
+          <b>${escape(every)} · ${escape(days)}</b> ${escape(windows)}
+          <small>${r.duration_minutes} min${r.buffer_minutes ? ` + ${r.buffer_minutes} min buffer` : ''}</small>
+          <small>£${r.price ?? '-'}</small>
+          <small>${escape(r.label || '')}</small>
+          <small>From ${escape(r.starts_on)}${escape(until)}${closed}</small>
+          <small>${r.active ? 'Active' : 'Paused'}</small>
+        </div>
+        <div class="row">
+          <button data-rule-edit="${escape(r.id)}" class="secondary">Edit</button>
+          <button data-rule-toggle="${escape(r.id)}" class="secondary">${r.active ? 'Pause' : 'Resume'}</button>
+          <button data-rule-delete="${escape(r.id)}" class="secondary">Delete</button>
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+async function onRuleSubmit(e){
+  e.preventDefault();
+  const data = new FormData(ruleForm);
+
+  const days = data.getAll('day');
+  if (!days.length) { alert('Please choose at least one day.'); return; }
+
+  const windows = parseWindows(data.get('windows'));
+  if (typeof windows === 'string') { alert(windows); return; }
+
+  const duration = Number(data.get('duration_minutes'));
+  const buffer = Number(data.get('buffer_minutes') || 0);
+  const price = Number(data.get('price'));
+  const capacity = Number(data.get('capacity') || 1);
+  if (!Number.isInteger(duration) || duration <= 0) { alert('Duration must be a positive number of minutes.'); return; }
+  if (!Number.isInteger(buffer) || buffer < 0) { alert('Buffer must be 0 or more minutes.'); return; }
+  if (isNaN(price) || price < 0) { alert('Price must be a non-negative number.'); return; }
+  if (!Number.isInteger(capacity) || capacity < 1) { alert('Capacity must be a positive integer.'); return; }
+
+  const startsOn = data.get('starts_on');
+  const endsOn = data.get('ends_on') || null;
+  if (endsOn && endsOn < startsOn) { alert('"Until" must be after "From".'); return; }
+
+  const { ranges, error: excludedError } = parseExcludedDates(data.get('exdates'));
+  if (excludedError) { alert(excludedError); return; }
+  const exdates = expandDateRanges(ranges);
+  if (typeof exdates === 'string') { alert(exdates); return; }
+
+  const interval = Number(data.get('interval') || 1);
+  const rule = {
+    id: data.get('rule_id') || undefined,
+    listing_id: listingId,
+    staff_id: data.get('staff_id') || null,
+    rrule: `FREQ=WEEKLY;${interval > 1 ? `INTERVAL=${interval};` : ''}BYDAY=${days.join(',')}`,
+    windows,
+    duration_minutes: duration,
+    buffer_minutes: buffer,
+    price,
+    capacity,
+    label: data.get('label') || null,
+    starts_on: startsOn,
+    ends_on: endsOn,
+    exdates
+  };
+
+  const submitBtn = ruleForm.querySelector('#rule-submit');
+  if (submitBtn) submitBtn.disabled = true;
+  try {
+    await saveRule(rule);
+    resetRuleForm();
+  } catch (error) {
+    alert(`Failed to save rule: ${error.message}`);
+    console.error('Availability rule save error:', error);
+  } finally {
+    if (submitBtn) submitBtn.disabled = false;
+  }
+  await Promise.all([refreshRules(), refreshSlots()]);
+}
+
+async function onRuleListClick(e){
+  const btn = e.target.closest('button[data-rule-edit], button[data-rule-toggle], button[data-rule-delete]');
+  if (!btn) return;
+
+  if (btn.dataset.ruleEdit) {
+    const rule = currentRules.find(r => r.id === btn.dataset.ruleEdit);
+    if (rule) loadRuleIntoForm(rule);
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    if (btn.dataset.ruleToggle) {
+      const rule = currentRules.find(r => r.id === btn.dataset.ruleToggle);
+      if (!rule) return;
+      await setRuleActive(rule.id, !rule.active);
+    } else {
+      if (!confirm('Delete this rule? Its future open slots are removed; booked slots are kept.')) return;
+      await deleteRule(btn.dataset.ruleDelete);
+    }
+  } catch (error) {
+    alert(error.message);
+    return;
+  } finally {
+    btn.disabled = false;
+  }
+  await Promise.all([refreshRules(), refreshSlots()]);
+}
+
+function loadRuleIntoForm(rule){
+  const rrule = parseRRuleParts(rule.rrule);
+  const days = (rrule.BYDAY || '').split(',');
+  ruleForm.querySelector('[name="rule_id"]').value = rule.id;
+  ruleForm.querySelector('[name="staff_id"]').value = rule.staff_id || '';
+  ruleForm.querySelectorAll('[name="day"]').forEach(input => { input.checked = days.includes(input.value); });
+  ruleForm.querySelector('[name="windows"]').value = (rule.windows || []).map(w => `${w.start_time}-${w.end_time}`).join(', ');
+  ruleForm.querySelector('[name="interval"]').value = rrule.INTERVAL || '1';
+  ruleForm.querySelector('[name="duration_minutes"]').value = rule.duration_minutes;
+  ruleForm.querySelector('[name="buffer_minutes"]').value = rule.buffer_minutes ?? 0;
+  ruleForm.querySelector('[name="label"]').value = rule.label || '';
+  ruleForm.querySelector('[name="price"]').value = rule.price ?? '';
+  ruleForm.querySelector('[name="capacity"]').value = rule.capacity ?? 1;
+  ruleForm.querySelector('[name="starts_on"]').value = rule.starts_on;
+  ruleForm.querySelector('[name="ends_on"]').value = rule.ends_on || '';
+  ruleForm.querySelector('[name="exdates"]').value = (rule.exdates || []).join('\n');
+  if (ruleFormTitle) ruleFormTitle.textContent = 'Edit Weekly Availability';
+  if (ruleCancelBtn) ruleCancelBtn.style.display = '';
+  ruleForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetRuleForm(){
+  ruleForm.reset();
+  ruleForm.querySelector('[name="rule_id"]').value = '';
+  ruleForm.querySelector('[name="staff_id"]').value = currentStaffId;
+  const now = new Date();
+  ruleForm.querySelector('[name="starts_on"]').value =
+    `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  if (ruleFormTitle) ruleFormTitle.textContent = currentStaffId ? `Weekly Availability · ${staffName(currentStaffId)}` : 'Weekly Availability';
+  if (ruleCancelBtn) ruleCancelBtn.style.display = 'none';
+}
+
+// "09:00-12:30, 13:30-17:00" → [{ start_time, end_time }], or an error message
+function parseWindows(text){
+  const entries = String(text || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (!entries.length) return 'Please enter your working hours, e.g. 09:00-12:30, 13:30-17:00.';
+  const windows = [];
+  for (const entry of entries) {
+    const m = entry.match(/^(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})$/);
+    if (!m) return `Can't read working hours "${entry}". Use HH:mm-HH:mm.`;
+    const start_time = `${m[1].padStart(2, '0')}:${m[2]}`;
+    const end_time = `${m[3].padStart(2, '0')}:${m[4]}`;
+    if (start_time >= end_time) return `Working hours "${entry}" must start before they end.`;
+    windows.push({ start_time, end_time });
+  }
+  windows.sort((a, b) => a.start_time.localeCompare(b.start_time));
+  if (windows.some((w, i) => i > 0 && w.start_time < windows[i - 1].end_time)) return 'Working hours must not overlap.';
+  return windows;
+}
+
+// Closure ranges → individual dates for availability_rules.exdates, or an error message
+function expandDateRanges(ranges){
+  const dates = new Set();
+  for (const { start, end } of ranges) {
+    const last = Date.parse(`${end}T00:00:00Z`);
+    let day = Date.parse(`${start}T00:00:00Z`);
+    if ((last - day) / 86400000 > MAX_EXCLUDED_RANGE_DAYS) return `Closed range ${start} to ${end} is too long; use "Until" instead.`;
+    for (; day <= last; day += 86400000) dates.add(new Date(day).toISOString().slice(0, 10));
+  }
+  return [...dates].sort();
+}
+
+function parseRRuleParts(rrule){
+  return Object.fromEntries(String(rrule || '').split(';').filter(Boolean).map(part => part.split('=')));
 }
 
 async function onSubmit(e){
@@ -78,28 +330,32 @@ async function onSubmit(e){
     return;
   }
 
-  const payload = {
-    listing_id: listingId,
-    label: data.label || null,
+  const slot = makeSlot({
     date: data.date,
-    start_time: data.start_time,
-    end_time: data.end_time,
-    price: price,
-    capacity: capacity
-  };
+    startTime: data.start_time,
+    endTime: data.end_time,
+    price,
+    capacity,
+    label: data.label || null
+  });
+  const invalid = validateSlot(slot);
+  if (invalid) { alert(invalid); return; }
 
-  const { error } = await sb.from('availability').insert(payload);
-  if (error) { 
-    // Show detailed error information for debugging
-    let errorMsg = 'Failed to create availability slot:\n\n';
-    errorMsg += `Message: ${error.message}\n`;
-    if (error.details) errorMsg += `Details: ${error.details}\n`;
-    if (error.hint) errorMsg += `Hint: ${error.hint}\n`;
-    if (error.code) errorMsg += `Code: ${error.code}\n`;
-    
-    alert(errorMsg);
+  try {
+    const result = await upsertSlots(listingId, [slot], { staffId: currentStaffId || null });
+    if (!result.data?.inserted) {
+      alert('A slot already exists at this date and start time.');
+      return;
+    }
+  } catch (error) {
+    if (error.conflicts?.length) {
+      const others = error.conflicts[0].conflicts_with.map(describeConflict).join('\n- ');
+      alert(`This slot overlaps:\n- ${others}\n\nYou can't be in two places at once, so it wasn't added.`);
+      return;
+    }
+    alert(`Failed to create availability slot: ${error.message}`);
     console.error('Availability insert error:', error);
-    return; 
+    return;
   }
   
   form.reset();
@@ -107,31 +363,7 @@ async function onSubmit(e){
 }
 
 async function refreshSlots(){
-  if (list) list.innerHTML = 'Loading…';
-  const { data, error } = await sb.from('availability').select('*').eq('listing_id', listingId).order('date');
-  if (error) { list.textContent = error.message; return; }
-  if (!data?.length) { list.textContent = 'No slots yet.'; return; }
-
-  list.innerHTML = data.map(s => `
-    <li>
-      <div class="row">
-        <b>${s.date}</b> ${s.start_time}–${s.end_time}
-        <small>£${s.price}</small>
-        <small>${escape(s.label||'')}</small>
-        <small>Cap ${s.capacity} · Booked ${s.booked_count}</small>
-      </div>
-      <div class="row">
-        <button onclick="del('${s.id}')" class="secondary">Delete</button>
-      </div>
-    </li>
-  `).join('');
-}
-
-window.del = async function(id){
-  if (!confirm('Delete this slot?')) return;
-  const { error } = await sb.from('availability').delete().eq('id', id);
-  if (error) { alert(error.message); return; }
-  await refreshSlots();
+  if (calendar) await calendar.refresh();
 }
 
 function escape(s){ return String(s).replace(/[&<>"]/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[m])); }
\ No newline at end of file
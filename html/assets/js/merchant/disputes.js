@@ -0,0 +1,68 @@
+// disputes.js
+// Disputes section of the merchant listings page: bookings the customer has disputed with their
+// card issuer (refunds_disputes.sql). stripe-webhook keeps dispute_status in step with Stripe.
+import { sb } from '../supabase-client.js';
+
+// Stripe dispute statuses that still need the merchant's attention
+const OPEN_STATUSES = ['warning_needs_response', 'needs_response', 'warning_under_review', 'under_review'];
+
+const STATUS_LABELS = {
+  warning_needs_response: 'Inquiry – response needed',
+  warning_under_review: 'Inquiry under review',
+  warning_closed: 'Inquiry closed',
+  needs_response: 'Response needed',
+  under_review: 'Under review',
+  won: 'Won',
+  lost: 'Lost',
+};
+
+/**
+ * Renders the disputed bookings list into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} merchantId - The signed-in merchant's user ID
+ * @returns {{ refresh: Function }}
+ */
+export function initDisputes(container, merchantId) {
+  async function refresh() {
+    const { data, error } = await sb
+      .from('bookings')
+      .select('id, starts_at, service_name, dispute_status, dispute_reason, dispute_amount_cents, disputed_at, listings(name)')
+      .eq('merchant_id', merchantId)
+      .not('dispute_status', 'is', null)
+      .order('disputed_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      container.textContent = error.message;
+      return;
+    }
+
+    const disputes = data || [];
+    const open = disputes.filter(d => OPEN_STATUSES.includes(d.dispute_status));
+    container.innerHTML = `
+      <p><small class="muted">${open.length
+        ? `${open.length} open dispute${open.length === 1 ? '' : 's'}. Respond with evidence from the Stripe dashboard before the deadline.`
+        : 'No open disputes.'}</small></p>
+      <ul class="list">
+        ${disputes.length
+          ? disputes.map(d => `
+            <li>
+              <div class="row" style="align-items:center">
+                <b>${escapeHtml([d.listings?.name, d.service_name].filter(Boolean).join(' · ') || 'Booking')}</b>
+                <small class="muted">${d.starts_at ? new Date(d.starts_at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : ''}</small>
+                <small>${OPEN_STATUSES.includes(d.dispute_status) ? '⚠️ ' : ''}${escapeHtml(STATUS_LABELS[d.dispute_status] || d.dispute_status)}</small>
+                <small class="muted">£${(Number(d.dispute_amount_cents || 0) / 100).toFixed(2)}${d.dispute_reason ? ` – ${escapeHtml(d.dispute_reason.replace(/_/g, ' '))}` : ''}</small>
+              </div>
+              <div class="row"><a class="secondary" href="../booking-details.html?id=${encodeURIComponent(d.id)}">View booking</a></div>
+            </li>
+          `).join('')
+          : ''}
+      </ul>
+    `;
+  }
+
+  refresh();
+  return { refresh };
+}
+
+function escapeHtml(s) { return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m])); }
@@ -2,6 +2,12 @@ import { sb, __SUPABASE_URL } from '../supabase-client.js';
 import { requireUser, signOut } from './auth.js';
 import { LISTING_IMAGES_BUCKET, listListingImages, uploadListingImages, deleteListingImage } from './storage.js';
 import { initializeSlotEditor } from '../slot-editor.js';
+import { setListingStaff } from '../staff.js';
+import { listServices, saveService, validateService, listAddons, saveAddon, validateAddon, formatDuration } from '../services.js';
+import { initStaffManager } from './staff-manager.js';
+import { initPayouts } from './payouts.js';
+import { initDisputes } from './disputes.js';
+import { initPromoCodes } from './promo-codes.js';
 import { subscribeMerchantDashboard, cleanupAllSubscriptions, monitorConnection } from '../../../realtime.js';
 
 const form = document.getElementById('listing-form');
@@ -11,7 +17,14 @@ const cancelEditBtn = document.getElementById('cancel-edit');
 const formTitle = document.getElementById('form-title');
 const submitBtn = document.getElementById('submit-btn');
 
+const DEFAULT_TIMEZONE = 'Europe/London';
+
 let currentUser = null;
+let merchantStaff = [];
+// listingId -> services (active and inactive), for the menu editors
+const listingServices = new Map();
+// listingId -> add-ons (active and inactive)
+const listingAddons = new Map();
 let realtimeUnsubscribe = null;
 let connectionMonitor = null;
 
@@ -194,6 +207,28 @@ async function main() {
     });
   });
 
+  populateTimezones();
+  setupPaymentModeFields();
+
+  const payoutsContainer = document.getElementById('payouts');
+  if (payoutsContainer) initPayouts(payoutsContainer);
+
+  const disputesContainer = document.getElementById('disputes');
+  if (disputesContainer) initDisputes(disputesContainer, currentUser.id);
+
+  const promoCodesContainer = document.getElementById('promo-codes');
+  if (promoCodesContainer) initPromoCodes(promoCodesContainer, currentUser.id);
+
+  const staffContainer = document.getElementById('staff-manager');
+  if (staffContainer) {
+    initStaffManager(staffContainer, currentUser.id, {
+      onChange: (staff) => {
+        merchantStaff = staff;
+        document.querySelectorAll('details[data-listing-staff]').forEach(el => renderListingStaff(el.dataset.listingStaff));
+      },
+    });
+  }
+
   await refreshMyListings(currentUser.id);
 
   // Initialize slot editor
@@ -208,6 +243,15 @@ async function main() {
       e.preventDefault();
       const data = Object.fromEntries(new FormData(form));
       const styles = (data.styles || '').split(',').map(s => s.trim()).filter(Boolean);
+      const paymentMode = data.payment_mode || 'full';
+      if (paymentMode === 'deposit_fixed' && !(Number(data.deposit_amount) > 0)) {
+        alert('Enter the deposit amount.');
+        return;
+      }
+      if (paymentMode === 'deposit_percent' && !(Number(data.deposit_percent) >= 1 && Number(data.deposit_percent) <= 100)) {
+        alert('Enter a deposit percentage between 1 and 100.');
+        return;
+      }
 
       const payload = {
         name: data.name,
@@ -217,6 +261,12 @@ async function main() {
         postcode: data.postcode || null,
         price_from: data.price_from ? Number(data.price_from) : null,
         description: data.description || null,
+        cancellation_window_hours: data.cancellation_window_hours !== '' ? Number(data.cancellation_window_hours) : 24,
+        late_cancellation_refund_percent: data.late_cancellation_refund_percent !== '' ? Number(data.late_cancellation_refund_percent) : 0,
+        timezone: data.timezone || DEFAULT_TIMEZONE,
+        payment_mode: paymentMode,
+        deposit_amount: paymentMode === 'deposit_fixed' ? Number(data.deposit_amount) : null,
+        deposit_percent: paymentMode === 'deposit_percent' ? Number(data.deposit_percent) : null,
         active: data.active === 'on'
       };
 
@@ -313,6 +363,181 @@ async function main() {
     await renderListingImages(listingId);
   });
 
+  // Delegated: qualified staff for a listing
+  document.addEventListener('change', async (e) => {
+    const box = e.target.closest('input[type="checkbox"][data-staff-for]');
+    if (!box) return;
+    const listingId = box.getAttribute('data-staff-for');
+    if (!box.checked && !confirm('Remove this staff member from the listing? Their future open slots on it are removed; booked appointments are kept.')) {
+      box.checked = true;
+      return;
+    }
+    const boxes = [...document.querySelectorAll(`input[data-staff-for="${cssEscape(listingId)}"]`)];
+    boxes.forEach(b => { b.disabled = true; });
+    try {
+      await setListingStaff(listingId, boxes.filter(b => b.checked).map(b => b.value));
+    } catch (err) {
+      alert(err.message || String(err));
+    }
+    await renderListingStaff(listingId);
+  });
+
+  // Delegated: add or update a service on a listing's menu
+  document.addEventListener('submit', async (e) => {
+    const serviceForm = e.target.closest('form[data-service-form]');
+    if (!serviceForm) return;
+    e.preventDefault();
+    const listingId = serviceForm.getAttribute('data-service-form');
+    const data = Object.fromEntries(new FormData(serviceForm));
+    const service = {
+      id: data.service_id || undefined,
+      listing_id: listingId,
+      name: String(data.name || '').trim(),
+      description: String(data.description || '').trim() || null,
+      duration_minutes: Number(data.duration_minutes),
+      price: Number(data.price),
+      deposit: data.deposit !== '' ? Number(data.deposit) : null,
+    };
+    const invalid = validateService(service);
+    if (invalid) { alert(invalid); return; }
+
+    const btn = serviceForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+      await saveService(service);
+      await renderListingServices(listingId);
+    } catch (err) {
+      alert(`Failed to save service: ${err.message || String(err)}`);
+      btn.disabled = false;
+    }
+  });
+
+  // Delegated: edit, deactivate or reactivate a service
+  document.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-service-edit], button[data-service-toggle], button[data-service-cancel]');
+    if (!btn) return;
+    const listingId = btn.closest('[data-listing-services]')?.getAttribute('data-listing-services');
+    if (!listingId) return;
+    const serviceForm = document.querySelector(`form[data-service-form="${cssEscape(listingId)}"]`);
+
+    if (btn.hasAttribute('data-service-cancel')) {
+      resetServiceForm(serviceForm);
+      return;
+    }
+
+    const service = (listingServices.get(listingId) || [])
+      .find(s => s.id === (btn.getAttribute('data-service-edit') || btn.getAttribute('data-service-toggle')));
+    if (!service) return;
+
+    if (btn.hasAttribute('data-service-edit')) {
+      serviceForm.querySelector('[name="service_id"]').value = service.id;
+      serviceForm.querySelector('[name="name"]').value = service.name;
+      serviceForm.querySelector('[name="duration_minutes"]').value = service.duration_minutes;
+      serviceForm.querySelector('[name="price"]').value = service.price;
+      serviceForm.querySelector('[name="deposit"]').value = service.deposit ?? '';
+      serviceForm.querySelector('[name="description"]').value = service.description || '';
+      serviceForm.querySelector('button[type="submit"]').textContent = 'Save Service';
+      serviceForm.querySelector('[data-service-cancel]').classList.remove('hidden');
+      return;
+    }
+
+    btn.disabled = true;
+    try {
+      await saveService({ id: service.id, active: !service.active });
+      await renderListingServices(listingId);
+    } catch (err) {
+      alert(err.message || String(err));
+      btn.disabled = false;
+    }
+  });
+
+  // Delegated: add or update an add-on
+  document.addEventListener('submit', async (e) => {
+    const addonForm = e.target.closest('form[data-addon-form]');
+    if (!addonForm) return;
+    e.preventDefault();
+    const listingId = addonForm.getAttribute('data-addon-form');
+    const data = Object.fromEntries(new FormData(addonForm));
+    const addon = {
+      id: data.addon_id || undefined,
+      listing_id: listingId,
+      name: String(data.name || '').trim(),
+      description: String(data.description || '').trim() || null,
+      duration_minutes: data.duration_minutes !== '' ? Number(data.duration_minutes) : 0,
+      price: Number(data.price),
+    };
+    const invalid = validateAddon(addon);
+    if (invalid) { alert(invalid); return; }
+
+    const btn = addonForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+      await saveAddon(addon);
+      await renderListingAddons(listingId);
+    } catch (err) {
+      alert(`Failed to save add-on: ${err.message || String(err)}`);
+      btn.disabled = false;
+    }
+  });
+
+  // Delegated: edit, deactivate or reactivate an add-on
+  document.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-addon-edit], button[data-addon-toggle], button[data-addon-cancel]');
+    if (!btn) return;
+    const listingId = btn.closest('[data-listing-addons]')?.getAttribute('data-listing-addons');
+    if (!listingId) return;
+    const addonForm = document.querySelector(`form[data-addon-form="${cssEscape(listingId)}"]`);
+
+    if (btn.hasAttribute('data-addon-cancel')) {
+      resetAddonForm(addonForm);
+      return;
+    }
+
+    const addon = (listingAddons.get(listingId) || [])
+      .find(a => a.id === (btn.getAttribute('data-addon-edit') || btn.getAttribute('data-addon-toggle')));
+    if (!addon) return;
+
+    if (btn.hasAttribute('data-addon-edit')) {
+      addonForm.querySelector('[name="addon_id"]').value = addon.id;
+      addonForm.querySelector('[name="name"]').value = addon.name;
+      addonForm.querySelector('[name="duration_minutes"]').value = addon.duration_minutes;
+      addonForm.querySelector('[name="price"]').value = addon.price;
+      addonForm.querySelector('[name="description"]').value = addon.description || '';
+      addonForm.querySelector('button[type="submit"]').textContent = 'Save Add-on';
+      addonForm.querySelector('[data-addon-cancel]').classList.remove('hidden');
+      return;
+    }
+
+    btn.disabled = true;
+    try {
+      await saveAddon({ id: addon.id, active: !addon.active });
+      await renderListingAddons(listingId);
+    } catch (err) {
+      alert(err.message || String(err));
+      btn.disabled = false;
+    }
+  });
+
+  // Delegated: reply to a review (one public reply per review, see reply-review Edge Function)
+  document.addEventListener('submit', async (e) => {
+    const replyForm = e.target.closest('form[data-reply-review]');
+    if (!replyForm) return;
+    e.preventDefault();
+    const text = replyForm.querySelector('[name="text"]').value.trim();
+    if (!text) return;
+    const btn = replyForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    const { data, error } = await sb.functions.invoke('reply-review', {
+      body: { review_id: replyForm.getAttribute('data-reply-review'), text },
+    });
+    if (error || !data?.success) {
+      alert(data?.error || error?.message || 'Could not post reply');
+      btn.disabled = false;
+      return;
+    }
+    await renderListingReviews(replyForm.getAttribute('data-listing'));
+  });
+
   // Delegated: delete image
   document.addEventListener('click', async (e) => {
     const btn = e.target.closest('button[data-del-img]');
@@ -329,6 +554,33 @@ async function main() {
   });
 }
 
+// Slot times are entered in the listing's timezone and stored as UTC (slot_timezones.sql)
+function populateTimezones() {
+  const select = form?.querySelector('[name="timezone"]');
+  if (!select || typeof Intl.supportedValuesOf !== 'function') return;
+  const zones = Intl.supportedValuesOf('timeZone');
+  if (!zones.includes(DEFAULT_TIMEZONE)) zones.unshift(DEFAULT_TIMEZONE);
+  select.innerHTML = zones.map(z =>
+    `<option value="${escapeAttr(z)}"${z === DEFAULT_TIMEZONE ? ' selected' : ''}>${escapeHtml(z)}</option>`
+  ).join('');
+}
+
+// Deposit inputs only apply to their own payment mode. Services with their own deposit
+// (see Services) use it instead in either deposit mode.
+function setupPaymentModeFields() {
+  const select = form?.querySelector('[name="payment_mode"]');
+  if (!select) return;
+  select.addEventListener('change', syncPaymentModeFields);
+  form.addEventListener('reset', () => setTimeout(syncPaymentModeFields));
+  syncPaymentModeFields();
+}
+
+function syncPaymentModeFields() {
+  const mode = form.querySelector('[name="payment_mode"]').value;
+  document.getElementById('deposit-amount-field')?.classList.toggle('hidden', mode !== 'deposit_fixed');
+  document.getElementById('deposit-percent-field')?.classList.toggle('hidden', mode !== 'deposit_percent');
+}
+
 function resetFormToCreate() {
   form.reset();
   form.querySelector('[name="listing_id"]').value = '';
@@ -346,6 +598,13 @@ function loadListingIntoForm(l) {
   form.querySelector('[name="postcode"]').value = l.postcode || '';
   form.querySelector('[name="price_from"]').value = l.price_from ?? '';
   form.querySelector('[name="description"]').value = l.description || '';
+  form.querySelector('[name="cancellation_window_hours"]').value = l.cancellation_window_hours ?? 24;
+  form.querySelector('[name="late_cancellation_refund_percent"]').value = l.late_cancellation_refund_percent ?? 0;
+  form.querySelector('[name="timezone"]').value = l.timezone || DEFAULT_TIMEZONE;
+  form.querySelector('[name="payment_mode"]').value = l.payment_mode || 'full';
+  form.querySelector('[name="deposit_amount"]').value = l.deposit_amount ?? '';
+  form.querySelector('[name="deposit_percent"]').value = l.deposit_percent ?? '';
+  syncPaymentModeFields();
   form.querySelector('[name="active"]').checked = !!l.active;
   formTitle.textContent = 'Edit Listing';
   submitBtn.textContent = 'Save Changes';
@@ -364,9 +623,13 @@ async function refreshMyListings(userId) {
 
   list.innerHTML = data.map(l => renderListingItem(l)).join('');
 
-  // After rendering items, load images for each listing
+  // After rendering items, load images, services, add-ons, staff and reviews for each listing
   for (const l of data) {
     await renderListingImages(l.id);
+    await renderListingServices(l.id);
+    await renderListingAddons(l.id);
+    await renderListingStaff(l.id);
+    await renderListingReviews(l.id);
   }
 }
 
@@ -402,10 +665,191 @@ function renderListingItem(l) {
         </div>
         <div class="thumbs" style="margin-top:.8rem"></div>
       </div>
+
+      <details id="services-${escapeAttr(l.id)}" data-listing-services="${escapeAttr(l.id)}" class="card" style="margin-top:.8rem">
+        <summary>Services</summary>
+        <ul class="list service-items" style="margin-top:.6rem"></ul>
+        <form class="row" data-service-form="${escapeAttr(l.id)}" style="margin-top:.6rem">
+          <input type="hidden" name="service_id">
+          <div class="field" style="flex:2 1 200px;"><label>Service</label><input name="name" placeholder="Box braids – long" required maxlength="120"></div>
+          <div class="field"><label>Duration (min)</label><input name="duration_minutes" type="number" min="5" max="1440" step="5" placeholder="240" required></div>
+          <div class="field"><label>Price (£)</label><input name="price" type="number" min="0" step="0.01" placeholder="120" required></div>
+          <div class="field"><label>Deposit (£, optional)</label><input name="deposit" type="number" min="0" step="0.01" placeholder="30"></div>
+          <div class="field" style="flex:1 1 100%;"><label>Description (optional)</label><input name="description" maxlength="500"></div>
+          <button type="submit" class="button">Add Service</button>
+          <button type="button" class="secondary hidden" data-service-cancel>Cancel</button>
+        </form>
+      </details>
+
+      <details id="addons-${escapeAttr(l.id)}" data-listing-addons="${escapeAttr(l.id)}" class="card" style="margin-top:.8rem">
+        <summary>Add-ons</summary>
+        <ul class="list addon-items" style="margin-top:.6rem"></ul>
+        <form class="row" data-addon-form="${escapeAttr(l.id)}" style="margin-top:.6rem">
+          <input type="hidden" name="addon_id">
+          <div class="field" style="flex:2 1 200px;"><label>Add-on</label><input name="name" placeholder="Hair wash" required maxlength="120"></div>
+          <div class="field"><label>Extra time (min)</label><input name="duration_minutes" type="number" min="0" max="480" step="5" placeholder="15"></div>
+          <div class="field"><label>Price (£)</label><input name="price" type="number" min="0" step="0.01" placeholder="10" required></div>
+          <div class="field" style="flex:1 1 100%;"><label>Description (optional)</label><input name="description" maxlength="500"></div>
+          <button type="submit" class="button">Add Add-on</button>
+          <button type="button" class="secondary hidden" data-addon-cancel>Cancel</button>
+        </form>
+      </details>
+
+      <details id="staff-${escapeAttr(l.id)}" data-listing-staff="${escapeAttr(l.id)}" class="card" style="margin-top:.8rem">
+        <summary>Staff</summary>
+        <div class="staff-items row" style="margin-top:.6rem"></div>
+      </details>
+
+      <details id="reviews-${escapeAttr(l.id)}" class="card" style="margin-top:.8rem">
+        <summary>Reviews${l.review_count ? ` (${escapeHtml(l.review_count)})` : ''}</summary>
+        <div class="review-items" style="margin-top:.6rem"></div>
+      </details>
     </li>
   `;
 }
 
+// The listing's menu. Customers pick one of the active services before a start time; a service
+// longer than one slot runs into the stylist's next back-to-back slots.
+async function renderListingServices(listingId) {
+  const container = document.querySelector(`#services-${cssEscape(listingId)} .service-items`);
+  if (!container) return;
+  let services;
+  try {
+    services = await listServices(listingId, { activeOnly: false });
+  } catch (err) {
+    container.innerHTML = `<li class="muted">Error: ${escapeHtml(err.message || String(err))}</li>`;
+    return;
+  }
+  listingServices.set(listingId, services);
+  resetServiceForm(document.querySelector(`form[data-service-form="${cssEscape(listingId)}"]`));
+
+  container.innerHTML = services.length
+    ? services.map(s => `
+      <li>
+        <div class="row" style="align-items:center">
+          <b>${escapeHtml(s.name)}</b>
+          <small>${escapeHtml(formatDuration(s.duration_minutes))}</small>
+          <small>£${escapeHtml(Number(s.price).toFixed(2))}${s.deposit !== null ? ` (£${escapeHtml(Number(s.deposit).toFixed(2))} deposit)` : ''}</small>
+          ${s.active ? '' : '<small class="muted">Inactive</small>'}
+        </div>
+        ${s.description ? `<small class="muted">${escapeHtml(s.description)}</small>` : ''}
+        <div class="row">
+          <button data-service-edit="${escapeAttr(s.id)}" class="secondary">Edit</button>
+          <button data-service-toggle="${escapeAttr(s.id)}" class="secondary">${s.active ? 'Deactivate' : 'Reactivate'}</button>
+        </div>
+      </li>
+    `).join('')
+    : '<li class="muted">No services yet. Without a menu, customers book and pay per slot.</li>';
+}
+
+function resetServiceForm(serviceForm) {
+  if (!serviceForm) return;
+  serviceForm.reset();
+  serviceForm.querySelector('[name="service_id"]').value = '';
+  const submit = serviceForm.querySelector('button[type="submit"]');
+  submit.textContent = 'Add Service';
+  submit.disabled = false;
+  serviceForm.querySelector('[data-service-cancel]').classList.add('hidden');
+}
+
+// Optional extras customers can add at checkout; extra time extends the booking into the
+// stylist's next back-to-back slots, like a longer service.
+async function renderListingAddons(listingId) {
+  const container = document.querySelector(`#addons-${cssEscape(listingId)} .addon-items`);
+  if (!container) return;
+  let addons;
+  try {
+    addons = await listAddons(listingId, { activeOnly: false });
+  } catch (err) {
+    container.innerHTML = `<li class="muted">Error: ${escapeHtml(err.message || String(err))}</li>`;
+    return;
+  }
+  listingAddons.set(listingId, addons);
+  resetAddonForm(document.querySelector(`form[data-addon-form="${cssEscape(listingId)}"]`));
+
+  container.innerHTML = addons.length
+    ? addons.map(a => `
+      <li>
+        <div class="row" style="align-items:center">
+          <b>${escapeHtml(a.name)}</b>
+          <small>${a.duration_minutes ? `+${escapeHtml(formatDuration(a.duration_minutes))}` : 'No extra time'}</small>
+          <small>£${escapeHtml(Number(a.price).toFixed(2))}</small>
+          ${a.active ? '' : '<small class="muted">Inactive</small>'}
+        </div>
+        ${a.description ? `<small class="muted">${escapeHtml(a.description)}</small>` : ''}
+        <div class="row">
+          <button data-addon-edit="${escapeAttr(a.id)}" class="secondary">Edit</button>
+          <button data-addon-toggle="${escapeAttr(a.id)}" class="secondary">${a.active ? 'Deactivate' : 'Reactivate'}</button>
+        </div>
+      </li>
+    `).join('')
+    : '<li class="muted">No add-ons yet.</li>';
+}
+
+function resetAddonForm(addonForm) {
+  if (!addonForm) return;
+  addonForm.reset();
+  addonForm.querySelector('[name="addon_id"]').value = '';
+  const submit = addonForm.querySelector('button[type="submit"]');
+  submit.textContent = 'Add Add-on';
+  submit.disabled = false;
+  addonForm.querySelector('[data-addon-cancel]').classList.add('hidden');
+}
+
+// Checkboxes for the merchant's active staff; ticked ones can be booked on this listing
+async function renderListingStaff(listingId) {
+  const container = document.querySelector(`#staff-${cssEscape(listingId)} .staff-items`);
+  if (!container) return;
+  const active = merchantStaff.filter(s => s.active);
+  if (!active.length) {
+    container.innerHTML = '<small class="muted">Add staff in the Staff section to assign them here. Without staff, all slots are yours.</small>';
+    return;
+  }
+
+  const { data, error } = await sb.from('listing_staff').select('staff_id').eq('listing_id', listingId);
+  if (error) {
+    container.innerHTML = `<div class="muted">Error: ${escapeHtml(error.message)}</div>`;
+    return;
+  }
+  const assigned = new Set((data || []).map(row => row.staff_id));
+  container.innerHTML = active.map(s => `
+    <label><input type="checkbox" data-staff-for="${escapeAttr(listingId)}" value="${escapeAttr(s.id)}"${assigned.has(s.id) ? ' checked' : ''}> ${escapeHtml(s.name)}</label>
+  `).join('');
+}
+
+async function renderListingReviews(listingId) {
+  const container = document.querySelector(`#reviews-${cssEscape(listingId)} .review-items`);
+  if (!container) return;
+  const { data, error } = await sb
+    .from('reviews')
+    .select('id, rating, body, created_at, merchant_reply, merchant_reply_at')
+    .eq('listing_id', listingId)
+    .order('created_at', { ascending: false })
+    .limit(20);
+  if (error) {
+    console.error('[listings] Error loading reviews:', error);
+    container.innerHTML = `<div class="muted">Error: ${escapeHtml(error.message)}</div>`;
+    return;
+  }
+  if (!data?.length) {
+    container.innerHTML = '<div class="muted">No reviews yet.</div>';
+    return;
+  }
+  container.innerHTML = data.map(r => `
+    <div class="review" style="margin-bottom:.8rem">
+      <div><b>${'★'.repeat(r.rating)}${'☆'.repeat(5 - r.rating)}</b>
+        <small class="muted">${escapeHtml(new Date(r.created_at).toLocaleDateString('en-GB'))}</small></div>
+      ${r.body ? `<p style="white-space:pre-wrap;margin:.3rem 0">${escapeHtml(r.body)}</p>` : ''}
+      ${r.merchant_reply
+        ? `<p class="muted" style="white-space:pre-wrap;margin:.3rem 0">Your reply: ${escapeHtml(r.merchant_reply)}</p>`
+        : `<form data-reply-review="${escapeAttr(r.id)}" data-listing="${escapeAttr(listingId)}">
+            <textarea name="text" rows="2" maxlength="1000" placeholder="Write a public reply (one per review)" required></textarea>
+            <button type="submit" class="secondary">Reply</button>
+          </form>`}
+    </div>
+  `).join('');
+}
+
 async function renderListingImages(listingId) {
   const container = document.querySelector(`#imgs-${cssEscape(listingId)} .thumbs`);
   const status = document.querySelector(`#imgs-${cssEscape(listingId)} .upload-status`);
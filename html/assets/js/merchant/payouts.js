@@ -0,0 +1,110 @@
+// payouts.js
+// Payouts section of the merchant listings page. Merchants connect a Stripe Express account
+// (stripe-connect Edge Function); once it can take charges, bookings are paid straight to it
+// less the platform fee. Shows onboarding state, balance and recent payouts.
+import { sb } from '../supabase-client.js';
+
+const PAYOUT_STATUS = {
+  paid: 'Paid',
+  pending: 'Pending',
+  in_transit: 'On its way',
+  canceled: 'Cancelled',
+  failed: 'Failed',
+};
+
+/**
+ * Renders the payouts card into a container
+ * @param {HTMLElement} container - Element to render into
+ * @returns {{ refresh: Function }}
+ */
+export function initPayouts(container) {
+  // Back from Stripe's onboarding: 'return' when finished or left, 'refresh' when the link expired
+  const returnedFrom = new URLSearchParams(location.search).get('stripe');
+
+  container.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-payout-action]');
+    if (!btn) return;
+    btn.disabled = true;
+    try {
+      const { url } = await invoke(btn.dataset.payoutAction);
+      window.location.href = url;
+    } catch (error) {
+      alert(error.message);
+      btn.disabled = false;
+    }
+  });
+
+  async function refresh() {
+    container.textContent = 'Loading…';
+    let status;
+    try {
+      status = await invoke('status');
+    } catch (error) {
+      container.textContent = error.message;
+      return;
+    }
+
+    if (!status.connected) {
+      container.innerHTML = `
+        <p><small class="muted">Connect a Stripe account to be paid directly for your bookings. Until then,
+          payments are collected by LookList and settled with you separately.</small></p>
+        <button class="button" data-payout-action="onboard">Set up payouts</button>
+      `;
+      return;
+    }
+
+    if (!status.details_submitted || !status.charges_enabled) {
+      const note = returnedFrom === 'refresh'
+        ? 'Your setup link expired. Continue where you left off.'
+        : status.details_submitted
+          ? 'Stripe is reviewing your details. Bookings are paid to LookList until this finishes.'
+          : `Stripe still needs some details from you${status.requirements_due?.length ? ` (${status.requirements_due.length} outstanding)` : ''}.`;
+      container.innerHTML = `
+        <p><small class="muted">${escapeHtml(note)}</small></p>
+        ${status.disabled_reason ? `<p><small>Account restricted: ${escapeHtml(status.disabled_reason.replace(/[._]/g, ' '))}</small></p>` : ''}
+        <button class="button" data-payout-action="onboard">Continue setup</button>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="row">
+        <div><small class="muted">Available</small><br><b>${money(status.balance.available)}</b></div>
+        <div><small class="muted">Pending</small><br><b>${money(status.balance.pending)}</b></div>
+        <div><small class="muted">Payouts</small><br><b>${status.payouts_enabled ? 'Enabled' : 'Paused'}</b></div>
+      </div>
+      ${status.payouts_enabled ? '' : '<p><small>Stripe has paused payouts until your account details are updated.</small></p>'}
+      <ul class="list">
+        ${status.payouts.length
+          ? status.payouts.map(p => `
+            <li>
+              <div class="row" style="align-items:center">
+                <b>${money(p.amount)}</b>
+                <small>${escapeHtml(PAYOUT_STATUS[p.status] || p.status)}</small>
+                <small class="muted">${new Date(p.arrival_date).toLocaleDateString()}</small>
+              </div>
+            </li>
+          `).join('')
+          : '<li class="muted">No payouts yet.</li>'}
+      </ul>
+      <div class="row">
+        <button class="secondary" data-payout-action="${status.payouts_enabled ? 'dashboard' : 'onboard'}">
+          ${status.payouts_enabled ? 'Open Stripe dashboard' : 'Update details'}
+        </button>
+      </div>
+    `;
+  }
+
+  refresh();
+  return { refresh };
+}
+
+async function invoke(action) {
+  const { data, error } = await sb.functions.invoke('stripe-connect', { body: { action } });
+  if (error) throw new Error(error.message || 'Payouts are unavailable right now.');
+  if (!data?.success) throw new Error(data?.error || 'Payouts are unavailable right now.');
+  return data.data;
+}
+
+function money(pence) { return `£${(Number(pence || 0) / 100).toFixed(2)}`; }
+function escapeHtml(s) { return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m])); }
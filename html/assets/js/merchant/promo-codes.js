@@ -0,0 +1,158 @@
+// promo-codes.js
+// Promo codes section of the merchant listings page: create codes, see how often each has been
+// used and the discount given, and switch them on and off. The discount comes out of the
+// merchant's price (promo_codes.sql).
+import { sb } from '../supabase-client.js';
+import { listPromoCodes, savePromoCode, validatePromoCode, describeDiscount } from '../promo-codes.js';
+
+/**
+ * Renders the promo code manager into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} merchantId - The signed-in merchant's user ID
+ * @returns {{ refresh: Function }}
+ */
+export function initPromoCodes(container, merchantId) {
+  let codes = [];
+
+  container.innerHTML = `
+    <form class="row promo-form">
+      <div class="field" style="flex:1 1 160px;"><label>Code</label><input name="code" placeholder="SUMMER15" required maxlength="32" style="text-transform:uppercase"></div>
+      <div class="field" style="flex:1 1 140px;"><label>Discount</label>
+        <select name="discount_type">
+          <option value="percent">Percentage</option>
+          <option value="fixed">Fixed amount (£)</option>
+        </select>
+      </div>
+      <div class="field" style="flex:1 1 100px;"><label>Amount</label><input name="value" type="number" min="0" step="0.01" required></div>
+      <div class="field" style="flex:1 1 200px;"><label>Listing</label>
+        <select name="listing_id"><option value="">All my listings</option></select>
+      </div>
+      <div class="field" style="flex:1 1 150px;"><label>Starts (optional)</label><input name="starts_at" type="date"></div>
+      <div class="field" style="flex:1 1 150px;"><label>Ends (optional)</label><input name="ends_at" type="date"></div>
+      <div class="field" style="flex:1 1 120px;"><label>Usage limit (optional)</label><input name="max_redemptions" type="number" min="1" step="1"></div>
+      <button class="button promo-submit">Create Code</button>
+    </form>
+    <ul class="list promo-list"></ul>
+  `;
+
+  const form = container.querySelector('.promo-form');
+  const listEl = container.querySelector('.promo-list');
+  const submitBtn = container.querySelector('.promo-submit');
+  const listingSelect = form.querySelector('[name="listing_id"]');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+    const type = String(data.get('discount_type'));
+    const value = Number(data.get('value'));
+    const limit = String(data.get('max_redemptions') || '').trim();
+    const promo = {
+      merchant_id: merchantId,
+      code: String(data.get('code') || '').trim().toUpperCase(),
+      discount_type: type,
+      discount_percent: type === 'percent' ? value : null,
+      discount_amount: type === 'fixed' ? value : null,
+      listing_id: data.get('listing_id') || null,
+      // Dates cover whole days in the merchant's own timezone
+      starts_at: data.get('starts_at') ? new Date(`${data.get('starts_at')}T00:00`).toISOString() : null,
+      ends_at: data.get('ends_at') ? new Date(`${data.get('ends_at')}T23:59:59`).toISOString() : null,
+      max_redemptions: limit ? Number(limit) : null,
+    };
+
+    const problem = validatePromoCode(promo);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+
+    submitBtn.disabled = true;
+    try {
+      await savePromoCode(promo);
+      form.reset();
+      await refresh();
+    } catch (error) {
+      alert(`Failed to save promo code: ${error.message}`);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  listEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-promo-toggle]');
+    if (!btn) return;
+    const promo = codes.find(c => c.id === btn.dataset.promoToggle);
+    if (!promo) return;
+
+    btn.disabled = true;
+    try {
+      await savePromoCode({ id: promo.id, active: !promo.active });
+      await refresh();
+    } catch (error) {
+      alert(error.message);
+      btn.disabled = false;
+    }
+  });
+
+  async function loadListings() {
+    const { data, error } = await sb
+      .from('listings')
+      .select('id, name')
+      .eq('owner', merchantId)
+      .order('name');
+    if (error) return;
+    listingSelect.innerHTML = '<option value="">All my listings</option>' +
+      (data || []).map(l => `<option value="${escapeAttr(l.id)}">${escapeHtml(l.name || 'Untitled listing')}</option>`).join('');
+  }
+
+  async function refresh() {
+    try {
+      codes = await listPromoCodes(merchantId);
+    } catch (error) {
+      listEl.textContent = error.message;
+      return;
+    }
+
+    listEl.innerHTML = codes.length
+      ? codes.map(c => `
+        <li>
+          <div class="row" style="align-items:center">
+            <b>${escapeHtml(c.code)}</b>
+            <small>${escapeHtml(describeDiscount(c))}</small>
+            <small class="muted">${escapeHtml(c.listings?.name || 'All listings')}</small>
+            <small class="muted">${escapeHtml(describeWindow(c))}</small>
+            <small>${c.active ? statusLabel(c) : 'Off'}</small>
+          </div>
+          <div class="row" style="align-items:center">
+            <small>Uses: ${c.uses}${c.max_redemptions ? ` of ${c.max_redemptions}` : ''}${c.pending ? ` · ${c.pending} at checkout` : ''}</small>
+            <small class="muted">£${(c.discount_cents / 100).toFixed(2)} given</small>
+            <button data-promo-toggle="${escapeAttr(c.id)}" class="secondary">${c.active ? 'Turn off' : 'Turn on'}</button>
+          </div>
+        </li>
+      `).join('')
+      : '<li class="muted">No promo codes yet.</li>';
+  }
+
+  loadListings();
+  refresh();
+  return { refresh };
+}
+
+// Whether an active code can be used right now
+function statusLabel(promo) {
+  const now = Date.now();
+  if (promo.starts_at && Date.parse(promo.starts_at) > now) return 'Scheduled';
+  if (promo.ends_at && Date.parse(promo.ends_at) <= now) return 'Expired';
+  if (promo.max_redemptions && promo.uses + promo.pending >= promo.max_redemptions) return 'Used up';
+  return 'Live';
+}
+
+function describeWindow(promo) {
+  const day = (iso) => new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' });
+  if (promo.starts_at && promo.ends_at) return `${day(promo.starts_at)} – ${day(promo.ends_at)}`;
+  if (promo.starts_at) return `From ${day(promo.starts_at)}`;
+  if (promo.ends_at) return `Until ${day(promo.ends_at)}`;
+  return 'No end date';
+}
+
+function escapeHtml(s) { return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m])); }
+function escapeAttr(s) { return String(s).replace(/"/g, '&quot;'); }
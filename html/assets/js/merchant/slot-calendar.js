@@ -0,0 +1,318 @@
+// slot-calendar.js
+// Week/day calendar grid for the merchant availability page: multi-select, bulk delete,
+// bulk price/capacity changes and drag-to-move. Times are the listing's wall-clock times
+// (availability.date / start_time). Booked or held slots are locked against delete and move,
+// here and in the database (slot_edit_guards.sql).
+import { listSlots, deleteSlots, updateSlots, moveSlot, slotLockReason, takenSeats } from '../slots.js';
+
+// Grid row size; slots can be dropped on any row
+const GRID_STEP_MINUTES = 15;
+const DEFAULT_DAY_START = 8 * 60;
+const DEFAULT_DAY_END = 18 * 60;
+
+/**
+ * Renders the calendar into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} listingId - The listing whose slots are shown
+ * @param {Object} [options]
+ * @param {Array} [options.staff] - The listing's staff ({ id, name }), used to label slots
+ * @param {string|null} [options.staffId] - Only show this staff member's slots
+ * @returns {{ refresh: Function, setStaff: Function }} Call refresh() after slots change
+ *   elsewhere on the page; setStaff(id) switches the staff filter (null shows everyone)
+ */
+export function initSlotCalendar(container, listingId, { staff = [], staffId = null } = {}) {
+  const state = {
+    mode: 'week',
+    anchor: startOfWeek(todayLocal()),
+    staffId,
+    slots: [],
+    selected: new Set(),
+  };
+  const staffNames = new Map(staff.map(s => [s.id, s.name]));
+
+  container.innerHTML = `
+    <div class="cal-toolbar row">
+      <button type="button" class="secondary" data-cal-nav="-1">‹ Prev</button>
+      <button type="button" class="secondary" data-cal-nav="0">Today</button>
+      <button type="button" class="secondary" data-cal-nav="1">Next ›</button>
+      <b class="cal-range"></b>
+      <select class="cal-mode" aria-label="Calendar view">
+        <option value="week">Week</option>
+        <option value="day">Day</option>
+      </select>
+    </div>
+    <div class="cal-bulk row">
+      <small class="cal-selection">0 selected</small>
+      <button type="button" class="secondary" data-cal-select="all">Select all</button>
+      <button type="button" class="secondary" data-cal-select="none">Clear</button>
+      <div class="field"><label>Price (£)</label><input type="number" step="0.01" min="0" class="cal-price"></div>
+      <div class="field"><label>Capacity</label><input type="number" step="1" min="1" class="cal-capacity"></div>
+      <button type="button" class="button" data-cal-action="update">Apply to selected</button>
+      <button type="button" class="secondary" data-cal-action="delete">Delete selected</button>
+    </div>
+    <div class="cal-status" role="status"></div>
+    <div class="cal-grid-wrap"><div class="cal-grid"></div></div>
+    <small>Click slots to select them. Drag an open slot to move it. 🔒 slots have bookings and can't be moved or deleted. ↻ slots come from a weekly rule.</small>
+  `;
+
+  const grid = container.querySelector('.cal-grid');
+  const rangeLabel = container.querySelector('.cal-range');
+  const selectionLabel = container.querySelector('.cal-selection');
+  const statusEl = container.querySelector('.cal-status');
+  const priceInput = container.querySelector('.cal-price');
+  const capacityInput = container.querySelector('.cal-capacity');
+
+  container.querySelector('.cal-mode').addEventListener('change', (e) => {
+    state.mode = e.target.value;
+    state.anchor = state.mode === 'week' ? startOfWeek(state.anchor) : todayInRange(state.anchor);
+    refresh();
+  });
+
+  container.addEventListener('click', async (e) => {
+    const nav = e.target.closest('[data-cal-nav]');
+    if (nav) {
+      const step = Number(nav.dataset.calNav);
+      if (step === 0) state.anchor = state.mode === 'week' ? startOfWeek(todayLocal()) : todayLocal();
+      else state.anchor = addDays(state.anchor, step * (state.mode === 'week' ? 7 : 1));
+      await refresh();
+      return;
+    }
+
+    const select = e.target.closest('[data-cal-select]');
+    if (select) {
+      state.selected = select.dataset.calSelect === 'all' ? new Set(state.slots.map(s => s.id)) : new Set();
+      renderGrid();
+      return;
+    }
+
+    const action = e.target.closest('[data-cal-action]');
+    if (action) {
+      await runBulkAction(action.dataset.calAction, action);
+      return;
+    }
+
+    const chip = e.target.closest('.cal-slot');
+    if (chip) {
+      const id = chip.dataset.slotId;
+      if (state.selected.has(id)) state.selected.delete(id);
+      else state.selected.add(id);
+      renderGrid();
+    }
+  });
+
+  // Drag to move
+  grid.addEventListener('dragstart', (e) => {
+    const chip = e.target.closest('.cal-slot');
+    if (!chip) return;
+    e.dataTransfer.setData('text/plain', chip.dataset.slotId);
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  grid.addEventListener('dragover', (e) => {
+    const cell = e.target.closest('.cal-cell');
+    if (!cell) return;
+    e.preventDefault();
+    grid.querySelectorAll('.cal-cell.drop-target').forEach(c => c !== cell && c.classList.remove('drop-target'));
+    cell.classList.add('drop-target');
+  });
+  grid.addEventListener('dragleave', (e) => {
+    e.target.closest('.cal-cell')?.classList.remove('drop-target');
+  });
+  grid.addEventListener('drop', async (e) => {
+    const cell = e.target.closest('.cal-cell');
+    if (!cell) return;
+    e.preventDefault();
+    cell.classList.remove('drop-target');
+    const slot = state.slots.find(s => s.id === e.dataTransfer.getData('text/plain'));
+    if (!slot) return;
+    if (slot.date === cell.dataset.date && slot.start_time.slice(0, 5) === cell.dataset.time) return;
+
+    try {
+      await moveSlot(slot, { date: cell.dataset.date, startTime: cell.dataset.time });
+      showStatus(`Moved slot to ${cell.dataset.date} ${cell.dataset.time}.`, 'ok');
+    } catch (error) {
+      showStatus(error.message, 'error');
+    }
+    await refresh({ keepStatus: true });
+  });
+
+  async function runBulkAction(action, button) {
+    const selected = state.slots.filter(s => state.selected.has(s.id));
+    if (!selected.length) {
+      showStatus('Select one or more slots first.', 'error');
+      return;
+    }
+
+    let result;
+    button.disabled = true;
+    try {
+      if (action === 'delete') {
+        if (!confirm(`Delete ${selected.length} slot(s)? Booked slots will be kept.`)) return;
+        result = await deleteSlots(selected);
+        showStatus(summarise(`Deleted ${result.deleted} slot(s).`, result.skipped), result.skipped.length ? 'warn' : 'ok');
+      } else {
+        const changes = {};
+        if (priceInput.value !== '') changes.price = Number(priceInput.value);
+        if (capacityInput.value !== '') changes.capacity = Number(capacityInput.value);
+        if (!Object.keys(changes).length) {
+          showStatus('Enter a price and/or capacity to apply.', 'error');
+          return;
+        }
+        if (changes.price !== undefined && (isNaN(changes.price) || changes.price < 0)) {
+          showStatus('Price must be a non-negative number.', 'error');
+          return;
+        }
+        if (changes.capacity !== undefined && (!Number.isInteger(changes.capacity) || changes.capacity < 1)) {
+          showStatus('Capacity must be a positive integer.', 'error');
+          return;
+        }
+        result = await updateSlots(selected, changes);
+        showStatus(summarise(`Updated ${result.updated} slot(s).`, result.skipped), result.skipped.length ? 'warn' : 'ok');
+      }
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    // Keep skipped slots selected so the merchant can see which ones were left alone
+    state.selected = new Set(result.skipped.map(s => s.slot.id));
+    await refresh({ keepStatus: true });
+  }
+
+  async function refresh({ keepStatus = false } = {}) {
+    const days = visibleDays();
+    rangeLabel.textContent = days.length === 1
+      ? formatDay(days[0], { weekday: 'long', day: 'numeric', month: 'long' })
+      : `${formatDay(days[0], { day: 'numeric', month: 'short' })} – ${formatDay(days[days.length - 1], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+    if (!keepStatus) showStatus('');
+
+    try {
+      state.slots = await listSlots(listingId, { from: days[0], to: days[days.length - 1], staffId: state.staffId });
+    } catch (error) {
+      grid.textContent = error.message;
+      return;
+    }
+
+    // Drop selections that are no longer on screen
+    const visible = new Set(state.slots.map(s => s.id));
+    state.selected = new Set([...state.selected].filter(id => visible.has(id)));
+    renderGrid();
+  }
+
+  function renderGrid() {
+    const days = visibleDays();
+    let dayStart = DEFAULT_DAY_START;
+    let dayEnd = DEFAULT_DAY_END;
+    for (const slot of state.slots) {
+      dayStart = Math.min(dayStart, Math.floor(toMinutes(slot.start_time) / 60) * 60);
+      dayEnd = Math.max(dayEnd, Math.ceil(toMinutes(slot.end_time) / 60) * 60);
+    }
+
+    const byCell = new Map();
+    for (const slot of state.slots) {
+      const row = Math.floor(toMinutes(slot.start_time) / GRID_STEP_MINUTES) * GRID_STEP_MINUTES;
+      const key = `${slot.date}|${row}`;
+      if (!byCell.has(key)) byCell.set(key, []);
+      byCell.get(key).push(slot);
+    }
+
+    grid.style.gridTemplateColumns = `4rem repeat(${days.length}, minmax(7rem, 1fr))`;
+
+    const header = ['<div class="cal-corner"></div>']
+      .concat(days.map(d => `<div class="cal-day">${escapeHtml(formatDay(d, { weekday: 'short', day: 'numeric', month: 'short' }))}</div>`));
+
+    const rows = [];
+    for (let minutes = dayStart; minutes < dayEnd; minutes += GRID_STEP_MINUTES) {
+      const time = fromMinutes(minutes);
+      rows.push(`<div class="cal-time">${minutes % 60 === 0 ? time : ''}</div>`);
+      for (const day of days) {
+        const chips = (byCell.get(`${day}|${minutes}`) || []).map(renderChip).join('');
+        rows.push(`<div class="cal-cell${minutes % 60 === 0 ? ' hour' : ''}" data-date="${day}" data-time="${time}">${chips}</div>`);
+      }
+    }
+
+    grid.innerHTML = header.concat(rows).join('');
+    selectionLabel.textContent = `${state.selected.size} selected`;
+  }
+
+  function renderChip(slot) {
+    const lock = slotLockReason(slot);
+    const classes = ['cal-slot'];
+    if (state.selected.has(slot.id)) classes.push('selected');
+    if (lock) classes.push('locked');
+    const title = lock || 'Click to select, drag to move';
+    return `
+      <div class="${classes.join(' ')}" data-slot-id="${escapeHtml(slot.id)}" draggable="${lock ? 'false' : 'true'}" title="${escapeHtml(title)}">
+        ${lock ? '🔒 ' : ''}${escapeHtml(slot.start_time.slice(0, 5))}–${escapeHtml(slot.end_time.slice(0, 5))}
+        <small>£${escapeHtml(slot.price ?? '-')} · ${takenSeats(slot)}/${escapeHtml(slot.capacity ?? 1)}${slot.rule_id ? ' · ↻' : ''}</small>
+        ${slot.label ? `<small>${escapeHtml(slot.label)}</small>` : ''}
+        ${!state.staffId && slot.staff_id ? `<small>${escapeHtml(staffNames.get(slot.staff_id) || 'Former staff')}</small>` : ''}
+      </div>
+    `;
+  }
+
+  function visibleDays() {
+    if (state.mode === 'day') return [state.anchor];
+    return Array.from({ length: 7 }, (_, i) => addDays(state.anchor, i));
+  }
+
+  // When switching to day view, stay in the week being looked at
+  function todayInRange(weekStart) {
+    const today = todayLocal();
+    return today >= weekStart && today <= addDays(weekStart, 6) ? today : weekStart;
+  }
+
+  function showStatus(message, kind = '') {
+    statusEl.textContent = message;
+    statusEl.className = `cal-status${kind ? ` ${kind}` : ''}`;
+  }
+
+  async function setStaff(id) {
+    state.staffId = id || null;
+    state.selected = new Set();
+    await refresh();
+  }
+
+  refresh();
+  return { refresh, setStaff };
+}
+
+// "Deleted 3 slot(s). 2 skipped: …" with one reason per distinct cause
+function summarise(done, skipped) {
+  if (!skipped.length) return done;
+  const reasons = [...new Set(skipped.map(s => s.reason))].join(' ');
+  return `${done} ${skipped.length} skipped: ${reasons}`;
+}
+
+function todayLocal() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Date-only arithmetic in UTC so DST changes never shift the day
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+}
+
+function startOfWeek(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+function formatDay(date, options) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { ...options, timeZone: 'UTC' });
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m]));
+}
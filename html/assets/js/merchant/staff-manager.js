@@ -0,0 +1,124 @@
+// staff-manager.js
+// Staff section of the merchant listings page: add, rename and deactivate staff members.
+// Which listings each stylist performs is chosen per listing (see renderListingStaff in
+// listings.js); their hours and slots are managed on the availability page.
+import { listStaff, saveStaff } from '../staff.js';
+
+/**
+ * Renders the staff manager into a container
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} merchantId - The signed-in merchant's user ID
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called with the staff list after every load or save
+ * @returns {{ refresh: Function }}
+ */
+export function initStaffManager(container, merchantId, { onChange } = {}) {
+  let staff = [];
+
+  container.innerHTML = `
+    <form class="row staff-form">
+      <input type="hidden" name="staff_id">
+      <div class="field" style="flex:1 1 200px;"><label>Name</label><input name="name" placeholder="Amara" required maxlength="80"></div>
+      <div class="field" style="flex:2 1 260px;"><label>Bio (optional)</label><input name="bio" placeholder="Braids and locs specialist" maxlength="300"></div>
+      <button class="button staff-submit">Add Staff Member</button>
+      <button type="button" class="secondary hidden staff-cancel">Cancel</button>
+    </form>
+    <ul class="list staff-list"></ul>
+  `;
+
+  const form = container.querySelector('.staff-form');
+  const listEl = container.querySelector('.staff-list');
+  const submitBtn = container.querySelector('.staff-submit');
+  const cancelBtn = container.querySelector('.staff-cancel');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const data = new FormData(form);
+    const name = String(data.get('name') || '').trim();
+    if (!name) return;
+
+    submitBtn.disabled = true;
+    try {
+      await saveStaff({
+        id: data.get('staff_id') || undefined,
+        merchant_id: merchantId,
+        name,
+        bio: String(data.get('bio') || '').trim() || null,
+      });
+      resetForm();
+      await refresh();
+    } catch (error) {
+      alert(`Failed to save staff member: ${error.message}`);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  cancelBtn.addEventListener('click', resetForm);
+
+  listEl.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-staff-edit], button[data-staff-toggle]');
+    if (!btn) return;
+    const member = staff.find(s => s.id === (btn.dataset.staffEdit || btn.dataset.staffToggle));
+    if (!member) return;
+
+    if (btn.dataset.staffEdit) {
+      form.querySelector('[name="staff_id"]').value = member.id;
+      form.querySelector('[name="name"]').value = member.name;
+      form.querySelector('[name="bio"]').value = member.bio || '';
+      submitBtn.textContent = 'Save Changes';
+      cancelBtn.classList.remove('hidden');
+      return;
+    }
+
+    if (member.active && !confirm(`Deactivate ${member.name}? Their weekly hours are paused and future open slots removed; booked appointments are kept.`)) return;
+    btn.disabled = true;
+    try {
+      await saveStaff({ id: member.id, active: !member.active });
+      await refresh();
+    } catch (error) {
+      alert(error.message);
+      btn.disabled = false;
+    }
+  });
+
+  function resetForm() {
+    form.reset();
+    form.querySelector('[name="staff_id"]').value = '';
+    submitBtn.textContent = 'Add Staff Member';
+    cancelBtn.classList.add('hidden');
+  }
+
+  async function refresh() {
+    try {
+      staff = await listStaff(merchantId);
+    } catch (error) {
+      listEl.textContent = error.message;
+      return;
+    }
+
+    listEl.innerHTML = staff.length
+      ? staff.map(s => `
+        <li>
+          <div class="row" style="align-items:center">
+            <b>${escapeHtml(s.name)}</b>
+            <small class="muted">${escapeHtml(s.bio || '')}</small>
+            <small>${s.active ? 'Active' : 'Inactive'}</small>
+          </div>
+          <div class="row">
+            <button data-staff-edit="${escapeAttr(s.id)}" class="secondary">Edit</button>
+            <button data-staff-toggle="${escapeAttr(s.id)}" class="secondary">${s.active ? 'Deactivate' : 'Reactivate'}</button>
+          </div>
+        </li>
+      `).join('')
+      : '<li class="muted">No staff yet. Without staff, all slots are yours.</li>';
+
+    onChange?.(staff);
+  }
+
+  refresh();
+  return { refresh };
+}
+
+function escapeHtml(s) { return String(s).replace(/[&<>"]/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[m])); }
+function escapeAttr(s) { return String(s).replace(/"/g, '&quot;'); }
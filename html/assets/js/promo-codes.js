@@ -0,0 +1,126 @@
+// promo-codes.js
+// Data layer for merchant promo codes (promo_codes.sql). Merchants manage their own codes; a
+// customer can only check one code against one listing. create-checkout-session applies the
+// discount and records each use in promo_redemptions.
+import { sb } from './supabase-client.js';
+
+// check_promo_code errors as shown to the customer
+const PROMO_ERRORS = {
+  promo_not_found: "That promo code isn't valid for this listing",
+  promo_not_started: "That promo code isn't active yet",
+  promo_expired: 'That promo code has expired',
+  promo_exhausted: 'That promo code has been used up',
+};
+
+/**
+ * Lists a merchant's promo codes with their usage
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Array>} Codes, newest first, each with uses (redeemed), pending (on open
+ *   checkouts) and discount_cents (total given on redeemed uses)
+ */
+export async function listPromoCodes(merchantId) {
+  const { data, error } = await sb
+    .from('promo_codes')
+    .select('*, listings(name), promo_redemptions(status, discount_cents)')
+    .eq('merchant_id', merchantId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(({ promo_redemptions: redemptions = [], ...promo }) => {
+    const redeemed = redemptions.filter(r => r.status === 'redeemed');
+    return {
+      ...promo,
+      uses: redeemed.length,
+      pending: redemptions.filter(r => r.status === 'pending').length,
+      discount_cents: redeemed.reduce((sum, r) => sum + Number(r.discount_cents || 0), 0),
+    };
+  });
+}
+
+/**
+ * Validates a promo code before saving
+ * @param {Object} promo - promo_codes fields
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePromoCode(promo) {
+  if (!/^[A-Z0-9_-]{3,32}$/.test(String(promo.code || '').trim().toUpperCase())) {
+    return 'Code must be 3-32 letters, numbers, dashes or underscores';
+  }
+  if (promo.discount_type === 'percent') {
+    if (!Number.isInteger(promo.discount_percent) || promo.discount_percent < 1 || promo.discount_percent > 100) {
+      return 'Percentage must be a whole number from 1 to 100';
+    }
+  } else if (promo.discount_type === 'fixed') {
+    if (isNaN(promo.discount_amount) || promo.discount_amount <= 0) return 'Amount off must be more than 0';
+  } else {
+    return 'Choose a percentage or fixed discount';
+  }
+  if (promo.max_redemptions !== null && (!Number.isInteger(promo.max_redemptions) || promo.max_redemptions < 1)) {
+    return 'Usage limit must be a whole number of at least 1';
+  }
+  if (promo.starts_at && promo.ends_at && Date.parse(promo.ends_at) <= Date.parse(promo.starts_at)) {
+    return 'End date must be after the start date';
+  }
+  return null;
+}
+
+/**
+ * Creates or updates a promo code
+ * @param {Object} promo - promo_codes row; include id to update
+ * @returns {Promise<Object>} The saved code
+ */
+export async function savePromoCode(promo) {
+  const { id, ...fields } = promo;
+  if (fields.code !== undefined) fields.code = String(fields.code).trim().toUpperCase();
+  const query = id
+    ? sb.from('promo_codes').update(fields).eq('id', id)
+    : sb.from('promo_codes').insert(fields);
+
+  const { data, error } = await query.select().single();
+  if (error) {
+    if (error.code === '23505') throw new Error('You already have a promo code with that name');
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Checks a promo code for a listing, as create-checkout-session will at checkout
+ * @param {string} listingId - The listing being booked
+ * @param {string} code - Code as the customer typed it
+ * @returns {Promise<{ promo_code_id: string, code: string, discount_type: string, discount_percent: number|null, discount_amount: number|null }>}
+ * @throws {Error} With a customer-facing message when the code can't be used
+ */
+export async function checkPromoCode(listingId, code) {
+  const { data, error } = await sb.rpc('check_promo_code', { p_listing_id: listingId, p_code: code });
+  if (error) {
+    const problem = Object.keys(PROMO_ERRORS).find(key => error.message?.includes(key));
+    throw new Error(problem ? PROMO_ERRORS[problem] : 'Could not check that promo code');
+  }
+  if (!data?.[0]) throw new Error(PROMO_ERRORS.promo_not_found);
+  return data[0];
+}
+
+/**
+ * Discount a code gives on a price; the same rule as promoDiscountPence in create-checkout-session
+ * @param {Object} promo - From checkPromoCode
+ * @param {number} price - Price in pounds
+ * @returns {number} Pounds off, never more than the price
+ */
+export function promoDiscount(promo, price) {
+  const pence = Math.round(Number(price || 0) * 100);
+  const off = promo.discount_type === 'percent'
+    ? Math.round((pence * Number(promo.discount_percent || 0)) / 100)
+    : Math.round(Number(promo.discount_amount || 0) * 100);
+  return Math.max(0, Math.min(pence, off)) / 100;
+}
+
+/**
+ * Describes a code's discount
+ * @param {Object} promo - promo_codes row or checkPromoCode result
+ * @returns {string} e.g. "15% off" or "£5.00 off"
+ */
+export function describeDiscount(promo) {
+  return promo.discount_type === 'percent'
+    ? `${promo.discount_percent}% off`
+    : `£${Number(promo.discount_amount || 0).toFixed(2)} off`;
+}
@@ -0,0 +1,117 @@
+// services.js
+// Data layer for a listing's service menu (listing_services.sql). Each service has its own
+// duration, price and optional deposit, in GBP. Customers pick a service before a start time;
+// checkout is priced from it and the listing's price_from follows the cheapest active service.
+//
+// Add-ons (listing_addons.sql) are optional extras picked alongside a service, each with a price
+// and the extra time it adds to the booking.
+import { sb } from './supabase-client.js';
+
+/**
+ * Lists a listing's services. Customers only see active ones (RLS); the owner sees all.
+ * @param {string} listingId - The listing ID
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=true] - Leave out deactivated services
+ * @returns {Promise<Array>} Services in menu order
+ */
+export async function listServices(listingId, { activeOnly = true } = {}) {
+  let query = sb.from('listing_services').select('*').eq('listing_id', listingId);
+  if (activeOnly) query = query.eq('active', true);
+
+  const { data, error } = await query.order('sort_order').order('price');
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Checks a service before it is saved
+ * @param {Object} service - listing_services fields
+ * @returns {string|null} Error message, or null when the service is valid
+ */
+export function validateService(service) {
+  if (!String(service.name || '').trim()) return 'Name is required';
+  if (!Number.isInteger(service.duration_minutes) || service.duration_minutes < 1) {
+    return 'Duration must be a whole number of minutes';
+  }
+  if (service.duration_minutes > 24 * 60) return 'Duration must be under 24 hours';
+  if (isNaN(service.price) || service.price < 0) return 'Price must be a non-negative number';
+  if (service.deposit !== null && service.deposit !== undefined) {
+    if (isNaN(service.deposit) || service.deposit < 0) return 'Deposit must be a non-negative number';
+    if (service.deposit > service.price) return 'Deposit cannot be more than the price';
+  }
+  return null;
+}
+
+/**
+ * Creates or updates a service
+ * @param {Object} service - listing_services row; include id to update
+ * @returns {Promise<Object>} The saved service
+ */
+export async function saveService(service) {
+  const { id, ...fields } = service;
+  const query = id
+    ? sb.from('listing_services').update(fields).eq('id', id)
+    : sb.from('listing_services').insert(fields);
+
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Lists a listing's add-ons. Customers only see active ones (RLS); the owner sees all.
+ * @param {string} listingId - The listing ID
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=true] - Leave out deactivated add-ons
+ * @returns {Promise<Array>} Add-ons in menu order
+ */
+export async function listAddons(listingId, { activeOnly = true } = {}) {
+  let query = sb.from('listing_addons').select('*').eq('listing_id', listingId);
+  if (activeOnly) query = query.eq('active', true);
+
+  const { data, error } = await query.order('sort_order').order('price');
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Checks an add-on before it is saved
+ * @param {Object} addon - listing_addons fields
+ * @returns {string|null} Error message, or null when the add-on is valid
+ */
+export function validateAddon(addon) {
+  if (!String(addon.name || '').trim()) return 'Name is required';
+  if (!Number.isInteger(addon.duration_minutes) || addon.duration_minutes < 0) {
+    return 'Extra time must be a whole number of minutes';
+  }
+  if (addon.duration_minutes > 8 * 60) return 'Extra time must be under 8 hours';
+  if (isNaN(addon.price) || addon.price < 0) return 'Price must be a non-negative number';
+  return null;
+}
+
+/**
+ * Creates or updates an add-on
+ * @param {Object} addon - listing_addons row; include id to update
+ * @returns {Promise<Object>} The saved add-on
+ */
+export async function saveAddon(addon) {
+  const { id, ...fields } = addon;
+  const query = id
+    ? sb.from('listing_addons').update(fields).eq('id', id)
+    : sb.from('listing_addons').insert(fields);
+
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Formats a duration for menus and buttons
+ * @param {number} minutes - e.g. 240, 45 or 90
+ * @returns {string} e.g. "4h", "45m" or "1h 30m"
+ */
+export function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h ? `${h}h` : '', m ? `${m}m` : ''].filter(Boolean).join(' ');
+}
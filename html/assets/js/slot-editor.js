@@ -1,6 +1,11 @@
 // slot-editor.js
 // Frontend logic for generating and managing time slots
 import { sb } from './supabase-client.js';
+import { makeSlot, upsertSlots, describeConflict } from './slots.js';
+import { listListingStaff } from './staff.js';
+
+// upsert-slots rejects larger batches
+const MAX_SLOTS_PER_BATCH = 1000;
 
 /**
  * Fetches merchant's listings to populate the listing dropdown
@@ -8,7 +13,7 @@ import { sb } from './supabase-client.js';
 export async function fetchMerchantListings(userId) {
   const { data, error } = await sb
     .from('listings')
-    .select('id, name, category')
+    .select('id, name, category, timezone')
     .eq('owner', userId)
     .eq('active', true)
     .order('name');
@@ -21,37 +26,68 @@ export async function fetchMerchantListings(userId) {
   return data || [];
 }
 
+/**
+ * Parses excluded dates entered one per line (or comma-separated).
+ * Each entry is a single date (YYYY-MM-DD) or an inclusive range (YYYY-MM-DD to YYYY-MM-DD).
+ * @param {string} text - Raw input
+ * @returns {{ ranges: Array<{start: string, end: string}>, error: string|null }}
+ */
+export function parseExcludedDates(text) {
+  const ranges = [];
+  const entries = String(text || '').split(/[\n,]+/).map(s => s.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const match = entry.match(/^(\d{4}-\d{2}-\d{2})(?:\s*(?:to|\.\.|–)\s*(\d{4}-\d{2}-\d{2}))?$/);
+    if (!match) {
+      return { ranges: [], error: `Can't read excluded date "${entry}". Use YYYY-MM-DD or YYYY-MM-DD to YYYY-MM-DD.` };
+    }
+    const start = match[1];
+    const end = match[2] || match[1];
+    if (start > end) {
+      return { ranges: [], error: `Excluded range "${entry}" ends before it starts.` };
+    }
+    ranges.push({ start, end });
+  }
+
+  return { ranges, error: null };
+}
+
 /**
  * Builds time slots based on user input
  * @param {Object} params - Configuration object
- * @param {string} params.listingId - The listing ID
  * @param {string} params.startDate - Start date (YYYY-MM-DD)
  * @param {string} params.endDate - End date (YYYY-MM-DD)
- * @param {string} params.startTime - Daily start time (HH:mm)
- * @param {string} params.endTime - Daily end time (HH:mm)
+ * @param {Array<{startTime: string, endTime: string}>} [params.windows] - Daily working windows (HH:mm);
+ *   gaps between windows are breaks. Defaults to a single startTime–endTime window.
+ * @param {string} [params.startTime] - Daily start time (HH:mm), when windows is not given
+ * @param {string} [params.endTime] - Daily end time (HH:mm), when windows is not given
  * @param {number} params.duration - Duration in minutes
+ * @param {number} [params.bufferMinutes] - Gap left after each slot, e.g. for cleanup
  * @param {number} params.price - Price per slot
  * @param {number} params.capacity - Capacity per slot
  * @param {string[]} params.daysOfWeek - Array of day names (e.g., ['monday', 'tuesday'])
- * @returns {Array} Array of slot objects
+ * @param {Array<{start: string, end: string}>} [params.excludedDates] - Inclusive date ranges to skip
+ * @returns {Array} Array of slot objects in the availability shape (see slots.js)
  */
 export function buildTimeSlots(params) {
   const {
-    listingId,
     startDate,
     endDate,
     startTime,
     endTime,
     duration,
+    bufferMinutes = 0,
     price,
     capacity,
-    daysOfWeek
+    daysOfWeek,
+    excludedDates = []
   } = params;
+  const windows = params.windows || [{ startTime, endTime }];
 
   const slots = [];
   const start = new Date(startDate + 'T00:00:00');
   const end = new Date(endDate + 'T00:00:00');
-  
+
   // Day name mapping (Sunday = 0, Monday = 1, etc.)
   const dayNameToIndex = {
     'sunday': 0,
@@ -68,73 +104,40 @@ export function buildTimeSlots(params) {
   // Iterate through each date in the range
   for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
     const dayOfWeek = d.getDay();
-    
+
     // Skip if this day of week is not selected
     if (!allowedDayIndices.includes(dayOfWeek)) {
       continue;
     }
 
-    // Generate slots for this day
-    const dateStr = d.toISOString().split('T')[0];
-    const [startHour, startMin] = startTime.split(':').map(Number);
-    const [endHour, endMin] = endTime.split(':').map(Number);
-
-    // Convert to minutes since midnight
-    let currentMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    while (currentMinutes + duration <= endMinutes) {
-      const slotStartHour = Math.floor(currentMinutes / 60);
-      const slotStartMin = currentMinutes % 60;
-      const slotEndMinutes = currentMinutes + duration;
-      const slotEndHour = Math.floor(slotEndMinutes / 60);
-      const slotEndMin = slotEndMinutes % 60;
-
-      const startsAt = `${dateStr}T${String(slotStartHour).padStart(2, '0')}:${String(slotStartMin).padStart(2, '0')}:00`;
-      const endsAt = `${dateStr}T${String(slotEndHour).padStart(2, '0')}:${String(slotEndMin).padStart(2, '0')}:00`;
-
-      slots.push({
-        listing_id: listingId,
-        starts_at: startsAt,
-        ends_at: endsAt,
-        price: price || null,
-        capacity: capacity || 1,
-        status: 'open'
-      });
-
-      currentMinutes += duration;
-    }
-  }
-
-  return slots;
-}
+    // Local date, not toISOString(), which shifts to the previous day east of UTC
+    const dateStr = formatLocalDate(d);
 
-/**
- * Sends slots to the Supabase Edge Function for insertion
- * @param {string} listingId - The listing ID
- * @param {Array} slots - Array of slot objects
- * @returns {Promise} Result from the edge function
- */
-export async function upsertSlots(listingId, slots) {
-  // Use unified client to invoke Edge Function - ensures Authorization header is attached
-  const { data, error } = await sb.functions.invoke('upsert-slots', {
-    body: {
-      listing_id: listingId,
-      slots: slots
+    // Skip holidays and closures
+    if (excludedDates.some(range => dateStr >= range.start && dateStr <= range.end)) {
+      continue;
     }
-  });
 
-  // Handle function invocation errors
-  if (error) {
-    throw new Error(error.message || 'Failed to invoke upsert-slots');
-  }
-
-  // Handle response envelope with { success, data?, error? }
-  if (!data?.success) {
-    throw new Error(data?.error || 'Failed to upsert slots');
+    // Generate slots for each working window on this day
+    for (const window of windows) {
+      let currentMinutes = toMinutes(window.startTime);
+      const endMinutes = toMinutes(window.endTime);
+
+      while (currentMinutes + duration <= endMinutes) {
+        slots.push(makeSlot({
+          date: dateStr,
+          startTime: fromMinutes(currentMinutes),
+          endTime: fromMinutes(currentMinutes + duration),
+          price: price ?? null,
+          capacity: capacity || 1
+        }));
+
+        currentMinutes += duration + bufferMinutes;
+      }
+    }
   }
 
-  return data;
+  return slots;
 }
 
 /**
@@ -148,7 +151,7 @@ export async function initializeSlotEditor(user, container) {
   try {
     // Fetch merchant's listings
     const listings = await fetchMerchantListings(user.id);
-    
+
     if (!listings.length) {
       container.innerHTML = '<p class="muted">No active listings found. Please create a listing first.</p>';
       return;
@@ -158,17 +161,43 @@ export async function initializeSlotEditor(user, container) {
     const listingSelect = container.querySelector('#slot-listing-select');
     if (listingSelect) {
       listingSelect.innerHTML = '<option value="">Select a listing...</option>' +
-        listings.map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)} (${escapeHtml(l.category)})</option>`).join('');
+        listings.map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)} (${escapeHtml(l.category)}, times in ${escapeHtml(l.timezone || 'Europe/London')})</option>`).join('');
     }
 
-    // Set up form submission
     const form = container.querySelector('#generate-slots-form');
-    if (form) {
-      form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await handleGenerateSlots(form, container);
-      });
-    }
+    if (!form) return;
+
+    // Stylist picker, shown for listings with qualified staff
+    listingSelect?.addEventListener('change', () => loadStaffOptions(container, listingSelect.value));
+
+    // Working windows: add / remove rows
+    const windowsList = container.querySelector('#slot-windows');
+    container.querySelector('#slot-add-window')?.addEventListener('click', () => {
+      windowsList?.insertAdjacentHTML('beforeend', renderWindowRow('', ''));
+      clearPreview(container);
+    });
+    windowsList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-window]');
+      if (!btn) return;
+      if (windowsList.querySelectorAll('.slot-window').length > 1) {
+        btn.closest('.slot-window').remove();
+        clearPreview(container);
+      }
+    });
+
+    // Any change invalidates the preview so stale slots are never saved
+    form.addEventListener('input', () => clearPreview(container));
+    form.addEventListener('change', () => clearPreview(container));
+
+    // Submitting the form previews; saving is a separate confirmation step
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      handlePreviewSlots(form, container);
+    });
+
+    container.querySelector('#slot-save-btn')?.addEventListener('click', async () => {
+      await handleSaveSlots(container);
+    });
 
   } catch (error) {
     console.error('Error initializing slot editor:', error);
@@ -176,22 +205,52 @@ export async function initializeSlotEditor(user, container) {
   }
 }
 
+// Slots from the last successful preview, saved by the confirm button
+let previewState = null;
+
+async function loadStaffOptions(container, listingId) {
+  const field = container.querySelector('#slot-staff-field');
+  const select = container.querySelector('#slot-staff-select');
+  if (!field || !select) return;
+
+  let staff = [];
+  if (listingId) {
+    try {
+      staff = await listListingStaff(listingId);
+    } catch (error) {
+      console.error('Error loading staff:', error);
+    }
+  }
+  select.innerHTML = '<option value="">No specific stylist</option>' +
+    staff.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('');
+  field.classList.toggle('hidden', !staff.length);
+}
+
 /**
- * Handles the form submission for generating slots
+ * Reads and validates the generator form
+ * @returns {Object|null} buildTimeSlots params plus listingId, or null after alerting the user
  */
-async function handleGenerateSlots(form, container) {
+function readSlotForm(form) {
   const formData = new FormData(form);
   const listingId = formData.get('listing_id');
+  const staffId = formData.get('staff_id') || null;
   const startDate = formData.get('start_date');
   const endDate = formData.get('end_date');
-  const startTime = formData.get('start_time');
-  const endTime = formData.get('end_time');
   const duration = Number(formData.get('duration'));
+  const bufferValue = formData.get('buffer_minutes');
+  const bufferMinutes = bufferValue && bufferValue !== '' ? Number(bufferValue) : 0;
   const priceValue = formData.get('price');
   const price = priceValue && priceValue !== '' ? parseFloat(priceValue) : null;
   const capacityValue = formData.get('capacity');
   const capacity = capacityValue && capacityValue !== '' ? Number(capacityValue) : 1;
 
+  const windowStarts = formData.getAll('window_start');
+  const windowEnds = formData.getAll('window_end');
+  const windows = windowStarts
+    .map((startTime, i) => ({ startTime, endTime: windowEnds[i] }))
+    .filter(w => w.startTime || w.endTime)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
   // Get selected days of week
   const daysOfWeek = [];
   ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].forEach(day => {
@@ -200,86 +259,159 @@ async function handleGenerateSlots(form, container) {
     }
   });
 
+  const { ranges: excludedDates, error: excludedError } = parseExcludedDates(formData.get('excluded_dates'));
+
   // Validation
   if (!listingId) {
     alert('Please select a listing');
-    return;
+    return null;
   }
 
-  if (!startDate || !endDate || !startTime || !endTime) {
+  if (!startDate || !endDate) {
     alert('Please fill in all required fields');
-    return;
+    return null;
+  }
+
+  if (!windows.length || windows.some(w => !w.startTime || !w.endTime)) {
+    alert('Each working window needs a start and end time');
+    return null;
+  }
+
+  if (windows.some(w => w.startTime >= w.endTime)) {
+    alert('Each working window must start before it ends');
+    return null;
+  }
+
+  if (windows.some((w, i) => i > 0 && w.startTime < windows[i - 1].endTime)) {
+    alert('Working windows must not overlap');
+    return null;
   }
 
   if (isNaN(duration) || duration <= 0) {
     alert('Duration must be a positive number');
-    return;
+    return null;
+  }
+
+  if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0) {
+    alert('Buffer must be a whole number of minutes (0 or more)');
+    return null;
   }
 
   if (price !== null && (isNaN(price) || price < 0)) {
     alert('Price must be a non-negative number');
-    return;
+    return null;
   }
 
   if (isNaN(capacity) || capacity < 1) {
     alert('Capacity must be at least 1');
-    return;
+    return null;
   }
 
   if (new Date(startDate) > new Date(endDate)) {
     alert('Start date must be before end date');
-    return;
-  }
-
-  if (startTime >= endTime) {
-    alert('Start time must be before end time');
-    return;
+    return null;
   }
 
   if (daysOfWeek.length === 0) {
     alert('Please select at least one day of the week');
-    return;
+    return null;
   }
 
+  if (excludedError) {
+    alert(excludedError);
+    return null;
+  }
+
+  return {
+    listingId,
+    staffId,
+    startDate,
+    endDate,
+    windows,
+    duration,
+    bufferMinutes,
+    price,
+    capacity,
+    daysOfWeek,
+    excludedDates
+  };
+}
+
+/**
+ * Generates slots from the form and shows them for review before saving
+ */
+function handlePreviewSlots(form, container) {
+  clearPreview(container);
+  const params = readSlotForm(form);
+  if (!params) return;
+
+  const slots = buildTimeSlots(params);
   const statusDiv = container.querySelector('#slot-generation-status');
-  const submitBtn = form.querySelector('button[type="submit"]');
+  const previewDiv = container.querySelector('#slot-preview');
+  const saveBtn = container.querySelector('#slot-save-btn');
 
-  try {
-    if (submitBtn) submitBtn.disabled = true;
-    if (statusDiv) statusDiv.textContent = 'Generating slots...';
-
-    // Build slots
-    const slots = buildTimeSlots({
-      listingId,
-      startDate,
-      endDate,
-      startTime,
-      endTime,
-      duration,
-      price,
-      capacity,
-      daysOfWeek
-    });
+  if (slots.length === 0) {
+    if (statusDiv) statusDiv.textContent = 'No slots generated. Check your parameters.';
+    return;
+  }
 
-    if (slots.length === 0) {
-      if (statusDiv) statusDiv.textContent = 'No slots generated. Check your parameters.';
-      return;
+  if (slots.length > MAX_SLOTS_PER_BATCH) {
+    if (statusDiv) {
+      statusDiv.textContent = `That would generate ${slots.length} slots; the maximum is ${MAX_SLOTS_PER_BATCH}. Use a shorter date range.`;
+      statusDiv.style.color = '#ef9a9a';
     }
+    return;
+  }
+
+  previewState = { listingId: params.listingId, staffId: params.staffId, slots };
+
+  if (previewDiv) {
+    previewDiv.innerHTML = renderPreview(slots);
+    previewDiv.classList.remove('hidden');
+  }
+  if (saveBtn) {
+    saveBtn.textContent = `Save ${slots.length} slots`;
+    saveBtn.classList.remove('hidden');
+  }
+  if (statusDiv) statusDiv.textContent = `Generated ${slots.length} slots. Review them below, then save.`;
+}
+
+/**
+ * Sends the previewed slots to upsert-slots. The first save rejects the whole batch if any slot
+ * overlaps the merchant's other slots or bookings; the conflicts are then listed and saving again
+ * skips them.
+ */
+async function handleSaveSlots(container) {
+  if (!previewState) return;
+  const { listingId, staffId, slots } = previewState;
+  const onConflict = previewState.conflicts ? 'skip' : 'reject';
+
+  const statusDiv = container.querySelector('#slot-generation-status');
+  const saveBtn = container.querySelector('#slot-save-btn');
+  const previewDiv = container.querySelector('#slot-preview');
 
-    if (statusDiv) statusDiv.textContent = `Generated ${slots.length} slots. Saving...`;
+  try {
+    if (saveBtn) saveBtn.disabled = true;
+    if (statusDiv) statusDiv.textContent = `Saving ${slots.length} slots...`;
 
     // Send to edge function
-    const result = await upsertSlots(listingId, slots);
+    const result = await upsertSlots(listingId, slots, { onConflict, staffId });
 
     if (result.success) {
       const inserted = result.data?.inserted ?? 0;
-      const skipped = result.data?.skipped ?? 0;
-      const message = `Success! Inserted ${inserted} new slots${skipped > 0 ? `, skipped ${skipped} duplicates` : ''}`;
+      const overlapping = result.data?.conflicts?.length ?? 0;
+      const duplicates = (result.data?.skipped ?? 0) - overlapping;
+      const skippedParts = [
+        duplicates > 0 ? `${duplicates} duplicates` : '',
+        overlapping > 0 ? `${overlapping} overlapping` : ''
+      ].filter(Boolean);
+      const message = `Success! Inserted ${inserted} new slots${skippedParts.length ? `, skipped ${skippedParts.join(' and ')}` : ''}`;
+      clearPreview(container);
       if (statusDiv) {
         statusDiv.textContent = message;
         statusDiv.style.color = '#a5d6a7';
       }
-      
+
       // Clear form after success
       setTimeout(() => {
         if (statusDiv) {
@@ -292,14 +424,108 @@ async function handleGenerateSlots(form, container) {
     }
 
   } catch (error) {
-    console.error('Error generating slots:', error);
+    if (error.conflicts?.length) {
+      showConflicts(previewDiv, saveBtn, statusDiv, error.conflicts);
+      return;
+    }
+    console.error('Error saving slots:', error);
     if (statusDiv) {
       statusDiv.textContent = `Error: ${error.message}`;
       statusDiv.style.color = '#ef9a9a';
     }
   } finally {
-    if (submitBtn) submitBtn.disabled = false;
+    if (saveBtn) saveBtn.disabled = false;
+  }
+}
+
+// Lists the slots upsert-slots rejected and offers to save the rest
+function showConflicts(previewDiv, saveBtn, statusDiv, conflicts) {
+  const { slots } = previewState;
+  previewState.conflicts = conflicts;
+  const clear = slots.length - conflicts.length;
+
+  if (previewDiv) {
+    previewDiv.innerHTML = renderConflicts(conflicts) + renderPreview(slots);
+  }
+  if (saveBtn) {
+    saveBtn.textContent = `Save ${clear} slots, skip ${conflicts.length} overlapping`;
+    saveBtn.classList.toggle('hidden', clear === 0);
+  }
+  if (statusDiv) {
+    statusDiv.textContent = clear
+      ? `${conflicts.length} of ${slots.length} slots overlap your other slots or bookings. Nothing was saved yet.`
+      : 'Every slot overlaps your other slots or bookings. Nothing was saved.';
+    statusDiv.style.color = '#ef9a9a';
+  }
+}
+
+function clearPreview(container) {
+  previewState = null;
+  const previewDiv = container.querySelector('#slot-preview');
+  const saveBtn = container.querySelector('#slot-save-btn');
+  const statusDiv = container.querySelector('#slot-generation-status');
+  if (previewDiv) {
+    previewDiv.innerHTML = '';
+    previewDiv.classList.add('hidden');
+  }
+  if (saveBtn) saveBtn.classList.add('hidden');
+  if (statusDiv) {
+    statusDiv.textContent = '';
+    statusDiv.style.color = '';
+  }
+}
+
+/**
+ * Renders previewed slots grouped by day
+ */
+function renderPreview(slots) {
+  const byDate = new Map();
+  for (const slot of slots) {
+    if (!byDate.has(slot.date)) byDate.set(slot.date, []);
+    byDate.get(slot.date).push(slot);
   }
+
+  const rows = [...byDate.entries()].map(([date, daySlots]) => {
+    const label = new Date(date + 'T00:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+    const times = daySlots.map(s => `${s.start_time}–${s.end_time}`).join(', ');
+    return `<li><b>${escapeHtml(label)}</b> <small class="muted">(${daySlots.length})</small><br><small>${escapeHtml(times)}</small></li>`;
+  }).join('');
+
+  return `<p><b>${slots.length}</b> slots across <b>${byDate.size}</b> days</p><ul class="list">${rows}</ul>`;
+}
+
+function renderConflicts(conflicts) {
+  const rows = conflicts.map((c) => {
+    const label = new Date(c.date + 'T00:00:00').toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+    const others = c.conflicts_with.map(describeConflict).join('; ');
+    return `<li><b>${escapeHtml(label)} ${escapeHtml(c.start_time)}–${escapeHtml(c.end_time)}</b><br><small>Overlaps ${escapeHtml(others)}</small></li>`;
+  }).join('');
+
+  return `<p style="color: #ef9a9a;"><b>${conflicts.length}</b> overlapping slots</p><ul class="list">${rows}</ul>`;
+}
+
+function renderWindowRow(startTime, endTime) {
+  return `
+    <div class="row slot-window" style="gap: .5rem; align-items: center;">
+      <input type="time" name="window_start" value="${escapeHtml(startTime)}" required>
+      <span>to</span>
+      <input type="time" name="window_end" value="${escapeHtml(endTime)}" required>
+      <button type="button" class="secondary" data-remove-window title="Remove window">✕</button>
+    </div>
+  `;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatLocalDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 }
 
 function escapeHtml(s) {
@@ -0,0 +1,390 @@
+// slots.js
+// Data layer for bookable slots. public.availability is the only slot table: the merchant
+// availability page, the bulk slot editor and the customer slot picker all go through here.
+// Writes go through the upsert-slots Edge Function, which checks ownership and skips slots
+// that already exist; reads use the availability_with_holds view so seats held by an open
+// checkout are counted.
+//
+// Recurring availability rules (availability_rules.sql) are stored per listing and turned into
+// slots by the materialize-availability Edge Function, on a schedule and right after each save.
+//
+// Slots and rules may belong to a staff member (staff_id, see staff.js); without one they are
+// the merchant's own time.
+//
+// A service from the listing's menu (services.js) can run across several back-to-back slots of
+// the same stylist; serviceChain decides which start times fit it.
+import { sb } from './supabase-client.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Builds a slot row in the availability shape
+ * @param {Object} params
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {string} params.startTime - Start time (HH:mm)
+ * @param {string} params.endTime - End time (HH:mm)
+ * @param {number|null} [params.price] - Price in GBP; null falls back to the listing's price_from
+ * @param {number} [params.capacity] - Seats on the slot
+ * @param {string|null} [params.label] - Optional label shown to customers
+ * @returns {Object} Slot object accepted by upsertSlots
+ */
+export function makeSlot({ date, startTime, endTime, price = null, capacity = 1, label = null }) {
+  return {
+    date,
+    start_time: startTime,
+    end_time: endTime,
+    price,
+    capacity,
+    label,
+  };
+}
+
+/**
+ * Checks a slot before it is sent to the server
+ * @param {Object} slot - Slot from makeSlot
+ * @returns {string|null} Error message, or null when the slot is valid
+ */
+export function validateSlot(slot) {
+  if (!DATE_RE.test(slot.date || '')) return 'Date must be YYYY-MM-DD';
+  if (!TIME_RE.test(slot.start_time || '') || !TIME_RE.test(slot.end_time || '')) return 'Times must be HH:mm';
+  if (slot.start_time >= slot.end_time) return 'Start time must be before end time';
+  if (slot.price !== null && slot.price !== undefined && (isNaN(slot.price) || slot.price < 0)) {
+    return 'Price must be a non-negative number';
+  }
+  if (!Number.isInteger(slot.capacity) || slot.capacity < 1) return 'Capacity must be a positive integer';
+  return null;
+}
+
+/**
+ * Lists a listing's slots, with held_count and seats_left
+ * @param {string} listingId - The listing ID
+ * @param {Object} [range]
+ * @param {string} [range.from] - First date to include (YYYY-MM-DD, in the listing's timezone)
+ * @param {string} [range.to] - Last date to include (YYYY-MM-DD, in the listing's timezone)
+ * @param {Date} [range.startingAfter] - Only slots starting after this instant
+ * @param {string} [range.staffId] - Only this staff member's slots
+ * @returns {Promise<Array>} Slots ordered by date and start time
+ */
+export async function listSlots(listingId, { from, to, startingAfter, staffId } = {}) {
+  let query = sb.from('availability_with_holds').select('*').eq('listing_id', listingId);
+  if (from) query = query.gte('date', from);
+  if (to) query = query.lte('date', to);
+  if (startingAfter) query = query.gt('starts_at', startingAfter.toISOString());
+  if (staffId) query = query.eq('staff_id', staffId);
+
+  const { data, error } = await query.order('date').order('start_time');
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Formats a slot's start (or any UTC instant) in the viewer's timezone
+ * @param {string} instant - ISO timestamp, e.g. availability.starts_at
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatInstant(instant, options = { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }) {
+  if (!instant) return '';
+  return new Date(instant).toLocaleString(undefined, options);
+}
+
+/**
+ * Saves slots through the upsert-slots Edge Function. Slots that already exist for the same
+ * listing, staff member, date and start time are skipped.
+ *
+ * Slots that overlap another slot or active booking of the same performer (the staff member,
+ * or the merchant for unassigned slots) on any of the merchant's listings are conflicts. With
+ * onConflict 'reject' nothing is saved and the thrown error carries error.conflicts; with 'skip'
+ * the rest are saved and data.conflicts lists the ones left out.
+ * @param {string} listingId - The listing ID
+ * @param {Array} slots - Slots from makeSlot
+ * @param {Object} [options]
+ * @param {'reject'|'skip'} [options.onConflict='reject']
+ * @param {string|null} [options.staffId] - Staff member performing the slots
+ * @returns {Promise<Object>} { success, data: { inserted, skipped, conflicts } }
+ */
+export async function upsertSlots(listingId, slots, { onConflict = 'reject', staffId = null } = {}) {
+  // Use unified client to invoke Edge Function - ensures Authorization header is attached
+  const { data, error } = await sb.functions.invoke('upsert-slots', {
+    body: {
+      listing_id: listingId,
+      slots: slots,
+      staff_id: staffId,
+      on_conflict: onConflict
+    }
+  });
+
+  // Handle function invocation errors; a 409 carries the conflicts in its body
+  if (error) {
+    const detail = await error.context?.json?.().catch(() => null);
+    const err = new Error(detail?.error || error.message || 'Failed to invoke upsert-slots');
+    err.conflicts = detail?.data?.conflicts || [];
+    throw err;
+  }
+
+  // Handle response envelope with { success, data?, error? }
+  if (!data?.success) {
+    throw new Error(data?.error || 'Failed to upsert slots');
+  }
+
+  return data;
+}
+
+/**
+ * Describes one entry of a conflict's conflicts_with list for the merchant
+ * @param {Object} other - { kind, listing_name, starts_at, ends_at, booked_count }
+ * @returns {string}
+ */
+export function describeConflict(other) {
+  if (other.kind === 'batch') {
+    return `another new slot at ${other.starts_at.slice(11, 16)}–${other.ends_at.slice(11, 16)}`;
+  }
+  const when = `${formatInstant(other.starts_at)}–${formatInstant(other.ends_at, { hour: '2-digit', minute: '2-digit' })}`;
+  const where = other.listing_name ? ` on ${other.listing_name}` : '';
+  if (other.kind === 'booking') return `a booking${where}, ${when}`;
+  return `${other.booked_count > 0 ? 'a booked slot' : 'a slot'}${where}, ${when}`;
+}
+
+/**
+ * Seats on a slot that are booked or held by an open checkout
+ * @param {Object} slot - Slot row from listSlots
+ * @returns {number}
+ */
+export function takenSeats(slot) {
+  return (slot.booked_count || 0) + (slot.held_count || 0);
+}
+
+/**
+ * Slots a service would occupy when booked at a slot's start: that slot, then the same
+ * stylist's slots that start exactly where the previous one ends, until the duration is covered.
+ * Every slot needs a free seat. Mirrors edge/functions/_shared/service-fit.ts.
+ * @param {Array} slots - The listing's slots from listSlots
+ * @param {Object} start - Slot the service starts at
+ * @param {number} durationMinutes - The service's duration
+ * @returns {Array|null} Slots in order, or null when the service doesn't fit
+ */
+export function serviceChain(slots, start, durationMinutes) {
+  const hasSeat = slot => slot.seats_left === undefined || slot.seats_left === null || slot.seats_left > 0;
+  if (!start.starts_at || !start.ends_at || !hasSeat(start)) return null;
+
+  const byStart = new Map();
+  for (const slot of slots) {
+    if (!slot.starts_at || (slot.staff_id ?? null) !== (start.staff_id ?? null)) continue;
+    byStart.set(Date.parse(slot.starts_at), slot);
+  }
+
+  const needEnd = Date.parse(start.starts_at) + durationMinutes * 60000;
+  const chain = [start];
+  let end = Date.parse(start.ends_at);
+  while (end < needEnd) {
+    const next = byStart.get(end);
+    if (!next?.ends_at || !hasSeat(next)) return null;
+    chain.push(next);
+    end = Date.parse(next.ends_at);
+  }
+  return chain;
+}
+
+/**
+ * Explains why a slot can't be deleted or moved, mirroring the database guard
+ * (slot_edit_guards.sql)
+ * @param {Object} slot - Slot row from listSlots
+ * @returns {string|null} Reason, or null when the slot can be freely edited
+ */
+export function slotLockReason(slot) {
+  if ((slot.booked_count || 0) > 0) {
+    return `${slot.booked_count} seat(s) booked. Customers have paid for this time, so it can't be deleted or moved; cancel the bookings first.`;
+  }
+  if ((slot.held_count || 0) > 0) {
+    return 'A customer is checking out for this slot right now. Try again in a few minutes.';
+  }
+  return null;
+}
+
+/**
+ * Deletes slots, skipping booked or held ones
+ * @param {Array} slots - Slot rows from listSlots
+ * @returns {Promise<{ deleted: number, skipped: Array<{ slot: Object, reason: string }> }>}
+ */
+export async function deleteSlots(slots) {
+  const skipped = [];
+  const ids = [];
+  for (const slot of slots) {
+    const reason = slotLockReason(slot);
+    if (reason) skipped.push({ slot, reason });
+    else ids.push(slot.id);
+  }
+  if (!ids.length) return { deleted: 0, skipped };
+
+  const { data, error } = await sb.from('availability').delete().in('id', ids).select('id');
+  if (error) throw new Error(slotErrorMessage(error));
+  return { deleted: data?.length ?? 0, skipped };
+}
+
+/**
+ * Changes price and/or capacity on several slots. Capacity is never lowered below the seats
+ * already booked or held on a slot; those slots are skipped.
+ * @param {Array} slots - Slot rows from listSlots
+ * @param {Object} changes
+ * @param {number} [changes.price] - New price in GBP
+ * @param {number} [changes.capacity] - New capacity
+ * @returns {Promise<{ updated: number, skipped: Array<{ slot: Object, reason: string }> }>}
+ */
+export async function updateSlots(slots, { price, capacity } = {}) {
+  const patch = {};
+  if (price !== undefined) patch.price = price;
+  if (capacity !== undefined) patch.capacity = capacity;
+  if (!Object.keys(patch).length) return { updated: 0, skipped: [] };
+
+  const skipped = [];
+  const ids = [];
+  for (const slot of slots) {
+    if (capacity !== undefined && capacity < takenSeats(slot)) {
+      skipped.push({ slot, reason: `${takenSeats(slot)} seat(s) are already taken, so capacity can't go below that.` });
+    } else {
+      ids.push(slot.id);
+    }
+  }
+  if (!ids.length) return { updated: 0, skipped };
+
+  const { data, error } = await sb.from('availability').update(patch).in('id', ids).select('id');
+  if (error) throw new Error(slotErrorMessage(error));
+  return { updated: data?.length ?? 0, skipped };
+}
+
+/**
+ * Moves an unbooked slot to a new date and start time, keeping its length. The database refuses
+ * a move onto another slot or booking of the same performer (slot_conflicts.sql).
+ * @param {Object} slot - Slot row from listSlots
+ * @param {Object} to
+ * @param {string} to.date - New date (YYYY-MM-DD)
+ * @param {string} to.startTime - New start time (HH:mm)
+ */
+export async function moveSlot(slot, { date, startTime }) {
+  const reason = slotLockReason(slot);
+  if (reason) throw new Error(reason);
+
+  const length = toMinutes(slot.end_time) - toMinutes(slot.start_time);
+  const end = toMinutes(startTime) + length;
+  if (end > 24 * 60) throw new Error('The slot would run past midnight');
+
+  const moved = makeSlot({ date, startTime, endTime: fromMinutes(end), price: slot.price, capacity: slot.capacity });
+  const invalid = validateSlot(moved);
+  if (invalid) throw new Error(invalid);
+
+  const { error } = await sb
+    .from('availability')
+    .update({ date, start_time: moved.start_time, end_time: moved.end_time })
+    .eq('id', slot.id);
+  if (error) throw new Error(slotErrorMessage(error));
+}
+
+// Maps database errors from the slot guards and unique index to something a merchant can act on
+function slotErrorMessage(error) {
+  const message = error?.message || '';
+  if (message.includes('slot_booked')) {
+    return 'One or more slots have bookings or an open checkout, so they can\'t be deleted or moved.';
+  }
+  if (message.includes('slot_conflict')) {
+    return 'That time overlaps another of your slots or bookings.';
+  }
+  if (message.includes('capacity_below_booked')) {
+    return 'Capacity can\'t be lower than the seats already booked.';
+  }
+  if (message.includes('staff_not_qualified')) {
+    return 'That staff member isn\'t active or isn\'t assigned to this listing.';
+  }
+  if (error?.code === '23505') {
+    return 'There is already a slot at that date and start time.';
+  }
+  if (error?.code === '23503') {
+    return 'A slot still referenced by a past booking can\'t be deleted.';
+  }
+  return message || 'Something went wrong';
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function fromMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Lists a listing's recurring availability rules
+ * @param {string} listingId - The listing ID
+ * @returns {Promise<Array>} Rules, newest first
+ */
+export async function listRules(listingId) {
+  const { data, error } = await sb
+    .from('availability_rules')
+    .select('*')
+    .eq('listing_id', listingId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Creates or updates a rule, then materializes it so its slots appear straight away.
+ * Updating a rule regenerates its future unbooked slots; booked slots are kept.
+ * @param {Object} rule - availability_rules row; include id to update
+ * @returns {Promise<Object>} The saved rule
+ */
+export async function saveRule(rule) {
+  const { id, ...fields } = rule;
+  const query = id
+    ? sb.from('availability_rules').update(fields).eq('id', id)
+    : sb.from('availability_rules').insert(fields);
+
+  const { data, error } = await query.select().single();
+  if (error) throw new Error(slotErrorMessage(error));
+
+  await materializeRule(data.id);
+  return data;
+}
+
+/**
+ * Pauses or resumes a rule. Pausing removes its future unbooked slots.
+ * @param {string} ruleId - The rule ID
+ * @param {boolean} active - Whether the rule should generate slots
+ */
+export async function setRuleActive(ruleId, active) {
+  const { error } = await sb.from('availability_rules').update({ active }).eq('id', ruleId);
+  if (error) throw error;
+  await materializeRule(ruleId);
+}
+
+/**
+ * Deletes a rule after removing its future unbooked slots. Booked slots stay, unlinked.
+ * @param {string} ruleId - The rule ID
+ */
+export async function deleteRule(ruleId) {
+  await setRuleActive(ruleId, false);
+  const { error } = await sb.from('availability_rules').delete().eq('id', ruleId);
+  if (error) throw error;
+}
+
+/**
+ * Runs the materialize-availability Edge Function for one rule
+ * @param {string} ruleId - The rule ID
+ * @returns {Promise<Object>} { rules, inserted, conflicts, pruned, failed }
+ */
+export async function materializeRule(ruleId) {
+  const { data, error } = await sb.functions.invoke('materialize-availability', {
+    body: { rule_id: ruleId }
+  });
+  if (error) {
+    throw new Error(error.message || 'Failed to invoke materialize-availability');
+  }
+  if (!data?.success) {
+    throw new Error(data?.error || 'Failed to generate slots');
+  }
+  if (data.data?.failed) {
+    throw new Error('The rule was saved but its slots could not be generated');
+  }
+  return data.data;
+}
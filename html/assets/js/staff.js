@@ -0,0 +1,88 @@
+// staff.js
+// Data layer for staff members (staff_members.sql). A merchant account owns its staff; each
+// listing has its own set of qualified staff, and slots, weekly rules and bookings carry the
+// staff_id of the stylist performing them. Slots without a staff_id are the merchant's own.
+import { sb } from './supabase-client.js';
+
+/**
+ * Lists a merchant's staff members
+ * @param {string} merchantId - The merchant's user ID
+ * @returns {Promise<Array>} Staff ordered by name, inactive ones included
+ */
+export async function listStaff(merchantId) {
+  const { data, error } = await sb
+    .from('staff_members')
+    .select('*')
+    .eq('merchant_id', merchantId)
+    .order('name');
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Creates or updates a staff member. Deactivating one pauses their weekly rules and removes
+ * their future unbooked slots; booked appointments are kept.
+ * @param {Object} staff - staff_members row; include id to update
+ * @returns {Promise<Object>} The saved staff member
+ */
+export async function saveStaff(staff) {
+  const { id, ...fields } = staff;
+  const query = id
+    ? sb.from('staff_members').update(fields).eq('id', id)
+    : sb.from('staff_members').insert(fields);
+
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Lists the active staff qualified for a listing
+ * @param {string} listingId - The listing ID
+ * @returns {Promise<Array>} Staff members ({ id, name, bio, avatar_url }) ordered by name
+ */
+export async function listListingStaff(listingId) {
+  const { data, error } = await sb
+    .from('listing_staff')
+    .select('staff_members!inner(id, name, bio, avatar_url, active)')
+    .eq('listing_id', listingId)
+    .eq('staff_members.active', true);
+  if (error) throw error;
+  return (data || [])
+    .map(row => row.staff_members)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Replaces the set of staff qualified for a listing. Removing someone pauses their rules on the
+ * listing and removes their future unbooked slots there.
+ * @param {string} listingId - The listing ID
+ * @param {Array<string>} staffIds - Staff member IDs that should be qualified
+ */
+export async function setListingStaff(listingId, staffIds) {
+  const { data: current, error } = await sb
+    .from('listing_staff')
+    .select('staff_id')
+    .eq('listing_id', listingId);
+  if (error) throw error;
+
+  const existing = new Set((current || []).map(row => row.staff_id));
+  const wanted = new Set(staffIds);
+  const toAdd = [...wanted].filter(id => !existing.has(id));
+  const toRemove = [...existing].filter(id => !wanted.has(id));
+
+  if (toRemove.length) {
+    const { error: removeError } = await sb
+      .from('listing_staff')
+      .delete()
+      .eq('listing_id', listingId)
+      .in('staff_id', toRemove);
+    if (removeError) throw removeError;
+  }
+  if (toAdd.length) {
+    const { error: addError } = await sb
+      .from('listing_staff')
+      .insert(toAdd.map(staff_id => ({ listing_id: listingId, staff_id })));
+    if (addError) throw addError;
+  }
+}
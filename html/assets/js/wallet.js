@@ -0,0 +1,128 @@
+// wallet.js
+// Data layer for the customer's LLD wallet (wallet_ledger.sql, wallet_history.sql) and referral
+// programme (referrals.sql). 1 LLD = £0.01.
+// Balances only change through the wallet RPCs in the Edge Functions; the browser reads them.
+import { sb } from './supabase-client.js';
+
+// What each ledger source means to a customer
+const SOURCE_LABELS = {
+  award_purchase: 'Earned on a booking',
+  award_referral: 'Reward for inviting a friend',
+  award_referred: 'Welcome reward for joining through a friend',
+  award_reversal: 'Booking reward taken back after a refund',
+  award_expiry: 'Expired',
+  redeem_checkout: 'Spent at checkout',
+  redeem_reversal: 'Returned from an unfinished checkout',
+  refund_cancellation: 'Returned after a cancellation',
+};
+
+/**
+ * Reads a customer's LLD balance
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<number>} Balance in LLD; 0 when the wallet doesn't exist yet
+ */
+export async function getWalletBalance(userId) {
+  const { data, error } = await sb
+    .from('wallets')
+    .select('lld_balance')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return Math.max(0, Math.floor(Number(data?.lld_balance || 0)));
+}
+
+/**
+ * Lists a page of a customer's ledger entries, newest first
+ * @param {string} userId - The signed-in user's ID
+ * @param {Object} [options]
+ * @param {number} [options.page=0] - Zero-based page
+ * @param {number} [options.pageSize=20] - Entries per page
+ * @returns {Promise<{ entries: Array, count: number }>}
+ */
+export async function listWalletTransactions(userId, { page = 0, pageSize = 20 } = {}) {
+  const from = page * pageSize;
+  const { data, count, error } = await sb
+    .from('lld_transactions')
+    .select('id, amount, source, reference, created_at', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(from, from + pageSize - 1);
+  if (error) throw error;
+  return { entries: data || [], count: count || 0 };
+}
+
+/**
+ * Months after which unspent awards expire
+ * @returns {Promise<number|null>} null when awards don't expire
+ */
+export async function getAwardExpiryMonths() {
+  const { data, error } = await sb.from('wallet_settings').select('award_expiry_months').maybeSingle();
+  if (error) throw error;
+  return data?.award_expiry_months ?? null;
+}
+
+/**
+ * Reads the signed-in user's referral code, creating it the first time
+ * @returns {Promise<string>} e.g. "K7MX2QPA"
+ */
+export async function getReferralCode() {
+  const { data, error } = await sb.rpc('my_referral_code');
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Builds the signup link that carries a referral code
+ * @param {string} code - Referral code
+ * @returns {string} Absolute URL of signup.html?ref=CODE
+ */
+export function referralLink(code) {
+  const url = new URL('signup.html', window.location.href);
+  url.search = new URLSearchParams({ ref: code }).toString();
+  return url.toString();
+}
+
+/**
+ * Counts the referrals a user has brought in
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Promise<{ joined: number, rewarded: number }>} Sign-ups, and those whose first booking earned the reward
+ */
+export async function getReferralStats(userId) {
+  const { data, error } = await sb
+    .from('referrals')
+    .select('status')
+    .eq('referrer_id', userId);
+  if (error) throw error;
+  const rows = data || [];
+  return { joined: rows.length, rewarded: rows.filter((r) => r.status === 'rewarded').length };
+}
+
+/**
+ * Reward terms of the referral programme
+ * @returns {Promise<{ referrerAward: number, referredAward: number, minSpendPence: number }|null>}
+ *   LLD for each side and the first booking's minimum; null when the settings can't be read
+ */
+export async function getReferralTerms() {
+  const { data, error } = await sb
+    .from('wallet_settings')
+    .select('referrer_award_lld, referred_award_lld, referral_min_spend_pence')
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return {
+    referrerAward: Number(data.referrer_award_lld || 0),
+    referredAward: Number(data.referred_award_lld || 0),
+    minSpendPence: Number(data.referral_min_spend_pence || 0),
+  };
+}
+
+/**
+ * Describes a ledger source for the wallet history
+ * @param {string} source - lld_transactions.source, e.g. "award_purchase"
+ * @returns {string} e.g. "Earned on a booking"
+ */
+export function describeSource(source) {
+  if (SOURCE_LABELS[source]) return SOURCE_LABELS[source];
+  const text = String(source || '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -15,28 +15,28 @@ async function init() {
     return;
   }
 
-  loadBookingDetails(bookingId);
+  loadBookingDetails(bookingId, user);
 }
 
-async function loadBookingDetails(id) {
+async function loadBookingDetails(id, user) {
   try {
     const client = await sp();
     const { data: booking, error } = await client
       .from('bookings')
-      .select('*, listings(*)')
+      .select('*, listings(*), staff_members(name), booking_addons(name, price_cents, duration_minutes)')
       .eq('id', id)
       .single();
 
     if (error || !booking) throw error;
 
-    renderDetails(booking);
+    renderDetails(booking, user);
   } catch (err) {
     const state = document.getElementById('loading-state');
     if(state) state.textContent = "Failed to load booking details.";
   }
 }
 
-function renderDetails(booking) {
+function renderDetails(booking, user) {
   const listing = booking.listings || {};
   
   const loading = document.getElementById('loading-state');
@@ -46,11 +46,59 @@ function renderDetails(booking) {
   if(view) view.style.display = 'block';
 
   // Set Content
-  setText('service-name', listing.name || booking.service_name);
-  setText('booking-time', new Date(booking.start_time).toLocaleString());
+  setText('service-name', [listing.name, booking.service_name].filter(Boolean).join(' · ') || 'Service');
+  setText('booking-time', new Date(booking.starts_at || booking.start_time).toLocaleString(undefined, {
+    weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short'
+  }));
   setText('booking-duration', `${booking.duration_minutes || 60} mins`);
   setText('booking-location', listing.city || 'N/A');
   setText('booking-price', `£${(booking.price_cents / 100).toFixed(2)}`);
+  if (booking.staff_members?.name) {
+    setText('booking-staff', booking.staff_members.name);
+    const staffRow = document.getElementById('booking-staff-row');
+    if (staffRow) staffRow.style.display = '';
+  }
+  if (booking.booking_addons?.length) {
+    setText('booking-addons', booking.booking_addons
+      .map(a => `${a.name} (£${(a.price_cents / 100).toFixed(2)}${a.duration_minutes ? `, +${a.duration_minutes} mins` : ''})`)
+      .join(', '));
+    const addonsRow = document.getElementById('booking-addons-row');
+    if (addonsRow) addonsRow.style.display = '';
+  }
+  // Promo codes (promo_codes.sql) come off the price before anything is paid
+  if (booking.discount_cents > 0) {
+    setText('booking-discount', `−£${(booking.discount_cents / 100).toFixed(2)}`);
+    const discountRow = document.getElementById('booking-discount-row');
+    if (discountRow) discountRow.style.display = '';
+  }
+  // Paid from a gift voucher (gift_vouchers.sql), on top of what was paid by card
+  if (booking.gift_voucher_cents > 0) {
+    setText('booking-voucher', `£${(booking.gift_voucher_cents / 100).toFixed(2)}`);
+    const voucherRow = document.getElementById('booking-voucher-row');
+    if (voucherRow) voucherRow.style.display = '';
+  }
+  // Deposit and pay-in-person bookings (payment_modes.sql) leave a balance for the appointment
+  if (booking.amount_outstanding_cents > 0) {
+    const isMerchant = user?.id === booking.merchant_id;
+    setText('booking-paid', `£${((booking.amount_paid_cents || 0) / 100).toFixed(2)}`);
+    setText('booking-outstanding-label', isMerchant ? 'To collect in person' : 'Due at appointment');
+    setText('booking-outstanding', `£${(booking.amount_outstanding_cents / 100).toFixed(2)}`);
+    const paidRow = document.getElementById('booking-paid-row');
+    if (paidRow) paidRow.style.display = '';
+    const outstandingRow = document.getElementById('booking-outstanding-row');
+    if (outstandingRow) outstandingRow.style.display = '';
+  }
+  if (booking.refund_amount_cents > 0) {
+    setText('booking-refund', `£${(booking.refund_amount_cents / 100).toFixed(2)}`);
+    const refundRow = document.getElementById('booking-refund-row');
+    if (refundRow) refundRow.style.display = '';
+  }
+  // Chargebacks (refunds_disputes.sql) are the merchant's to answer
+  if (booking.dispute_status && user?.id === booking.merchant_id) {
+    setText('booking-dispute', `${booking.dispute_status.replace(/_/g, ' ')} (£${((booking.dispute_amount_cents || 0) / 100).toFixed(2)})`);
+    const disputeRow = document.getElementById('booking-dispute-row');
+    if (disputeRow) disputeRow.style.display = '';
+  }
   
   // Status Banner Logic
   const banner = document.getElementById('status-banner');
@@ -64,7 +112,9 @@ function renderDetails(booking) {
   const actions = document.getElementById('detail-actions');
   if(actions) {
       actions.innerHTML = ''; // Clear previous
-      if (status === 'pending' || status === 'confirmed') {
+      // A confirmed appointment that has started can no longer be cancelled
+      const started = booking.starts_at && Date.parse(booking.starts_at) <= Date.now();
+      if (status === 'pending' || (status === 'confirmed' && !started)) {
         const cancelBtn = document.createElement('button');
         cancelBtn.id = 'cancel-action-btn';
         cancelBtn.className = 'btn btn-cancel';
@@ -91,8 +141,14 @@ async function handleCancel(id) {
     }
 
     try {
+        // cancel-booking applies the listing's refund policy and restores redeemed LLD
         const client = await sp();
-        await client.from('bookings').update({ status: 'cancelled' }).eq('id', id);
+        const { data, error } = await client.functions.invoke(`cancel-booking/${id}`, {
+          method: 'POST',
+          body: { reason: 'Cancelled from booking details' }
+        });
+        if (error) throw error;
+        if (data && !data.success) throw new Error(data.error);
         location.reload();
     } catch(err) {
         alert("Error cancelling booking.");
@@ -3,7 +3,7 @@
  */
 
 import { authInit, signOut } from './auth.js';
-import { sp } from './api.js';
+import { sp, findOrCreateThread } from './api.js';
 
 const POLL_INTERVAL_MS = 15000; 
 let pollTimer = null;
@@ -111,7 +111,14 @@ function createBookingCard(booking) {
   
   const title = listing.name || listing.title || 'Service';
   const price = booking.price_cents ? `£${(booking.price_cents / 100).toFixed(2)}` : '£0.00';
-  const date = new Date(booking.starts_at || booking.created_at).toLocaleDateString();
+  // Deposit and pay-in-person bookings leave a balance for the appointment
+  const due = booking.amount_outstanding_cents > 0
+    ? ` (£${(booking.amount_outstanding_cents / 100).toFixed(2)} due at appointment)`
+    : '';
+  // starts_at is a UTC instant; show it in the viewer's timezone
+  const date = booking.starts_at
+    ? new Date(booking.starts_at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : new Date(booking.created_at).toLocaleDateString();
 
   const card = document.createElement('article');
   card.className = 'booking-card';
@@ -131,7 +138,7 @@ function createBookingCard(booking) {
       <div class="booking-meta">
         📅 ${date}<br>
         📍 ${listing.city || 'Location N/A'}<br>
-        💰 ${price}
+        💰 ${price}${due}
       </div>
       <div class="booking-status">Status: <strong>${status.toUpperCase()}</strong></div>
     </div>
@@ -142,14 +149,26 @@ function createBookingCard(booking) {
 
   // --- 1. MESSAGE BUTTON (FIXED LOGIC) ---
   // We check if merchant_id exists. If yes, we show the button.
-  if (listing.merchant_id) {
+  // Bookings created by the Stripe webhook carry merchant_id directly.
+  const merchantId = booking.merchant_id || listing.merchant_id;
+  if (merchantId) {
     const msgBtn = document.createElement('button');
     msgBtn.className = 'btn btn-message'; 
     msgBtn.textContent = 'Message';
-    msgBtn.onclick = (e) => {
+    msgBtn.onclick = async (e) => {
       e.stopPropagation();
-      // Redirects to message thread with the merchant
-      window.location.href = `message-thread.html?recipient=${listing.merchant_id}`;
+      msgBtn.disabled = true;
+      try {
+        const threadId = await findOrCreateThread({
+          listingId: booking.listing_id || listing.id,
+          merchantId,
+          bookingId: booking.id
+        });
+        window.location.href = `message-thread.html?id=${threadId}`;
+      } catch (err) {
+        alert('Could not open conversation: ' + err.message);
+        msgBtn.disabled = false;
+      }
     };
     actions.appendChild(msgBtn);
   } else {
@@ -158,7 +177,9 @@ function createBookingCard(booking) {
   }
 
   // --- 2. CANCEL BUTTON ---
-  if (['pending', 'accepted'].includes(status)) {
+  // A confirmed appointment that has started can no longer be cancelled
+  const started = booking.starts_at && Date.parse(booking.starts_at) <= Date.now();
+  if (status === 'pending' || (status === 'confirmed' && !started)) {
     const cancelBtn = document.createElement('button');
     cancelBtn.className = 'btn btn-cancel';
     cancelBtn.textContent = 'Cancel';
@@ -172,12 +193,13 @@ function createBookingCard(booking) {
       
       try {
         const client = await sp();
-        const { error } = await client.functions.invoke(`cancel-booking/${booking.id}`, {
+        const { data, error } = await client.functions.invoke(`cancel-booking/${booking.id}`, {
           method: 'POST',
           body: { reason: "Cancelled by client" }
         });
 
         if (error) throw error;
+        if (data && !data.success) throw new Error(data.error);
         await loadBookings(false);
       } catch (err) {
         alert('Cancel failed: ' + err.message);
@@ -254,7 +276,7 @@ function setupReviewModal() {
         try {
           const client = await sp();
           
-          const { error } = await client.functions.invoke('submit-review', {
+          const { data, error } = await client.functions.invoke('submit-review', {
             body: {
               booking_id: currentReviewBookingId,
               rating: currentRating,
@@ -263,6 +285,7 @@ function setupReviewModal() {
           });
 
           if (error) throw new Error(error.message || "Failed to submit review");
+          if (data && !data.success) throw new Error(data.error || "Failed to submit review");
 
           alert("Review submitted successfully!");
           closeModal();
@@ -0,0 +1,51 @@
+/**
+ * Gift Voucher Page - printable copy of a voucher the signed-in customer bought (?id=)
+ */
+
+import { authInit } from './auth.js';
+import { getVoucher } from './assets/js/gift-vouchers.js';
+
+const voucherEl = document.getElementById('voucher');
+const printEl = document.getElementById('printVoucher');
+
+const voucherId = new URLSearchParams(window.location.search).get('id');
+
+document.addEventListener('DOMContentLoaded', () => {
+  init().catch((err) => console.error('[GiftVoucher] init', err));
+});
+
+async function init() {
+  const { user } = await authInit({ requireAuth: true });
+  if (!user) return;
+
+  printEl.addEventListener('click', () => window.print());
+
+  let voucher = null;
+  try {
+    voucher = voucherId ? await getVoucher(voucherId) : null;
+  } catch (error) {
+    console.error('[GiftVoucher] load', error);
+  }
+  if (!voucher || voucher.status !== 'active') {
+    printEl.hidden = true;
+    voucherEl.innerHTML = '<p class="voucher-error">This voucher isn\'t available to print.</p>';
+    return;
+  }
+
+  voucherEl.innerHTML = `
+    <section class="voucher">
+      <img src="assets/logo1.png" alt="LookList" class="voucher-logo" />
+      <h1>Gift Voucher</h1>
+      <p class="voucher-amount">£${(Number(voucher.amount_cents) / 100).toFixed(2)}</p>
+      ${voucher.recipient_name ? `<p class="voucher-to">For ${escapeHTML(voucher.recipient_name)}</p>` : ''}
+      ${voucher.message ? `<p class="voucher-message">${escapeHTML(voucher.message)}</p>` : ''}
+      <div class="voucher-code">${escapeHTML(voucher.code)}</div>
+      ${voucher.expires_at ? `<p class="voucher-terms">Valid until ${escapeHTML(new Date(voucher.expires_at).toLocaleDateString(undefined, { dateStyle: 'long' }))}</p>` : ''}
+      <p class="voucher-terms">Enter the code when you book at looklist.co.uk. Spend it in one go or across several bookings.</p>
+    </section>
+  `;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
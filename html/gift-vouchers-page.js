@@ -0,0 +1,219 @@
+/**
+ * Gift Vouchers Page - buy a voucher, check a code's balance and manage the vouchers you bought
+ */
+
+import { authInit } from './auth.js';
+import {
+  VOUCHER_MIN_PENCE,
+  VOUCHER_MAX_PENCE,
+  listMyVouchers,
+  listVoucherTransactions,
+  checkGiftVoucher,
+  buyGiftVoucher,
+  voucherPrintLink,
+  voucherEmailLink,
+  describeVoucherSource,
+  voucherStatusLabel,
+} from './assets/js/gift-vouchers.js';
+
+const purchasedEl = document.getElementById('voucherPurchased');
+const formEl = document.getElementById('voucherForm');
+const amountsEl = document.getElementById('voucherAmounts');
+const customRowEl = document.getElementById('voucherCustomRow');
+const customEl = document.getElementById('voucherCustom');
+const recipientNameEl = document.getElementById('voucherRecipientName');
+const recipientEmailEl = document.getElementById('voucherRecipientEmail');
+const messageEl = document.getElementById('voucherMessage');
+const buyEl = document.getElementById('voucherBuy');
+const buyStatusEl = document.getElementById('voucherBuyStatus');
+const checkCodeEl = document.getElementById('voucherCheckCode');
+const checkEl = document.getElementById('voucherCheck');
+const checkStatusEl = document.getElementById('voucherCheckStatus');
+const listEl = document.getElementById('voucherList');
+
+const params = new URLSearchParams(window.location.search);
+
+let userId = null;
+let vouchers = [];
+// Pence, or 'custom' for the typed amount
+let selectedAmount = 5000;
+
+document.addEventListener('DOMContentLoaded', () => {
+  init().catch((err) => console.error('[GiftVouchers] init', err));
+});
+
+async function init() {
+  const { user } = await authInit({ requireAuth: true });
+  if (!user) return;
+  userId = user.id;
+
+  customEl.min = String(VOUCHER_MIN_PENCE / 100);
+  customEl.max = String(VOUCHER_MAX_PENCE / 100);
+  customEl.placeholder = `${VOUCHER_MIN_PENCE / 100} to ${VOUCHER_MAX_PENCE / 100}`;
+
+  amountsEl.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-amount]');
+    if (!button) return;
+    selectedAmount = button.dataset.amount === 'custom' ? 'custom' : Number(button.dataset.amount);
+    amountsEl.querySelectorAll('button[data-amount]').forEach((b) => {
+      b.setAttribute('aria-pressed', String(b === button));
+    });
+    customRowEl.hidden = selectedAmount !== 'custom';
+    if (selectedAmount === 'custom') customEl.focus();
+  });
+  formEl.addEventListener('submit', handleBuy);
+  checkEl.addEventListener('click', handleCheck);
+  checkCodeEl.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') handleCheck();
+  });
+  listEl.addEventListener('click', handleListClick);
+
+  if (params.get('stripe') === 'cancel') {
+    showStatus(buyStatusEl, 'Checkout was cancelled. Your card has not been charged.');
+  }
+
+  await loadVouchers();
+  showPurchased(params.get('purchased'));
+}
+
+async function handleBuy(event) {
+  event.preventDefault();
+  const amountPence = selectedAmount === 'custom'
+    ? Math.round(Number(customEl.value) * 100)
+    : selectedAmount;
+  if (!Number.isInteger(amountPence) || amountPence < VOUCHER_MIN_PENCE || amountPence > VOUCHER_MAX_PENCE) {
+    showStatus(buyStatusEl, `Choose an amount from ${formatMoney(VOUCHER_MIN_PENCE)} to ${formatMoney(VOUCHER_MAX_PENCE)}.`, true);
+    return;
+  }
+
+  buyEl.disabled = true;
+  buyEl.textContent = 'Connecting to Stripe...';
+  try {
+    window.location.href = await buyGiftVoucher({
+      amountPence,
+      recipientName: recipientNameEl.value.trim(),
+      recipientEmail: recipientEmailEl.value.trim(),
+      message: messageEl.value.trim(),
+    });
+  } catch (error) {
+    console.error('[GiftVouchers] buy', error);
+    showStatus(buyStatusEl, error.message || 'Unable to start checkout.', true);
+    buyEl.disabled = false;
+    buyEl.textContent = 'Buy voucher';
+  }
+}
+
+async function handleCheck() {
+  const code = checkCodeEl.value.trim();
+  if (!code) return;
+  checkEl.disabled = true;
+  try {
+    const voucher = await checkGiftVoucher(code);
+    const expiry = voucher.expires_at ? ` · valid until ${formatDate(voucher.expires_at)}` : '';
+    showStatus(checkStatusEl, `${voucher.code}: ${formatMoney(voucher.balance_cents)} left${expiry}`);
+  } catch (error) {
+    showStatus(checkStatusEl, error.message, true);
+  } finally {
+    checkEl.disabled = false;
+  }
+}
+
+async function loadVouchers() {
+  listEl.innerHTML = '<li class="voucher-empty">Loading…</li>';
+  try {
+    vouchers = await listMyVouchers(userId);
+  } catch (error) {
+    console.error('[GiftVouchers] list', error);
+    listEl.innerHTML = '<li class="voucher-empty">Could not load your vouchers.</li>';
+    return;
+  }
+  listEl.innerHTML = vouchers.length
+    ? vouchers.map(renderVoucher).join('')
+    : '<li class="voucher-empty">You haven\'t bought any vouchers yet.</li>';
+}
+
+function renderVoucher(voucher) {
+  const status = voucherStatusLabel(voucher);
+  const paid = voucher.status === 'active';
+  const meta = [
+    voucher.recipient_name ? `For ${voucher.recipient_name}` : null,
+    `${formatMoney(voucher.amount_cents)} voucher`,
+    status,
+    paid && voucher.expires_at ? `valid until ${formatDate(voucher.expires_at)}` : null,
+  ].filter(Boolean).join(' · ');
+  return `
+    <li class="voucher-item" data-voucher-id="${escapeHTML(voucher.id)}">
+      <div class="voucher-head">
+        <p class="voucher-code">${escapeHTML(voucher.code)}</p>
+        <span class="voucher-balance">${paid ? `${formatMoney(voucher.balance_cents)} left` : ''}</span>
+      </div>
+      <p class="voucher-meta">${escapeHTML(meta)}</p>
+      ${paid ? `
+        <div class="voucher-actions">
+          <a class="btn" href="${escapeHTML(voucherPrintLink(voucher.id))}" target="_blank" rel="noopener">Print</a>
+          <a class="btn" href="${escapeHTML(voucherEmailLink(voucher))}">Email</a>
+          <button type="button" class="btn" data-voucher-history>History</button>
+        </div>
+        <ul class="voucher-history" hidden></ul>
+      ` : ''}
+    </li>
+  `;
+}
+
+async function handleListClick(event) {
+  const button = event.target.closest('button[data-voucher-history]');
+  if (!button) return;
+  const item = button.closest('[data-voucher-id]');
+  const historyEl = item.querySelector('.voucher-history');
+  if (!historyEl.hidden) {
+    historyEl.hidden = true;
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const entries = await listVoucherTransactions(item.dataset.voucherId);
+    historyEl.innerHTML = entries.map((entry) => {
+      const amount = Number(entry.amount || 0);
+      return `
+        <li>
+          <span>${escapeHTML(describeVoucherSource(entry.source))} · ${escapeHTML(formatDate(entry.created_at))}</span>
+          <span>${amount >= 0 ? '+' : '−'}${formatMoney(Math.abs(amount))}</span>
+        </li>
+      `;
+    }).join('') || '<li>No activity yet.</li>';
+    historyEl.hidden = false;
+  } catch (error) {
+    console.error('[GiftVouchers] history', error);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Back from Stripe: the webhook may not have activated the voucher yet
+function showPurchased(voucherId) {
+  if (!voucherId) return;
+  const voucher = vouchers.find((v) => v.id === voucherId);
+  if (!voucher) return;
+  showStatus(purchasedEl, voucher.status === 'active'
+    ? `Thank you! Your ${formatMoney(voucher.amount_cents)} voucher ${voucher.code} is ready to print or email.`
+    : 'Thank you! Your voucher will be ready in a moment - refresh this page if it still shows as awaiting payment.');
+}
+
+function showStatus(el, text, isError = false) {
+  el.textContent = text;
+  el.classList.toggle('error', isError);
+  el.hidden = false;
+}
+
+function formatMoney(pence) {
+  return `£${(Number(pence || 0) / 100).toFixed(2)}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' });
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
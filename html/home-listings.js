@@ -22,7 +22,7 @@ async function loadTopListings() {
     // 2. Fetch Top 5 Active Listings
     const { data: listings, error } = await client
       .from('listings')
-      .select('id, name, category, city, price_from, rating')
+      .select('id, name, category, city, price_from, rating, review_count')
       .eq('active', true) 
       .limit(5);
 
@@ -101,7 +101,7 @@ function renderCard(item) {
           </div>
           <div style="margin-top:auto; display:flex; justify-content:space-between; align-items:center; font-size:0.9rem;">
             <span style="font-weight:bold; color:var(--white);">${price}</span>
-            <span style="color:#fbbf24;">★ ${item.rating || 'New'}</span>
+            <span style="color:#fbbf24;">★ ${item.rating != null ? `${Number(item.rating).toFixed(1)} (${item.review_count || 0})` : 'New'}</span>
           </div>
         </div>
       </article>
@@ -1,6 +1,12 @@
 // Use unified Supabase client to ensure consistent auth state across all pages
 import { sb } from './supabase-client.js';
 import { getAuthClients } from './auth.js';
+import { listSlots, formatInstant, serviceChain } from './assets/js/slots.js';
+import { listListingStaff } from './assets/js/staff.js';
+import { listServices, listAddons, formatDuration } from './assets/js/services.js';
+import { getWalletBalance } from './assets/js/wallet.js';
+import { checkPromoCode, promoDiscount, describeDiscount } from './assets/js/promo-codes.js';
+import { checkGiftVoucher, voucherCoverPence } from './assets/js/gift-vouchers.js';
 
 // Correct bucket name for listing photos
 const LISTING_IMAGES_BUCKET = 'listing-photos';
@@ -11,21 +17,65 @@ const listingId = searchParams.get('id');
 const infoEl = document.getElementById('listingInfo');
 const photoGalleryEl = document.getElementById('photoGallery');
 const slotsEl = document.getElementById('slots');
+const serviceMenuEl = document.getElementById('serviceMenu');
+const addonMenuEl = document.getElementById('addonMenu');
+const addonOptionsEl = document.getElementById('addonOptions');
+const staffPickerEl = document.getElementById('staffPicker');
+const staffSelectEl = document.getElementById('staffSelect');
 const bookButton = document.getElementById('bookBtn');
 const messageButton = document.getElementById('messageBtn');
 const lldInput = document.getElementById('lld');
 const lldValue = document.getElementById('lldValue');
+const lldRowEl = document.querySelector('.lld-row');
+const lldBalanceEl = document.getElementById('lldBalance');
+const paymentNoteEl = document.getElementById('paymentNote');
+const promoInput = document.getElementById('promoCode');
+const promoApplyBtn = document.getElementById('promoApply');
+const promoStatusEl = document.getElementById('promoStatus');
+const voucherRowEl = document.querySelector('.voucher-row');
+const voucherInput = document.getElementById('voucherCode');
+const voucherApplyBtn = document.getElementById('voucherApply');
+const voucherStatusEl = document.getElementById('voucherStatus');
+const reviewSortEl = document.getElementById('reviewSort');
+const reviewBreakdownEl = document.getElementById('reviewBreakdown');
+const reviewListEl = document.getElementById('reviewList');
+const reviewPaginationEl = document.getElementById('reviewPagination');
+
+const REVIEWS_PAGE_SIZE = 5;
+const REVIEW_SORTS = {
+  newest: [['created_at', false]],
+  highest: [['rating', false], ['created_at', false]],
+  lowest: [['rating', true], ['created_at', false]],
+};
 
 const clientsPromise = getAuthClients();
 let selectedSlot = null;
+let allSlots = [];
+let listingStaff = [];
+let listingServices = [];
+// Required before picking a time when the listing has a service menu
+let selectedService = null;
+let listingAddons = [];
+const selectedAddonIds = new Set();
+// '' = any available stylist
+let selectedStaffId = '';
+// Listing payment settings (payment_modes.sql); set once the listing loads
+let paymentSettings = null;
 let userIsAuthenticated = false;
 let currentUserId = null;
+// Signed-in customer's LLD; redemption can't go past it
+let lldBalance = 0;
+// Promo code accepted by check_promo_code (promo_codes.sql); checked again at checkout
+let appliedPromo = null;
+// Gift voucher accepted by check_gift_voucher (gift_vouchers.sql); spent at checkout
+let appliedVoucher = null;
 
 // Listen for auth changes
 sb.auth.onAuthStateChange((event, session) => {
   userIsAuthenticated = !!session;
   currentUserId = session?.user?.id || null;
   updateBookButtonState();
+  loadLldBalance();
 });
 
 // Initial auth check
@@ -39,10 +89,20 @@ clientsPromise.then(async ({ user }) => {
     currentUserId = user.id;
   }
   updateBookButtonState();
+  loadLldBalance();
 });
 
+async function loadLldBalance() {
+  lldBalance = currentUserId ? await getWalletBalance(currentUserId).catch(() => 0) : 0;
+  if (lldInput) lldInput.max = String(lldBalance);
+  if (lldBalanceEl) {
+    lldBalanceEl.textContent = currentUserId ? `You have ${lldBalance.toLocaleString()} LLD` : '';
+  }
+}
+
 let galleryPhotos = [];
 let currentPhotoIndex = 0;
+let reviewPage = 0;
 
 function formatMoney(value) {
   const amount = Number(value);
@@ -197,25 +257,235 @@ function setupLightbox() {
   });
 }
 
-function renderSlots(slots) {
+function selectedAddons() {
+  return listingAddons.filter(a => selectedAddonIds.has(a.id));
+}
+
+function addonMinutes() {
+  return selectedAddons().reduce((sum, a) => sum + Number(a.duration_minutes || 0), 0);
+}
+
+// Minutes reserved when booking at this slot: the service's duration (or the slot's own length)
+// plus the chosen add-ons' extra time
+function bookingMinutes(slot) {
+  const base = selectedService
+    ? Number(selectedService.duration_minutes)
+    : Math.round((Date.parse(slot.ends_at) - Date.parse(slot.starts_at)) / 60000);
+  return base + addonMinutes();
+}
+
+// Start times where the booking fits: its duration is covered by the slot plus the same
+// stylist's back-to-back slots after it, each with a free seat (see serviceChain)
+function slotsThatFit(slots) {
+  if (!selectedService && !addonMinutes()) return slots;
+  return slots.filter(slot => slot.starts_at && slot.ends_at && serviceChain(slots, slot, bookingMinutes(slot)));
+}
+
+// With staff, "any available" shows each time once, backed by the stylist with the most free
+// seats (or the slot the customer picked before signing in); picking a stylist shows only theirs
+function slotsForStaff(slots, preferredSlotId) {
+  if (!listingStaff.length) return slots;
+  if (selectedStaffId) return slots.filter(s => s.staff_id === selectedStaffId);
+
+  const byTime = new Map();
+  for (const slot of slots) {
+    const key = selectedService
+      ? String(slot.starts_at)
+      : `${slot.starts_at}|${slot.ends_at}|${slot.price}|${slot.label || ''}`;
+    const current = byTime.get(key);
+    const seats = Number(slot.seats_left ?? 1);
+    if (!current
+      || String(slot.id) === String(preferredSlotId)
+      || (String(current.id) !== String(preferredSlotId) && seats > Number(current.seats_left ?? 1))) {
+      byTime.set(key, slot);
+    }
+  }
+  return [...byTime.values()];
+}
+
+function staffNameFor(slot) {
+  return listingStaff.find(s => s.id === slot.staff_id)?.name || '';
+}
+
+function resetSelection() {
+  selectedSlot = null;
+  if (lldInput) {
+    lldInput.value = 0;
+    lldValue.textContent = formatMoney(0);
+  }
+  updateBookButtonState();
+}
+
+function setupServiceMenu(listing) {
+  if (!serviceMenuEl || !listingServices.length) return;
+  serviceMenuEl.innerHTML = listingServices.map(s => `
+    <button type="button" class="service-option" role="radio" aria-checked="false" data-service-id="${escapeHTML(s.id)}">
+      <span class="service-meta">${escapeHTML(formatDuration(s.duration_minutes))} - ${formatMoney(s.price)}</span>
+      <strong>${escapeHTML(s.name)}</strong>
+      ${s.description ? `<span class="service-description">${escapeHTML(s.description)}</span>` : ''}
+    </button>
+  `).join('');
+  serviceMenuEl.hidden = false;
+  markSelectedService();
+
+  serviceMenuEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-service-id]');
+    if (!btn) return;
+    selectedService = listingServices.find(s => s.id === btn.dataset.serviceId) || null;
+    markSelectedService();
+    resetSelection();
+    renderSlots(allSlots, listing);
+  });
+}
+
+function markSelectedService() {
+  serviceMenuEl?.querySelectorAll('[data-service-id]').forEach((btn) => {
+    const selected = btn.dataset.serviceId === selectedService?.id;
+    btn.classList.toggle('selected', selected);
+    btn.setAttribute('aria-checked', String(selected));
+  });
+}
+
+function setupAddonMenu(listing) {
+  if (!addonMenuEl || !addonOptionsEl || !listingAddons.length) return;
+  addonOptionsEl.innerHTML = listingAddons.map(a => `
+    <label>
+      <input type="checkbox" value="${escapeHTML(a.id)}"${selectedAddonIds.has(a.id) ? ' checked' : ''}>
+      ${escapeHTML(a.name)} - ${formatMoney(a.price)}${a.duration_minutes ? ` (+${escapeHTML(formatDuration(a.duration_minutes))})` : ''}
+      ${a.description ? `<span class="service-description">${escapeHTML(a.description)}</span>` : ''}
+    </label>
+  `).join('');
+  addonMenuEl.hidden = false;
+
+  addonOptionsEl.addEventListener('change', (e) => {
+    const box = e.target.closest('input[type="checkbox"]');
+    if (!box) return;
+    if (box.checked) selectedAddonIds.add(box.value);
+    else selectedAddonIds.delete(box.value);
+    resetSelection();
+    renderSlots(allSlots, listing);
+  });
+}
+
+// Price before add-ons: the service's when the listing has a menu, else the slot's
+function basePrice(slot) {
+  if (selectedService) return Number(selectedService.price || 0);
+  return Number(slot?.price || 0);
+}
+
+// Total for the current selection, add-ons included
+function selectedPrice() {
+  return basePrice(selectedSlot) + selectedAddons().reduce((sum, a) => sum + Number(a.price || 0), 0);
+}
+
+// What the customer owes once the promo code's discount is taken off
+function priceAfterPromo() {
+  const price = selectedPrice();
+  return appliedPromo ? price - promoDiscount(appliedPromo, price) : price;
+}
+
+// Part of the total charged at checkout; the same rule as onlinePence in create-checkout-session.
+// In deposit modes a service's own deposit wins over the listing's.
+function onlinePrice() {
+  const price = priceAfterPromo();
+  const mode = paymentSettings?.payment_mode || 'full';
+  if (mode === 'in_person') return 0;
+  if (mode === 'full') return price;
+
+  const serviceDeposit = selectedService?.deposit ?? null;
+  const listingDeposit = mode === 'deposit_fixed'
+    ? Number(paymentSettings.deposit_amount || 0)
+    : (price * Number(paymentSettings.deposit_percent || 0)) / 100;
+  return Math.max(0, Math.min(price, serviceDeposit !== null ? Number(serviceDeposit) : listingDeposit));
+}
+
+function renderPaymentNote() {
+  const mode = paymentSettings?.payment_mode || 'full';
+  const online = selectedSlot ? onlinePrice() : 0;
+  if (lldRowEl) lldRowEl.hidden = mode === 'in_person' || (!!selectedSlot && online <= 0) || voucherCoversAll();
+  if (voucherRowEl) voucherRowEl.hidden = mode === 'in_person' || (!!selectedSlot && online <= 0);
+  if (!paymentNoteEl) return;
+
+  if (mode === 'full' || !selectedSlot) {
+    paymentNoteEl.textContent = mode === 'in_person' ? 'Pay at the appointment - nothing is charged online.' : '';
+    paymentNoteEl.hidden = mode !== 'in_person';
+    return;
+  }
+  const due = Math.max(0, priceAfterPromo() - online);
+  paymentNoteEl.textContent = online > 0
+    ? `Pay a ${formatMoney(online)} deposit now and ${formatMoney(due)} at the appointment.`
+    : `Pay ${formatMoney(due)} at the appointment - nothing is charged online.`;
+  paymentNoteEl.hidden = false;
+}
+
+function setupStaffPicker(listing) {
+  if (!staffPickerEl || !staffSelectEl || !listingStaff.length) return;
+  staffSelectEl.innerHTML = '<option value="">Any available</option>' +
+    listingStaff.map(s => `<option value="${escapeHTML(s.id)}">${escapeHTML(s.name)}</option>`).join('');
+  staffSelectEl.value = selectedStaffId;
+  staffPickerEl.hidden = false;
+
+  staffSelectEl.addEventListener('change', () => {
+    selectedStaffId = staffSelectEl.value;
+    resetSelection();
+    renderSlots(allSlots, listing);
+  });
+}
+
+function renderSlots(allListingSlots, listing) {
   if (!slotsEl) return;
-  if (!slots || !slots.length) {
-    slotsEl.textContent = 'No available times yet.';
+  if (listingServices.length && !selectedService) {
+    slotsEl.textContent = 'Choose a service to see available times.';
+    return;
+  }
+  const savedSlotId = new URLSearchParams(window.location.search).get('slotId');
+  const slots = slotsForStaff(slotsThatFit(allListingSlots || []), savedSlotId);
+  if (!slots.length) {
+    const forService = selectedService ? ` for ${selectedService.name}` : '';
+    slotsEl.textContent = selectedStaffId
+      ? `No available times${forService} with this stylist yet.`
+      : `No available times${forService} yet.`;
     return;
   }
 
   slotsEl.innerHTML = '';
+
+  // Slot instants are shown in the viewer's zone; say so when it differs from the listing's
+  const viewerZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const listingZone = listing?.timezone || 'Europe/London';
+  if (viewerZone && viewerZone !== listingZone) {
+    const note = document.createElement('p');
+    note.className = 'slot-zone-note';
+    note.textContent = `Times are shown in your timezone (${viewerZone}). This business is in ${listingZone}.`;
+    slotsEl.appendChild(note);
+  }
   slots.forEach((slot) => {
     const btn = document.createElement('button');
     btn.type = 'button';
     btn.className = 'slot-picker-btn';
-    const label = slot.label ? ` - ${escapeHTML(slot.label)}` : '';
+    const label = !selectedService && slot.label ? ` - ${escapeHTML(slot.label)}` : '';
+    const price = basePrice(slot) + selectedAddons().reduce((sum, a) => sum + Number(a.price || 0), 0);
+    const ends = (selectedService || addonMinutes()) && slot.starts_at
+      ? new Date(Date.parse(slot.starts_at) + bookingMinutes(slot) * 60000).toISOString()
+      : null;
+    // seats_left counts seats held by open checkouts as taken
+    const isFull = slot.seats_left !== undefined && Number(slot.seats_left) <= 0;
+    const staffName = listingStaff.length && !selectedStaffId ? staffNameFor(slot) : '';
 
     btn.innerHTML = `
-      <span class="slot-time">${slot.date} | ${slot.start_time}</span>
-      <span class="slot-price">${formatMoney(slot.price)}${label}</span>
+      <span class="slot-time">${escapeHTML(slot.starts_at ? formatInstant(slot.starts_at) : `${slot.date} | ${slot.start_time}`)}${ends ? ` - ${escapeHTML(formatInstant(ends, { hour: '2-digit', minute: '2-digit' }))}` : ''}</span>
+      <span class="slot-price">${formatMoney(price)}${label}</span>
+      ${staffName ? `<span class="slot-staff">with ${escapeHTML(staffName)}</span>` : ''}
+      ${isFull ? '<span class="slot-full">Fully booked</span>' : ''}
     `;
 
+    if (isFull) {
+      btn.disabled = true;
+      btn.classList.add('full');
+      slotsEl.appendChild(btn);
+      return;
+    }
+
     btn.onclick = () => {
       document.querySelectorAll('.slot-picker-btn').forEach(b => b.classList.remove('selected'));
       btn.classList.add('selected');
@@ -231,28 +501,128 @@ function renderSlots(slots) {
     slotsEl.appendChild(btn);
   });
 
-  const params = new URLSearchParams(window.location.search);
-  const savedSlotId = params.get('slotId');
   if (savedSlotId) {
     const index = slots.findIndex(s => String(s.id) === String(savedSlotId));
-    if (index !== -1) setTimeout(() => slotsEl.children[index].click(), 100);
+    const buttons = slotsEl.querySelectorAll('.slot-picker-btn');
+    if (index !== -1) setTimeout(() => buttons[index]?.click(), 100);
   }
 }
 
+function renderPromoStatus() {
+  if (!promoStatusEl) return;
+  if (!appliedPromo) return;
+  const off = selectedSlot ? promoDiscount(appliedPromo, selectedPrice()) : 0;
+  promoStatusEl.textContent = selectedSlot
+    ? `${appliedPromo.code}: ${formatMoney(off)} off - you pay ${formatMoney(priceAfterPromo())}`
+    : `${appliedPromo.code}: ${describeDiscount(appliedPromo)}`;
+}
+
+function setupPromoField(listing) {
+  if (!promoInput || !promoApplyBtn) return;
+  promoInput.addEventListener('input', () => {
+    // Editing the code drops the one already applied
+    if (appliedPromo && promoInput.value.trim().toUpperCase() !== appliedPromo.code) {
+      appliedPromo = null;
+      if (promoStatusEl) promoStatusEl.textContent = '';
+      updateBookButtonState();
+    }
+  });
+  promoApplyBtn.addEventListener('click', async () => {
+    const code = promoInput.value.trim();
+    if (!code) return;
+    if (!userIsAuthenticated) {
+      promoStatusEl.textContent = 'Sign in to use a promo code.';
+      return;
+    }
+    promoApplyBtn.disabled = true;
+    try {
+      appliedPromo = await checkPromoCode(listing.id, code);
+      promoInput.value = appliedPromo.code;
+    } catch (error) {
+      appliedPromo = null;
+      promoStatusEl.textContent = error.message;
+    } finally {
+      promoApplyBtn.disabled = false;
+    }
+    // LLD can't cover more than the discounted price
+    if (lldInput) {
+      lldInput.value = 0;
+      lldValue.textContent = formatMoney(0);
+    }
+    updateBookButtonState();
+  });
+}
+
+// Pence of the online payment the applied voucher takes, given the LLD chosen
+function voucherPence() {
+  if (!appliedVoucher || !selectedSlot) return 0;
+  const lld = Math.max(0, parseInt(lldInput?.value || '0', 10));
+  return voucherCoverPence(Number(appliedVoucher.balance_cents), Math.round(onlinePrice() * 100), lld);
+}
+
+// A voucher that covers the whole online payment pays it alone, without LLD or Stripe
+function voucherCoversAll() {
+  return !!appliedVoucher && !!selectedSlot && onlinePrice() > 0
+    && Number(appliedVoucher.balance_cents) >= Math.round(onlinePrice() * 100);
+}
+
+function renderVoucherStatus() {
+  if (!voucherStatusEl || !appliedVoucher) return;
+  const left = formatMoney(Number(appliedVoucher.balance_cents) / 100);
+  voucherStatusEl.textContent = selectedSlot && onlinePrice() > 0
+    ? `${appliedVoucher.code}: ${formatMoney(voucherPence() / 100)} of ${left} used`
+    : `${appliedVoucher.code}: ${left} left`;
+}
+
+function setupVoucherField() {
+  if (!voucherInput || !voucherApplyBtn) return;
+  voucherInput.addEventListener('input', () => {
+    if (appliedVoucher) {
+      appliedVoucher = null;
+      if (voucherStatusEl) voucherStatusEl.textContent = '';
+      updateBookButtonState();
+    }
+  });
+  voucherApplyBtn.addEventListener('click', async () => {
+    const code = voucherInput.value.trim();
+    if (!code) return;
+    if (!userIsAuthenticated) {
+      voucherStatusEl.textContent = 'Sign in to use a gift voucher.';
+      return;
+    }
+    voucherApplyBtn.disabled = true;
+    try {
+      appliedVoucher = await checkGiftVoucher(code);
+      voucherInput.value = appliedVoucher.code;
+    } catch (error) {
+      appliedVoucher = null;
+      voucherStatusEl.textContent = error.message;
+    } finally {
+      voucherApplyBtn.disabled = false;
+    }
+    updateBookButtonState();
+  });
+}
+
 function setupLldField() {
   if (!lldInput || !lldValue) return;
   lldInput.addEventListener('input', () => {
     let val = parseInt(lldInput.value, 10) || 0;
-    const maxPriceInPence = selectedSlot ? Math.floor(selectedSlot.price * 100) : 0;
+    // Capped at what is charged online and at the wallet balance
+    const maxPriceInPence = selectedSlot ? Math.min(Math.floor(onlinePrice() * 100), lldBalance) : 0;
     if (val > maxPriceInPence) {
       val = maxPriceInPence;
       lldInput.value = val;
     }
     lldValue.textContent = formatMoney(val * 0.01);
+    renderVoucherStatus();
   });
 }
 
 function updateBookButtonState() {
+  renderPaymentNote();
+  renderPromoStatus();
+  renderVoucherStatus();
   if (!bookButton) return;
   if (!userIsAuthenticated) {
     bookButton.disabled = false;
@@ -264,7 +634,9 @@ function updateBookButtonState() {
     bookButton.classList.remove('auth-needed');
   } else {
     bookButton.disabled = false;
-    bookButton.textContent = 'Book Now';
+    bookButton.textContent = voucherCoversAll()
+      ? 'Book with gift voucher'
+      : onlinePrice() > 0 ? 'Book Now' : 'Book (pay in person)';
     bookButton.classList.remove('auth-needed');
   }
 }
@@ -275,6 +647,9 @@ async function handleBooking(listing) {
     params.set('next', 'listing.html');
     params.set('id', listingId);
     if (selectedSlot) params.set('slotId', selectedSlot.id);
+    if (selectedStaffId) params.set('staffId', selectedStaffId);
+    if (selectedService) params.set('serviceId', selectedService.id);
+    if (selectedAddonIds.size) params.set('addonIds', [...selectedAddonIds].join(','));
     params.set('msg', 'Please sign in to complete your booking.');
     window.location.href = `signin.html?${params.toString()}`;
     return;
@@ -283,7 +658,7 @@ async function handleBooking(listing) {
   // Show loading state
   const originalText = bookButton.textContent;
   bookButton.disabled = true;
-  bookButton.textContent = 'Connecting to Stripe...';
+  bookButton.textContent = onlinePrice() > 0 && !voucherCoversAll() ? 'Connecting to Stripe...' : 'Booking...';
 
   // FIX: Check selectedSlot object, NOT undefined "selectedSlotId"
   if (!selectedSlot) {
@@ -293,17 +668,21 @@ async function handleBooking(listing) {
     return;
   }
 
-  // FIX: Get price directly from selectedSlot object
-  const slotPrice = Number(selectedSlot.price || 0);
+  // LLD only comes off what is charged online (the full price, or the deposit)
+  const online = onlinePrice();
   const lldSelected = Math.max(0, parseInt(lldInput?.value || '0', 10));
-  const maxRedeemable = Math.min(lldSelected, Math.floor(slotPrice * 100));
+  const maxRedeemable = Math.min(lldSelected, Math.floor(online * 100), lldBalance);
 
   try {
     const { data, error } = await sb.functions.invoke('create-checkout-session', {
       body: {
         listing_id: listing.id,
         availability_id: selectedSlot.id, // FIX: Use correct ID
+        service_id: selectedService?.id,
+        addon_ids: [...selectedAddonIds],
         lld_to_redeem: maxRedeemable,
+        promo_code: appliedPromo?.code,
+        gift_voucher_code: appliedVoucher?.code,
       },
     });
 
@@ -311,7 +690,7 @@ async function handleBooking(listing) {
     if (!data?.success) throw new Error(data?.error || 'Failed to start checkout.');
     if (!data?.data?.url) throw new Error('No checkout URL returned.');
 
-    // Redirect to Stripe
+    // Redirect to Stripe, or straight to the booking when nothing is charged online
     window.location.href = data.data.url;
 
   } catch (error) {
@@ -338,17 +717,18 @@ async function handleMessageMerchant(listing) {
   messageButton.textContent = 'Opening chat...';
 
   try {
-    if (!listing || !listing.merchant_id) throw new Error('Merchant info missing');
+    const merchantId = listing?.owner || listing?.merchant_id;
+    if (!merchantId) throw new Error('Merchant info missing');
 
     const { data, error } = await sb.functions.invoke('find-or-create-thread', {
-      body: { merchant_id: listing.merchant_id, listing_id: listingId }
+      body: { merchant_id: merchantId, listing_id: listingId }
     });
 
-    if (error || !data?.ok || !data?.thread_id) {
+    if (error || !data?.success || !data?.data?.thread_id) {
         throw new Error(error?.message || data?.error || 'Failed to start chat');
     }
 
-    window.location.href = `message-thread.html?id=${data.thread_id}`;
+    window.location.href = `message-thread.html?id=${data.data.thread_id}`;
   } catch (error) {
     console.error('Message error:', error);
     alert(error.message);
@@ -366,10 +746,30 @@ async function loadData() {
   const today = new Date().toISOString().slice(0, 10);
   const in14 = new Date(Date.now() + 14 * 86400000).toISOString().slice(0, 10);
 
-  const [listingResult, availabilityResult] = await Promise.all([
+  const [listingResult, availabilityResult, staff, services, addons] = await Promise.all([
     sb.from('listings').select('*').eq('id', listingId).single(),
-    sb.from('availability').select('*').eq('listing_id', listingId).gte('date', today).lte('date', in14).order('date'),
+    listSlots(listingId, { from: today, to: in14, startingAfter: new Date() })
+      .then((data) => ({ data, error: null }), (error) => ({ data: null, error })),
+    listListingStaff(listingId).catch((error) => {
+      console.error('Failed to load staff:', error);
+      return [];
+    }),
+    listServices(listingId).catch((error) => {
+      console.error('Failed to load services:', error);
+      return [];
+    }),
+    listAddons(listingId).catch((error) => {
+      console.error('Failed to load add-ons:', error);
+      return [];
+    }),
   ]);
+  listingStaff = staff;
+  listingServices = services;
+  // Returning from sign-in: keep the service the customer had picked
+  selectedService = listingServices.find(s => s.id === searchParams.get('serviceId')) || null;
+  listingAddons = addons;
+  const savedAddonIds = (searchParams.get('addonIds') || '').split(',');
+  listingAddons.filter(a => savedAddonIds.includes(a.id)).forEach(a => selectedAddonIds.add(a.id));
 
   if (listingResult.error) {
     if (infoEl) infoEl.textContent = listingResult.error.message;
@@ -377,14 +777,24 @@ async function loadData() {
   }
 
   const listing = listingResult.data;
+  paymentSettings = listing;
   renderListing(listing);
   await renderPhotoGallery(listingId);
 
   if (availabilityResult.error) {
     if (slotsEl) slotsEl.textContent = availabilityResult.error.message;
   } else {
-    renderSlots(availabilityResult.data);
+    allSlots = availabilityResult.data || [];
+    // Returning from sign-in with a slot picked under a specific stylist: keep that stylist
+    const savedSlot = allSlots.find(s => String(s.id) === String(searchParams.get('slotId')));
+    if (savedSlot?.staff_id && searchParams.get('staffId') === savedSlot.staff_id) selectedStaffId = savedSlot.staff_id;
+    setupServiceMenu(listing);
+    setupAddonMenu(listing);
+    setupStaffPicker(listing);
+    renderSlots(allSlots, listing);
   }
+  setupPromoField(listing);
+  setupVoucherField();
 
   if (bookButton) {
     bookButton.addEventListener('click', () => handleBooking(listing));
@@ -392,15 +802,146 @@ async function loadData() {
   }
 
   if (messageButton) {
-    const isOwnListing = currentUserId && listing.merchant_id && currentUserId === listing.merchant_id;
+    const merchantId = listing.owner || listing.merchant_id;
+    const isOwnListing = currentUserId && merchantId && currentUserId === merchantId;
     if (isOwnListing) messageButton.style.display = 'none';
     else messageButton.addEventListener('click', () => handleMessageMerchant(listing));
   }
 }
 
+function renderStars(rating) {
+  const full = Math.max(0, Math.min(5, Math.round(Number(rating) || 0)));
+  return `<span aria-label="${full} out of 5 stars">${'\u2605'.repeat(full)}${'\u2606'.repeat(5 - full)}</span>`;
+}
+
+async function renderReviewBreakdown() {
+  if (!reviewBreakdownEl) return;
+
+  const { data: stats, error } = await sb
+    .from('listing_review_stats')
+    .select('*')
+    .eq('listing_id', listingId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to load review stats:', error);
+    reviewBreakdownEl.innerHTML = '';
+    return;
+  }
+  if (!stats?.review_count) {
+    reviewBreakdownEl.innerHTML = '<p>No reviews yet.</p>';
+    return;
+  }
+
+  const rows = [5, 4, 3, 2, 1].map((stars) => {
+    const count = stats[`stars_${stars}`] || 0;
+    const percent = Math.round((count / stats.review_count) * 100);
+    return `<div class="review-breakdown-row">
+      <span>${stars} \u2605</span>
+      <div class="review-breakdown-bar"><span style="width:${percent}%"></span></div>
+      <span>${count}</span>
+    </div>`;
+  }).join('');
+
+  reviewBreakdownEl.innerHTML = `
+    <p>${renderStars(stats.rating)} ${Number(stats.rating).toFixed(1)} from ${stats.review_count} review${stats.review_count === 1 ? '' : 's'}</p>
+    ${rows}
+  `;
+}
+
+async function loadReviewerNames(reviews) {
+  const ids = [...new Set(reviews.map((review) => review.customer_id).filter(Boolean))];
+  if (!ids.length) return {};
+
+  const { data, error } = await sb.from('profiles').select('id, full_name').in('id', ids);
+  if (error) {
+    console.warn('Failed to load reviewer names:', error);
+    return {};
+  }
+  return Object.fromEntries((data || []).map((profile) => [profile.id, profile.full_name]));
+}
+
+async function renderReviews() {
+  if (!reviewListEl) return;
+
+  const sort = REVIEW_SORTS[reviewSortEl?.value] || REVIEW_SORTS.newest;
+  const from = reviewPage * REVIEWS_PAGE_SIZE;
+
+  let query = sb
+    .from('reviews')
+    .select('id, booking_id, customer_id, rating, body, created_at, merchant_reply, merchant_reply_at', { count: 'exact' })
+    .eq('listing_id', listingId);
+  sort.forEach(([column, ascending]) => {
+    query = query.order(column, { ascending });
+  });
+
+  const { data: reviews, count, error } = await query.range(from, from + REVIEWS_PAGE_SIZE - 1);
+
+  if (error) {
+    console.error('Failed to load reviews:', error);
+    reviewListEl.textContent = 'Could not load reviews.';
+    if (reviewPaginationEl) reviewPaginationEl.innerHTML = '';
+    return;
+  }
+
+  const names = await loadReviewerNames(reviews || []);
+
+  reviewListEl.innerHTML = (reviews || []).map((review) => {
+    const name = names[review.customer_id] || 'Customer';
+    const date = new Date(review.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const verified = review.booking_id ? '<span class="review-verified">\u2713 Verified booking</span>' : '';
+    const reply = review.merchant_reply
+      ? `<div class="review-reply"><strong>Response from the merchant</strong><p class="review-body">${escapeHTML(review.merchant_reply)}</p></div>`
+      : '';
+    return `<article class="review-item">
+      <div class="review-meta">
+        ${renderStars(review.rating)}
+        <strong>${escapeHTML(name)}</strong>
+        <span>${escapeHTML(date)}</span>
+        ${verified}
+      </div>
+      ${review.body ? `<p class="review-body">${escapeHTML(review.body)}</p>` : ''}
+      ${reply}
+    </article>`;
+  }).join('');
+
+  if (!reviewPaginationEl) return;
+  const totalPages = Math.ceil((count || 0) / REVIEWS_PAGE_SIZE);
+  if (totalPages <= 1) {
+    reviewPaginationEl.innerHTML = '';
+    return;
+  }
+  reviewPaginationEl.innerHTML = `
+    <button type="button" class="btn" data-review-page="prev" ${reviewPage === 0 ? 'disabled' : ''}>Previous</button>
+    <span>Page ${reviewPage + 1} of ${totalPages}</span>
+    <button type="button" class="btn" data-review-page="next" ${reviewPage >= totalPages - 1 ? 'disabled' : ''}>Next</button>
+  `;
+}
+
+function setupReviews() {
+  if (!reviewListEl || !listingId) return;
+
+  reviewSortEl?.addEventListener('change', () => {
+    reviewPage = 0;
+    renderReviews();
+  });
+
+  reviewPaginationEl?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-review-page]');
+    if (!button || button.disabled) return;
+    reviewPage += button.dataset.reviewPage === 'next' ? 1 : -1;
+    renderReviews();
+    document.getElementById('reviews')?.scrollIntoView({ behavior: 'smooth' });
+  });
+
+  renderReviewBreakdown();
+  renderReviews();
+}
+
 async function init() {
   setupLldField();
   setupLightbox();
+  setupReviews();
   await loadData();
 }
 
@@ -121,7 +121,7 @@ function renderPhotoCarousel(listingId, photos) {
  * Render a single listing card
  */
 function renderListingCard(listing, photos) {
-  const rating = listing.rating ?? 'N/A';
+  const rating = listing.rating != null ? `${Number(listing.rating).toFixed(1)} (${listing.review_count || 0})` : 'N/A';
   const city = listing.city || 'Location not specified';
   const price = listing.price_from ? formatPrice(listing.price_from) : 'Price on request';
   const description = listing.description || 'No description available.';
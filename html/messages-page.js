@@ -10,8 +10,6 @@ import { sp, getProfilesMany } from './api.js';
     // If auth failed, authInit handles redirect if requireAuth is true.
     // However, sp() might need clients ready, which authInit ensures.
 
-    const FUNCTION_BASE = "https://rgzdgeczrncuxfkyuxf.supabase.co/functions/v1";
-
     const listEl = document.querySelector('.thread-list');
     const noteEl = document.querySelector('.content > .note');
     if (noteEl) noteEl.style.display = 'none';
@@ -70,34 +68,25 @@ import { sp, getProfilesMany } from './api.js';
         return data;
     }
 
-    async function respondBooking(booking_id, action) {
+    // Status changes go through the booking state machine functions; the actor is taken
+    // from the JWT, so only the booking id and action are sent.
+    async function invokeBookingFunction(name, body) {
         const client = await sp();
-        const { data: { session } } = await client.auth.getSession();
-        const token = session?.access_token;
+        const { data, error } = await client.functions.invoke(name, { body });
+        if (error) {
+            const detail = await error.context?.json?.().catch(() => null);
+            throw new Error(detail?.error || error.message || 'Failed');
+        }
+        if (!data?.success) throw new Error(data?.error || 'Failed');
+        return data.data;
+    }
 
-        const res = await fetch(`${FUNCTION_BASE}/respond-booking`, {
-            method: 'POST',
-            headers: { 'content-type': 'application/json', 'authorization': `Bearer ${token || ''}` },
-            body: JSON.stringify({ booking_id, action, actor_id: user.id })
-        });
-        const data = await res.json().catch(() => ({}));
-        if (!res.ok) throw new Error(data.error || 'Failed');
-        return data;
+    async function respondBooking(booking_id, action) {
+        return invokeBookingFunction('respond-booking', { booking_id, action });
     }
 
     async function completeBooking(booking_id) {
-        const client = await sp();
-        const { data: { session } } = await client.auth.getSession();
-        const token = session?.access_token;
-
-        const res = await fetch(`${FUNCTION_BASE}/complete-booking`, {
-            method: 'POST',
-            headers: { 'content-type': 'application/json', 'authorization': `Bearer ${token || ''}` },
-            body: JSON.stringify({ booking_id, actor_id: user.id })
-        });
-        const data = await res.json().catch(() => ({}));
-        if (!res.ok) throw new Error(data.error || 'Failed');
-        return data;
+        return invokeBookingFunction('complete-booking', { booking_id });
     }
 
     async function render() {
@@ -147,6 +136,12 @@ import { sp, getProfilesMany } from './api.js';
                 const profile = profileById.get(otherId);
                 const displayName = profile?.full_name || profile?.name || 'User';
 
+                // Merchants see what is still to be paid at the appointment (deposit / pay in person)
+                const toCollect = booking && user.id === booking.merchant_id && booking.amount_outstanding_cents > 0
+                    && (booking.status === 'pending' || booking.status === 'confirmed')
+                    ? `<p class="thread-snippet">£${(booking.amount_outstanding_cents / 100).toFixed(2)} to collect in person</p>`
+                    : '';
+
                 // Note: We use a div with onclick instead of an anchor to allow nested buttons
                 const node = el(`
                     <div class="thread" role="button" tabindex="0" style="cursor: pointer;">
@@ -154,6 +149,7 @@ import { sp, getProfilesMany } from './api.js';
                         <div>
                             <div class="thread-title">${displayName}</div>
                             <p class="thread-snippet">${summary}</p>
+                            ${toCollect}
                         </div>
                         <div class="thread-meta">${timeAgo(when)}</div>
                     </div>
@@ -207,9 +203,15 @@ import { sp, getProfilesMany } from './api.js';
                         actions.appendChild(cancel);
                     }
                     node.appendChild(actions);
-                } else if (booking && booking.status === 'confirmed' && user.id === booking.customer_id) {
-                    const start = new Date(booking.start_time);
+                } else if (booking && booking.status === 'confirmed') {
+                    // Completion and no-show can only be recorded once the appointment has started
+                    const start = new Date(booking.starts_at || booking.start_time);
                     if (Date.now() >= +start) {
+                        const actions = document.createElement('div');
+                        actions.style.marginLeft = 'auto';
+                        actions.style.display = 'flex';
+                        actions.style.gap = '8px';
+
                         const done = el('<button class="home-link">Mark complete</button>');
                         done.onclick = async (e) => {
                             e.preventDefault();
@@ -218,22 +220,20 @@ import { sp, getProfilesMany } from './api.js';
                             try { await completeBooking(booking.id); await render(); }
                             catch (err) { alert(err.message); done.disabled = false; }
                         };
-                        // Prevent clicking row
-                        done.style.marginLeft = "auto";
-                        done.onclick = (e) => {
-                            e.preventDefault(); e.stopPropagation();
-                            // ... logic
-                        };
-                        // Re-attach logic properly
-                        const realDone = el('<button class="home-link" style="margin-left: auto;">Mark complete</button>');
-                        realDone.onclick = async (e) => {
-                            e.preventDefault();
-                            e.stopPropagation();
-                            realDone.disabled = true;
-                            try { await completeBooking(booking.id); await render(); }
-                            catch (err) { alert(err.message); realDone.disabled = false; }
-                        };
-                        node.appendChild(realDone);
+                        actions.appendChild(done);
+
+                        if (user.id === booking.merchant_id) {
+                            const noShow = el('<button class="home-link">No-show</button>');
+                            noShow.onclick = async (e) => {
+                                e.preventDefault();
+                                e.stopPropagation();
+                                done.disabled = noShow.disabled = true;
+                                try { await respondBooking(booking.id, 'no_show'); await render(); }
+                                catch (err) { alert(err.message); done.disabled = noShow.disabled = false; }
+                            };
+                            actions.appendChild(noShow);
+                        }
+                        node.appendChild(actions);
                     }
                 }
 
@@ -95,7 +95,8 @@ async function loadListingThumbnail(listingId) {
 }
 
 function rowToCard(row) {
-  const rating = row.rating ?? 'N/A';
+  // rating/review_count are maintained from reviews; unreviewed listings have no rating yet
+  const rating = row.rating != null ? `${Number(row.rating).toFixed(1)} (${row.review_count || 0})` : 'N/A';
   const city = row.city || '';
   const price = row.price_from ?? 'N/A';
   return `<article class="card" data-listing-id="${escapeHTML(row.id)}" data-category="${escapeHTML(state.category)}">
@@ -162,6 +162,15 @@ async function handleSubmit(event) {
     if (urlParams.has('slotId')) {
       targetUrl.searchParams.set('slotId', urlParams.get('slotId'));
     }
+    if (urlParams.has('staffId')) {
+      targetUrl.searchParams.set('staffId', urlParams.get('staffId'));
+    }
+    if (urlParams.has('serviceId')) {
+      targetUrl.searchParams.set('serviceId', urlParams.get('serviceId'));
+    }
+    if (urlParams.has('addonIds')) {
+      targetUrl.searchParams.set('addonIds', urlParams.get('addonIds'));
+    }
 
     window.setTimeout(() => {
       // 5. Use the full URL with parameters
@@ -15,6 +15,7 @@ const emailInput = document.getElementById('signup-email');
 const passwordInput = document.getElementById('signup-password');
 const confirmInput = document.getElementById('signup-password-confirm');
 const roleInputs = document.querySelectorAll('input[name="role"]');
+const referralEl = document.getElementById('signup-referral');
 
 const errors = {
   name: document.getElementById('signup-name-error'),
@@ -25,6 +26,26 @@ const errors = {
 
 let formBusy = false;
 
+/* ------------------ REFERRALS ------------------ */
+// A friend's link is signup.html?ref=CODE (referrals.sql). Kept for the tab so the code
+// survives a detour to sign in and back.
+const REFERRAL_STORAGE_KEY = 'looklist.referralCode';
+
+function readReferralCode() {
+  const fromUrl = (new URLSearchParams(window.location.search).get('ref') || '').trim().toUpperCase();
+  try {
+    if (/^[A-Z0-9]{8}$/.test(fromUrl)) {
+      sessionStorage.setItem(REFERRAL_STORAGE_KEY, fromUrl);
+      return fromUrl;
+    }
+    return sessionStorage.getItem(REFERRAL_STORAGE_KEY) || null;
+  } catch {
+    return /^[A-Z0-9]{8}$/.test(fromUrl) ? fromUrl : null;
+  }
+}
+
+const referralCode = readReferralCode();
+
 /* ------------------ UI HELPERS ------------------ */
 function setStatus(type, message) {
   if (!statusEl) return;
@@ -156,8 +177,15 @@ async function handleSubmit(event) {
       password: passwordInput.value,
       fullName: nameInput.value.trim() || null,
       role: getSelectedRole(),
+      metadata: referralCode ? { referral_code: referralCode } : {},
     });
 
+    try {
+      sessionStorage.removeItem(REFERRAL_STORAGE_KEY);
+    } catch {
+      // Storage unavailable; nothing was kept
+    }
+
     /* ------------------ SUCCESS STATES ------------------ */
 
     // Case 1: Email confirmation required (no session yet)
@@ -201,6 +229,11 @@ async function init() {
       return;
     }
 
+    if (referralCode && referralEl) {
+      referralEl.textContent = 'You were invited by a friend. You\'ll both get LLD once your first booking of £10 or more is completed.';
+      referralEl.hidden = false;
+    }
+
     form.addEventListener('submit', handleSubmit);
   } catch (error) {
     console.error('[Signup] init error', error);
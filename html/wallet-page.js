@@ -0,0 +1,161 @@
+/**
+ * Wallet Page - LLD balance, ledger history and referral link
+ */
+
+import { authInit } from './auth.js';
+import {
+  getWalletBalance,
+  listWalletTransactions,
+  getAwardExpiryMonths,
+  describeSource,
+  getReferralCode,
+  referralLink,
+  getReferralStats,
+  getReferralTerms,
+} from './assets/js/wallet.js';
+
+const PAGE_SIZE = 20;
+
+const balanceEl = document.getElementById('walletBalance');
+const valueEl = document.getElementById('walletValue');
+const expiryEl = document.getElementById('walletExpiry');
+const ledgerEl = document.getElementById('walletLedger');
+const paginationEl = document.getElementById('walletPagination');
+const pageLabelEl = document.getElementById('walletPageLabel');
+const referralEl = document.getElementById('walletReferral');
+const referralTermsEl = document.getElementById('referralTerms');
+const referralLinkEl = document.getElementById('referralLink');
+const referralCopyEl = document.getElementById('referralCopy');
+const referralStatsEl = document.getElementById('referralStats');
+
+let userId = null;
+let page = 0;
+
+document.addEventListener('DOMContentLoaded', () => {
+  init().catch((err) => console.error('[Wallet] init', err));
+});
+
+async function init() {
+  const { user } = await authInit({ requireAuth: true });
+  if (!user) return;
+  userId = user.id;
+
+  paginationEl?.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-wallet-page]');
+    if (!button || button.disabled) return;
+    page += button.dataset.walletPage === 'next' ? 1 : -1;
+    loadHistory();
+  });
+
+  referralCopyEl?.addEventListener('click', copyReferralLink);
+
+  await Promise.all([loadBalance(), loadExpiryNote(), loadHistory(), loadReferral()]);
+}
+
+async function loadBalance() {
+  try {
+    const balance = await getWalletBalance(userId);
+    balanceEl.textContent = `${balance.toLocaleString()} LLD`;
+    valueEl.textContent = `Worth ${formatMoney(balance)} off your next booking`;
+  } catch (error) {
+    console.error('[Wallet] balance', error);
+    balanceEl.textContent = '—';
+    valueEl.textContent = 'Could not load your balance.';
+  }
+}
+
+async function loadExpiryNote() {
+  if (!expiryEl) return;
+  const months = await getAwardExpiryMonths().catch(() => null);
+  if (!months) return;
+  expiryEl.textContent = `LLD earned on bookings expires ${months} month${months === 1 ? '' : 's'} after it's awarded if it hasn't been spent. Your oldest LLD is always spent first.`;
+  expiryEl.hidden = false;
+}
+
+async function loadReferral() {
+  if (!referralEl) return;
+  let code, stats, terms;
+  try {
+    [code, stats, terms] = await Promise.all([
+      getReferralCode(),
+      getReferralStats(userId),
+      getReferralTerms().catch(() => null),
+    ]);
+  } catch (error) {
+    console.error('[Wallet] referral', error);
+    return;
+  }
+
+  referralLinkEl.value = referralLink(code);
+  referralTermsEl.textContent = terms
+    ? `Share your link. When a friend signs up with it and their first booking of ${formatMoney(terms.minSpendPence)} or more is completed, you get ${terms.referrerAward.toLocaleString()} LLD and they get ${terms.referredAward.toLocaleString()} LLD.`
+    : 'Share your link. When a friend signs up with it and their first booking is completed, you both get LLD.';
+  referralStatsEl.textContent = stats.joined
+    ? `${stats.joined} friend${stats.joined === 1 ? '' : 's'} joined · ${stats.rewarded} rewarded`
+    : 'No friends have joined with your link yet.';
+  referralEl.hidden = false;
+}
+
+async function copyReferralLink() {
+  try {
+    await navigator.clipboard.writeText(referralLinkEl.value);
+    referralCopyEl.textContent = 'Copied';
+  } catch {
+    referralLinkEl.select();
+    referralCopyEl.textContent = 'Press Ctrl+C to copy';
+  }
+  setTimeout(() => { referralCopyEl.textContent = 'Copy link'; }, 2000);
+}
+
+async function loadHistory() {
+  ledgerEl.innerHTML = '<li class="ledger-empty">Loading…</li>';
+  let result;
+  try {
+    result = await listWalletTransactions(userId, { page, pageSize: PAGE_SIZE });
+  } catch (error) {
+    console.error('[Wallet] history', error);
+    ledgerEl.innerHTML = '<li class="ledger-empty">Could not load your wallet history.</li>';
+    paginationEl.hidden = true;
+    return;
+  }
+
+  const { entries, count } = result;
+  ledgerEl.innerHTML = entries.length
+    ? entries.map(renderEntry).join('')
+    : '<li class="ledger-empty">No LLD yet. You earn 1% back on bookings of £10 or more.</li>';
+  renderPagination(count);
+}
+
+function renderEntry(entry) {
+  const amount = Number(entry.amount || 0);
+  const when = new Date(entry.created_at).toLocaleDateString(undefined, { dateStyle: 'medium' });
+  return `
+    <li class="ledger-entry">
+      <div>
+        <p class="ledger-source">${escapeHTML(describeSource(entry.source))}</p>
+        <p class="ledger-date">${escapeHTML(when)}</p>
+      </div>
+      <span class="ledger-amount ${amount >= 0 ? 'credit' : 'debit'}">${amount >= 0 ? '+' : '−'}${Math.abs(amount).toLocaleString()} LLD</span>
+    </li>
+  `;
+}
+
+function renderPagination(count) {
+  const totalPages = Math.ceil(count / PAGE_SIZE);
+  if (totalPages <= 1) {
+    paginationEl.hidden = true;
+    return;
+  }
+  paginationEl.hidden = false;
+  pageLabelEl.textContent = `Page ${page + 1} of ${totalPages}`;
+  paginationEl.querySelector('[data-wallet-page="prev"]').disabled = page === 0;
+  paginationEl.querySelector('[data-wallet-page="next"]').disabled = page >= totalPages - 1;
+}
+
+function formatMoney(lld) {
+  return `£${(lld / 100).toFixed(2)}`;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,79 @@
+-- Listing Add-ons
+-- Optional extras a customer can add to a booking (hair wash, nail art, lash removal), each with
+-- a price and the extra time it takes. create-checkout-session charges each add-on as its own
+-- Stripe line item and holds enough back-to-back slots for the service plus its add-ons; the
+-- webhook copies the chosen add-ons onto the booking.
+--
+-- booking_addons keeps the name, price and duration as they were when the customer paid, so
+-- later menu changes don't rewrite past bookings.
+--
+-- Requires listing_services.sql.
+
+-- ===================================================================
+-- STEP 1: Add-on menu
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.listing_addons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  listing_id UUID NOT NULL REFERENCES public.listings(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  description TEXT,
+  price NUMERIC(10,2) NOT NULL CHECK (price >= 0),
+  -- Time added to the booking; 0 for extras done within the service
+  duration_minutes INTEGER NOT NULL DEFAULT 0 CHECK (duration_minutes >= 0 AND duration_minutes <= 8 * 60),
+  active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_addons_listing
+  ON public.listing_addons(listing_id, sort_order);
+
+ALTER TABLE public.listing_addons ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "listing_addons_public_select_active" ON public.listing_addons
+  FOR SELECT
+  TO anon, authenticated
+  USING (active);
+
+CREATE POLICY "listing_addons_owner_all" ON public.listing_addons
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()));
+
+DROP TRIGGER IF EXISTS listing_addons_touch ON public.listing_addons;
+CREATE TRIGGER listing_addons_touch
+  BEFORE UPDATE ON public.listing_addons
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_listing_service();
+
+-- ===================================================================
+-- STEP 2: Add-ons on bookings
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.booking_addons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+  addon_id UUID REFERENCES public.listing_addons(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  price_cents INTEGER NOT NULL CHECK (price_cents >= 0),
+  duration_minutes INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (booking_id, addon_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_addons_booking
+  ON public.booking_addons(booking_id);
+
+ALTER TABLE public.booking_addons ENABLE ROW LEVEL SECURITY;
+
+-- Both parties to the booking can see its add-ons (stripe-webhook writes them)
+CREATE POLICY "booking_addons_party_select" ON public.booking_addons
+  FOR SELECT
+  TO authenticated
+  USING (EXISTS (
+    SELECT 1 FROM public.bookings b
+    WHERE b.id = booking_id AND auth.uid() IN (b.customer_id, b.merchant_id)
+  ));
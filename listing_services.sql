@@ -0,0 +1,332 @@
+-- Listing Services
+-- Each listing offers a menu of services ("Box braids – long", 240 min, £120), each with its
+-- own duration, price and optional deposit. Customers pick a service first; a start time is
+-- offered when the slot there, plus any back-to-back slots of the same stylist after it, cover
+-- the service's duration with a free seat each. create-checkout-session prices from the service
+-- and holds every slot in that run, so a 4-hour appointment can't be double-booked half way
+-- through.
+--
+-- Holds taken together for one checkout share a group_id (the first hold's id); converting or
+-- releasing a hold acts on its whole group. A booking's slots are found again through its
+-- converted holds, so cancelling frees all of them.
+--
+-- listings.price_from follows the cheapest active service, for search and listing cards.
+--
+-- Requires staff_members.sql.
+
+-- ===================================================================
+-- STEP 1: Services
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.listing_services (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  listing_id UUID NOT NULL REFERENCES public.listings(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  description TEXT,
+  duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0 AND duration_minutes <= 24 * 60),
+  price NUMERIC(10,2) NOT NULL CHECK (price >= 0),
+  -- Collected up front when set; must not exceed the price
+  deposit NUMERIC(10,2) CHECK (deposit >= 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  CHECK (deposit IS NULL OR deposit <= price)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_services_listing
+  ON public.listing_services(listing_id, sort_order);
+
+ALTER TABLE public.listing_services ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "listing_services_public_select_active" ON public.listing_services
+  FOR SELECT
+  TO anon, authenticated
+  USING (active);
+
+CREATE POLICY "listing_services_owner_all" ON public.listing_services
+  FOR ALL
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()))
+  WITH CHECK (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()));
+
+CREATE OR REPLACE FUNCTION public.touch_listing_service()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS listing_services_touch ON public.listing_services;
+CREATE TRIGGER listing_services_touch
+  BEFORE UPDATE ON public.listing_services
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_listing_service();
+
+-- Listings without active services keep the price_from the merchant entered
+CREATE OR REPLACE FUNCTION public.sync_listing_price_from()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_listing_id UUID := COALESCE(NEW.listing_id, OLD.listing_id);
+  v_min NUMERIC;
+BEGIN
+  SELECT MIN(price) INTO v_min
+  FROM public.listing_services
+  WHERE listing_id = v_listing_id AND active;
+
+  IF v_min IS NOT NULL THEN
+    UPDATE public.listings
+    SET price_from = v_min
+    WHERE id = v_listing_id AND price_from IS DISTINCT FROM v_min;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS listing_services_sync_price ON public.listing_services;
+CREATE TRIGGER listing_services_sync_price
+  AFTER INSERT OR UPDATE OR DELETE ON public.listing_services
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_listing_price_from();
+
+-- ===================================================================
+-- STEP 2: Service on bookings
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS service_id UUID REFERENCES public.listing_services(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS service_name TEXT;
+
+-- ===================================================================
+-- STEP 3: Grouped holds
+-- ===================================================================
+
+ALTER TABLE public.availability_holds
+  ADD COLUMN IF NOT EXISTS group_id UUID;
+
+UPDATE public.availability_holds SET group_id = id WHERE group_id IS NULL;
+
+ALTER TABLE public.availability_holds
+  ALTER COLUMN group_id SET NOT NULL;
+
+-- Every hold in a group carries the checkout session
+ALTER TABLE public.availability_holds
+  DROP CONSTRAINT IF EXISTS availability_holds_checkout_session_id_key;
+
+CREATE INDEX IF NOT EXISTS idx_availability_holds_checkout_session
+  ON public.availability_holds(checkout_session_id)
+  WHERE checkout_session_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_availability_holds_group
+  ON public.availability_holds(group_id);
+
+-- Takes one seat on each slot for p_minutes and returns the group id. Slots are locked in id
+-- order so overlapping checkouts can't deadlock; raises 'slot_full' if any slot has no free
+-- seat, in which case nothing is held. The customer's earlier holds touching these slots are
+-- released first, whole groups at a time.
+CREATE OR REPLACE FUNCTION public.hold_availability_seats(
+  p_availability_ids UUID[],
+  p_user_id UUID,
+  p_minutes INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_slot RECORD;
+  v_held INTEGER;
+  v_group_id UUID;
+  v_hold_id UUID;
+BEGIN
+  IF p_availability_ids IS NULL OR cardinality(p_availability_ids) = 0 THEN
+    RAISE EXCEPTION 'slot_not_found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM 1
+  FROM availability
+  WHERE id = ANY(p_availability_ids)
+  ORDER BY id
+  FOR UPDATE;
+
+  UPDATE availability_holds
+  SET status = 'released', updated_at = now()
+  WHERE status = 'active'
+    AND group_id IN (
+      SELECT group_id FROM availability_holds
+      WHERE availability_id = ANY(p_availability_ids)
+        AND user_id = p_user_id
+        AND status = 'active'
+    );
+
+  FOR v_slot IN
+    SELECT a.id, COALESCE(a.capacity, 1) AS capacity, COALESCE(a.booked_count, 0) AS booked
+    FROM unnest(p_availability_ids) WITH ORDINALITY AS ids(id, ord)
+    LEFT JOIN availability a ON a.id = ids.id
+    ORDER BY ids.ord
+  LOOP
+    IF v_slot.id IS NULL THEN
+      RAISE EXCEPTION 'slot_not_found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT COUNT(*) INTO v_held
+    FROM availability_holds
+    WHERE availability_id = v_slot.id
+      AND status = 'active'
+      AND expires_at > now();
+
+    IF v_slot.booked + v_held >= v_slot.capacity THEN
+      RAISE EXCEPTION 'slot_full' USING ERRCODE = 'P0001';
+    END IF;
+
+    v_hold_id := gen_random_uuid();
+    v_group_id := COALESCE(v_group_id, v_hold_id);
+    INSERT INTO availability_holds (id, availability_id, user_id, expires_at, group_id)
+    VALUES (v_hold_id, v_slot.id, p_user_id, now() + make_interval(mins => p_minutes), v_group_id);
+  END LOOP;
+
+  RETURN v_group_id;
+END;
+$$;
+
+-- Single-slot form kept for existing callers
+CREATE OR REPLACE FUNCTION public.hold_availability_seat(
+  p_availability_id UUID,
+  p_user_id UUID,
+  p_minutes INTEGER
+)
+RETURNS UUID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT public.hold_availability_seats(ARRAY[p_availability_id], p_user_id, p_minutes);
+$$;
+
+-- Turns every hold in the group into a booked seat. Idempotent: returns FALSE if the group was
+-- already converted. Holds that lapsed while the customer was paying are still converted if
+-- their seats are free. Raises 'hold_released' when the group was given up and 'slot_full' when
+-- a lapsed hold's seat has been taken since; nothing is booked in either case.
+CREATE OR REPLACE FUNCTION public.convert_availability_hold(p_hold_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group_id UUID;
+  v_hold RECORD;
+  v_held INTEGER;
+  v_converted INTEGER;
+BEGIN
+  SELECT group_id INTO v_group_id FROM availability_holds WHERE id = p_hold_id;
+  IF v_group_id IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  -- Same lock order as hold_availability_seats
+  PERFORM 1
+  FROM availability
+  WHERE id IN (SELECT availability_id FROM availability_holds WHERE group_id = v_group_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  IF EXISTS (SELECT 1 FROM availability_holds WHERE group_id = v_group_id AND status = 'converted') THEN
+    RETURN FALSE;
+  END IF;
+  IF EXISTS (SELECT 1 FROM availability_holds WHERE group_id = v_group_id AND status = 'released') THEN
+    RAISE EXCEPTION 'hold_released' USING ERRCODE = 'P0001';
+  END IF;
+
+  FOR v_hold IN
+    SELECT h.availability_id, COALESCE(a.capacity, 1) AS capacity, COALESCE(a.booked_count, 0) AS booked
+    FROM availability_holds h
+    JOIN availability a ON a.id = h.availability_id
+    WHERE h.group_id = v_group_id
+      AND h.expires_at <= now()
+  LOOP
+    SELECT COUNT(*) INTO v_held
+    FROM availability_holds
+    WHERE availability_id = v_hold.availability_id
+      AND status = 'active'
+      AND expires_at > now()
+      AND group_id <> v_group_id;
+
+    IF v_hold.booked + v_held >= v_hold.capacity THEN
+      RAISE EXCEPTION 'slot_full' USING ERRCODE = 'P0001';
+    END IF;
+  END LOOP;
+
+  WITH converted AS (
+    UPDATE availability_holds
+    SET status = 'converted', updated_at = now()
+    WHERE group_id = v_group_id
+      AND status = 'active'
+    RETURNING availability_id
+  )
+  UPDATE availability a
+  SET booked_count = COALESCE(a.booked_count, 0) + 1
+  FROM converted c
+  WHERE a.id = c.availability_id;
+
+  GET DIAGNOSTICS v_converted = ROW_COUNT;
+  RETURN v_converted > 0;
+END;
+$$;
+
+-- Frees the seats a booking took: every slot held by its checkout when it has converted holds,
+-- otherwise its single availability_id (bookings from before grouped holds). Releasing the
+-- holds makes this safe to call twice.
+CREATE OR REPLACE FUNCTION public.release_booking_seats(p_booking_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_session TEXT;
+  v_availability_id UUID;
+  v_released INTEGER;
+BEGIN
+  SELECT stripe_session_id, availability_id INTO v_session, v_availability_id
+  FROM bookings
+  WHERE id = p_booking_id;
+
+  IF v_session IS NOT NULL AND EXISTS (
+    SELECT 1 FROM availability_holds WHERE checkout_session_id = v_session
+  ) THEN
+    WITH released AS (
+      UPDATE availability_holds
+      SET status = 'released', updated_at = now()
+      WHERE checkout_session_id = v_session AND status = 'converted'
+      RETURNING availability_id
+    )
+    UPDATE availability a
+    SET booked_count = GREATEST(COALESCE(a.booked_count, 0) - 1, 0)
+    FROM released r
+    WHERE a.id = r.availability_id;
+
+    GET DIAGNOSTICS v_released = ROW_COUNT;
+    RETURN v_released;
+  END IF;
+
+  IF v_availability_id IS NOT NULL THEN
+    PERFORM public.release_availability_seat(v_availability_id);
+    RETURN 1;
+  END IF;
+  RETURN 0;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.hold_availability_seats(UUID[], UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.release_booking_seats(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.hold_availability_seats(UUID[], UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.release_booking_seats(UUID) TO service_role;
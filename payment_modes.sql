@@ -0,0 +1,104 @@
+-- Payment Modes
+-- Each listing chooses how bookings are paid:
+--   full             the whole price is charged at checkout (the default, and the old behaviour)
+--   deposit_fixed    deposit_amount (GBP) is charged at checkout, the rest at the appointment
+--   deposit_percent  deposit_percent of the price is charged at checkout, the rest at the appointment
+--   in_person        nothing is charged; create-checkout-session books directly, without Stripe
+-- In both deposit modes a service's own deposit (listing_services.deposit) takes precedence.
+--
+-- Bookings record the mode they were made under, what was paid online (amount_paid_cents) and
+-- what is still owed at the appointment (amount_outstanding_cents). payment_status is 'paid',
+-- 'deposit_paid' or 'unpaid'.
+--
+-- Requires listing_services.sql.
+
+-- ===================================================================
+-- STEP 1: Listing payment settings
+-- ===================================================================
+
+ALTER TABLE public.listings
+  ADD COLUMN IF NOT EXISTS payment_mode TEXT NOT NULL DEFAULT 'full'
+    CHECK (payment_mode IN ('full', 'deposit_fixed', 'deposit_percent', 'in_person')),
+  ADD COLUMN IF NOT EXISTS deposit_amount NUMERIC(10,2) CHECK (deposit_amount > 0),
+  ADD COLUMN IF NOT EXISTS deposit_percent INTEGER CHECK (deposit_percent BETWEEN 1 AND 100);
+
+ALTER TABLE public.listings
+  DROP CONSTRAINT IF EXISTS listings_deposit_settings_check;
+ALTER TABLE public.listings
+  ADD CONSTRAINT listings_deposit_settings_check CHECK (
+    (payment_mode <> 'deposit_fixed' OR deposit_amount IS NOT NULL)
+    AND (payment_mode <> 'deposit_percent' OR deposit_percent IS NOT NULL)
+  );
+
+-- ===================================================================
+-- STEP 2: Booking payment record
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS payment_mode TEXT NOT NULL DEFAULT 'full'
+    CHECK (payment_mode IN ('full', 'deposit_fixed', 'deposit_percent', 'in_person')),
+  ADD COLUMN IF NOT EXISTS amount_outstanding_cents INTEGER NOT NULL DEFAULT 0
+    CHECK (amount_outstanding_cents >= 0),
+  -- Seat holds converted for the booking; in-person bookings have no checkout session to find them by
+  ADD COLUMN IF NOT EXISTS hold_group_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_hold_group_id
+  ON public.bookings(hold_group_id)
+  WHERE hold_group_id IS NOT NULL;
+
+-- ===================================================================
+-- STEP 3: Seat release by hold group
+-- ===================================================================
+
+-- As in listing_services.sql, but finds the booking's holds by hold_group_id first, then by
+-- checkout session, then falls back to its single availability_id.
+CREATE OR REPLACE FUNCTION public.release_booking_seats(p_booking_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_group_id UUID;
+  v_session TEXT;
+  v_availability_id UUID;
+  v_released INTEGER;
+BEGIN
+  SELECT hold_group_id, stripe_session_id, availability_id
+  INTO v_group_id, v_session, v_availability_id
+  FROM bookings
+  WHERE id = p_booking_id;
+
+  IF v_group_id IS NULL AND v_session IS NOT NULL THEN
+    SELECT group_id INTO v_group_id
+    FROM availability_holds
+    WHERE checkout_session_id = v_session
+    LIMIT 1;
+  END IF;
+
+  IF v_group_id IS NOT NULL THEN
+    WITH released AS (
+      UPDATE availability_holds
+      SET status = 'released', updated_at = now()
+      WHERE group_id = v_group_id AND status = 'converted'
+      RETURNING availability_id
+    )
+    UPDATE availability a
+    SET booked_count = GREATEST(COALESCE(a.booked_count, 0) - 1, 0)
+    FROM released r
+    WHERE a.id = r.availability_id;
+
+    GET DIAGNOSTICS v_released = ROW_COUNT;
+    RETURN v_released;
+  END IF;
+
+  IF v_availability_id IS NOT NULL THEN
+    PERFORM public.release_availability_seat(v_availability_id);
+    RETURN 1;
+  END IF;
+  RETURN 0;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.release_booking_seats(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.release_booking_seats(UUID) TO service_role;
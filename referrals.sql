@@ -0,0 +1,279 @@
+-- Referral Programme
+-- Every user has a referral code (my_referral_code(), created the first time it's asked for),
+-- shared as a signup link: signup.html?ref=CODE. signup-page.js passes the code in the new
+-- user's metadata and record_referral() links the account to its referrer as it is created.
+--
+-- When the referred customer's first paid booking of at least referral_min_spend_pence is
+-- completed, complete-booking calls qualify_referral() and both sides are awarded LLD through
+-- wallet_adjust: 'award_referral' for the referrer and 'award_referred' for the new customer,
+-- both referenced by the referral's ID so each is paid once. They are awards like the purchase
+-- award, so they expire the same way (wallet_history.sql).
+--
+-- Abuse checks:
+-- - An account can only be referred when it is created, and only once
+-- - A code never refers its own owner, nor an address that is the referrer's own once
+--   normalised (case, +tags, and dots for Gmail)
+-- - Only a completed booking qualifies, so one that is cancelled or refunded before the
+--   appointment never pays out; what was paid counts net of refunds, and not while disputed
+-- - The qualifying booking can't be with the referrer's own listing, nor paid with a card the
+--   referrer has paid with (bookings.card_fingerprint)
+-- - A referrer is rewarded for at most referral_limit referrals
+-- Referrals failing a check are kept as 'rejected' with the reason.
+--
+-- Requires wallet_ledger.sql, wallet_history.sql, booking_state_machine.sql and
+-- refunds_disputes.sql.
+
+-- ===================================================================
+-- STEP 1: Reward settings
+-- ===================================================================
+
+ALTER TABLE public.wallet_settings
+  ADD COLUMN IF NOT EXISTS referrer_award_lld INTEGER NOT NULL DEFAULT 500 CHECK (referrer_award_lld >= 0),
+  ADD COLUMN IF NOT EXISTS referred_award_lld INTEGER NOT NULL DEFAULT 500 CHECK (referred_award_lld >= 0),
+  ADD COLUMN IF NOT EXISTS referral_min_spend_pence INTEGER NOT NULL DEFAULT 1000 CHECK (referral_min_spend_pence >= 0),
+  ADD COLUMN IF NOT EXISTS referral_limit INTEGER CHECK (referral_limit > 0);   -- NULL: no limit
+
+UPDATE public.wallet_settings SET referral_limit = 20 WHERE id AND referral_limit IS NULL;
+
+-- Card behind each paid booking, from the Stripe charge; compared across referrer and referred
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS card_fingerprint TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_customer_card
+  ON public.bookings(customer_id, card_fingerprint)
+  WHERE card_fingerprint IS NOT NULL;
+
+-- ===================================================================
+-- STEP 2: Codes and referrals
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.referral_codes (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE CHECK (code ~ '^[A-Z0-9]{8}$'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.referrals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  referrer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  referred_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'rewarded', 'rejected')),
+  -- same_email, own_listing, same_card or limit_reached
+  rejected_reason TEXT,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  rewarded_at TIMESTAMP WITH TIME ZONE,
+  CHECK (referrer_id <> referred_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer
+  ON public.referrals(referrer_id, created_at DESC);
+
+ALTER TABLE public.referral_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.referrals ENABLE ROW LEVEL SECURITY;
+
+-- Users see their own code and the referrals it brought in; writes go through the functions below
+DROP POLICY IF EXISTS "referral_codes_owner_select" ON public.referral_codes;
+CREATE POLICY "referral_codes_owner_select" ON public.referral_codes
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "referrals_referrer_select" ON public.referrals;
+CREATE POLICY "referrals_referrer_select" ON public.referrals
+  FOR SELECT
+  TO authenticated
+  USING (referrer_id = auth.uid());
+
+-- ===================================================================
+-- STEP 3: The signed-in user's code
+-- ===================================================================
+-- Eight characters without look-alikes (no 0/O, 1/I/L), so a code read out loud still works.
+
+CREATE OR REPLACE FUNCTION public.my_referral_code()
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user UUID := auth.uid();
+  v_code TEXT;
+  v_alphabet CONSTANT TEXT := 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+BEGIN
+  IF v_user IS NULL THEN
+    RAISE EXCEPTION 'not_authenticated';
+  END IF;
+
+  SELECT code INTO v_code FROM referral_codes WHERE user_id = v_user;
+  WHILE v_code IS NULL LOOP
+    v_code := '';
+    FOR i IN 1..8 LOOP
+      v_code := v_code || substr(v_alphabet, 1 + floor(random() * length(v_alphabet))::INTEGER, 1);
+    END LOOP;
+    BEGIN
+      INSERT INTO referral_codes (user_id, code) VALUES (v_user, v_code)
+      ON CONFLICT (user_id) DO NOTHING;
+      -- Lost a race with another tab: use the code that won
+      SELECT code INTO v_code FROM referral_codes WHERE user_id = v_user;
+    EXCEPTION WHEN unique_violation THEN
+      v_code := NULL;   -- code already taken by someone else; draw again
+    END;
+  END LOOP;
+
+  RETURN v_code;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.my_referral_code() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.my_referral_code() TO authenticated;
+
+-- ===================================================================
+-- STEP 4: Record the referrer at signup
+-- ===================================================================
+
+-- Same mailbox, written differently: case, +tags, and dots in Gmail addresses
+CREATE OR REPLACE FUNCTION public.normalize_email(p_email TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN split_part(e, '@', 2) IN ('gmail.com', 'googlemail.com')
+      THEN replace(split_part(split_part(e, '@', 1), '+', 1), '.', '') || '@gmail.com'
+    ELSE split_part(split_part(e, '@', 1), '+', 1) || '@' || split_part(e, '@', 2)
+  END
+  FROM (SELECT lower(trim(p_email)) AS e) s;
+$$;
+
+-- Never blocks a signup: an unknown code or any failure just leaves the account unreferred
+CREATE OR REPLACE FUNCTION public.record_referral()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_code TEXT := upper(trim(NEW.raw_user_meta_data->>'referral_code'));
+  v_referrer UUID;
+  v_referrer_email TEXT;
+BEGIN
+  IF v_code IS NULL OR v_code = '' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT user_id INTO v_referrer FROM referral_codes WHERE code = v_code;
+  IF v_referrer IS NULL OR v_referrer = NEW.id THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT email INTO v_referrer_email FROM auth.users WHERE id = v_referrer;
+
+  INSERT INTO referrals (referrer_id, referred_id, code, status, rejected_reason)
+  SELECT v_referrer, NEW.id, v_code,
+    CASE WHEN same_email THEN 'rejected' ELSE 'pending' END,
+    CASE WHEN same_email THEN 'same_email' END
+  FROM (SELECT normalize_email(v_referrer_email) = normalize_email(NEW.email) AS same_email) s
+  ON CONFLICT (referred_id) DO NOTHING;
+
+  RETURN NEW;
+EXCEPTION WHEN OTHERS THEN
+  RAISE WARNING 'record_referral failed for %: %', NEW.id, SQLERRM;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created_record_referral ON auth.users;
+CREATE TRIGGER on_auth_user_created_record_referral
+  AFTER INSERT ON auth.users
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_referral();
+
+-- ===================================================================
+-- STEP 5: Reward a qualifying booking (service role / complete-booking)
+-- ===================================================================
+-- Called for every completed booking of a customer with a pending referral. A booking that
+-- isn't completed, is under the minimum spend after refunds or is disputed leaves the referral
+-- pending for a later one. Returns the referral's status
+-- afterwards, or NULL when the customer has no referral still pending.
+
+CREATE OR REPLACE FUNCTION public.qualify_referral(
+  p_referred_id UUID,
+  p_booking_id UUID
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_referral referrals%ROWTYPE;
+  v_settings wallet_settings%ROWTYPE;
+  v_booking RECORD;
+  v_reason TEXT;
+BEGIN
+  SELECT * INTO v_referral FROM referrals WHERE referred_id = p_referred_id FOR UPDATE;
+  IF NOT FOUND OR v_referral.status <> 'pending' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_settings FROM wallet_settings WHERE id;
+  SELECT merchant_id, amount_paid_cents, refund_amount_cents, dispute_status, card_fingerprint INTO v_booking
+  FROM bookings
+  WHERE id = p_booking_id AND customer_id = p_referred_id AND status = 'completed';
+  IF NOT FOUND
+    OR v_booking.dispute_status IS NOT NULL
+    OR COALESCE(v_booking.amount_paid_cents, 0) - COALESCE(v_booking.refund_amount_cents, 0)
+      < GREATEST(COALESCE(v_settings.referral_min_spend_pence, 0), 1) THEN
+    RETURN 'pending';
+  END IF;
+
+  IF v_booking.merchant_id = v_referral.referrer_id THEN
+    v_reason := 'own_listing';
+  ELSIF v_booking.card_fingerprint IS NOT NULL AND EXISTS (
+    SELECT 1 FROM bookings
+    WHERE customer_id = v_referral.referrer_id AND card_fingerprint = v_booking.card_fingerprint
+  ) THEN
+    v_reason := 'same_card';
+  ELSIF v_settings.referral_limit IS NOT NULL AND (
+    SELECT count(*) FROM referrals WHERE referrer_id = v_referral.referrer_id AND status = 'rewarded'
+  ) >= v_settings.referral_limit THEN
+    v_reason := 'limit_reached';
+  END IF;
+
+  IF v_reason IS NOT NULL THEN
+    UPDATE referrals
+    SET status = 'rejected', rejected_reason = v_reason, booking_id = p_booking_id
+    WHERE id = v_referral.id;
+    RETURN 'rejected';
+  END IF;
+
+  UPDATE referrals
+  SET status = 'rewarded', booking_id = p_booking_id, rewarded_at = now()
+  WHERE id = v_referral.id;
+
+  IF COALESCE(v_settings.referrer_award_lld, 0) > 0 THEN
+    PERFORM wallet_adjust(v_referral.referrer_id, v_settings.referrer_award_lld, 'award_referral', v_referral.id::TEXT);
+  END IF;
+  IF COALESCE(v_settings.referred_award_lld, 0) > 0 THEN
+    PERFORM wallet_adjust(p_referred_id, v_settings.referred_award_lld, 'award_referred', v_referral.id::TEXT);
+  END IF;
+
+  RETURN 'rewarded';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.qualify_referral(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.qualify_referral(UUID, UUID) TO service_role;
+
+-- ===================================================================
+-- VERIFICATION
+-- ===================================================================
+-- Referrals per referrer and how they ended:
+--
+-- SELECT referrer_id, status, rejected_reason, count(*)
+-- FROM public.referrals
+-- GROUP BY referrer_id, status, rejected_reason
+-- ORDER BY referrer_id, status;
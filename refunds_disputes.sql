@@ -0,0 +1,51 @@
+-- Refund and Dispute Reconciliation
+-- stripe-webhook reconciles bookings with refunds and chargebacks made outside the app:
+--   charge.refunded           refund_amount_cents follows the charge's total refunded amount and
+--                             payment_status becomes 'partially_refunded' or 'refunded'. A full
+--                             refund of an appointment still to come cancels it, frees its seats
+--                             and restores redeemed LLD, as cancel-booking does.
+--   charge.dispute.created /  the booking is flagged with the dispute's status for the merchant
+--   .updated / .closed        dashboard; a lost dispute is treated as a full refund
+--                             (payment_status 'charged_back').
+-- In both cases the purchase award (1% LLD, source 'award_purchase') is taken back in proportion
+-- to the money returned, as 'award_reversal' ledger entries referenced by checkout session.
+--
+-- Refunds made by cancel-booking also arrive as charge.refunded; the booking is already ended
+-- then, so only the payment state and award are reconciled.
+--
+-- Requires booking_cancellation.sql and payment_modes.sql.
+
+-- ===================================================================
+-- STEP 1: Dispute record on bookings
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS stripe_dispute_id TEXT,
+  -- Stripe's dispute status: warning_needs_response, warning_under_review, warning_closed,
+  -- needs_response, under_review, won or lost
+  ADD COLUMN IF NOT EXISTS dispute_status TEXT,
+  ADD COLUMN IF NOT EXISTS dispute_reason TEXT,
+  ADD COLUMN IF NOT EXISTS dispute_amount_cents INTEGER,
+  ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP WITH TIME ZONE;
+
+-- Merchant dashboard: a merchant's disputed bookings, newest first
+CREATE INDEX IF NOT EXISTS idx_bookings_merchant_disputes
+  ON public.bookings(merchant_id, disputed_at DESC)
+  WHERE dispute_status IS NOT NULL;
+
+-- ===================================================================
+-- VERIFICATION
+-- ===================================================================
+-- Bookings refunded in full whose purchase award hasn't been fully taken back:
+--
+-- SELECT b.id, b.customer_id, award.amount AS awarded, COALESCE(rev.amount, 0) AS reversed
+-- FROM public.bookings b
+-- JOIN public.lld_transactions award
+--   ON award.user_id = b.customer_id AND award.source = 'award_purchase' AND award.reference = b.stripe_session_id
+-- LEFT JOIN LATERAL (
+--   SELECT -SUM(t.amount) AS amount FROM public.lld_transactions t
+--   WHERE t.user_id = b.customer_id AND t.source = 'award_reversal'
+--     AND t.reference LIKE b.stripe_session_id || ':%'
+-- ) rev ON TRUE
+-- WHERE b.payment_status IN ('refunded', 'charged_back')
+--   AND COALESCE(rev.amount, 0) < award.amount;
@@ -0,0 +1,32 @@
+-- Review Replies & Rating Breakdown
+-- This migration adds one public merchant reply per review (written by the reply-review Edge
+-- Function) and a per-listing star breakdown for the reviews section on listing.html.
+--
+-- Requires reviews_schema.sql.
+
+-- ===================================================================
+-- STEP 1: Merchant reply
+-- ===================================================================
+
+ALTER TABLE public.reviews
+  ADD COLUMN IF NOT EXISTS merchant_reply TEXT,
+  ADD COLUMN IF NOT EXISTS merchant_reply_at TIMESTAMP WITH TIME ZONE;
+
+-- ===================================================================
+-- STEP 2: Star breakdown per listing
+-- ===================================================================
+
+CREATE OR REPLACE VIEW public.listing_review_stats AS
+SELECT
+  listing_id,
+  COUNT(*)::INTEGER AS review_count,
+  ROUND(AVG(rating)::NUMERIC, 2) AS rating,
+  COUNT(*) FILTER (WHERE rating = 5)::INTEGER AS stars_5,
+  COUNT(*) FILTER (WHERE rating = 4)::INTEGER AS stars_4,
+  COUNT(*) FILTER (WHERE rating = 3)::INTEGER AS stars_3,
+  COUNT(*) FILTER (WHERE rating = 2)::INTEGER AS stars_2,
+  COUNT(*) FILTER (WHERE rating = 1)::INTEGER AS stars_1
+FROM public.reviews
+GROUP BY listing_id;
+
+GRANT SELECT ON public.listing_review_stats TO anon, authenticated;
@@ -0,0 +1,86 @@
+-- Reviews & Listing Ratings
+-- This migration creates the reviews table written by the submit-review Edge Function and keeps
+-- listings.rating / listings.review_count in sync with it.
+--
+-- Rules (enforced in submit-review):
+-- * Only the customer of a completed booking may review it, once per booking
+-- * The review can be edited until REVIEW_EDIT_WINDOW_HOURS after it was first submitted
+
+-- ===================================================================
+-- STEP 1: Reviews table
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL UNIQUE REFERENCES public.bookings(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES public.listings(id) ON DELETE CASCADE,
+  merchant_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_listing_id ON public.reviews(listing_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_customer_id ON public.reviews(customer_id);
+
+ALTER TABLE public.reviews ENABLE ROW LEVEL SECURITY;
+
+-- Reviews are public; all writes go through submit-review (service role)
+CREATE POLICY "reviews_public_select" ON public.reviews
+  FOR SELECT
+  TO anon, authenticated
+  USING (TRUE);
+
+-- ===================================================================
+-- STEP 2: Listing aggregates
+-- ===================================================================
+
+ALTER TABLE public.listings
+  ADD COLUMN IF NOT EXISTS rating NUMERIC(3, 2),
+  ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION public.refresh_listing_rating(p_listing_id UUID)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE listings l
+  SET rating = agg.avg_rating,
+      review_count = agg.review_count
+  FROM (
+    SELECT ROUND(AVG(rating)::NUMERIC, 2) AS avg_rating, COUNT(*)::INTEGER AS review_count
+    FROM reviews
+    WHERE listing_id = p_listing_id
+  ) agg
+  WHERE l.id = p_listing_id;
+$$;
+
+CREATE OR REPLACE FUNCTION public.reviews_refresh_listing_rating()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND NEW.listing_id <> OLD.listing_id) THEN
+    PERFORM refresh_listing_rating(OLD.listing_id);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM refresh_listing_rating(NEW.listing_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reviews_listing_rating ON public.reviews;
+CREATE TRIGGER reviews_listing_rating
+  AFTER INSERT OR UPDATE OR DELETE ON public.reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION public.reviews_refresh_listing_rating();
+
+-- Backfill existing listings (rating is NULL until a listing has reviews)
+UPDATE public.listings SET rating = NULL, review_count = 0;
+SELECT public.refresh_listing_rating(listing_id) FROM (SELECT DISTINCT listing_id FROM public.reviews) r;
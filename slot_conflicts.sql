@@ -0,0 +1,119 @@
+-- Slot Conflicts
+-- A merchant who performs several listings personally can only be in one place at a time, but
+-- slots were only de-duplicated per listing. This migration adds an RPC that upsert-slots calls
+-- before inserting, returning every existing slot or active booking of the same merchant (across
+-- all of their listings) that overlaps a proposed slot. Moving an existing slot (the calendar's
+-- drag to move, or any other client) runs the same lookup in a trigger, so it can't be moved on
+-- top of another slot or booking either.
+--
+-- Proposed slots are wall-clock times in the target listing's timezone and are converted to
+-- instants the same way set_availability_instants does, so listings in different zones compare
+-- correctly.
+--
+-- Requires slot_timezones.sql.
+
+-- ===================================================================
+-- STEP 1: Overlap lookup
+-- ===================================================================
+
+CREATE INDEX IF NOT EXISTS idx_bookings_merchant_starts_at
+  ON public.bookings(merchant_id, starts_at);
+
+-- p_slots: [{ date, start_time, end_time }, ...]. slot_index is the 0-based position in p_slots.
+-- kind is 'slot' (an existing availability row) or 'booking' (an active booking that has no
+-- slot row, e.g. from before slots_unify.sql). Overlaps within p_slots are left to the caller.
+-- A slot at the same listing, date and start time is a duplicate, not a conflict; upsert-slots
+-- skips those on its own.
+CREATE OR REPLACE FUNCTION public.find_slot_conflicts(
+  p_listing_id UUID,
+  p_slots JSONB
+)
+RETURNS TABLE (
+  slot_index INTEGER,
+  kind TEXT,
+  conflict_id UUID,
+  listing_id UUID,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  booked_count INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH target AS (
+    SELECT l.owner, COALESCE(l.timezone, 'Europe/London') AS tz
+    FROM public.listings l
+    WHERE l.id = p_listing_id
+  ),
+  proposed AS (
+    SELECT
+      (e.ord - 1)::INTEGER AS idx,
+      ((e.value->>'date')::DATE + (e.value->>'start_time')::TIME) AT TIME ZONE t.tz AS s,
+      ((e.value->>'date')::DATE + (e.value->>'end_time')::TIME) AT TIME ZONE t.tz AS e
+    FROM jsonb_array_elements(p_slots) WITH ORDINALITY AS e(value, ord), target t
+  )
+  SELECT p.idx, 'slot', a.id, a.listing_id, a.starts_at, a.ends_at, COALESCE(a.booked_count, 0)
+  FROM proposed p
+  JOIN public.availability a ON a.starts_at < p.e AND a.ends_at > p.s
+  JOIN public.listings l ON l.id = a.listing_id
+  WHERE l.owner = (SELECT owner FROM target)
+    AND NOT (a.listing_id = p_listing_id AND a.starts_at = p.s)
+
+  UNION ALL
+
+  SELECT p.idx, 'booking', b.id, b.listing_id, b.starts_at, b.ends_at, 1
+  FROM proposed p
+  JOIN public.bookings b ON b.starts_at < p.e AND b.ends_at > p.s
+  WHERE b.merchant_id = (SELECT owner FROM target)
+    AND b.status IN ('pending', 'confirmed')
+    AND b.availability_id IS NULL
+
+  ORDER BY 1, 5;
+$$;
+
+REVOKE ALL ON FUNCTION public.find_slot_conflicts(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_slot_conflicts(UUID, JSONB) TO service_role;
+
+-- ===================================================================
+-- STEP 2: Refuse moves onto another slot or booking
+-- ===================================================================
+-- New slots are checked by upsert-slots, which can skip conflicts instead of failing the batch.
+-- Moves are single rows, so a conflict raises 'slot_conflict'. The slot's own row, still at its
+-- old time, doesn't count.
+
+CREATE OR REPLACE FUNCTION public.guard_availability_conflicts()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM public.find_slot_conflicts(
+      NEW.listing_id,
+      jsonb_build_array(jsonb_build_object(
+        'date', NEW.date, 'start_time', NEW.start_time, 'end_time', NEW.end_time
+      ))
+    ) c
+    WHERE c.conflict_id IS DISTINCT FROM NEW.id
+  ) THEN
+    RAISE EXCEPTION 'slot_conflict';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS availability_guard_conflicts ON public.availability;
+CREATE TRIGGER availability_guard_conflicts
+  BEFORE UPDATE OF date, start_time, end_time, listing_id ON public.availability
+  FOR EACH ROW
+  WHEN (
+    NEW.date IS DISTINCT FROM OLD.date OR
+    NEW.start_time IS DISTINCT FROM OLD.start_time OR
+    NEW.end_time IS DISTINCT FROM OLD.end_time OR
+    NEW.listing_id IS DISTINCT FROM OLD.listing_id
+  )
+  EXECUTE FUNCTION public.guard_availability_conflicts();
@@ -0,0 +1,74 @@
+-- Slot Edit Guards
+-- The merchant availability manager can bulk delete, bulk edit and drag slots. Customers have
+-- paid for the time of a booked slot, so this migration makes the database refuse destructive
+-- edits to slots with booked seats or a live checkout hold, whatever client makes them:
+--   * deleting the slot                                   → 'slot_booked'
+--   * moving it (date, start_time, end_time, listing_id)  → 'slot_booked'
+--   * lowering capacity below booked + held seats         → 'capacity_below_booked'
+-- Price and label changes are allowed; bookings keep the price they were charged.
+--
+-- System updates (booked_count changes from the hold/release RPCs, the timezone re-apply no-op
+-- update) don't change these columns and pass through.
+--
+-- Requires slot_timezones.sql.
+
+-- ===================================================================
+-- STEP 1: Refuse destructive edits to booked slots
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION public.guard_booked_availability()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_held INTEGER;
+  v_taken INTEGER;
+BEGIN
+  SELECT COUNT(*)::INTEGER INTO v_held
+  FROM public.availability_holds
+  WHERE availability_id = OLD.id AND status = 'active' AND expires_at > now();
+
+  v_taken := COALESCE(OLD.booked_count, 0) + v_held;
+
+  IF TG_OP = 'DELETE' THEN
+    IF v_taken > 0 THEN
+      RAISE EXCEPTION 'slot_booked';
+    END IF;
+    RETURN OLD;
+  END IF;
+
+  IF v_taken > 0 AND (
+    NEW.date IS DISTINCT FROM OLD.date OR
+    NEW.start_time IS DISTINCT FROM OLD.start_time OR
+    NEW.end_time IS DISTINCT FROM OLD.end_time OR
+    NEW.listing_id IS DISTINCT FROM OLD.listing_id
+  ) THEN
+    RAISE EXCEPTION 'slot_booked';
+  END IF;
+
+  -- Only checked when capacity itself changes; booked_count moves are the hold RPCs' business
+  IF NEW.capacity IS DISTINCT FROM OLD.capacity AND COALESCE(NEW.capacity, 1) < v_taken THEN
+    RAISE EXCEPTION 'capacity_below_booked';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS availability_guard_booked ON public.availability;
+CREATE TRIGGER availability_guard_booked
+  BEFORE UPDATE OR DELETE ON public.availability
+  FOR EACH ROW
+  EXECUTE FUNCTION public.guard_booked_availability();
+
+-- ===================================================================
+-- STEP 2: Keep merchants' deletions and moves of rule-generated slots
+-- ===================================================================
+-- materialize-availability used to fill every gap up to its horizon on each run, so a slot
+-- deleted or moved in the calendar came back the next day. It now only generates dates after
+-- materialized_through, unless the rule itself was edited (which regenerates from today).
+
+ALTER TABLE public.availability_rules
+  ADD COLUMN IF NOT EXISTS materialized_through DATE;
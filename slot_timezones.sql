@@ -0,0 +1,142 @@
+-- Timezone-aware Slots
+-- Slots are entered as wall-clock times (availability.date / start_time / end_time) in the
+-- merchant's local time. This migration gives each listing an IANA timezone and stores every
+-- slot's UTC instants in availability.starts_at / ends_at, derived by the database so every
+-- writer (availability page, slot editor, materialize-availability) gets the same DST handling.
+--
+-- The frontend renders starts_at in the viewer's zone; bookings copy starts_at / ends_at from
+-- their slot (stripe-webhook).
+--
+-- Requires availability_rules.sql.
+
+-- ===================================================================
+-- STEP 1: Listing timezone
+-- ===================================================================
+
+ALTER TABLE public.listings
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Europe/London';
+
+CREATE OR REPLACE FUNCTION public.check_listing_timezone()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = NEW.timezone) THEN
+    RAISE EXCEPTION 'invalid_timezone: %', NEW.timezone;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS listings_check_timezone ON public.listings;
+CREATE TRIGGER listings_check_timezone
+  BEFORE INSERT OR UPDATE OF timezone ON public.listings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_listing_timezone();
+
+-- ===================================================================
+-- STEP 2: UTC instants on slots
+-- ===================================================================
+
+ALTER TABLE public.availability
+  ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+-- Interprets the slot's wall-clock date and times in its listing's timezone. A start time that
+-- doesn't exist locally (skipped by the spring-forward change) resolves to the instant after the
+-- gap; an ambiguous one (repeated in autumn) resolves to the second occurrence, after the
+-- clocks go back.
+CREATE OR REPLACE FUNCTION public.set_availability_instants()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tz TEXT;
+BEGIN
+  SELECT COALESCE(timezone, 'Europe/London') INTO v_tz
+  FROM public.listings
+  WHERE id = NEW.listing_id;
+
+  v_tz := COALESCE(v_tz, 'Europe/London');
+  NEW.starts_at := (NEW.date::DATE + NEW.start_time::TIME) AT TIME ZONE v_tz;
+  NEW.ends_at := (NEW.date::DATE + NEW.end_time::TIME) AT TIME ZONE v_tz;
+
+  -- Slots that run past midnight end on the next day
+  IF NEW.ends_at <= NEW.starts_at THEN
+    NEW.ends_at := ((NEW.date::DATE + 1) + NEW.end_time::TIME) AT TIME ZONE v_tz;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS availability_set_instants ON public.availability;
+CREATE TRIGGER availability_set_instants
+  BEFORE INSERT OR UPDATE OF date, start_time, end_time, listing_id ON public.availability
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_availability_instants();
+
+-- Backfill (the no-op update fires the trigger)
+UPDATE public.availability SET date = date WHERE starts_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_availability_listing_starts_at
+  ON public.availability(listing_id, starts_at);
+
+-- Changing a listing's timezone moves its unbooked upcoming slots to the same wall-clock times
+-- in the new zone. Booked slots keep their instants, since customers were told those times.
+CREATE OR REPLACE FUNCTION public.reapply_listing_timezone()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.availability a
+  SET date = a.date
+  WHERE a.listing_id = NEW.id
+    AND a.starts_at > now()
+    AND COALESCE(a.booked_count, 0) = 0
+    AND NOT EXISTS (SELECT 1 FROM public.bookings b WHERE b.availability_id = a.id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS listings_reapply_timezone ON public.listings;
+CREATE TRIGGER listings_reapply_timezone
+  AFTER UPDATE OF timezone ON public.listings
+  FOR EACH ROW
+  WHEN (OLD.timezone IS DISTINCT FROM NEW.timezone)
+  EXECUTE FUNCTION public.reapply_listing_timezone();
+
+-- availability_with_holds selects a.*, so it must be recreated to expose the new columns
+DROP VIEW IF EXISTS public.availability_with_holds;
+CREATE VIEW public.availability_with_holds AS
+SELECT
+  a.*,
+  COALESCE(h.held_count, 0) AS held_count,
+  GREATEST(COALESCE(a.capacity, 1) - COALESCE(a.booked_count, 0) - COALESCE(h.held_count, 0), 0) AS seats_left
+FROM public.availability a
+LEFT JOIN (
+  SELECT availability_id, COUNT(*)::INTEGER AS held_count
+  FROM public.availability_holds
+  WHERE status = 'active' AND expires_at > now()
+  GROUP BY availability_id
+) h ON h.availability_id = a.id;
+
+GRANT SELECT ON public.availability_with_holds TO anon, authenticated;
+
+-- ===================================================================
+-- STEP 3: Correct existing bookings
+-- ===================================================================
+-- stripe-webhook used to store the slot's wall-clock time without an offset, which Postgres
+-- read as UTC (an hour late during BST). Copy the real instants from the slot.
+
+UPDATE public.bookings b
+SET starts_at = a.starts_at,
+    ends_at = a.ends_at
+FROM public.availability a
+WHERE b.availability_id = a.id
+  AND a.starts_at IS NOT NULL
+  AND (b.starts_at IS DISTINCT FROM a.starts_at OR b.ends_at IS DISTINCT FROM a.ends_at);
@@ -0,0 +1,88 @@
+-- Unified Slot Model
+-- Merchants used to create slots two ways: availability.html wrote public.availability
+-- (date/start_time/end_time) while the bulk slot editor's upsert-slots Edge Function wrote
+-- public.time_slots (starts_at/ends_at/status). Customers, checkout and the webhook only read
+-- availability, so bulk-generated slots were never bookable.
+--
+-- public.availability is now the single slot table (bookings.availability_id, seat holds and the
+-- availability_with_holds view already key off it). This migration:
+--   1. stops duplicate slots for the same listing/date/start time
+--   2. copies open time_slots rows into availability
+--
+-- time_slots is left in place, unused, so the copy can be checked before it is dropped.
+--
+-- Requires availability_holds.sql.
+
+-- ===================================================================
+-- STEP 1: One slot per listing, date and start time
+-- ===================================================================
+-- upsert-slots relies on this to skip slots that already exist. Existing duplicates are
+-- reported rather than deleted, since bookings may point at either row.
+
+DO $$
+DECLARE
+  v_duplicates INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO v_duplicates
+  FROM (
+    SELECT 1
+    FROM public.availability
+    GROUP BY listing_id, date, start_time
+    HAVING COUNT(*) > 1
+  ) d;
+
+  IF v_duplicates = 0 THEN
+    CREATE UNIQUE INDEX IF NOT EXISTS availability_listing_date_start_key
+      ON public.availability(listing_id, date, start_time);
+  ELSE
+    RAISE NOTICE 'availability has % duplicated (listing_id, date, start_time) groups; resolve them and re-run this migration to add the unique index', v_duplicates;
+  END IF;
+END $$;
+
+-- ===================================================================
+-- STEP 2: Copy time_slots into availability
+-- ===================================================================
+-- The slot editor sent wall-clock times without an offset, so they were stored as UTC;
+-- reading them back at UTC recovers the time the merchant entered. Slots without a price
+-- fall back to the listing's price_from.
+
+DO $$
+BEGIN
+  IF to_regclass('public.time_slots') IS NULL THEN
+    RAISE NOTICE 'time_slots does not exist, nothing to migrate';
+    RETURN;
+  END IF;
+
+  INSERT INTO public.availability (listing_id, date, start_time, end_time, price, capacity)
+  SELECT
+    t.listing_id,
+    (t.starts_at AT TIME ZONE 'UTC')::DATE,
+    (t.starts_at AT TIME ZONE 'UTC')::TIME,
+    (t.ends_at AT TIME ZONE 'UTC')::TIME,
+    COALESCE(t.price, l.price_from),
+    COALESCE(t.capacity, 1)
+  FROM public.time_slots t
+  JOIN public.listings l ON l.id = t.listing_id
+  WHERE COALESCE(t.status, 'open') = 'open'
+    AND NOT EXISTS (
+      SELECT 1
+      FROM public.availability a
+      WHERE a.listing_id = t.listing_id
+        AND a.date = (t.starts_at AT TIME ZONE 'UTC')::DATE
+        AND a.start_time = (t.starts_at AT TIME ZONE 'UTC')::TIME
+    );
+END $$;
+
+-- ===================================================================
+-- STEP 3: Retire time_slots (run manually once the copy is verified)
+-- ===================================================================
+-- SELECT COUNT(*) FROM public.time_slots t
+-- WHERE COALESCE(t.status, 'open') = 'open'
+--   AND NOT EXISTS (
+--     SELECT 1 FROM public.availability a
+--     WHERE a.listing_id = t.listing_id
+--       AND a.date = (t.starts_at AT TIME ZONE 'UTC')::DATE
+--       AND a.start_time = (t.starts_at AT TIME ZONE 'UTC')::TIME
+--   );
+-- -- expect 0, then:
+-- DROP TABLE public.time_slots;
@@ -0,0 +1,368 @@
+-- Staff Members
+-- Salons with several stylists need more than a single listing owner. This migration adds staff
+-- profiles owned by a merchant account, the set of staff qualified for each listing, and a
+-- staff_id on slots, weekly rules and bookings:
+--   * a slot with staff_id is that stylist's time; a slot without one is the merchant's own
+--   * weekly rules carry staff_id, so each stylist's working hours generate their own slots
+--   * stripe-webhook copies the slot's staff_id onto the booking
+-- Conflict detection (find_slot_conflicts) is scoped to the person performing: a stylist's
+-- slots only conflict with that stylist's other slots and bookings.
+--
+-- Staff are deactivated rather than deleted once they have bookings. Deactivating a stylist, or
+-- removing them from a listing, pauses their rules and removes their future unbooked slots.
+--
+-- Requires slot_conflicts.sql.
+
+-- ===================================================================
+-- STEP 1: Staff and listing qualifications
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.staff_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  merchant_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  bio TEXT,
+  avatar_url TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_members_merchant ON public.staff_members(merchant_id);
+
+CREATE TABLE IF NOT EXISTS public.listing_staff (
+  listing_id UUID NOT NULL REFERENCES public.listings(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES public.staff_members(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  PRIMARY KEY (listing_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_staff_staff ON public.listing_staff(staff_id);
+
+ALTER TABLE public.staff_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.listing_staff ENABLE ROW LEVEL SECURITY;
+
+-- Customers pick a stylist on the listing page
+CREATE POLICY "staff_members_public_select_active" ON public.staff_members
+  FOR SELECT
+  TO anon, authenticated
+  USING (active);
+
+CREATE POLICY "staff_members_owner_all" ON public.staff_members
+  FOR ALL
+  TO authenticated
+  USING (merchant_id = auth.uid())
+  WITH CHECK (merchant_id = auth.uid());
+
+CREATE POLICY "listing_staff_public_select" ON public.listing_staff
+  FOR SELECT
+  TO anon, authenticated
+  USING (TRUE);
+
+-- Merchants link their own staff to their own listings
+CREATE POLICY "listing_staff_owner_insert" ON public.listing_staff
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid())
+    AND EXISTS (SELECT 1 FROM public.staff_members s WHERE s.id = staff_id AND s.merchant_id = auth.uid())
+  );
+
+CREATE POLICY "listing_staff_owner_delete" ON public.listing_staff
+  FOR DELETE
+  TO authenticated
+  USING (EXISTS (SELECT 1 FROM public.listings l WHERE l.id = listing_id AND l.owner = auth.uid()));
+
+CREATE OR REPLACE FUNCTION public.touch_staff_member()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS staff_members_touch ON public.staff_members;
+CREATE TRIGGER staff_members_touch
+  BEFORE UPDATE ON public.staff_members
+  FOR EACH ROW
+  EXECUTE FUNCTION public.touch_staff_member();
+
+-- ===================================================================
+-- STEP 2: staff_id on slots, rules and bookings
+-- ===================================================================
+
+ALTER TABLE public.availability
+  ADD COLUMN IF NOT EXISTS staff_id UUID REFERENCES public.staff_members(id) ON DELETE RESTRICT;
+
+ALTER TABLE public.availability_rules
+  ADD COLUMN IF NOT EXISTS staff_id UUID REFERENCES public.staff_members(id) ON DELETE CASCADE;
+
+ALTER TABLE public.bookings
+  ADD COLUMN IF NOT EXISTS staff_id UUID REFERENCES public.staff_members(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_availability_staff_starts_at
+  ON public.availability(staff_id, starts_at)
+  WHERE staff_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_staff_starts_at
+  ON public.bookings(staff_id, starts_at)
+  WHERE staff_id IS NOT NULL;
+
+-- Two stylists can both start at 10:00 on the same listing
+DROP INDEX IF EXISTS public.availability_listing_date_start_key;
+CREATE UNIQUE INDEX IF NOT EXISTS availability_listing_staff_date_start_key
+  ON public.availability(listing_id, staff_id, date, start_time) NULLS NOT DISTINCT;
+
+-- A slot or rule can only name a stylist who is qualified for the listing
+CREATE OR REPLACE FUNCTION public.check_staff_qualified()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.staff_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1
+    FROM public.listing_staff ls
+    JOIN public.staff_members s ON s.id = ls.staff_id
+    WHERE ls.listing_id = NEW.listing_id
+      AND ls.staff_id = NEW.staff_id
+      AND s.active
+  ) THEN
+    RAISE EXCEPTION 'staff_not_qualified';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS availability_check_staff ON public.availability;
+CREATE TRIGGER availability_check_staff
+  BEFORE INSERT OR UPDATE OF staff_id, listing_id ON public.availability
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_staff_qualified();
+
+DROP TRIGGER IF EXISTS availability_rules_check_staff ON public.availability_rules;
+CREATE TRIGGER availability_rules_check_staff
+  BEFORE INSERT OR UPDATE OF staff_id, listing_id ON public.availability_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_staff_qualified();
+
+-- Moving a rule to another stylist is an edit: regenerate its slots
+DROP TRIGGER IF EXISTS availability_rules_touch ON public.availability_rules;
+CREATE TRIGGER availability_rules_touch
+  BEFORE UPDATE ON public.availability_rules
+  FOR EACH ROW
+  WHEN (
+    (OLD.rrule, OLD.windows, OLD.duration_minutes, OLD.buffer_minutes, OLD.price, OLD.capacity,
+     OLD.label, OLD.starts_on, OLD.ends_on, OLD.exdates, OLD.active, OLD.staff_id)
+    IS DISTINCT FROM
+    (NEW.rrule, NEW.windows, NEW.duration_minutes, NEW.buffer_minutes, NEW.price, NEW.capacity,
+     NEW.label, NEW.starts_on, NEW.ends_on, NEW.exdates, NEW.active, NEW.staff_id)
+  )
+  EXECUTE FUNCTION public.touch_availability_rule();
+
+-- ===================================================================
+-- STEP 3: Release a stylist's future time
+-- ===================================================================
+-- Pauses the stylist's rules (on one listing, or all when p_listing_id is NULL) and deletes
+-- their future slots that nobody has booked or is checking out. Booked slots stay, so those
+-- appointments still happen.
+
+CREATE OR REPLACE FUNCTION public.release_staff_slots(
+  p_staff_id UUID,
+  p_listing_id UUID DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  UPDATE public.availability_rules
+  SET active = false
+  WHERE staff_id = p_staff_id
+    AND (p_listing_id IS NULL OR listing_id = p_listing_id)
+    AND active;
+
+  DELETE FROM public.availability a
+  WHERE a.staff_id = p_staff_id
+    AND (p_listing_id IS NULL OR a.listing_id = p_listing_id)
+    AND a.starts_at > now()
+    AND COALESCE(a.booked_count, 0) = 0
+    AND NOT EXISTS (
+      SELECT 1 FROM public.availability_holds h
+      WHERE h.availability_id = a.id AND h.status = 'active' AND h.expires_at > now()
+    )
+    AND NOT EXISTS (SELECT 1 FROM public.bookings b WHERE b.availability_id = a.id);
+
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.release_staff_slots(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.release_staff_slots(UUID, UUID) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.on_listing_staff_removed()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.release_staff_slots(OLD.staff_id, OLD.listing_id);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS listing_staff_release ON public.listing_staff;
+CREATE TRIGGER listing_staff_release
+  AFTER DELETE ON public.listing_staff
+  FOR EACH ROW
+  EXECUTE FUNCTION public.on_listing_staff_removed();
+
+CREATE OR REPLACE FUNCTION public.on_staff_deactivated()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.release_staff_slots(NEW.id, NULL);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS staff_members_release ON public.staff_members;
+CREATE TRIGGER staff_members_release
+  AFTER UPDATE OF active ON public.staff_members
+  FOR EACH ROW
+  WHEN (OLD.active AND NOT NEW.active)
+  EXECUTE FUNCTION public.on_staff_deactivated();
+
+-- ===================================================================
+-- STEP 4: Conflicts per performer
+-- ===================================================================
+-- Same as slot_conflicts.sql, but only the slots and bookings of the person performing count:
+-- the stylist when p_staff_id is set, otherwise the merchant's own (unassigned) time.
+
+DROP FUNCTION IF EXISTS public.find_slot_conflicts(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION public.find_slot_conflicts(
+  p_listing_id UUID,
+  p_slots JSONB,
+  p_staff_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  slot_index INTEGER,
+  kind TEXT,
+  conflict_id UUID,
+  listing_id UUID,
+  starts_at TIMESTAMP WITH TIME ZONE,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  booked_count INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH target AS (
+    SELECT l.owner, COALESCE(l.timezone, 'Europe/London') AS tz
+    FROM public.listings l
+    WHERE l.id = p_listing_id
+  ),
+  proposed AS (
+    SELECT
+      (e.ord - 1)::INTEGER AS idx,
+      ((e.value->>'date')::DATE + (e.value->>'start_time')::TIME) AT TIME ZONE t.tz AS s,
+      ((e.value->>'date')::DATE + (e.value->>'end_time')::TIME) AT TIME ZONE t.tz AS e
+    FROM jsonb_array_elements(p_slots) WITH ORDINALITY AS e(value, ord), target t
+  )
+  SELECT p.idx, 'slot', a.id, a.listing_id, a.starts_at, a.ends_at, COALESCE(a.booked_count, 0)
+  FROM proposed p
+  JOIN public.availability a ON a.starts_at < p.e AND a.ends_at > p.s
+  JOIN public.listings l ON l.id = a.listing_id
+  WHERE l.owner = (SELECT owner FROM target)
+    AND a.staff_id IS NOT DISTINCT FROM p_staff_id
+    AND NOT (a.listing_id = p_listing_id AND a.starts_at = p.s)
+
+  UNION ALL
+
+  SELECT p.idx, 'booking', b.id, b.listing_id, b.starts_at, b.ends_at, 1
+  FROM proposed p
+  JOIN public.bookings b ON b.starts_at < p.e AND b.ends_at > p.s
+  WHERE b.merchant_id = (SELECT owner FROM target)
+    AND b.staff_id IS NOT DISTINCT FROM p_staff_id
+    AND b.status IN ('pending', 'confirmed')
+    AND b.availability_id IS NULL
+
+  ORDER BY 1, 5;
+$$;
+
+REVOKE ALL ON FUNCTION public.find_slot_conflicts(UUID, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_slot_conflicts(UUID, JSONB, UUID) TO service_role;
+
+-- The move guard from slot_conflicts.sql, checking the slot's own performer. Reassigning a slot
+-- to another stylist is a move onto their time too.
+CREATE OR REPLACE FUNCTION public.guard_availability_conflicts()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1
+    FROM public.find_slot_conflicts(
+      NEW.listing_id,
+      jsonb_build_array(jsonb_build_object(
+        'date', NEW.date, 'start_time', NEW.start_time, 'end_time', NEW.end_time
+      )),
+      NEW.staff_id
+    ) c
+    WHERE c.conflict_id IS DISTINCT FROM NEW.id
+  ) THEN
+    RAISE EXCEPTION 'slot_conflict';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS availability_guard_conflicts ON public.availability;
+CREATE TRIGGER availability_guard_conflicts
+  BEFORE UPDATE OF date, start_time, end_time, listing_id, staff_id ON public.availability
+  FOR EACH ROW
+  WHEN (
+    NEW.date IS DISTINCT FROM OLD.date OR
+    NEW.start_time IS DISTINCT FROM OLD.start_time OR
+    NEW.end_time IS DISTINCT FROM OLD.end_time OR
+    NEW.listing_id IS DISTINCT FROM OLD.listing_id OR
+    NEW.staff_id IS DISTINCT FROM OLD.staff_id
+  )
+  EXECUTE FUNCTION public.guard_availability_conflicts();
+
+-- ===================================================================
+-- STEP 5: Expose staff_id on the slot view
+-- ===================================================================
+
+-- availability_with_holds selects a.*, so it must be recreated to expose the new column
+DROP VIEW IF EXISTS public.availability_with_holds;
+CREATE VIEW public.availability_with_holds AS
+SELECT
+  a.*,
+  COALESCE(h.held_count, 0) AS held_count,
+  GREATEST(COALESCE(a.capacity, 1) - COALESCE(a.booked_count, 0) - COALESCE(h.held_count, 0), 0) AS seats_left
+FROM public.availability a
+LEFT JOIN (
+  SELECT availability_id, COUNT(*)::INTEGER AS held_count
+  FROM public.availability_holds
+  WHERE status = 'active' AND expires_at > now()
+  GROUP BY availability_id
+) h ON h.availability_id = a.id;
+
+GRANT SELECT ON public.availability_with_holds TO anon, authenticated;
@@ -0,0 +1,80 @@
+-- Stripe Connect (Express) Payouts
+-- Merchants onboard to a Stripe Express account from the merchant dashboard (stripe-connect
+-- Edge Function). Once the account can take charges, create-checkout-session makes destination
+-- charges: the customer pays the platform, Stripe transfers the payment to the merchant's account
+-- and keeps the platform fee (PLATFORM_FEE_PERCENT) as an application fee.
+--
+-- merchant_payout_accounts mirrors each account's onboarding state; stripe-webhook keeps it in
+-- step from account.updated. merchant_transfers records the transfer behind each booking from
+-- transfer.created / transfer.updated / transfer.reversed.
+--
+-- Merchants who haven't finished onboarding still take bookings; those payments stay on the
+-- platform account as before (bookings.stripe_account_id is null).
+--
+-- Requires payment_modes.sql.
+
+-- ===================================================================
+-- STEP 1: Connected accounts
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.merchant_payout_accounts (
+  merchant_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  stripe_account_id TEXT NOT NULL UNIQUE,    -- acct_...
+  charges_enabled BOOLEAN NOT NULL DEFAULT false,
+  payouts_enabled BOOLEAN NOT NULL DEFAULT false,
+  details_submitted BOOLEAN NOT NULL DEFAULT false,
+  -- Stripe's requirements.currently_due; onboarding is unfinished while this is non-empty
+  requirements_due TEXT[] NOT NULL DEFAULT '{}',
+  disabled_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+ALTER TABLE public.merchant_payout_accounts ENABLE ROW LEVEL SECURITY;
+
+-- Merchants can see their own account; only the Edge Functions (service role) write it
+CREATE POLICY "merchant_payout_accounts_owner_select" ON public.merchant_payout_accounts
+  FOR SELECT
+  TO authenticated
+  USING (merchant_id = auth.uid());
+
+-- ===================================================================
+-- STEP 2: Transfers to merchants
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.merchant_transfers (
+  id TEXT PRIMARY KEY,                       -- Stripe transfer ID (tr_...)
+  merchant_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  stripe_account_id TEXT NOT NULL,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  amount_cents INTEGER NOT NULL,
+  amount_reversed_cents INTEGER NOT NULL DEFAULT 0,
+  currency TEXT NOT NULL DEFAULT 'gbp',
+  status TEXT NOT NULL DEFAULT 'paid'
+    CHECK (status IN ('paid', 'partially_reversed', 'reversed')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_merchant_transfers_merchant
+  ON public.merchant_transfers(merchant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_merchant_transfers_booking
+  ON public.merchant_transfers(booking_id)
+  WHERE booking_id IS NOT NULL;
+
+ALTER TABLE public.merchant_transfers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "merchant_transfers_owner_select" ON public.merchant_transfers
+  FOR SELECT
+  TO authenticated
+  USING (merchant_id = auth.uid());
+
+-- ===================================================================
+-- STEP 3: Destination and platform fee on bookings
+-- ===================================================================
+
+ALTER TABLE public.bookings
+  -- Connected account the payment was transferred to; null when it stayed on the platform
+  ADD COLUMN IF NOT EXISTS stripe_account_id TEXT,
+  ADD COLUMN IF NOT EXISTS application_fee_cents INTEGER NOT NULL DEFAULT 0
+    CHECK (application_fee_cents >= 0);
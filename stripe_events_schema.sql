@@ -0,0 +1,76 @@
+-- Stripe Webhook Event Log
+-- This migration creates the processed-events store used by the stripe-webhook Edge Function.
+-- Every delivery is claimed by Stripe event ID before any side effects run, so retries and
+-- duplicate deliveries of an already processed event are no-ops. The row keeps the outcome
+-- and last error of each event for support audits.
+
+-- ===================================================================
+-- STEP 1: Event log table
+-- ===================================================================
+
+CREATE TABLE IF NOT EXISTS public.stripe_events (
+  id TEXT PRIMARY KEY,                       -- Stripe event ID (evt_...)
+  type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  checkout_session_id TEXT,
+  booking_id UUID REFERENCES public.bookings(id) ON DELETE SET NULL,
+  result JSONB,
+  last_error TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_checkout_session_id ON public.stripe_events(checkout_session_id);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON public.stripe_events(status);
+
+-- Only the service role (Edge Functions) reads or writes the log
+ALTER TABLE public.stripe_events ENABLE ROW LEVEL SECURITY;
+
+-- ===================================================================
+-- STEP 2: Claim function
+-- ===================================================================
+-- Returns TRUE when the caller should process the event: first delivery, a retry after a
+-- failure, or a retry of a delivery stuck in 'processing' for more than 5 minutes.
+-- Returns FALSE for events already processed/ignored or currently being processed.
+
+CREATE OR REPLACE FUNCTION public.claim_stripe_event(p_event_id TEXT, p_event_type TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_claimed BOOLEAN;
+BEGIN
+  INSERT INTO stripe_events (id, type, status, attempts)
+  VALUES (p_event_id, p_event_type, 'processing', 1)
+  ON CONFLICT (id) DO UPDATE
+    SET status = 'processing',
+        attempts = stripe_events.attempts + 1,
+        last_error = NULL,
+        updated_at = now()
+    WHERE stripe_events.status = 'failed'
+       OR (stripe_events.status = 'processing' AND stripe_events.updated_at < now() - INTERVAL '5 minutes')
+  RETURNING TRUE INTO v_claimed;
+
+  RETURN COALESCE(v_claimed, FALSE);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_stripe_event(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- ===================================================================
+-- STEP 3: Ledger references
+-- ===================================================================
+-- Each ledger entry written by the webhook carries the Checkout Session ID as its reference,
+-- so a partially processed event can be retried without double-counting LLD.
+
+ALTER TABLE public.lld_transactions
+  ADD COLUMN IF NOT EXISTS reference TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lld_transactions_source_reference
+  ON public.lld_transactions(user_id, source, reference)
+  WHERE reference IS NOT NULL;
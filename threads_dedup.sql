@@ -0,0 +1,103 @@
+-- Thread Deduplication
+-- This migration makes customer–merchant threads unique per listing and adds the
+-- find_or_create_thread function used by the find-or-create-thread Edge Function and the
+-- Stripe webhook. Existing duplicate threads are merged into the oldest one first.
+--
+-- Requires bookings_schema.sql (threads.listing_id, threads.booking_id).
+
+-- ===================================================================
+-- STEP 1: Merge existing duplicates into the oldest thread
+-- ===================================================================
+
+CREATE TEMP TABLE thread_merge AS
+SELECT id, keep_id
+FROM (
+  SELECT
+    id,
+    FIRST_VALUE(id) OVER (
+      PARTITION BY customer_id, merchant_id, listing_id
+      ORDER BY created_at, id
+    ) AS keep_id
+  FROM public.threads
+) ranked
+WHERE id <> keep_id;
+
+UPDATE public.messages m
+SET thread_id = tm.keep_id
+FROM thread_merge tm
+WHERE m.thread_id = tm.id;
+
+DELETE FROM public.threads t
+USING thread_merge tm
+WHERE t.id = tm.id;
+
+DROP TABLE thread_merge;
+
+-- ===================================================================
+-- STEP 2: One thread per customer, merchant and listing
+-- ===================================================================
+-- NULLS NOT DISTINCT so general (listing-less) threads are deduplicated too (Postgres 15+).
+
+ALTER TABLE public.threads
+  DROP CONSTRAINT IF EXISTS threads_parties_listing_unique;
+ALTER TABLE public.threads
+  ADD CONSTRAINT threads_parties_listing_unique
+    UNIQUE NULLS NOT DISTINCT (customer_id, merchant_id, listing_id);
+
+ALTER TABLE public.threads
+  DROP CONSTRAINT IF EXISTS threads_not_self;
+ALTER TABLE public.threads
+  ADD CONSTRAINT threads_not_self CHECK (customer_id <> merchant_id) NOT VALID;
+
+-- ===================================================================
+-- STEP 3: find_or_create_thread (service role only)
+-- ===================================================================
+-- Returns the thread for (customer, merchant, listing), creating it if needed. Safe under
+-- concurrency: a racing insert hits the unique constraint and the existing row is returned.
+-- When p_booking_id is given it becomes the thread's current booking.
+
+CREATE OR REPLACE FUNCTION public.find_or_create_thread(
+  p_customer_id UUID,
+  p_merchant_id UUID,
+  p_listing_id UUID,
+  p_booking_id UUID DEFAULT NULL,
+  p_service_name TEXT DEFAULT NULL
+)
+RETURNS TABLE (thread_id UUID, created BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  IF p_customer_id = p_merchant_id THEN
+    RAISE EXCEPTION 'self_thread' USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO threads (customer_id, merchant_id, listing_id, booking_id, service_name)
+  VALUES (p_customer_id, p_merchant_id, p_listing_id, p_booking_id, p_service_name)
+  ON CONFLICT ON CONSTRAINT threads_parties_listing_unique DO NOTHING
+  RETURNING id INTO v_id;
+
+  IF v_id IS NOT NULL THEN
+    RETURN QUERY SELECT v_id, TRUE;
+    RETURN;
+  END IF;
+
+  SELECT t.id INTO v_id
+  FROM threads t
+  WHERE t.customer_id = p_customer_id
+    AND t.merchant_id = p_merchant_id
+    AND t.listing_id IS NOT DISTINCT FROM p_listing_id;
+
+  IF p_booking_id IS NOT NULL THEN
+    UPDATE threads SET booking_id = p_booking_id WHERE id = v_id;
+  END IF;
+
+  RETURN QUERY SELECT v_id, FALSE;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_or_create_thread(UUID, UUID, UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_or_create_thread(UUID, UUID, UUID, UUID, TEXT) TO service_role;
@@ -0,0 +1,136 @@
+-- Customer Wallet Page and LLD Award Expiry
+-- wallet.html shows a customer their LLD balance and ledger history; this migration lets them
+-- read their own wallets and lld_transactions rows (writes stay with the wallet RPCs).
+--
+-- Awards can expire: with wallet_settings.award_expiry_months set, expire_lld_awards() takes
+-- back award LLD that is older than that and still unspent, as 'award_expiry' ledger entries
+-- through wallet_adjust. Spending uses the oldest LLD first, so an award only expires to the
+-- extent that later redemptions haven't already used it. LLD given back after a cancellation
+-- or an abandoned checkout doesn't expire.
+--
+-- Requires wallet_ledger.sql.
+
+-- ===================================================================
+-- STEP 1: Customers can read their own wallet
+-- ===================================================================
+
+ALTER TABLE public.wallets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.lld_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "wallets_owner_select" ON public.wallets;
+CREATE POLICY "wallets_owner_select" ON public.wallets
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "lld_transactions_owner_select" ON public.lld_transactions;
+CREATE POLICY "lld_transactions_owner_select" ON public.lld_transactions
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Wallet history, newest first
+CREATE INDEX IF NOT EXISTS idx_lld_transactions_user_created
+  ON public.lld_transactions(user_id, created_at DESC);
+
+-- ===================================================================
+-- STEP 2: Expiry setting
+-- ===================================================================
+-- A single row. award_expiry_months NULL means awards never expire.
+
+CREATE TABLE IF NOT EXISTS public.wallet_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  award_expiry_months INTEGER CHECK (award_expiry_months > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+INSERT INTO public.wallet_settings (id, award_expiry_months)
+VALUES (TRUE, 12)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.wallet_settings ENABLE ROW LEVEL SECURITY;
+
+-- wallet.html tells customers how long awards last
+DROP POLICY IF EXISTS "wallet_settings_public_select" ON public.wallet_settings;
+CREATE POLICY "wallet_settings_public_select" ON public.wallet_settings
+  FOR SELECT
+  TO anon, authenticated
+  USING (TRUE);
+
+-- ===================================================================
+-- STEP 3: Expire unspent awards (service role / pg_cron)
+-- ===================================================================
+-- For each customer: awards earned before the cutoff, less everything spent or taken back since
+-- the wallet opened (redemptions, award reversals and earlier expiries, net of LLD given back),
+-- is what is left of those old awards. That amount expires, capped at the balance. Entries are
+-- keyed by cutoff date, so running it more than once a day changes nothing.
+-- Returns the number of wallets touched and the LLD expired.
+
+CREATE OR REPLACE FUNCTION public.expire_lld_awards()
+RETURNS TABLE (wallets_expired INTEGER, lld_expired INTEGER)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_months INTEGER;
+  v_cutoff TIMESTAMP WITH TIME ZONE;
+  v_row RECORD;
+  v_due INTEGER;
+  v_wallets INTEGER := 0;
+  v_total INTEGER := 0;
+BEGIN
+  SELECT award_expiry_months INTO v_months FROM wallet_settings WHERE id;
+  IF v_months IS NULL THEN
+    RETURN QUERY SELECT 0, 0;
+    RETURN;
+  END IF;
+  v_cutoff := date_trunc('day', now()) - make_interval(months => v_months);
+
+  FOR v_row IN
+    SELECT
+      t.user_id,
+      SUM(t.amount) FILTER (
+        WHERE t.source LIKE 'award\_%' AND t.amount > 0 AND t.created_at < v_cutoff
+      ) AS old_awards,
+      -- Spent: every debit, less credits that only give a debit back
+      GREATEST(
+        -SUM(t.amount) FILTER (WHERE t.amount < 0)
+          - COALESCE(SUM(t.amount) FILTER (WHERE t.amount > 0 AND t.source NOT LIKE 'award\_%'), 0),
+        0
+      ) AS spent,
+      w.lld_balance
+    FROM lld_transactions t
+    JOIN wallets w ON w.user_id = t.user_id
+    GROUP BY t.user_id, w.lld_balance
+    HAVING SUM(t.amount) FILTER (
+      WHERE t.source LIKE 'award\_%' AND t.amount > 0 AND t.created_at < v_cutoff
+    ) > 0
+  LOOP
+    v_due := LEAST(v_row.old_awards - COALESCE(v_row.spent, 0), v_row.lld_balance);
+    CONTINUE WHEN v_due <= 0;
+
+    BEGIN
+      IF (SELECT applied FROM wallet_adjust(
+        v_row.user_id, -v_due, 'award_expiry', 'expiry:' || to_char(v_cutoff, 'YYYY-MM-DD')
+      )) THEN
+        v_wallets := v_wallets + 1;
+        v_total := v_total + v_due;
+      END IF;
+    EXCEPTION WHEN raise_exception THEN
+      -- insufficient_lld: the customer spent it since the totals were read; try again next run
+      CONTINUE;
+    END;
+  END LOOP;
+
+  RETURN QUERY SELECT v_wallets, v_total;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.expire_lld_awards() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_lld_awards() TO service_role;
+
+-- ===================================================================
+-- STEP 4: Schedule (run once in the SQL editor, with pg_cron enabled)
+-- ===================================================================
+-- SELECT cron.schedule('expire-lld-awards', '45 3 * * *', $$SELECT public.expire_lld_awards()$$);
@@ -0,0 +1,139 @@
+-- LLD Wallet Ledger RPCs
+-- This migration moves every wallet balance change into Postgres functions that write the
+-- lld_transactions entry and the wallets balance in one transaction. Edge Functions call
+-- these through the service role instead of reading the balance and upserting it.
+--
+-- Requires stripe_events_schema.sql (adds lld_transactions.reference).
+
+-- ===================================================================
+-- STEP 1: Constraints
+-- ===================================================================
+
+-- Balances may never go negative. NOT VALID so historic drifted rows don't block the migration;
+-- fix them with the reconciliation query at the bottom, then VALIDATE CONSTRAINT.
+ALTER TABLE public.wallets
+  DROP CONSTRAINT IF EXISTS wallets_lld_balance_non_negative;
+ALTER TABLE public.wallets
+  ADD CONSTRAINT wallets_lld_balance_non_negative CHECK (lld_balance >= 0) NOT VALID;
+
+-- ===================================================================
+-- STEP 2: wallet_adjust — the single write path
+-- ===================================================================
+-- Applies p_delta (positive or negative) to the user's balance and records it in the ledger.
+-- * Locks the wallet row so concurrent calls serialize
+-- * Idempotent by (user_id, source, reference): a repeated call returns applied = FALSE
+-- * Raises 'insufficient_lld' instead of letting the balance go negative
+
+CREATE OR REPLACE FUNCTION public.wallet_adjust(
+  p_user_id UUID,
+  p_delta INTEGER,
+  p_source TEXT,
+  p_reference TEXT DEFAULT NULL
+)
+RETURNS TABLE (balance INTEGER, applied BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_balance INTEGER;
+BEGIN
+  IF p_delta IS NULL OR p_delta = 0 THEN
+    RAISE EXCEPTION 'invalid_amount' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO wallets (user_id, lld_balance, updated_at)
+  VALUES (p_user_id, 0, now())
+  ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT w.lld_balance INTO v_balance
+  FROM wallets w
+  WHERE w.user_id = p_user_id
+  FOR UPDATE;
+
+  IF p_reference IS NOT NULL AND EXISTS (
+    SELECT 1 FROM lld_transactions t
+    WHERE t.user_id = p_user_id AND t.source = p_source AND t.reference = p_reference
+  ) THEN
+    RETURN QUERY SELECT v_balance, FALSE;
+    RETURN;
+  END IF;
+
+  IF v_balance + p_delta < 0 THEN
+    RAISE EXCEPTION 'insufficient_lld' USING ERRCODE = 'P0001',
+      DETAIL = format('balance %s, requested %s', v_balance, -p_delta);
+  END IF;
+
+  INSERT INTO lld_transactions (user_id, amount, source, reference)
+  VALUES (p_user_id, p_delta, p_source, p_reference);
+
+  UPDATE wallets
+  SET lld_balance = v_balance + p_delta, updated_at = now()
+  WHERE user_id = p_user_id;
+
+  RETURN QUERY SELECT v_balance + p_delta, TRUE;
+END;
+$$;
+
+-- ===================================================================
+-- STEP 3: wallet_redeem / wallet_award — positive-amount wrappers
+-- ===================================================================
+
+CREATE OR REPLACE FUNCTION public.wallet_redeem(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_source TEXT,
+  p_reference TEXT DEFAULT NULL
+)
+RETURNS TABLE (balance INTEGER, applied BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'invalid_amount' USING ERRCODE = '22023';
+  END IF;
+  RETURN QUERY SELECT * FROM wallet_adjust(p_user_id, -p_amount, p_source, p_reference);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.wallet_award(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_source TEXT,
+  p_reference TEXT DEFAULT NULL
+)
+RETURNS TABLE (balance INTEGER, applied BOOLEAN)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'invalid_amount' USING ERRCODE = '22023';
+  END IF;
+  RETURN QUERY SELECT * FROM wallet_adjust(p_user_id, p_amount, p_source, p_reference);
+END;
+$$;
+
+-- Only Edge Functions (service role) may move LLD
+REVOKE EXECUTE ON FUNCTION public.wallet_adjust(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.wallet_redeem(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.wallet_award(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.wallet_adjust(UUID, INTEGER, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.wallet_redeem(UUID, INTEGER, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.wallet_award(UUID, INTEGER, TEXT, TEXT) TO service_role;
+
+-- ===================================================================
+-- VERIFICATION
+-- ===================================================================
+-- Wallets whose balance disagrees with the sum of their ledger entries:
+--
+-- SELECT w.user_id, w.lld_balance, COALESCE(SUM(t.amount), 0) AS ledger_total
+-- FROM public.wallets w
+-- LEFT JOIN public.lld_transactions t ON t.user_id = w.user_id
+-- GROUP BY w.user_id, w.lld_balance
+-- HAVING w.lld_balance <> COALESCE(SUM(t.amount), 0);
+--
+-- Once clean: ALTER TABLE public.wallets VALIDATE CONSTRAINT wallets_lld_balance_non_negative;